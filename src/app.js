@@ -8,6 +8,7 @@ require('dotenv').config();
 
 // Import configuration database
 const { connectDB } = require('./config/database');
+const { loadRates } = require('./services/exchangeRateService');
 
 const app = express();
 
@@ -16,6 +17,11 @@ const app = express();
 // =============================================================================
 connectDB();
 
+// Préchargement des taux de change (résolveur USD/HTG)
+loadRates().catch(error => {
+  console.error('❌ Erreur préchargement taux de change:', error.message);
+});
+
 // =============================================================================
 // MIDDLEWARE BASIQUES
 // =============================================================================
@@ -104,6 +110,10 @@ app.use('/api/investments', require('./routes/investments'));
 
 app.use('/api/debts', require('./routes/debts'));
 
+app.use('/api/expense-groups', require('./routes/expenseGroups'));
+
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+
 app.use('/api/notifications', require('./routes/notifications'));
 
 app.use('/api/ai', require('./routes/ai'));
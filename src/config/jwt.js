@@ -13,6 +13,7 @@ const JWT_CONFIG = {
   // Secrets depuis variables environnement
   ACCESS_SECRET: process.env.JWT_SECRET || 'finapp_haiti_dev_secret_change_in_production',
   REFRESH_SECRET: process.env.JWT_REFRESH_SECRET || 'finapp_haiti_refresh_dev_secret_change_in_production',
+  INVITATION_SECRET: process.env.JWT_INVITATION_SECRET || 'finapp_haiti_invitation_dev_secret_change_in_production',
   
   // Durées des tokens
   ACCESS_EXPIRES_IN: process.env.JWT_EXPIRE || '15m',  // 15 minutes
@@ -21,7 +22,8 @@ const JWT_CONFIG = {
   // Configuration avancée
   ALGORITHM: 'HS256',
   ISSUER: 'finapp-haiti',
-  AUDIENCE: 'finapp-haiti-users'
+  AUDIENCE: 'finapp-haiti-users',
+  INVITATION_AUDIENCE: 'finapp-haiti-sol-invitations'
 };
 
 // ===================================================================
@@ -358,6 +360,81 @@ const generateTemporaryToken = (payload, duration = '1h') => {
   }
 };
 
+/**
+ * Générer un token d'invitation à un sol
+ * Sans iat : le même lien (et le même QR code) est régénéré à l'identique,
+ * l'expiration suit celle de l'invitation enregistrée
+ * @param {Object} invitation - { solId, invitationId, expiresAt }
+ * @returns {string} - Token d'invitation signé
+ */
+const generateSolInvitationToken = ({ solId, invitationId, expiresAt }) => {
+  try {
+    const tokenPayload = {
+      sol: solId.toString(),
+      inv: invitationId.toString(),
+      type: 'sol_invitation',
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+    };
+
+    return jwt.sign(tokenPayload, JWT_CONFIG.INVITATION_SECRET, {
+      algorithm: JWT_CONFIG.ALGORITHM,
+      issuer: JWT_CONFIG.ISSUER,
+      audience: JWT_CONFIG.INVITATION_AUDIENCE,
+      noTimestamp: true
+    });
+
+  } catch (error) {
+    throw new Error(`Erreur génération token invitation: ${error.message}`);
+  }
+};
+
+/**
+ * Vérifier un token d'invitation à un sol
+ * @param {string} token - Token d'invitation
+ * @returns {Object} - { isValid, payload, expired, error }
+ */
+const verifySolInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_CONFIG.INVITATION_SECRET, {
+      algorithms: [JWT_CONFIG.ALGORITHM],
+      issuer: JWT_CONFIG.ISSUER,
+      audience: JWT_CONFIG.INVITATION_AUDIENCE
+    });
+
+    if (decoded.type !== 'sol_invitation') {
+      return {
+        isValid: false,
+        payload: null,
+        expired: false,
+        error: 'Token invalide'
+      };
+    }
+
+    return {
+      isValid: true,
+      payload: decoded,
+      expired: false
+    };
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return {
+        isValid: false,
+        payload: null,
+        expired: true,
+        error: 'Invitation expirée'
+      };
+    }
+
+    return {
+      isValid: false,
+      payload: null,
+      expired: false,
+      error: 'Token invalide'
+    };
+  }
+};
+
 /**
  * Health check configuration JWT
  * @returns {Object} - Status configuration
@@ -392,10 +469,12 @@ module.exports = {
   generateRefreshToken,
   generateTokenPair,
   generateTemporaryToken,
+  generateSolInvitationToken,
   
   // Vérification tokens
   verifyAccessToken,
   verifyRefreshToken,
+  verifySolInvitationToken,
   decodeToken,
   
   // Utilitaires
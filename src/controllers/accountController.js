@@ -1,10 +1,16 @@
 // src/controllers/accountController.js - VERSION DEBUG COMPLÈTE
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 // 🚨 DEBUG: Import avec logs
 console.log("🔍 [ACCOUNT-DEBUG] Importing modules and models...");
 const Account = require('../models/Account');
+const BalanceLedgerEntry = require('../models/BalanceLedgerEntry');
 const Transaction = require('../models/Transaction');
+const {
+  getDailyBalances,
+  getLedgerEntries,
+  checkLedgerConsistency
+} = require('../services/balanceLedgerService');
 
 // 🚨 DEBUG: Import des constantes avec logs
 console.log("🔍 [ACCOUNT-DEBUG] Importing constants...");
@@ -375,6 +381,7 @@ const createAccount = [
 
       console.log("🔍 [ACCOUNT-DEBUG] Account object created, attempting to save...");
       await account.save();
+      await BalanceLedgerEntry.recordOpening(account);
       console.log("✅ [ACCOUNT-DEBUG] Account saved successfully!");
 
       // Réponse avec données nettoyées
@@ -822,18 +829,10 @@ const adjustBalance = [
       }
 
       const previousBalance = account.currentBalance;
-      account.currentBalance += amount;
-      account.availableBalance = account.currentBalance;
-
-      // Ajouter à l'historique
-      account.balanceHistory.push({
-        date: new Date(),
-        balance: account.currentBalance,
-        change: amount,
-        reason: 'adjustment',
-        description: description
-      });
 
+      // Historique + grand livre des soldes
+      await account.updateBalance(parseFloat(amount), description, { source: 'adjustment' });
+      account.availableBalance = account.currentBalance;
       await account.save();
       console.log("✅ [ACCOUNT-DEBUG] Balance adjusted successfully");
 
@@ -867,6 +866,104 @@ const adjustBalance = [
   }
 ];
 
+/**
+ * Historique des soldes d'un compte (grand livre)
+ * Soldes de clôture quotidiens + contrôle de dérive de currentBalance
+ */
+const getAccountHistory = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Format de date de début invalide'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Format de date de fin invalide'),
+
+  query('includeEntries')
+    .optional()
+    .isBoolean()
+    .withMessage('includeEntries doit être true ou false'),
+
+  handleValidationErrors,
+
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { accountId } = req.params;
+      const { startDate, endDate, includeEntries } = req.query;
+
+      const account = await Account.findOne({
+        _id: accountId,
+        user: userId
+      });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Compte non trouvé',
+          error: 'account_not_found',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'La date de début doit précéder la date de fin',
+          error: 'invalid_history_period',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const [history, consistency] = await Promise.all([
+        getDailyBalances(account, { startDate, endDate }),
+        checkLedgerConsistency(account)
+      ]);
+
+      const data = {
+        account: {
+          id: account._id,
+          name: account.name,
+          bankName: account.bankName,
+          currency: account.currency,
+          currentBalance: account.currentBalance
+        },
+        history,
+        consistency
+      };
+
+      if (includeEntries === 'true') {
+        data.entries = await getLedgerEntries(account, {
+          startDate: history.period.startDate,
+          endDate: history.period.endDate
+        });
+      }
+
+      if (!consistency.isConsistent && consistency.entries > 0) {
+        console.warn(`⚠️ Dérive de solde compte ${account._id}: ${consistency.drift} ${account.currency}`);
+      }
+
+      res.status(200).json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.log("❌ [ACCOUNT-DEBUG] Get account history error:", error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'historique du solde',
+        error: 'account_history_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
 /**
  * Définir un compte comme compte par défaut - VERSION DEBUG
  */
@@ -1209,6 +1306,7 @@ module.exports = {
   
   // Special operations
   adjustBalance,
+  getAccountHistory,
   setDefaultAccount,
   archiveAccount,
   unarchiveAccount,
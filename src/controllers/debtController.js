@@ -2,10 +2,25 @@
 // Controller pour gérer dettes et créances
 // Version complète avec intégrations notifications
 
+const mongoose = require('mongoose');
 const Debt = require('../models/Debt');
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
 const debtNotifications = require('../integrations/debtNotifications'); // ✨ INTÉGRATION
+const { storeFile, sendStoredFile, removeStoredFile } = require('../services/fileStorageService');
+const { FILE_STORAGE } = require('../utils/constants');
+const { getScheduleRemaining, summarizeSchedule } = require('../services/debtScheduleService');
+const payoffService = require('../services/debtPayoffService');
+const linkService = require('../services/debtLinkService');
+const interestService = require('../services/debtInterestService');
+const { validationResult } = require('express-validator');
+
+// Champs modifiables via PUT : paiements, cumuls, échéancier, propriétaire
+// et contact lié restent gérés par leurs propres endpoints
+const UPDATABLE_FIELDS = ['description', 'reason', 'dueDate', 'borrowedDate', 'priority'];
+const TERM_FIELDS = ['paymentTerms', ...linkService.LOCKED_FIELDS];
 
 class DebtController {
 
@@ -18,18 +33,20 @@ class DebtController {
         try {
             const { userId } = req.user;
 
+            // Le lien avec un autre utilisateur passe par POST /api/debts/:id/link
+            const { link, ...body } = req.body;
             const debtData = {
-                ...req.body,
+                ...body,
+                contact: body.contact && { ...body.contact, user: undefined },
+                // Cumuls et historique des intérêts calculés par le modèle
+                interest: body.interest && interestService.pickInterestTerms(body.interest),
                 user: userId
             };
 
             // Calculer montant restant initial
             debtData.amountRemaining = debtData.amount - (debtData.amountPaid || 0);
 
-            // Calculer prochaine échéance si paiements échelonnés
-            if (debtData.paymentTerms?.installments) {
-                debtData.nextPaymentDue = debtData.borrowedDate || new Date();
-            }
+            // Échéancier et prochaine échéance générés par le modèle si paiements échelonnés
 
             const debt = await Debt.create(debtData);
 
@@ -45,7 +62,7 @@ class DebtController {
 
         } catch (error) {
             console.error('Erreur createDebt:', error);
-            res.status(500).json({
+            res.status(error.status || 500).json({
                 success: false,
                 error: 'Erreur lors de la création',
                 message: error.message
@@ -175,6 +192,225 @@ class DebtController {
         }
     }
 
+    // ===================================================================
+    // PLAN DE REMBOURSEMENT
+    // ===================================================================
+
+    /**
+     * Dettes (je dois) non soldées prises en compte par le plan
+     */
+    static async loadPlanDebts(userId, currency, debtIds) {
+        const filter = {
+            user: userId,
+            type: 'debt',
+            currency,
+            status: { $in: ['active', 'partially_paid', 'overdue'] },
+            isArchived: false
+        };
+
+        if (debtIds && debtIds.length > 0) {
+            filter._id = { $in: debtIds };
+        }
+
+        return Debt.find(filter);
+    }
+
+    /**
+     * Réponse d'erreur d'un plan (montant insuffisant, plan sans fin)
+     */
+    static sendPayoffError(res, error, fallback) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : fallback,
+            code: error.code,
+            details: error.details,
+            message: error.message
+        });
+    }
+
+    /**
+     * POST /api/debts/payoff-plan
+     * Simuler snowball, avalanche et ordre personnalisé pour un montant mensuel
+     */
+    static async getPayoffPlan(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Données invalides',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.user;
+            const {
+                monthlyAmount,
+                currency = 'HTG',
+                strategies,
+                order = [],
+                debtIds,
+                startDate
+            } = req.body;
+
+            const debts = payoffService.preparePlanDebts(
+                await DebtController.loadPlanDebts(userId, currency, debtIds)
+            );
+
+            if (debts.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Aucune dette active en ${currency}`
+                });
+            }
+
+            const { plans, recommended } = payoffService.comparePlans(debts, monthlyAmount, {
+                strategies,
+                order,
+                startDate: startDate ? new Date(startDate) : new Date()
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    currency,
+                    monthlyAmount,
+                    debts,
+                    recommended,
+                    plans
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur getPayoffPlan:', error);
+            DebtController.sendPayoffError(res, error, 'Erreur lors du calcul du plan de remboursement');
+        }
+    }
+
+    /**
+     * POST /api/debts/payoff-plan/apply
+     * Appliquer un plan : lignes "dettes" dans les budgets actifs et rappels de versement
+     */
+    static async applyPayoffPlan(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Données invalides',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.user;
+            const {
+                monthlyAmount,
+                strategy,
+                currency = 'HTG',
+                order = [],
+                debtIds,
+                budgetIds,
+                createBudgetLines = true,
+                createReminders = true,
+                reminderMonths = payoffService.CONFIG.REMINDER_MONTHS
+            } = req.body;
+
+            const debtDocs = await DebtController.loadPlanDebts(userId, currency, debtIds);
+            const debts = payoffService.preparePlanDebts(debtDocs);
+
+            if (debts.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Aucune dette active en ${currency}`
+                });
+            }
+
+            const plan = payoffService.simulatePayoff(debts, monthlyAmount, strategy, { order });
+            const note = `Plan de remboursement (${strategy})`;
+
+            // Lignes budgétaires : versements prévus sur la période de chaque budget
+            const budgetLines = [];
+            if (createBudgetLines) {
+                const budgetFilter = {
+                    user: userId,
+                    currency,
+                    isArchived: false,
+                    isActive: true,
+                    endDate: { $gte: new Date() }
+                };
+                if (budgetIds && budgetIds.length > 0) {
+                    budgetFilter._id = { $in: budgetIds };
+                }
+
+                const budgets = await Budget.find(budgetFilter);
+
+                for (const budget of budgets) {
+                    const amount = payoffService.getPlannedAmount(plan, budget.startDate, budget.endDate);
+                    if (amount <= 0) continue;
+
+                    const line = budget.categories.find(cat => cat.category === 'dettes');
+                    if (line) {
+                        line.budgetedAmount = amount;
+                        line.notes = note;
+                    } else {
+                        budget.categories.push({
+                            category: 'dettes',
+                            budgetedAmount: amount,
+                            priority: 'high',
+                            isFlexible: false,
+                            notes: note
+                        });
+                    }
+
+                    await budget.save();
+                    budgetLines.push({ budget: budget._id, name: budget.name, amount });
+                }
+            }
+
+            // Rappels : remplacent ceux d'un plan précédent pas encore envoyés
+            let remindersCreated = 0;
+            if (createReminders) {
+                const upcoming = payoffService.getUpcomingPayments(plan, reminderMonths);
+
+                for (const debt of debtDocs) {
+                    const payments = upcoming.get(debt._id.toString()) || [];
+
+                    debt.reminders = debt.reminders.filter(reminder =>
+                        reminder.origin !== 'payoff_plan' || reminder.sent
+                    );
+
+                    payments.forEach(payment => {
+                        debt.reminders.push({
+                            date: payment.date,
+                            type: 'payment_due',
+                            message: `${note} : verser ${payment.amount} ${currency} pour "${debt.description || debt.contact.name}"`,
+                            amount: payment.amount,
+                            origin: 'payoff_plan',
+                            sent: false
+                        });
+                    });
+
+                    await debt.save();
+                    remindersCreated += payments.length;
+                }
+            }
+
+            res.json({
+                success: true,
+                message: 'Plan de remboursement appliqué',
+                data: {
+                    plan,
+                    budgetLines,
+                    remindersCreated
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur applyPayoffPlan:', error);
+            DebtController.sendPayoffError(res, error, 'Erreur lors de l\'application du plan');
+        }
+    }
+
     /**
      * GET /api/debts/:id
      * Détails d'une dette/créance spécifique
@@ -234,7 +470,26 @@ class DebtController {
                 });
             }
 
-            Object.assign(debt, req.body);
+            const { interest } = req.body;
+            const updates = [...UPDATABLE_FIELDS, ...TERM_FIELDS]
+                .filter(field => req.body[field] !== undefined)
+                .reduce((picked, field) => ({ ...picked, [field]: req.body[field] }), {});
+
+            // Dette partagée : les termes communs ne changent pas d'un seul côté
+            if (linkService.isLinkActive(debt) && (updates.paymentTerms !== undefined ||
+                linkService.LOCKED_FIELDS.some(field => updates[field] !== undefined && String(updates[field]) !== String(debt[field])))) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Dette partagée : type, montant, devise et échéances ne peuvent pas être modifiés d\'un seul côté'
+                });
+            }
+
+            Object.assign(debt, updates);
+
+            // Conditions seulement : cumuls et historique des intérêts conservés
+            Object.entries(interestService.pickInterestTerms(interest)).forEach(([field, value]) => {
+                debt.set(`interest.${field}`, value);
+            });
             await debt.save();
 
             res.json({
@@ -245,7 +500,7 @@ class DebtController {
 
         } catch (error) {
             console.error('Erreur updateDebt:', error);
-            res.status(500).json({
+            res.status(error.status || 500).json({
                 success: false,
                 error: 'Erreur lors de la mise à jour',
                 message: error.message
@@ -279,6 +534,11 @@ class DebtController {
 
             await Debt.findByIdAndDelete(id);
 
+            // Dette partagée : la copie de la contrepartie n'est plus synchronisée
+            if (debt.link && debt.link.mirror) {
+                await Debt.updateOne({ _id: debt.link.mirror }, { 'link.status': 'unlinked' });
+            }
+
             res.json({
                 success: true,
                 message: 'Suppression réussie',
@@ -323,17 +583,31 @@ class DebtController {
                 });
             }
 
-            if (amount > debt.amountRemaining) {
+            // Avec échéancier, le reste dû inclut les intérêts restants ;
+            // sinon, les intérêts et pénalités courus non payés
+            const charges = interestService.getOutstandingCharges(debt);
+            const remainingDue = debt.schedule.length > 0
+                ? getScheduleRemaining(debt.schedule)
+                : debt.amountRemaining + charges.interest + charges.penalty;
+
+            // Dette partagée : paiements en attente de confirmation déjà engagés
+            const linked = linkService.isLinkActive(debt);
+            const pendingAmount = debt.payments
+                .filter(payment => payment.confirmation && payment.confirmation.status === 'pending')
+                .reduce((sum, payment) => sum + payment.amount, 0);
+            const payableAmount = Math.round((remainingDue - pendingAmount) * 100) / 100;
+
+            if (amount > payableAmount) {
                 return res.status(400).json({
                     success: false,
-                    error: `Montant supérieur au reste dû (${debt.amountRemaining} ${debt.currency})`
+                    error: `Montant supérieur au reste dû (${payableAmount} ${debt.currency})`
                 });
             }
 
             // Récupérer un compte valide pour l'utilisateur
-            let transactionId = null;
+            let userAccount = null;
             if (createTransaction) {
-                const userAccount = await Account.findOne({ user: userId });
+                userAccount = await Account.findOne({ user: userId });
 
                 if (!userAccount) {
                     return res.status(400).json({
@@ -341,24 +615,15 @@ class DebtController {
                         error: 'Aucun compte trouvé pour créer la transaction'
                     });
                 }
+            }
 
-                const transactionAmount = Math.abs(amount);
-                const transactionType = debt.type === 'debt' ? 'expense' : 'income';
-
-                const validCategories = ['food', 'transport', 'housing', 'health', 'education', 'entertainment', 'other'];
-                const transactionCategory = validCategories.includes('other') ? 'other' : validCategories[0];
-
-                const transaction = await Transaction.create({
-                    user: userId,
-                    account: userAccount._id,
-                    type: transactionType,
-                    amount: transactionAmount,
-                    currency: debt.currency,
-                    category: transactionCategory,
-                    description: `Paiement ${debt.type === 'debt' ? 'dette' : 'créance'} - ${debt.contact.name}`,
+            // Dette partagée : le compte n'est mouvementé qu'à la confirmation
+            let transactionId = null;
+            if (userAccount && !linked) {
+                const transaction = await DebtController.recordPaymentTransaction(debt, userAccount, {
+                    amount,
                     date: date || new Date(),
-                    paymentMethod: paymentMethod || 'cash',
-                    debtReference: debt._id
+                    paymentMethod
                 });
                 transactionId = transaction._id;
             }
@@ -369,9 +634,29 @@ class DebtController {
                 date: date || new Date(),
                 paymentMethod,
                 note,
-                transactionReference: transactionId
+                transactionReference: transactionId,
+                ...(linked && {
+                    confirmation: linkService.createPaymentConfirmation(userId, userAccount && userAccount._id)
+                })
             });
 
+            // Dette partagée : copie chez la contrepartie, qui doit confirmer
+            if (linked) {
+                const recorded = debt.payments[debt.payments.length - 1];
+                const mirror = await Debt.findById(debt.link.mirror);
+
+                if (mirror) {
+                    mirror.payments.push(linkService.buildMirrorPayment(recorded));
+                    await mirror.save();
+
+                    const author = await User.findById(userId).select('firstName lastName');
+                    await debtNotifications.notifyLinkedPayment(mirror.user, mirror, recorded, {
+                        status: 'pending',
+                        authorName: `${author.firstName} ${author.lastName}`
+                    });
+                }
+            }
+
             // Recharger la dette pour avoir les données fraîches
             const updatedDebt = await Debt.findById(id);
 
@@ -391,13 +676,14 @@ class DebtController {
 
             res.json({
                 success: true,
-                message: 'Paiement enregistré',
+                message: linked ? 'Paiement enregistré, en attente de confirmation' : 'Paiement enregistré',
                 data: {
                     debt: updatedDebt,
                     amountPaid: updatedDebt.amountPaid,
                     amountRemaining: updatedDebt.amountRemaining,
                     status: updatedDebt.status,
-                    percentagePaid: updatedDebt.percentagePaid
+                    percentagePaid: updatedDebt.percentagePaid,
+                    nextPaymentDue: updatedDebt.nextPaymentDue
                 }
             });
 
@@ -411,6 +697,49 @@ class DebtController {
         }
     }
 
+    /**
+     * Transaction et mouvement de solde d'un paiement de dette
+     * @param {Object} debt - Dette payée
+     * @param {Object} account - Compte de l'utilisateur
+     * @param {Object} payment - { amount, date, paymentMethod }
+     * @param {Object} options - { session }
+     * @returns {Promise<Object>} - Transaction créée
+     */
+    static async recordPaymentTransaction(debt, account, { amount, date, paymentMethod }, { session = null } = {}) {
+        const transactionAmount = Math.abs(amount);
+        const transactionType = debt.type === 'debt' ? 'expense' : 'income';
+
+        const validCategories = ['food', 'transport', 'housing', 'health', 'education', 'entertainment', 'other'];
+        const transactionCategory = validCategories.includes('other') ? 'other' : validCategories[0];
+
+        const [transaction] = await Transaction.create([{
+            user: debt.user,
+            account: account._id,
+            type: transactionType,
+            amount: transactionAmount,
+            currency: debt.currency,
+            category: transactionCategory,
+            description: `Paiement ${debt.type === 'debt' ? 'dette' : 'créance'} - ${debt.contact.name}`,
+            date,
+            paymentMethod: paymentMethod || 'cash',
+            debtReference: debt._id
+        }], { session });
+
+        // Mouvement de solde inscrit au grand livre
+        await account.updateBalance(
+            transactionType === 'expense' ? -transactionAmount : transactionAmount,
+            transaction.description,
+            {
+                source: 'debt_payment',
+                reference: { model: 'Debt', id: debt._id },
+                date: transaction.date,
+                session
+            }
+        );
+
+        return transaction;
+    }
+
     /**
      * GET /api/debts/:id/payments
      * Historique des paiements
@@ -450,6 +779,514 @@ class DebtController {
         }
     }
 
+    /**
+     * GET /api/debts/:id/schedule
+     * Échéancier : échéances payées, à payer, en retard et restantes
+     */
+    static async getSchedule(req, res) {
+        try {
+            const { userId } = req.user;
+            const { id } = req.params;
+
+            const debt = await Debt.findOne({ _id: id, user: userId });
+
+            if (!debt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dette/Créance introuvable'
+                });
+            }
+
+            if (debt.schedule.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cette dette n\'est pas remboursée par échéances'
+                });
+            }
+
+            const { installments, summary } = summarizeSchedule(debt.schedule);
+
+            res.json({
+                success: true,
+                data: {
+                    currency: debt.currency,
+                    paymentTerms: debt.paymentTerms,
+                    interest: {
+                        hasInterest: debt.interest.hasInterest,
+                        rate: debt.interest.rate,
+                        ratePeriod: debt.interest.ratePeriod,
+                        annualRate: interestService.getNominalAnnualRate(debt.interest)
+                    },
+                    generatedAt: debt.scheduleGeneratedAt,
+                    summary,
+                    installments
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur getSchedule:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Erreur lors de la récupération de l\'échéancier',
+                message: error.message
+            });
+        }
+    }
+
+    // ===================================================================
+    // DETTES PARTAGÉES
+    // ===================================================================
+
+    /**
+     * Réponse d'erreur d'une dette partagée
+     */
+    static sendLinkError(res, error, fallback) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : fallback,
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    /**
+     * POST /api/debts/:id/link
+     * Lier la dette au contact inscrit (email ou téléphone) et l'inviter à la confirmer
+     */
+    static async linkDebt(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Données invalides',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.user;
+            const { id } = req.params;
+
+            const debt = await Debt.findOne({ _id: id, user: userId });
+
+            if (!debt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dette/Créance introuvable'
+                });
+            }
+
+            const counterparty = await linkService.findCounterpartyUser({
+                email: req.body.email || debt.contact.email,
+                phone: req.body.phone || debt.contact.phone
+            }, userId);
+
+            linkService.inviteCounterparty(debt, counterparty);
+            await debt.save();
+
+            if (counterparty) {
+                const owner = await User.findById(userId).select('firstName lastName');
+                await debtNotifications.notifyDebtLinkInvitation(debt, `${owner.firstName} ${owner.lastName}`);
+            }
+
+            // Même réponse que le contact soit inscrit ou non (pas d'énumération des comptes)
+            res.json({
+                success: true,
+                message: 'Si ce contact utilise FinApp, il a reçu une invitation à confirmer la dette',
+                data: {
+                    link: {
+                        status: debt.link.status,
+                        invitedAt: debt.link.invitedAt
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur linkDebt:', error);
+            DebtController.sendLinkError(res, error, 'Erreur lors de la liaison de la dette');
+        }
+    }
+
+    /**
+     * GET /api/debts/invitations
+     * Dettes saisies par d'autres utilisateurs en attente de ma confirmation
+     */
+    static async getLinkInvitations(req, res) {
+        try {
+            const { userId } = req.user;
+
+            const debts = await Debt.find({ 'link.user': userId, 'link.status': 'pending' })
+                .populate('user', 'firstName lastName')
+                .sort({ 'link.invitedAt': -1 });
+
+            res.json({
+                success: true,
+                data: debts.map(debt => ({
+                    id: debt._id,
+                    from: debt.user,
+                    // Sens vu par l'invité
+                    type: debt.type === 'debt' ? 'loan' : 'debt',
+                    amount: debt.amount,
+                    currency: debt.currency,
+                    amountPaid: debt.amountPaid,
+                    description: debt.description,
+                    borrowedDate: debt.borrowedDate,
+                    dueDate: debt.dueDate,
+                    paymentTerms: debt.paymentTerms,
+                    interest: debt.interest,
+                    invitedAt: debt.link.invitedAt
+                }))
+            });
+
+        } catch (error) {
+            console.error('Erreur getLinkInvitations:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Erreur lors de la récupération des invitations',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * POST /api/debts/invitations/:id/respond
+     * Accepter (copie miroir créée chez moi) ou refuser une dette partagée
+     */
+    static async respondToLinkInvitation(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Données invalides',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.user;
+            const { id } = req.params;
+            const { accept } = req.body;
+
+            // Copie miroir et réponse enregistrées ensemble : pas de miroir orphelin
+            let debt = null;
+            let mirror = null;
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    mirror = null;
+                    debt = await Debt.findById(id).session(session);
+                    if (!debt) return;
+
+                    linkService.respondToInvitation(debt, userId, accept);
+
+                    if (accept) {
+                        const owner = await User.findById(debt.user).select('firstName lastName email phone');
+                        [mirror] = await Debt.create([linkService.buildMirrorDebt(debt, owner)], { session });
+                        debt.link.mirror = mirror._id;
+                    }
+
+                    await debt.save({ session });
+                });
+            } finally {
+                session.endSession();
+            }
+
+            if (!debt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dette/Créance introuvable'
+                });
+            }
+
+            const counterparty = await User.findById(userId).select('firstName lastName');
+            await debtNotifications.notifyDebtLinkResponse(
+                debt,
+                `${counterparty.firstName} ${counterparty.lastName}`,
+                accept
+            );
+
+            res.json({
+                success: true,
+                message: accept ? 'Dette confirmée et ajoutée à vos dettes' : 'Invitation refusée',
+                data: {
+                    debt: mirror
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur respondToLinkInvitation:', error);
+            DebtController.sendLinkError(res, error, 'Erreur lors de la réponse à l\'invitation');
+        }
+    }
+
+    /**
+     * Confirmer ou contester un paiement saisi par l'autre partie, sur les deux copies
+     * @param {String} status - confirmed | disputed
+     */
+    static async respondToLinkedPayment(req, res, status) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Données invalides',
+                    errors: errors.array()
+                });
+            }
+
+            const { userId } = req.user;
+            const { id, paymentId } = req.params;
+            const { reason } = req.body;
+
+            // Deux copies, transaction et solde enregistrés ensemble (relus à chaque tentative)
+            let found = null;
+            let alreadyDisputed = false;
+            let mirror = null;
+            let mirrorPayment = null;
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    alreadyDisputed = false;
+                    found = await DebtController.findUserPayment(userId, id, paymentId, session);
+                    if (!found) return;
+
+                    const { debt, payment } = found;
+                    linkService.assertCanRespond(payment, userId);
+
+                    if (status === 'disputed' && payment.confirmation.status === 'disputed') {
+                        alreadyDisputed = true;
+                        return;
+                    }
+
+                    mirror = debt.link && debt.link.mirror ? await Debt.findById(debt.link.mirror).session(session) : null;
+                    mirrorPayment = mirror && linkService.findLinkedPayment(mirror, payment.confirmation.linkId);
+                    const copies = [[debt, payment], [mirror, mirrorPayment]].filter(([doc, copy]) => doc && copy);
+
+                    linkService.setPaymentStatus(copies.map(([, copy]) => copy), status, userId, reason);
+
+                    for (const [doc, copy] of copies) {
+                        if (status === 'confirmed') {
+                            copy.allocation = interestService.allocatePayment(doc, copy.amount);
+                            doc.amountPaid += copy.amount;
+                            if (!doc.lastPaymentDate || copy.date > doc.lastPaymentDate) {
+                                doc.lastPaymentDate = copy.date;
+                            }
+
+                            // Compte de l'auteur mouvementé maintenant que le paiement est reconnu
+                            if (copy.confirmation.account && !copy.transactionReference) {
+                                const account = await Account.findOne({ _id: copy.confirmation.account, user: doc.user }).session(session);
+                                if (account) {
+                                    const transaction = await DebtController.recordPaymentTransaction(doc, account, copy, { session });
+                                    copy.transactionReference = transaction._id;
+                                }
+                            }
+                        }
+                        linkService.refreshLinkStatus(doc, { userId, reason });
+                        await doc.save({ session });
+                    }
+                });
+            } finally {
+                session.endSession();
+            }
+
+            if (!found) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Paiement introuvable'
+                });
+            }
+
+            if (alreadyDisputed) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Ce paiement est déjà contesté'
+                });
+            }
+
+            const { debt, payment } = found;
+
+            if (mirror && mirrorPayment) {
+                const author = await User.findById(userId).select('firstName lastName');
+                await debtNotifications.notifyLinkedPayment(mirror.user, mirror, mirrorPayment, {
+                    status,
+                    authorName: `${author.firstName} ${author.lastName}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: status === 'confirmed' ? 'Paiement confirmé' : 'Paiement contesté',
+                data: {
+                    payment,
+                    link: debt.link,
+                    amountPaid: debt.amountPaid,
+                    amountRemaining: debt.amountRemaining,
+                    status: debt.status
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur respondToLinkedPayment:', error);
+            DebtController.sendLinkError(res, error, 'Erreur lors de la réponse au paiement');
+        }
+    }
+
+    /**
+     * POST /api/debts/:id/payments/:paymentId/confirm
+     * Confirmer un paiement saisi par l'autre partie
+     */
+    static async confirmLinkedPayment(req, res) {
+        return DebtController.respondToLinkedPayment(req, res, 'confirmed');
+    }
+
+    /**
+     * POST /api/debts/:id/payments/:paymentId/dispute
+     * Contester un paiement saisi par l'autre partie (les deux dettes passent en litige)
+     */
+    static async disputeLinkedPayment(req, res) {
+        return DebtController.respondToLinkedPayment(req, res, 'disputed');
+    }
+
+    /**
+     * Retrouver un paiement d'une dette appartenant à l'utilisateur
+     * @returns {Object|null} - { debt, payment }
+     */
+    static async findUserPayment(userId, debtId, paymentId, session = null) {
+        const debt = await Debt.findOne({ _id: debtId, user: userId }).session(session);
+        if (!debt) return null;
+
+        const payment = debt.payments.id(paymentId);
+        return payment ? { debt, payment } : null;
+    }
+
+    /**
+     * POST /api/debts/:id/payments/:paymentId/receipt
+     * Joindre le reçu d'un paiement (multipart "file")
+     */
+    static async uploadPaymentReceipt(req, res) {
+        try {
+            const { userId } = req.user;
+            const { id, paymentId } = req.params;
+
+            const found = await DebtController.findUserPayment(userId, id, paymentId);
+
+            if (!found) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Paiement introuvable'
+                });
+            }
+
+            const receipt = await storeFile(req.file, {
+                folder: FILE_STORAGE.FOLDERS.DEBT_RECEIPTS,
+                userId,
+                downloadPath: `/api/debts/${id}/payments/${paymentId}/receipt`
+            });
+
+            const previousReceipt = found.payment.toObject().receipt;
+
+            found.payment.receipt = receipt;
+            await found.debt.save();
+
+            // Remplacement : l'ancien fichier n'est plus référencé
+            await removeStoredFile(previousReceipt);
+
+            res.status(201).json({
+                success: true,
+                message: 'Reçu ajouté au paiement',
+                data: {
+                    payment: found.payment
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur uploadPaymentReceipt:', error);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Erreur lors de l\'ajout du reçu',
+                code: error.code,
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * GET /api/debts/:id/payments/:paymentId/receipt
+     * Télécharger le reçu d'un paiement (?variant=thumbnail)
+     */
+    static async downloadPaymentReceipt(req, res) {
+        try {
+            const { userId } = req.user;
+            const { id, paymentId } = req.params;
+
+            const found = await DebtController.findUserPayment(userId, id, paymentId);
+            const receipt = found && found.payment.toObject().receipt;
+
+            if (!receipt || !receipt.url) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Reçu introuvable'
+                });
+            }
+
+            await sendStoredFile(res, receipt, {
+                variant: req.query.variant,
+                inline: req.query.inline === 'true'
+            });
+
+        } catch (error) {
+            console.error('Erreur downloadPaymentReceipt:', error);
+            if (res.headersSent) return res.end();
+
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.status ? error.message : 'Erreur lors du téléchargement du reçu',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * DELETE /api/debts/:id/payments/:paymentId/receipt
+     * Supprimer le reçu d'un paiement
+     */
+    static async deletePaymentReceipt(req, res) {
+        try {
+            const { userId } = req.user;
+            const { id, paymentId } = req.params;
+
+            const found = await DebtController.findUserPayment(userId, id, paymentId);
+            const receipt = found && found.payment.toObject().receipt;
+
+            if (!receipt || !receipt.url) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Reçu introuvable'
+                });
+            }
+
+            found.payment.receipt = undefined;
+            await found.debt.save();
+            await removeStoredFile(receipt);
+
+            res.json({
+                success: true,
+                message: 'Reçu supprimé',
+                data: {
+                    payment: found.payment
+                }
+            });
+
+        } catch (error) {
+            console.error('Erreur deletePaymentReceipt:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Erreur lors de la suppression du reçu',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * POST /api/debts/:id/reminder
      * Créer un rappel manuel
@@ -533,7 +1370,8 @@ class DebtController {
 
     /**
      * POST /api/debts/:id/calculate-interest
-     * Calculer et appliquer intérêts
+     * Calculer les intérêts et pénalités courus jusqu'à aujourd'hui
+     * (même calcul que le cron quotidien, sans double comptage)
      */
     static async calculateInterest(req, res) {
         try {
@@ -549,24 +1387,35 @@ class DebtController {
                 });
             }
 
-            if (!debt.interest.hasInterest || !debt.interest.rate) {
+            if (!interestService.accruesInterest(debt)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Cette dette n\'a pas d\'intérêts configurés'
+                    error: 'Cette dette n\'a pas d\'intérêts ni de pénalités configurés',
+                    code: 'no_interest'
                 });
             }
 
-            const interest = debt.calculateInterest();
+            const accrual = debt.calculateInterest();
             await debt.save();
 
+            const { totalInterest, totalPenalty } = debt.interest;
+            const outstanding = interestService.getOutstandingCharges(debt);
+
             res.json({
                 success: true,
-                message: 'Intérêts calculés',
+                message: accrual ? 'Intérêts calculés' : 'Intérêts déjà à jour',
                 data: {
-                    interestAmount: interest,
-                    totalInterest: debt.interest.totalInterest,
+                    interestAmount: accrual ? accrual.interest : 0,
+                    penaltyAmount: accrual ? accrual.penalty : 0,
+                    accrual,
+                    model: debt.interest.model,
+                    totalInterest,
+                    totalPenalty,
                     amountRemaining: debt.amountRemaining,
-                    newTotal: debt.amountRemaining + interest
+                    outstanding,
+                    newTotal: Math.round((debt.amountRemaining + outstanding.interest + outstanding.penalty) * 100) / 100,
+                    rates: interestService.getEffectiveRates(debt),
+                    lastAccrualDate: debt.interest.lastAccrualDate
                 }
             });
 
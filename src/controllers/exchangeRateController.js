@@ -0,0 +1,398 @@
+// src/controllers/exchangeRateController.js - Taux de change USD/HTG FinApp Haiti
+const { body, query, param, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  getRate,
+  convert,
+  recordRate,
+  deleteRate,
+  importBrhCsv
+} = require('../services/exchangeRateService');
+const { EXCHANGE_RATES } = require('../utils/constants');
+
+/**
+ * Controllers taux de change
+ * Consultation (utilisateurs) et saisie / import des taux BRH (admin)
+ */
+
+// ===================================================================
+// UTILITAIRES & VALIDATION
+// ===================================================================
+
+/**
+ * Middleware validation des résultats
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const formattedErrors = {};
+    errors.array().forEach(error => {
+      if (!formattedErrors[error.path]) formattedErrors[error.path] = [];
+      formattedErrors[error.path].push(error.msg);
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: formattedErrors,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+/**
+ * Règles validation saisie d'un taux
+ */
+const recordRateValidation = [
+  body('date')
+    .notEmpty()
+    .withMessage('La date est requise')
+    .isISO8601()
+    .withMessage('Format de date invalide'),
+
+  body('referenceRate')
+    .notEmpty()
+    .withMessage('Le taux de référence est requis')
+    .isFloat({ min: 1 })
+    .withMessage('Le taux de référence doit être positif'),
+
+  body('buyRate')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Le taux d\'achat doit être positif'),
+
+  body('sellRate')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Le taux de vente doit être positif'),
+
+  body('source')
+    .optional()
+    .isIn(EXCHANGE_RATES.SOURCES)
+    .withMessage('Source de taux non valide'),
+
+  body('bank')
+    .if(body('source').equals('bank'))
+    .notEmpty()
+    .withMessage('La banque est requise pour un taux bancaire'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Les notes ne peuvent pas dépasser 300 caractères')
+];
+
+/**
+ * Règles validation conversion
+ */
+const convertValidation = [
+  query('amount')
+    .notEmpty()
+    .withMessage('Le montant est requis')
+    .isFloat({ min: 0 })
+    .withMessage('Le montant doit être positif'),
+
+  query('from')
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise source invalide (HTG ou USD)'),
+
+  query('to')
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise cible invalide (HTG ou USD)'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Format de date invalide')
+];
+
+// ===================================================================
+// CONSULTATION
+// ===================================================================
+
+/**
+ * Taux en vigueur à une date (aujourd'hui par défaut)
+ * GET /api/exchange-rates/current?date=&type=
+ * @access Private
+ */
+const getCurrentRate = [
+  query('date').optional().isISO8601().withMessage('Format de date invalide'),
+  query('type').optional().isIn(['reference', 'buy', 'sell']).withMessage('Type de taux invalide'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { date, type = 'reference', source } = req.query;
+      const rate = await getRate(date ? new Date(date) : new Date(), { type, source });
+
+      res.status(200).json({
+        success: true,
+        data: { rate },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur getCurrentRate:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération du taux de change',
+        error: 'exchange_rate_fetch_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+/**
+ * Historique des taux sur une période
+ * GET /api/exchange-rates/history?startDate=&endDate=&source=
+ * @access Private
+ */
+const getRateHistory = [
+  query('startDate').optional().isISO8601().withMessage('Format de date invalide'),
+  query('endDate').optional().isISO8601().withMessage('Format de date invalide'),
+  query('source').optional().isIn(EXCHANGE_RATES.SOURCES).withMessage('Source de taux non valide'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { startDate, endDate, source = EXCHANGE_RATES.DEFAULT_SOURCE } = req.query;
+
+      // 90 derniers jours par défaut
+      const start = startDate ? new Date(startDate) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+      const end = endDate ? new Date(endDate) : new Date();
+
+      const rates = await ExchangeRate.getHistory(start, end, source);
+
+      const values = rates.map(rate => rate.referenceRate);
+      const summary = values.length > 0 ? {
+        first: values[0],
+        last: values[values.length - 1],
+        min: Math.min(...values),
+        max: Math.max(...values),
+        variation: Math.round(((values[values.length - 1] - values[0]) / values[0]) * 10000) / 100
+      } : null;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          rates,
+          summary,
+          period: { startDate: start, endDate: end },
+          source
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur getRateHistory:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'historique des taux',
+        error: 'exchange_rate_history_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+/**
+ * Convertir un montant au taux d'une date
+ * GET /api/exchange-rates/convert?amount=&from=&to=&date=
+ * @access Private
+ */
+const convertAmount = [
+  ...convertValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const amount = parseFloat(req.query.amount);
+      const date = req.query.date ? new Date(req.query.date) : new Date();
+
+      const [converted, rate] = await Promise.all([
+        convert(amount, from, to, date),
+        getRate(date)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          amount,
+          from,
+          to,
+          converted,
+          rate
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur convertAmount:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la conversion',
+        error: 'conversion_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+// ===================================================================
+// ADMIN
+// ===================================================================
+
+/**
+ * Enregistrer ou corriger le taux d'une journée
+ * POST /api/exchange-rates/admin
+ * @access Private (admin uniquement)
+ */
+const createRate = [
+  ...recordRateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rate = await recordRate({
+        date: new Date(req.body.date),
+        referenceRate: parseFloat(req.body.referenceRate),
+        buyRate: req.body.buyRate ? parseFloat(req.body.buyRate) : undefined,
+        sellRate: req.body.sellRate ? parseFloat(req.body.sellRate) : undefined,
+        source: req.body.source,
+        bank: req.body.bank,
+        notes: req.body.notes
+      }, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Taux de change enregistré',
+        data: { rate },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur createRate:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Erreur de validation des données',
+          error: 'validation_error',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de l\'enregistrement du taux',
+        error: 'exchange_rate_creation_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+/**
+ * Importer un CSV de taux BRH
+ * POST /api/exchange-rates/admin/import (multipart "file" ou body { content })
+ * @access Private (admin uniquement)
+ */
+const importRates = async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier CSV requis (champ "file") ou contenu texte (champ "content")',
+        error: 'missing_file',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await importBrhCsv(content, req.user.userId);
+    const imported = result.inserted + result.updated;
+
+    res.status(imported > 0 ? 201 : 400).json({
+      success: imported > 0,
+      message: imported > 0
+        ? `${result.inserted} taux ajouté(s), ${result.updated} mis à jour`
+        : 'Aucun taux importé',
+      ...(imported === 0 && { error: 'no_rates_imported' }),
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur importRates:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'import des taux',
+      error: 'exchange_rate_import_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Supprimer un taux
+ * DELETE /api/exchange-rates/admin/:rateId
+ * @access Private (admin uniquement)
+ */
+const removeRate = [
+  param('rateId').isMongoId().withMessage('ID de taux invalide'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rate = await deleteRate(req.params.rateId);
+
+      if (!rate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Taux non trouvé',
+          error: 'exchange_rate_not_found',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Taux supprimé',
+        data: { rate },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur removeRate:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la suppression du taux',
+        error: 'exchange_rate_delete_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  // Consultation
+  getCurrentRate,
+  getRateHistory,
+  convertAmount,
+
+  // Admin
+  createRate,
+  importRates,
+  removeRate
+};
@@ -0,0 +1,904 @@
+// src/controllers/expenseGroupController.js - Controller groupes de dépenses FinApp Haiti
+const mongoose = require('mongoose');
+const ExpenseGroup = require('../models/ExpenseGroup');
+const Debt = require('../models/Debt');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const debtNotifications = require('../integrations/debtNotifications');
+const groupService = require('../services/expenseGroupService');
+const { normalizePhone } = require('../services/debtLinkService');
+const { validationResult } = require('express-validator');
+
+/**
+ * Controller des groupes de dépenses partagées
+ * (provisions, factures EDH, camion d'eau entre famille ou colocataires)
+ */
+class ExpenseGroupController {
+
+  // ===================================================================
+  // UTILITAIRES
+  // ===================================================================
+
+  /**
+   * Réponse 400 si la validation a échoué
+   * @returns {Boolean} - true si une réponse a été envoyée
+   */
+  static rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+      success: false,
+      message: 'Données invalides',
+      errors: errors.array()
+    });
+    return true;
+  }
+
+  /**
+   * Erreur de service (code + status) ou erreur inattendue
+   */
+  static sendError(res, error, fallback) {
+    console.error(`Erreur groupe de dépenses (${fallback}):`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : fallback,
+      code: error.code,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  /**
+   * Charger un groupe dont l'utilisateur est membre actif
+   * @param {Boolean} ownerOnly - Réservé au créateur du groupe
+   * @returns {Object|null} - { group, member } ou null (réponse envoyée)
+   */
+  static async loadGroup(req, res, { ownerOnly = false } = {}) {
+    const group = await ExpenseGroup.findById(req.params.id);
+    const member = group && group.findMemberByUser(req.user.userId);
+
+    if (!group || !member) {
+      res.status(404).json({
+        success: false,
+        message: 'Groupe introuvable'
+      });
+      return null;
+    }
+
+    if (ownerOnly && member.role !== 'owner') {
+      res.status(403).json({
+        success: false,
+        message: 'Action réservée au créateur du groupe'
+      });
+      return null;
+    }
+
+    return { group, member };
+  }
+
+  /**
+   * Membre à ajouter : simple contact, invité à rejoindre le groupe s'il a
+   * un email ou un téléphone. Le compte correspondant n'est rattaché qu'après
+   * acceptation, et rien dans la réponse ne dit s'il existe.
+   * @param {String} invitedBy - Auteur de l'ajout
+   */
+  static async resolveMember({ name, email, phone }, invitedBy) {
+    const user = email
+      ? await User.emailExists(email)
+      : phone ? await User.phoneExists(normalizePhone(phone)) : null;
+
+    const registered = user && user.isActive ? user : null;
+    const normalizedPhone = phone ? normalizePhone(phone) : undefined;
+
+    return {
+      name: name || email || normalizedPhone,
+      email,
+      phone: normalizedPhone,
+      ...((email || phone) && {
+        invitation: {
+          user: registered ? registered._id : undefined,
+          status: 'pending',
+          invitedBy,
+          invitedAt: new Date()
+        }
+      })
+    };
+  }
+
+  /**
+   * Utilisateur déjà membre actif ou déjà invité dans le groupe
+   */
+  static isAlreadyInGroup(group, userId) {
+    return Boolean(group.findMemberByUser(userId) || group.findPendingInvitation(userId));
+  }
+
+  /**
+   * Prévenir l'utilisateur invité (s'il est inscrit)
+   */
+  static async notifyInvitation(group, member, inviterName) {
+    if (!member.invitation || !member.invitation.user) return;
+
+    await NotificationService.create({
+      user: member.invitation.user,
+      source: 'system',
+      type: 'info',
+      title: `👥 Invitation - ${group.name}`,
+      message: `${inviterName} vous invite à partager les dépenses du groupe "${group.name}".`,
+      priority: 'medium',
+      actionable: true,
+      actionUrl: '/expense-groups/invitations',
+      actionLabel: 'Répondre',
+      metadata: {
+        groupId: group._id,
+        memberId: member._id
+      }
+    }).catch(error => console.error('Erreur notification invitation groupe:', error.message));
+  }
+
+  /**
+   * Vue d'un groupe avec soldes et remboursements suggérés
+   */
+  static presentGroup(group, member) {
+    return {
+      group,
+      myMemberId: member._id,
+      balances: groupService.computeBalances(group),
+      settleUp: groupService.buildSettleUpPlan(group)
+    };
+  }
+
+  // ===================================================================
+  // CRUD GROUPES
+  // ===================================================================
+
+  /**
+   * Créer un groupe
+   * POST /api/expense-groups
+   */
+  static async createGroup(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const { userId } = req.user;
+      const { name, description, type, defaultCurrency, members = [] } = req.body;
+
+      const owner = await User.findById(userId).select('firstName lastName email phone');
+      const group = new ExpenseGroup({
+        name,
+        description,
+        type,
+        defaultCurrency,
+        owner: userId,
+        members: [{
+          user: userId,
+          name: `${owner.firstName} ${owner.lastName}`,
+          email: owner.email,
+          phone: owner.phone,
+          role: 'owner'
+        }]
+      });
+
+      for (const data of members) {
+        const member = await ExpenseGroupController.resolveMember(data, userId);
+        const invited = member.invitation && member.invitation.user;
+        if (invited && ExpenseGroupController.isAlreadyInGroup(group, invited)) {
+          member.invitation.user = undefined;
+        }
+        group.members.push(member);
+      }
+
+      await group.save();
+
+      const ownerName = `${owner.firstName} ${owner.lastName}`;
+      for (const member of group.members) {
+        await ExpenseGroupController.notifyInvitation(group, member, ownerName);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Groupe créé avec succès',
+        data: ExpenseGroupController.presentGroup(group, group.members[0])
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la création du groupe');
+    }
+  }
+
+  /**
+   * Lister mes groupes avec mon solde dans chacun
+   * GET /api/expense-groups
+   */
+  static async listGroups(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const { userId } = req.user;
+      const groups = await ExpenseGroup.findForUser(userId, {
+        includeArchived: req.query.includeArchived === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          groups: groups.map(group => {
+            const member = group.findMemberByUser(userId);
+            return {
+              id: group._id,
+              name: group.name,
+              type: group.type,
+              defaultCurrency: group.defaultCurrency,
+              membersCount: group.activeMembers.length,
+              expensesCount: group.expenses.filter(expense => !expense.isDeleted).length,
+              isArchived: group.isArchived,
+              myBalances: groupService.getMemberBalances(group, member._id),
+              updatedAt: group.updatedAt
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la récupération des groupes');
+    }
+  }
+
+  /**
+   * Détails d'un groupe
+   * GET /api/expense-groups/:id
+   */
+  static async getGroup(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      res.json({
+        success: true,
+        data: ExpenseGroupController.presentGroup(loaded.group, loaded.member)
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la récupération du groupe');
+    }
+  }
+
+  /**
+   * Modifier un groupe (créateur)
+   * PUT /api/expense-groups/:id
+   */
+  static async updateGroup(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res, { ownerOnly: true });
+      if (!loaded) return;
+
+      const { group } = loaded;
+      ['name', 'description', 'type', 'defaultCurrency'].forEach(field => {
+        if (req.body[field] !== undefined) group[field] = req.body[field];
+      });
+      await group.save();
+
+      res.json({
+        success: true,
+        message: 'Groupe mis à jour',
+        data: ExpenseGroupController.presentGroup(group, loaded.member)
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la mise à jour du groupe');
+    }
+  }
+
+  /**
+   * Archiver un groupe (créateur) - l'historique reste consultable
+   * DELETE /api/expense-groups/:id
+   */
+  static async archiveGroup(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res, { ownerOnly: true });
+      if (!loaded) return;
+
+      const { group } = loaded;
+      group.isArchived = true;
+      await group.save();
+
+      res.json({
+        success: true,
+        message: 'Groupe archivé',
+        data: {
+          id: group._id,
+          // Soldes non réglés au moment de l'archivage
+          settleUp: groupService.buildSettleUpPlan(group)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de l\'archivage du groupe');
+    }
+  }
+
+  // ===================================================================
+  // MEMBRES
+  // ===================================================================
+
+  /**
+   * Ajouter un membre (contact, invité à rejoindre s'il est inscrit)
+   * POST /api/expense-groups/:id/members
+   */
+  static async addMember(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { group, member: actor } = loaded;
+      const data = await ExpenseGroupController.resolveMember(req.body, req.user.userId);
+
+      // Déjà membre ou invité : ajouté comme simple contact, sans le signaler
+      if (data.invitation && data.invitation.user &&
+          ExpenseGroupController.isAlreadyInGroup(group, data.invitation.user)) {
+        data.invitation.user = undefined;
+      }
+      const invited = data.invitation && data.invitation.user;
+
+      // Ancien membre retiré : réinvité, réactivé avec son historique s'il accepte
+      const former = invited && group.members.find(member =>
+        member.user && member.user.toString() === invited.toString()
+      );
+      if (former) {
+        former.invitation = data.invitation;
+      } else {
+        group.members.push(data);
+      }
+      await group.save();
+
+      const member = former || group.members[group.members.length - 1];
+      await ExpenseGroupController.notifyInvitation(group, member, actor.name);
+
+      res.status(201).json({
+        success: true,
+        message: 'Membre ajouté au groupe',
+        data: { member }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de l\'ajout du membre');
+    }
+  }
+
+  /**
+   * Retirer un membre (créateur, ou le membre lui-même) - soldes réglés uniquement
+   * DELETE /api/expense-groups/:id/members/:memberId
+   */
+  static async removeMember(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { group, member: actor } = loaded;
+      const member = group.members.id(req.params.memberId);
+
+      if (!member || !member.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Membre introuvable dans ce groupe'
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          message: 'Le créateur ne peut pas quitter le groupe : archivez-le'
+        });
+      }
+
+      if (actor.role !== 'owner' && !actor._id.equals(member._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Action réservée au créateur du groupe'
+        });
+      }
+
+      const balances = groupService.getMemberBalances(group, member._id);
+      if (Object.keys(balances).length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ce membre a encore un solde à régler',
+          code: 'member_has_balance',
+          balances
+        });
+      }
+
+      member.isActive = false;
+      await group.save();
+
+      res.json({
+        success: true,
+        message: `${member.name} a été retiré du groupe`
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors du retrait du membre');
+    }
+  }
+
+  // ===================================================================
+  // INVITATIONS
+  // ===================================================================
+
+  /**
+   * Groupes où je suis invité
+   * GET /api/expense-groups/invitations
+   */
+  static async getInvitations(req, res) {
+    try {
+      const { userId } = req.user;
+      const groups = await ExpenseGroup.findInvitationsForUser(userId);
+
+      res.json({
+        success: true,
+        data: {
+          invitations: groups.map(group => {
+            const member = group.findPendingInvitation(userId);
+            const inviter = group.members.find(entry =>
+              entry.user && member.invitation.invitedBy &&
+              entry.user.toString() === member.invitation.invitedBy.toString()
+            );
+
+            return {
+              groupId: group._id,
+              memberId: member._id,
+              name: group.name,
+              type: group.type,
+              invitedAs: member.name,
+              invitedBy: inviter ? inviter.name : null,
+              invitedAt: member.invitation.invitedAt,
+              membersCount: group.activeMembers.length
+            };
+          })
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la récupération des invitations');
+    }
+  }
+
+  /**
+   * Accepter (rattachement au membre invité) ou refuser une invitation
+   * POST /api/expense-groups/:id/invitations/respond
+   */
+  static async respondToInvitation(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const { userId } = req.user;
+      const accept = req.body.accept === true || req.body.accept === 'true';
+
+      const group = await ExpenseGroup.findById(req.params.id);
+      const member = group && !group.isArchived && group.findPendingInvitation(userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation introuvable ou déjà traitée'
+        });
+      }
+
+      if (accept && group.findMemberByUser(userId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Vous êtes déjà membre de ce groupe'
+        });
+      }
+
+      member.invitation.status = accept ? 'accepted' : 'declined';
+      member.invitation.respondedAt = new Date();
+      if (accept) {
+        member.user = userId;
+        member.isActive = true;
+      }
+      await group.save();
+
+      res.json({
+        success: true,
+        message: accept ? `Vous avez rejoint le groupe "${group.name}"` : 'Invitation refusée',
+        data: accept ? ExpenseGroupController.presentGroup(group, member) : null
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la réponse à l\'invitation');
+    }
+  }
+
+  // ===================================================================
+  // DÉPENSES
+  // ===================================================================
+
+  /**
+   * Ajouter une dépense partagée
+   * POST /api/expense-groups/:id/expenses
+   */
+  static async addExpense(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { group, member } = loaded;
+      const expense = groupService.addExpense(group, {
+        ...req.body,
+        paidBy: req.body.paidBy || member._id
+      }, req.user.userId);
+      await group.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Dépense ajoutée',
+        data: {
+          expense,
+          balances: groupService.computeBalances(group)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de l\'ajout de la dépense');
+    }
+  }
+
+  /**
+   * Supprimer une dépense (auteur ou créateur du groupe)
+   * DELETE /api/expense-groups/:id/expenses/:expenseId
+   */
+  static async deleteExpense(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { group, member } = loaded;
+      const expense = group.expenses.id(req.params.expenseId);
+
+      if (!expense || expense.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dépense introuvable'
+        });
+      }
+
+      const isAuthor = expense.createdBy && expense.createdBy.toString() === req.user.userId.toString();
+      if (!isAuthor && member.role !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'auteur de la dépense ou le créateur du groupe peut la supprimer'
+        });
+      }
+
+      expense.isDeleted = true;
+      await group.save();
+
+      res.json({
+        success: true,
+        message: 'Dépense supprimée',
+        data: {
+          balances: groupService.computeBalances(group)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la suppression de la dépense');
+    }
+  }
+
+  // ===================================================================
+  // SOLDES ET REMBOURSEMENTS
+  // ===================================================================
+
+  /**
+   * Soldes par devise et "qui doit à qui"
+   * GET /api/expense-groups/:id/balances
+   */
+  static async getBalances(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { group, member } = loaded;
+
+      res.json({
+        success: true,
+        data: {
+          balances: groupService.computeBalances(group),
+          settleUp: groupService.buildSettleUpPlan(group),
+          myBalances: groupService.getMemberBalances(group, member._id)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors du calcul des soldes');
+    }
+  }
+
+  /**
+   * Transaction et dette de l'auteur d'un remboursement, s'il y est partie.
+   * L'autre membre inscrit reçoit une dette partagée à confirmer.
+   * @param {Object} options - { accountId, createTransactions, createDebts, session }
+   * @returns {Promise<Object|null>} - Dette créée
+   */
+  static async writeRecorderRecords(group, settlement, { accountId, createTransactions = true, createDebts = true, session }) {
+    // Rejouable : la session peut être retentée
+    settlement.transactions = [];
+    settlement.debts = [];
+
+    const side = groupService.getRecorderSide(group, settlement, settlement.recordedBy);
+    if (!side) return null;
+
+    let transaction = null;
+    if (createTransactions) {
+      transaction = await groupService.recordSettlementTransaction(
+        group, settlement, side.member, side.direction, { accountId, session }
+      );
+      if (transaction) settlement.transactions.push(transaction._id);
+    }
+
+    if (!createDebts) return null;
+
+    const data = groupService.buildSettlementDebt(group, settlement, side.member);
+    data.payments[0].transactionReference = transaction ? transaction._id : undefined;
+
+    // create() plutôt qu'insertMany() : le hook pre-save calcule amountRemaining
+    const [debt] = await Debt.create([data], { session });
+    settlement.debts.push(debt._id);
+    return debt;
+  }
+
+  /**
+   * Prévenir l'autre membre inscrit d'un remboursement comptabilisé :
+   * invitation à confirmer la dette, sinon simple avis
+   */
+  static async notifySettlementRecorded(group, settlement, debt, recorderName) {
+    const from = group.members.id(settlement.from);
+    const to = group.members.id(settlement.to);
+    const other = [from, to].find(member =>
+      member.user && member.user.toString() !== settlement.recordedBy.toString()
+    );
+
+    if (debt && debt.link && debt.link.user) {
+      await debtNotifications.notifyDebtLinkInvitation(debt, recorderName);
+    } else if (other) {
+      await NotificationService.create({
+        user: other.user,
+        source: 'transaction',
+        type: 'info',
+        title: `💸 Remboursement - ${group.name}`,
+        message: other === to
+          ? `${from.name} vous a remboursé ${settlement.amount} ${settlement.currency}.`
+          : `Remboursement de ${settlement.amount} ${settlement.currency} à ${to.name} enregistré.`,
+        priority: 'low',
+        actionable: true,
+        actionUrl: `/expense-groups/${group._id}`,
+        actionLabel: 'Voir le groupe',
+        metadata: {
+          groupId: group._id,
+          settlementId: settlement._id,
+          amount: settlement.amount,
+          currency: settlement.currency
+        }
+      }).catch(error => console.error('Erreur notification remboursement groupe:', error.message));
+    }
+  }
+
+  /**
+   * Demander au membre remboursé de confirmer le remboursement
+   */
+  static async notifySettlementToConfirm(group, settlement, recorderName) {
+    const to = group.members.id(settlement.to);
+
+    await NotificationService.create({
+      user: to.user,
+      source: 'transaction',
+      type: 'info',
+      title: `💸 Remboursement à confirmer - ${group.name}`,
+      message: `${recorderName} indique un remboursement de ${settlement.amount} ${settlement.currency} en votre faveur. Confirmez-le s'il a bien été reçu.`,
+      priority: 'medium',
+      actionable: true,
+      actionUrl: `/expense-groups/${group._id}`,
+      actionLabel: 'Confirmer',
+      metadata: {
+        groupId: group._id,
+        settlementId: settlement._id,
+        amount: settlement.amount,
+        currency: settlement.currency
+      }
+    }).catch(error => console.error('Erreur notification remboursement groupe:', error.message));
+  }
+
+  /**
+   * Enregistrer un remboursement entre deux membres. Seul l'auteur, s'il est
+   * partie au remboursement, voit son compte et ses dettes modifiés ; l'autre
+   * membre inscrit reçoit une dette partagée à confirmer (invitation en attente).
+   * Remboursement reçu par un autre membre inscrit : rien n'est comptabilisé
+   * avant sa confirmation (comme un paiement de dette partagée).
+   * Transaction, solde, dette et groupe sont écrits dans une même session.
+   * POST /api/expense-groups/:id/settlements
+   */
+  static async createSettlement(req, res) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { userId } = req.user;
+      const { group, member: recorder } = loaded;
+      const { accountId, createTransactions = true, createDebts = true } = req.body;
+
+      const settlement = groupService.recordSettlement(group, {
+        ...req.body,
+        date: req.body.date ? new Date(req.body.date) : new Date()
+      }, userId);
+
+      const pending = settlement.confirmation.status === 'pending';
+      if (pending) {
+        settlement.confirmation.account = accountId || undefined;
+        settlement.confirmation.createTransactions = createTransactions;
+        settlement.confirmation.createDebts = createDebts;
+      }
+
+      let debt = null;
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          debt = pending
+            ? null
+            : await ExpenseGroupController.writeRecorderRecords(group, settlement, {
+              accountId, createTransactions, createDebts, session
+            });
+
+          await group.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+
+      if (pending) {
+        await ExpenseGroupController.notifySettlementToConfirm(group, settlement, recorder.name);
+      } else {
+        await ExpenseGroupController.notifySettlementRecorded(group, settlement, debt, recorder.name);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: pending
+          ? 'Remboursement enregistré, en attente de confirmation du membre remboursé'
+          : 'Remboursement enregistré',
+        data: {
+          settlement,
+          balances: groupService.computeBalances(group),
+          settleUp: groupService.buildSettleUpPlan(group)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de l\'enregistrement du remboursement');
+    }
+  }
+
+  /**
+   * Confirmer ou contester un remboursement en attente (membre remboursé).
+   * À la confirmation, les enregistrements de l'auteur sont créés dans la même session.
+   * @param {String} status - confirmed | disputed
+   */
+  static async respondToSettlement(req, res, status) {
+    try {
+      if (ExpenseGroupController.rejectInvalid(req, res)) return;
+
+      const loaded = await ExpenseGroupController.loadGroup(req, res);
+      if (!loaded) return;
+
+      const { userId } = req.user;
+      const { settlementId } = req.params;
+      const { reason } = req.body;
+      let group = loaded.group;
+      let settlement = null;
+      let debt = null;
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // Relu à chaque tentative : la réponse n'est appliquée qu'une fois
+          group = await ExpenseGroup.findById(group._id).session(session);
+          settlement = groupService.respondToSettlement(group, settlementId, status, userId, reason);
+          debt = null;
+
+          if (status === 'confirmed') {
+            const { account, createTransactions, createDebts } = settlement.confirmation;
+            debt = await ExpenseGroupController.writeRecorderRecords(group, settlement, {
+              accountId: account,
+              createTransactions: createTransactions !== false,
+              createDebts: createDebts !== false,
+              session
+            });
+          }
+
+          await group.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+
+      const recorder = group.members.find(member =>
+        member.user && member.user.toString() === settlement.recordedBy.toString()
+      );
+      const to = group.members.id(settlement.to);
+
+      // Dette de l'auteur maintenant créée : le membre remboursé est invité à la partager
+      if (debt && debt.link && debt.link.user) {
+        await debtNotifications.notifyDebtLinkInvitation(debt, recorder.name);
+      }
+
+      if (recorder) {
+        await NotificationService.create({
+          user: recorder.user,
+          source: 'transaction',
+          type: status === 'confirmed' ? 'success' : 'warning',
+          title: `💸 Remboursement ${status === 'confirmed' ? 'confirmé' : 'contesté'} - ${group.name}`,
+          message: status === 'confirmed'
+            ? `${to.name} a confirmé le remboursement de ${settlement.amount} ${settlement.currency}.`
+            : `${to.name} conteste le remboursement de ${settlement.amount} ${settlement.currency} : ${reason}`,
+          priority: status === 'confirmed' ? 'low' : 'medium',
+          actionable: true,
+          actionUrl: `/expense-groups/${group._id}`,
+          actionLabel: 'Voir le groupe',
+          metadata: {
+            groupId: group._id,
+            settlementId: settlement._id,
+            amount: settlement.amount,
+            currency: settlement.currency
+          }
+        }).catch(error => console.error('Erreur notification remboursement groupe:', error.message));
+      }
+
+      res.json({
+        success: true,
+        message: status === 'confirmed' ? 'Remboursement confirmé' : 'Remboursement contesté',
+        data: {
+          settlement,
+          balances: groupService.computeBalances(group),
+          settleUp: groupService.buildSettleUpPlan(group)
+        }
+      });
+
+    } catch (error) {
+      ExpenseGroupController.sendError(res, error, 'Erreur lors de la réponse au remboursement');
+    }
+  }
+
+  /**
+   * POST /api/expense-groups/:id/settlements/:settlementId/confirm
+   */
+  static async confirmSettlement(req, res) {
+    return ExpenseGroupController.respondToSettlement(req, res, 'confirmed');
+  }
+
+  /**
+   * POST /api/expense-groups/:id/settlements/:settlementId/dispute
+   */
+  static async disputeSettlement(req, res) {
+    return ExpenseGroupController.respondToSettlement(req, res, 'disputed');
+  }
+}
+
+module.exports = ExpenseGroupController;
@@ -8,6 +8,8 @@ const Investment = require('../models/Investment');
 const User = require('../models/User');
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
+const { storeFile, sendStoredFile, removeStoredFile } = require('../services/fileStorageService');
+const { FILE_STORAGE } = require('../utils/constants');
 
 class InvestmentController {
 
@@ -657,6 +659,159 @@ class InvestmentController {
     }
   };
 
+  // ===================================================================
+  // 12. DOCUMENTS (CONTRATS, REÇUS, PHOTOS)
+  // ===================================================================
+
+  static uploadDocument = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données du document invalides',
+          errors: errors.array()
+        });
+      }
+
+      const { investmentId } = req.params;
+      const userId = req.user.userId;
+
+      const investment = await Investment.findOne({
+        _id: investmentId,
+        user: userId
+      });
+
+      if (!investment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Investissement non trouvé',
+          error: 'investment_not_found'
+        });
+      }
+
+      // L'identifiant du document n'existe qu'après ajout : URL de téléchargement complétée ensuite
+      const stored = await storeFile(req.file, {
+        folder: FILE_STORAGE.FOLDERS.INVESTMENT_DOCUMENTS,
+        userId
+      });
+
+      await investment.addDocument({
+        ...stored,
+        name: req.body.name || req.file.originalname,
+        type: req.body.type
+      });
+
+      const document = investment.documents[investment.documents.length - 1];
+
+      if (!document.url) {
+        const downloadPath = `/api/investments/${investmentId}/documents/${document._id}`;
+        document.url = downloadPath;
+        if (document.thumbnail && document.thumbnail.key) {
+          document.thumbnail.url = `${downloadPath}?variant=thumbnail`;
+        }
+        await investment.save();
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Document ajouté avec succès',
+        data: {
+          document
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur ajout document:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de l\'ajout du document',
+        error: error.code || (process.env.NODE_ENV === 'development' ? error.message : undefined)
+      });
+    }
+  };
+
+  static downloadDocument = async (req, res) => {
+    try {
+      const { investmentId, documentId } = req.params;
+
+      const investment = await Investment.findOne({
+        _id: investmentId,
+        user: req.user.userId
+      }).select('documents');
+
+      const document = investment && investment.documents.id(documentId);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document non trouvé',
+          error: 'document_not_found'
+        });
+      }
+
+      await sendStoredFile(res, document.toObject(), {
+        variant: req.query.variant,
+        inline: req.query.inline === 'true'
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur téléchargement document:', error);
+      if (res.headersSent) return res.end();
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors du téléchargement',
+        error: error.code || (process.env.NODE_ENV === 'development' ? error.message : undefined)
+      });
+    }
+  };
+
+  static deleteDocument = async (req, res) => {
+    try {
+      const { investmentId, documentId } = req.params;
+
+      const investment = await Investment.findOne({
+        _id: investmentId,
+        user: req.user.userId
+      });
+
+      const document = investment && investment.documents.id(documentId);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document non trouvé',
+          error: 'document_not_found'
+        });
+      }
+
+      const fileData = document.toObject();
+
+      investment.documents.pull(documentId);
+      await investment.save();
+      await removeStoredFile(fileData);
+
+      res.status(200).json({
+        success: true,
+        message: 'Document supprimé',
+        data: {
+          documentId
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur suppression document:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la suppression du document',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
   // ===================================================================
   // MÉTHODES UTILITAIRES
   // ===================================================================
@@ -0,0 +1,361 @@
+// src/controllers/reconciliationController.js - Rapprochements bancaires FinApp Haiti
+const { body, param, query, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Reconciliation = require('../models/Reconciliation');
+const {
+  openSession,
+  getSessionDetails,
+  setClearedTransactions,
+  finalizeSession,
+  cancelSession
+} = require('../services/reconciliationService');
+
+/**
+ * Controllers rapprochement compte / relevé
+ * Toutes les routes sont imbriquées sous /api/accounts/:accountId/reconciliations
+ */
+
+// ===================================================================
+// UTILITAIRES & VALIDATION
+// ===================================================================
+
+/**
+ * Middleware validation des résultats
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const formattedErrors = {};
+    errors.array().forEach(error => {
+      if (!formattedErrors[error.path]) formattedErrors[error.path] = [];
+      formattedErrors[error.path].push(error.msg);
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: formattedErrors,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+const accountIdValidation = param('accountId').isMongoId().withMessage('ID de compte invalide');
+const reconciliationIdValidation = param('reconciliationId').isMongoId().withMessage('ID de rapprochement invalide');
+
+/**
+ * Charger le compte de l'utilisateur et, si demandé, la session
+ * @returns {Object|null} - { account, session } ou null (réponse 404 déjà envoyée)
+ */
+const loadAccountAndSession = async (req, res, { withSession = true } = {}) => {
+  const account = await Account.findOne({
+    _id: req.params.accountId,
+    user: req.user.userId
+  });
+
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: 'Compte non trouvé',
+      error: 'account_not_found',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (!withSession) return { account };
+
+  const session = await Reconciliation.findOne({
+    _id: req.params.reconciliationId,
+    account: account._id
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Rapprochement non trouvé',
+      error: 'reconciliation_not_found',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return { account, session };
+};
+
+/**
+ * Réponse d'erreur commune (erreurs métier du service ou erreur serveur)
+ */
+const sendReconciliationError = (res, error, fallbackMessage, fallbackCode) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.code,
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: fallbackCode,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// ===================================================================
+// SESSIONS
+// ===================================================================
+
+/**
+ * Ouvrir un rapprochement avec les données du relevé
+ * POST /api/accounts/:accountId/reconciliations
+ * @access Private (authentification requise + ownership)
+ */
+const createReconciliation = [
+  accountIdValidation,
+  body('statementEndDate')
+    .notEmpty()
+    .withMessage('La date de fin du relevé est requise')
+    .isISO8601()
+    .withMessage('Format de date invalide'),
+  body('statementClosingBalance')
+    .notEmpty()
+    .withMessage('Le solde de clôture du relevé est requis')
+    .isFloat()
+    .withMessage('Solde de clôture invalide'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Les notes ne peuvent pas dépasser 500 caractères'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res, { withSession: false });
+      if (!loaded) return;
+
+      const statementEndDate = new Date(req.body.statementEndDate);
+
+      if (statementEndDate > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'La date du relevé ne peut pas être dans le futur',
+          error: 'invalid_statement_date',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const session = await openSession(loaded.account, {
+        statementEndDate,
+        statementClosingBalance: parseFloat(req.body.statementClosingBalance),
+        notes: req.body.notes
+      });
+
+      const details = await getSessionDetails(session);
+
+      res.status(201).json({
+        success: true,
+        message: 'Rapprochement ouvert',
+        data: details,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur createReconciliation:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors de l\'ouverture du rapprochement', 'reconciliation_creation_error');
+    }
+  }
+];
+
+/**
+ * Historique des rapprochements d'un compte
+ * GET /api/accounts/:accountId/reconciliations
+ * @access Private (authentification requise + ownership)
+ */
+const getReconciliations = [
+  accountIdValidation,
+  query('status').optional().isIn(['open', 'finalized', 'cancelled']).withMessage('Statut invalide'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res, { withSession: false });
+      if (!loaded) return;
+
+      const filter = { account: loaded.account._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const reconciliations = await Reconciliation.find(filter)
+        .sort({ statementEndDate: -1 })
+        .select('-clearedTransactions')
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          reconciliations,
+          lastReconciledDate: reconciliations.find(r => r.status === 'finalized')?.statementEndDate || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur getReconciliations:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors de la récupération des rapprochements', 'reconciliations_fetch_error');
+    }
+  }
+];
+
+/**
+ * Détails d'un rapprochement : transactions à pointer et écart en direct
+ * GET /api/accounts/:accountId/reconciliations/:reconciliationId
+ * @access Private (authentification requise + ownership)
+ */
+const getReconciliation = [
+  accountIdValidation,
+  reconciliationIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res);
+      if (!loaded) return;
+
+      const details = await getSessionDetails(loaded.session);
+
+      res.status(200).json({
+        success: true,
+        data: details,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur getReconciliation:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors de la récupération du rapprochement', 'reconciliation_fetch_error');
+    }
+  }
+];
+
+/**
+ * Cocher / décocher des transactions
+ * PUT /api/accounts/:accountId/reconciliations/:reconciliationId/items
+ * @access Private (authentification requise + ownership)
+ */
+const updateReconciliationItems = [
+  accountIdValidation,
+  reconciliationIdValidation,
+  body('transactionIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Liste de transactions requise (1 à 500)'),
+  body('transactionIds.*')
+    .isMongoId()
+    .withMessage('ID de transaction invalide'),
+  body('cleared')
+    .optional()
+    .isBoolean()
+    .withMessage('cleared doit être true ou false'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res);
+      if (!loaded) return;
+
+      const cleared = req.body.cleared === undefined ? true : req.body.cleared === true || req.body.cleared === 'true';
+      const details = await setClearedTransactions(loaded.session, req.body.transactionIds, cleared);
+
+      res.status(200).json({
+        success: true,
+        message: cleared ? 'Transactions pointées' : 'Transactions dépointées',
+        data: details,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur updateReconciliationItems:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors du pointage', 'reconciliation_items_error');
+    }
+  }
+];
+
+/**
+ * Finaliser : verrouiller les transactions pointées
+ * POST /api/accounts/:accountId/reconciliations/:reconciliationId/finalize
+ * @access Private (authentification requise + ownership)
+ */
+const finalizeReconciliation = [
+  accountIdValidation,
+  reconciliationIdValidation,
+  body('acceptDifference')
+    .optional()
+    .isBoolean()
+    .withMessage('acceptDifference doit être true ou false'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res);
+      if (!loaded) return;
+
+      const acceptDifference = req.body.acceptDifference === true || req.body.acceptDifference === 'true';
+      const details = await finalizeSession(loaded.session, { acceptDifference });
+
+      res.status(200).json({
+        success: true,
+        message: details.totals.differenceAccepted
+          ? `Rapprochement finalisé avec un écart de ${details.totals.difference} ${loaded.account.currency}`
+          : 'Rapprochement finalisé',
+        data: details,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur finalizeReconciliation:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors de la finalisation du rapprochement', 'reconciliation_finalize_error');
+    }
+  }
+];
+
+/**
+ * Abandonner un rapprochement ouvert
+ * DELETE /api/accounts/:accountId/reconciliations/:reconciliationId
+ * @access Private (authentification requise + ownership)
+ */
+const cancelReconciliation = [
+  accountIdValidation,
+  reconciliationIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const loaded = await loadAccountAndSession(req, res);
+      if (!loaded) return;
+
+      const session = await cancelSession(loaded.session);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rapprochement abandonné',
+        data: { reconciliation: session },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur cancelReconciliation:', error.message);
+      sendReconciliationError(res, error, 'Erreur lors de l\'abandon du rapprochement', 'reconciliation_cancel_error');
+    }
+  }
+];
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  createReconciliation,
+  getReconciliations,
+  getReconciliation,
+  updateReconciliationItems,
+  finalizeReconciliation,
+  cancelReconciliation
+};
@@ -6,9 +6,27 @@ const Sol = require('../models/Sol');
 const User = require('../models/User');
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
+const Debt = require('../models/Debt');
 const { body, validationResult, param, query } = require('express-validator');
 const mongoose = require('mongoose');
 const solNotifications = require('../integrations/solNotifications'); // ✨ INTÉGRATION
+const { storeFile, sendStoredFile, removeStoredFile } = require('../services/fileStorageService');
+const { FILE_STORAGE } = require('../utils/constants');
+const { waivePenalty, getPenaltySummary } = require('../services/solPenaltyService');
+const { closeRound } = require('../services/solLifecycleService');
+const {
+  TURN_ORDER_MODES, createSeedCommitment, placeBids, removeBids,
+  assignTurnOrder, getTurnSequence, getMaxDiscount
+} = require('../services/solTurnOrderService');
+const swapService = require('../services/solSwapService');
+const { allocateHands, releaseHands } = require('../services/solHandService');
+const invitationService = require('../services/solInvitationService');
+const { presentReliability } = require('../services/solReliabilityService');
+const settlementService = require('../services/solSettlementService');
+const disputeService = require('../services/solDisputeService');
+const ledgerService = require('../services/solLedgerService');
+const { EXPORT_FORMATS } = require('../services/exportService');
+const SolEvent = require('../models/SolEvent');
 
 class SolController {
 
@@ -49,7 +67,9 @@ class SolController {
 
       const {
         name, description, type, contributionAmount, currency, maxParticipants,
-        frequency, startDate, duration, paymentDay, interestRate, tags, isPrivate, rules
+        frequency, startDate, duration, paymentDay, interestRate, tags, isPrivate, rules,
+        gracePeriodDays, turnOrderMode = 'fixed', requiresSwapApproval, requiresApproval,
+        minReliabilityScore
       } = req.body;
 
       // Vérifier limite sols actifs
@@ -69,6 +89,12 @@ class SolController {
       // Générer code d'accès unique
       const accessCode = await this.generateUniqueAccessCode();
 
+      // Tirage au sort : engagement publié maintenant, graine révélée au tirage
+      const turnOrder = { mode: turnOrderMode };
+      if (turnOrderMode === 'random') {
+        Object.assign(turnOrder, createSeedCommitment());
+      }
+
       // Créer le sol
       const newSol = new Sol({
         creator: req.user.userId,
@@ -78,9 +104,12 @@ class SolController {
         startDate: new Date(startDate),
         duration, paymentDay: paymentDay || 1, interestRate: interestRate || 0,
         tags: tags || [], isPrivate: isPrivate || false, rules: rules || [],
+        gracePeriodDays, turnOrder, requiresSwapApproval: requiresSwapApproval || false,
+        requiresApproval: requiresApproval || false,
+        minReliabilityScore: minReliabilityScore ?? null,
         accessCode, status: 'recruiting',
 
-        rounds: this.generateRounds(maxParticipants, new Date(startDate), frequency),
+        rounds: this.generateRounds(maxParticipants, new Date(startDate), frequency, contributionAmount),
 
         participants: [{
           user: req.user.userId,
@@ -105,6 +134,10 @@ class SolController {
         { path: 'participants.user', select: 'firstName lastName' }
       ]);
 
+      // La graine reste secrète jusqu'au tirage
+      const solData = newSol.toObject();
+      delete solData.turnOrder.seed;
+
       // ✨ NOUVEAU : Notifier création sol
       await solNotifications.notifySolCreated(req.user.userId, newSol);
       console.log(`✅ Notification création sol envoyée`);
@@ -115,7 +148,7 @@ class SolController {
         success: true,
         message: 'Sol créé avec succès',
         data: {
-          sol: newSol,
+          sol: solData,
           accessCode: newSol.accessCode,
           nextSteps: [
             'Inviter des participants avec le code d\'accès',
@@ -344,20 +377,45 @@ class SolController {
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Code d\'accès requis',
+          message: 'Code d\'accès ou invitation requis',
           errors: errors.array()
         });
       }
 
-      const { accessCode } = req.body;
+      // Parts de main : 50 = demi-main, 200 = deux mains
+      const { accessCode, invitationToken, message } = req.body;
+      const share = Number(req.body.share || 100);
+      let sol;
+      let invitation = null;
 
-      // CORRECTION : Utiliser findOne au lieu de méthode statique inexistante
-      const sol = await Sol.findOne({
-        accessCode: accessCode.toUpperCase(),
-        status: 'recruiting'
-      })
-        .populate('participants.user', 'firstName lastName')
-        .populate('creator', 'firstName lastName');
+      if (invitationToken) {
+        // Invitation signée (lien ou QR code) : validité vérifiée sur le sol
+        const { solId, invitationId } = invitationService.decodeInvitationToken(invitationToken);
+
+        sol = await Sol.findOne({ _id: solId, isActive: true })
+          .select('+turnOrder.seed')
+          .populate('participants.user', 'firstName lastName')
+          .populate('creator', 'firstName lastName');
+
+        if (!sol) {
+          return res.status(404).json({
+            success: false,
+            message: 'Lien d\'invitation invalide',
+            error: 'invalid_invitation'
+          });
+        }
+
+        invitation = invitationService.findUsableInvitation(sol, invitationId);
+      } else {
+        // CORRECTION : Utiliser findOne au lieu de méthode statique inexistante
+        sol = await Sol.findOne({
+          accessCode: accessCode.toUpperCase(),
+          status: 'recruiting'
+        })
+          .select('+turnOrder.seed')
+          .populate('participants.user', 'firstName lastName')
+          .populate('creator', 'firstName lastName');
+      }
 
       if (!sol) {
         return res.status(404).json({
@@ -375,7 +433,7 @@ class SolController {
         });
       }
 
-      if (sol.participants.length >= sol.maxParticipants) {
+      if (sol.isFull) {
         return res.status(400).json({
           success: false,
           message: 'Ce sol est complet',
@@ -396,54 +454,62 @@ class SolController {
         });
       }
 
-      const newPosition = sol.participants.length + 1;
+      // Seuil de fiabilité fixé par l'organisateur
+      if (sol.minReliabilityScore != null && !this.compareUserIds(sol.creator._id, req.user.userId)) {
+        const scores = await Sol.getReliabilityScores([req.user.userId]);
+        const { score } = scores.get(req.user.userId.toString());
 
-      // CORRECTION : Vérification de sécurité
-      if (newPosition > sol.maxParticipants) {
-        return res.status(400).json({
-          success: false,
-          message: 'Erreur: position invalide',
-          error: 'position_overflow'
-        });
+        if (score < sol.minReliabilityScore) {
+          return res.status(403).json({
+            success: false,
+            message: `Score de fiabilité insuffisant (${score}/100, minimum requis : ${sol.minReliabilityScore})`,
+            error: 'reliability_score_too_low',
+            data: { yourScore: score, requiredScore: sol.minReliabilityScore }
+          });
+        }
       }
 
-      // Ajouter le participant
-      sol.participants.push({
-        user: req.user.userId,
-        position: newPosition,
-        joinedAt: new Date(),
-        role: 'participant',
-        paymentStatus: 'pending'
-      });
+      // Adhésion sur approbation : la demande rejoint la file de l'organisateur
+      if (sol.requiresApproval && !this.compareUserIds(sol.creator._id, req.user.userId)) {
+        const joinRequest = invitationService.createJoinRequest(sol, req.user.userId, {
+          share,
+          invitation,
+          message: message?.trim()
+        });
+        if (invitation) invitationService.consumeInvitation(invitation, req.user.userId);
 
-      // CORRECTION : Assigner le bénéficiaire au round correspondant
-      if (sol.rounds && sol.rounds.length >= newPosition) {
-        sol.rounds[newPosition - 1].recipient = req.user.userId;
-      }
+        sol.lastActivityDate = new Date();
+        await sol.save();
+
+        const applicant = await User.findById(req.user.userId).select('firstName lastName');
+        await solNotifications.notifyJoinRequested(sol.creator._id, {
+          solId: sol._id,
+          solName: sol.name,
+          applicantName: applicant ? `${applicant.firstName} ${applicant.lastName}` : 'Un utilisateur',
+          share,
+          viaInvitation: !!invitation,
+          pendingCount: sol.joinRequests.filter(request => request.status === 'pending').length
+        });
 
-      // Vérifier si le sol est complet
-      if (sol.participants.length === sol.maxParticipants) {
-        sol.status = 'active';
-        sol.actualStartDate = new Date();
-        await this.schedulePaymentNotifications(sol);
-        
-        // ✨ NOUVEAU : Notifier démarrage sol
-        await solNotifications.notifySolStarted(sol);
-        console.log(`✅ Notifications démarrage sol envoyées`);
-      } else {
-        // ✨ NOUVEAU : Notifier nouveau participant
-        const newParticipant = sol.participants[sol.participants.length - 1];
-        await sol.populate('participants.user', 'firstName lastName');
-        
-        const participantData = {
-          user: newParticipant.user._id || req.user.userId,
-          name: newParticipant.user.firstName + ' ' + newParticipant.user.lastName
-        };
-        
-        await solNotifications.notifyParticipantJoined(sol, participantData);
-        console.log(`✅ Notifications nouveau participant envoyées`);
+        return res.status(202).json({
+          success: true,
+          message: 'Demande d\'adhésion envoyée à l\'organisateur',
+          data: {
+            sol: { _id: sol._id, name: sol.name, status: sol.status },
+            joinRequest,
+            status: 'pending_approval',
+            nextSteps: [
+              'L\'organisateur doit valider votre adhésion',
+              'Vous serez notifié de sa décision'
+            ]
+          },
+          timestamp: new Date().toISOString()
+        });
       }
 
+      if (invitation) invitationService.consumeInvitation(invitation, req.user.userId);
+      const isFull = await this.admitMember(sol, req.user.userId, share, req.user.userId);
+
       sol.lastActivityDate = new Date();
       await sol.save();
 
@@ -455,6 +521,12 @@ class SolController {
 
       await this.collectJoinAnalytics(req.user.userId, sol);
 
+      // Positions définitives après tirage / enchère, provisoires sinon
+      const yourHands = sol.participants.filter(p =>
+        this.compareUserIds(p.user._id || p.user, req.user.userId)
+      );
+      const yourPosition = yourHands[0].position;
+
       res.status(200).json({
         success: true,
         message: 'Vous avez rejoint le sol avec succès',
@@ -465,15 +537,21 @@ class SolController {
             status: sol.status,
             participants: sol.participants
           },
-          yourPosition: newPosition,
-          yourRoundNumber: newPosition,
+          yourPosition,
+          yourRoundNumber: yourPosition,
+          yourPositions: yourHands.map(p => ({ position: p.position, share: p.share })),
+          yourShare: sol.getUserShare(req.user.userId),
+          turnOrderMode: sol.turnOrder.mode,
           status: sol.status,
           nextSteps: sol.status === 'active' ? [
             'Premier paiement dû dans les 7 prochains jours',
             'Configurez vos notifications',
             'Consultez le calendrier des rounds'
+          ] : isFull ? [
+            'Sol complet : les enchères restent ouvertes jusqu\'à leur clôture par l\'organisateur',
+            'Proposez une remise pour obtenir une main plus tôt'
           ] : [
-            `En attente de ${sol.maxParticipants - sol.participants.length} participant(s)`,
+            `En attente de ${sol.spotsLeft} main(s) à pourvoir`,
             'Vous serez notifié au démarrage du sol'
           ]
         },
@@ -484,10 +562,10 @@ class SolController {
       console.error('❌ Erreur rejoindre sol:', error.message);
       console.error('Stack trace:', error.stack);
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Erreur lors de l\'adhésion au sol',
-        error: 'sol_join_error',
+        message: error.status ? error.message : 'Erreur lors de l\'adhésion au sol',
+        error: error.code || 'sol_join_error',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -530,20 +608,22 @@ class SolController {
         });
       }
 
-      const participant = sol.participants[participantIndex];
-
       if (sol.status === 'active') {
         // CORRECTION : Utilisation de la fonction de comparaison
         if (this.compareUserIds(sol.creator, req.user.userId)) {
           return res.status(400).json({
             success: false,
-            message: 'Le créateur ne peut pas quitter un sol actif',
+            message: 'Le créateur ne peut pas quitter un sol actif ; il peut le dissoudre',
             error: 'creator_cannot_leave_active_sol'
           });
         }
 
-        const userRound = sol.rounds[participant.position - 1];
-        if (userRound && userRound.status === 'completed') {
+        const hasReceived = sol.participants.some(p =>
+          this.compareUserIds(p.user, req.user.userId) &&
+          sol.rounds[p.position - 1] &&
+          sol.rounds[p.position - 1].status === 'completed'
+        );
+        if (hasReceived) {
           return res.status(400).json({
             success: false,
             message: 'Impossible de quitter après avoir reçu votre tour',
@@ -560,21 +640,20 @@ class SolController {
         });
       }
 
-      // Supprimer le participant
-      sol.participants.splice(participantIndex, 1);
+      // Supprimer toutes les parts du membre, ses offres d'enchère,
+      // et réorganiser les positions restantes
+      releaseHands(sol, req.user.userId);
+      removeBids(sol, req.user.userId);
 
-      // Réorganiser les positions des participants restants
-      sol.participants.forEach((p, index) => {
-        p.position = index + 1;
-      });
+      const remainingMembers = sol.getMembers().length;
 
-      // Regénérer les rounds avec le nouveau nombre de participants
-      if (sol.participants.length > 0) {
+      // Regénérer les rounds avec les mains restantes
+      if (remainingMembers > 0) {
         sol.rounds = this.regenerateRounds(sol);
       }
 
       // Vérifier si le sol doit être annulé (moins de 3 participants)
-      if (sol.participants.length < 3) {
+      if (remainingMembers < 3) {
         sol.status = 'cancelled';
         sol.cancellationReason = 'Nombre insuffisant de participants';
         sol.cancelledDate = new Date();
@@ -593,7 +672,7 @@ class SolController {
         message: 'Vous avez quitté le sol avec succès',
         data: {
           solStatus: sol.status,
-          remainingParticipants: sol.participants.length,
+          remainingParticipants: remainingMembers,
           reason: reason,
           cancellation: sol.status === 'cancelled' ? {
             reason: sol.cancellationReason,
@@ -616,16 +695,15 @@ class SolController {
     }
   };
 
-  // ===================================================================
-  // 4. GESTION PAIEMENTS
-  // ===================================================================
-
-  static makePayment = async (req, res) => {
+  /**
+   * GET /api/sols/:id/participants
+   * Membres du sol avec leurs mains ; score de fiabilité affiché
+   * seulement pour les membres qui ont choisi de le partager
+   */
+  static getSolParticipants = async (req, res) => {
     try {
       const { id } = req.params;
-      const { accountId, amount, roundIndex, notes } = req.body;
 
-      // CORRECTION : Validation ObjectId
       if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({
           success: false,
@@ -634,7 +712,8 @@ class SolController {
         });
       }
 
-      const sol = await Sol.findById(id).populate('participants.user', 'firstName lastName');
+      const sol = await Sol.findById(id)
+        .populate('participants.user', 'firstName lastName privacySettings');
 
       if (!sol) {
         return res.status(404).json({
@@ -644,11 +723,8 @@ class SolController {
         });
       }
 
-      // CORRECTION : Utilisation de la fonction de comparaison
-      const hasAccess = this.compareUserIds(sol.creator._id, req.user.userId) ||
-        sol.participants.some(p =>
-          p.user && this.compareUserIds(p.user._id, req.user.userId)
-        );
+      const hasAccess = this.compareUserIds(sol.creator, req.user.userId) ||
+        sol.participants.some(p => p.user && this.compareUserIds(p.user._id, req.user.userId));
 
       if (!hasAccess) {
         return res.status(403).json({
@@ -658,55 +734,641 @@ class SolController {
         });
       }
 
-      // CORRECTION : Recherche participant sécurisée
-      const participant = sol.participants.find(p =>
-        p.user && this.compareUserIds(p.user._id, req.user.userId)
-      );
+      const members = sol.getMembers();
+      const scores = await Sol.getReliabilityScores(members);
 
-      if (!participant) {
+      const participants = members.map(userId => {
+        const hands = sol.participants
+          .filter(p => this.compareUserIds(p.user._id || p.user, userId))
+          .sort((a, b) => a.position - b.position);
+        const { user } = hands[0];
+        const shared = !!user.privacySettings?.shareSolReliability;
+        const isSelf = this.compareUserIds(userId, req.user.userId);
+
+        return {
+          user: { _id: user._id, firstName: user.firstName, lastName: user.lastName },
+          role: hands[0].role,
+          joinedAt: hands[0].joinedAt,
+          positions: hands.map(p => ({ position: p.position, share: p.share })),
+          share: sol.getUserShare(userId),
+          paymentStatus: hands[0].paymentStatus,
+          reliability: presentReliability(scores.get(userId.toString()), shared || isSelf),
+          reliabilityShared: shared
+        };
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          participants,
+          totalParticipants: members.length,
+          maxParticipants: sol.maxParticipants,
+          spotsLeft: sol.spotsLeft,
+          minReliabilityScore: sol.minReliabilityScore
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur récupération participants:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des participants',
+        error: 'get_participants_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // 3 ter. FIABILITÉ DES MEMBRES
+  // ===================================================================
+
+  /**
+   * GET /api/sols/reliability/me
+   * Son propre score de fiabilité, détaillé, et son choix de partage
+   */
+  static getMyReliability = async (req, res) => {
+    try {
+      const [scores, user] = await Promise.all([
+        Sol.getReliabilityScores([req.user.userId]),
+        User.findById(req.user.userId).select('privacySettings')
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          reliability: scores.get(req.user.userId.toString()),
+          shared: !!user?.privacySettings?.shareSolReliability
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur score de fiabilité:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors du calcul du score de fiabilité',
+        error: 'reliability_fetch_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/reliability/consent
+   * Accepter ou retirer le partage de son score avec les autres membres
+   */
+  static updateReliabilityConsent = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Vous ne participez pas à ce sol',
-          error: 'not_participant'
+          message: 'Choix de partage invalide',
+          errors: errors.array()
         });
       }
 
-      const account = await Account.findOne({
-        _id: accountId,
-        user: req.user.userId,
-        isActive: true
+      const shared = req.body.share === true || req.body.share === 'true';
+
+      await User.updateOne(
+        { _id: req.user.userId },
+        { $set: { 'privacySettings.shareSolReliability': shared } }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: shared
+          ? 'Votre score de fiabilité est visible des membres de vos sols'
+          : 'Votre score de fiabilité n\'est plus partagé',
+        data: { shared },
+        timestamp: new Date().toISOString()
       });
 
-      if (!account) {
-        return res.status(404).json({
+    } catch (error) {
+      console.error('❌ Erreur consentement fiabilité:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la mise à jour du partage',
+        error: 'reliability_consent_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // 3 bis. INVITATIONS ET DEMANDES D'ADHÉSION
+  // ===================================================================
+
+  /**
+   * Charger un sol réservé à son organisateur
+   */
+  static async loadSolAsOrganizer(req, res, forbiddenMessage, { withSeed = false } = {}) {
+    const query = Sol.findById(req.params.id);
+    if (withSeed) query.select('+turnOrder.seed');
+    const sol = await query;
+
+    if (!sol) {
+      res.status(404).json({
+        success: false,
+        message: 'Sol introuvable',
+        error: 'sol_not_found'
+      });
+      return null;
+    }
+
+    if (!this.compareUserIds(sol.creator, req.user.userId)) {
+      res.status(403).json({
+        success: false,
+        message: forbiddenMessage,
+        error: 'not_sol_creator'
+      });
+      return null;
+    }
+
+    return sol;
+  }
+
+  /**
+   * POST /api/sols/:id/invitations
+   * Créer une invitation signée (lien profond + QR code) à usage unique ou multiple
+   */
+  static createInvitation = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Compte introuvable',
-          error: 'account_not_found'
+          message: 'Données d\'invitation invalides',
+          errors: errors.array()
         });
       }
 
-      if (amount !== sol.contributionAmount) {
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut inviter des membres');
+      if (!sol) return;
+
+      const { maxUses, singleUse, expiresInHours, label } = req.body;
+      const { invitation, token, link } = invitationService.createInvitation(sol, req.user.userId, {
+        // Multi-usage sans limite si singleUse = false et maxUses absent
+        maxUses: singleUse === false && !maxUses ? null : parseInt(maxUses || 1),
+        expiresInHours: expiresInHours ? parseInt(expiresInHours) : undefined,
+        label: label?.trim()
+      });
+
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation créée',
+        data: {
+          invitation: invitationService.serializeInvitation(sol, invitation),
+          token,
+          link,
+          qrCode: {
+            png: `/api/sols/${sol._id}/invitations/${invitation._id}/qr?format=png`,
+            svg: `/api/sols/${sol._id}/invitations/${invitation._id}/qr?format=svg`
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur création invitation:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la création de l\'invitation',
+        error: error.code || 'invitation_create_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/invitations
+   * Invitations du sol avec état et liens actifs (organisateur)
+   */
+  static getInvitations = async (req, res) => {
+    try {
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut consulter les invitations');
+      if (!sol) return;
+
+      const now = new Date();
+      const { status } = req.query;
+      const invitations = sol.invitations
+        .map(invitation => invitationService.serializeInvitation(sol, invitation, now))
+        .filter(invitation => !status || invitation.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invitations,
+          requiresApproval: sol.requiresApproval,
+          count: invitations.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur récupération invitations:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des invitations',
+        error: 'invitations_fetch_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/invitations/:invitationId/qr
+   * QR code PNG ou SVG du lien d'invitation, généré localement
+   */
+  static getInvitationQrCode = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: `Montant incorrect. Montant requis: ${sol.contributionAmount} ${sol.currency}`,
-          error: 'incorrect_amount'
+          message: 'Paramètres de QR code invalides',
+          errors: errors.array()
         });
       }
 
-      if (account.balance < amount) {
-        return res.status(400).json({
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut générer le QR code');
+      if (!sol) return;
+
+      const invitation = invitationService.findUsableInvitation(sol, req.params.invitationId);
+      const { link } = invitationService.buildInvitationLink(sol, invitation);
+
+      const { contentType, body } = await invitationService.renderInvitationQrCode(link, {
+        format: req.query.format || 'png',
+        size: req.query.size ? parseInt(req.query.size) : undefined
+      });
+
+      res.set('Content-Type', contentType);
+      res.set('Cache-Control', 'private, no-store');
+      res.status(200).send(body);
+
+    } catch (error) {
+      console.error('❌ Erreur QR code invitation:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la génération du QR code',
+        error: error.code || 'invitation_qr_error'
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/sols/:id/invitations/:invitationId
+   * Révoquer une invitation (organisateur)
+   */
+  static revokeInvitation = async (req, res) => {
+    try {
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut révoquer une invitation');
+      if (!sol) return;
+
+      const invitation = invitationService.revokeInvitation(sol, req.params.invitationId, req.user.userId);
+      await sol.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation révoquée',
+        data: { invitation: invitationService.serializeInvitation(sol, invitation) },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur révocation invitation:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la révocation de l\'invitation',
+        error: error.code || 'invitation_revoke_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/invitations/:token
+   * Aperçu du sol derrière une invitation, avant de rejoindre
+   */
+  static previewInvitation = async (req, res) => {
+    try {
+      const { solId, invitationId } = invitationService.decodeInvitationToken(req.params.token);
+
+      const sol = await Sol.findOne({ _id: solId, isActive: true })
+        .populate('creator', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
           success: false,
-          message: 'Solde insuffisant',
-          error: 'insufficient_funds'
+          message: 'Lien d\'invitation invalide',
+          error: 'invalid_invitation'
         });
       }
 
-      let targetRound;
-      if (roundIndex !== undefined) {
-        targetRound = sol.rounds[roundIndex];
-      } else {
-        targetRound = sol.rounds.find(r => r.status === 'active');
-      }
+      const invitation = invitationService.findUsableInvitation(sol, invitationId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sol: {
+            _id: sol._id,
+            name: sol.name,
+            description: sol.description,
+            type: sol.type,
+            contributionAmount: sol.contributionAmount,
+            currency: sol.currency,
+            frequency: sol.frequency,
+            maxParticipants: sol.maxParticipants,
+            spotsLeft: sol.spotsLeft,
+            startDate: sol.startDate,
+            status: sol.status,
+            turnOrderMode: sol.turnOrder.mode,
+            organizer: sol.creator
+          },
+          invitation: {
+            expiresAt: invitation.expiresAt,
+            remainingUses: invitation.maxUses ? invitation.maxUses - invitation.useCount : null
+          },
+          requiresApproval: sol.requiresApproval,
+          alreadyMember: sol.participants.some(p => this.compareUserIds(p.user, req.user.userId))
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur aperçu invitation:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la lecture de l\'invitation',
+        error: error.code || 'invitation_preview_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/join-requests
+   * File des demandes d'adhésion (organisateur)
+   */
+  static getJoinRequests = async (req, res) => {
+    try {
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut consulter les demandes d\'adhésion');
+      if (!sol) return;
+
+      await sol.populate('joinRequests.user', 'firstName lastName privacySettings');
+
+      const { status = 'pending' } = req.query;
+      const requests = sol.joinRequests
+        .filter(request => status === 'all' || request.status === status)
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      // Score des demandeurs qui acceptent de le partager
+      const scores = await Sol.getReliabilityScores(requests.map(request => request.user._id));
+      const joinRequests = requests.map(request => {
+        const { user } = request;
+        return {
+          ...request.toObject(),
+          user: { _id: user._id, firstName: user.firstName, lastName: user.lastName },
+          reliability: presentReliability(
+            scores.get(user._id.toString()),
+            !!user.privacySettings?.shareSolReliability
+          )
+        };
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          joinRequests,
+          count: joinRequests.length,
+          spotsLeft: sol.spotsLeft
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur récupération demandes d\'adhésion:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des demandes d\'adhésion',
+        error: 'join_requests_fetch_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/join-requests/:requestId/approve
+   * Accepter une demande : le membre est admis avec les parts demandées
+   */
+  static approveJoinRequest = async (req, res) => {
+    try {
+      const sol = await this.loadSolAsOrganizer(
+        req, res, 'Seul l\'organisateur peut accepter une adhésion', { withSeed: true }
+      );
+      if (!sol) return;
+
+      if (sol.status !== 'recruiting') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ce sol n\'accepte plus de nouveaux participants',
+          error: 'sol_not_recruiting'
+        });
+      }
+
+      const request = invitationService.findPendingJoinRequest(sol, req.params.requestId);
+      const applicantId = request.user;
+
+      // Parts attribuées d'abord : une demande non servie reste en attente
+      await this.admitMember(sol, applicantId, request.share, req.user.userId);
+      invitationService.decideJoinRequest(request, 'approved', req.user.userId);
+
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      const position = sol.participants.find(p =>
+        this.compareUserIds(p.user._id || p.user, applicantId)
+      ).position;
+
+      await solNotifications.notifyJoinRequestDecision(applicantId, {
+        solId: sol._id,
+        solName: sol.name,
+        status: 'approved',
+        position
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Adhésion acceptée',
+        data: {
+          joinRequest: request,
+          position,
+          solStatus: sol.status,
+          spotsLeft: sol.spotsLeft
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur acceptation adhésion:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de l\'acceptation de l\'adhésion',
+        error: error.code || 'join_request_approve_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/join-requests/:requestId/reject
+   * Refuser une demande d'adhésion (motif optionnel)
+   */
+  static rejectJoinRequest = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Motif de refus invalide',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut refuser une adhésion');
+      if (!sol) return;
+
+      const request = invitationService.findPendingJoinRequest(sol, req.params.requestId);
+      invitationService.decideJoinRequest(request, 'rejected', req.user.userId, req.body?.reason?.trim());
+
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      await solNotifications.notifyJoinRequestDecision(request.user, {
+        solId: sol._id,
+        solName: sol.name,
+        status: 'rejected',
+        reason: request.rejectionReason
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Adhésion refusée',
+        data: { joinRequest: request },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur refus adhésion:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors du refus de l\'adhésion',
+        error: error.code || 'join_request_reject_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // 4. GESTION PAIEMENTS
+  // ===================================================================
+
+  static makePayment = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { accountId, amount, roundIndex, notes } = req.body;
+
+      // CORRECTION : Validation ObjectId
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de sol invalide',
+          error: 'invalid_sol_id'
+        });
+      }
+
+      const sol = await Sol.findById(id).populate('participants.user', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      // CORRECTION : Utilisation de la fonction de comparaison
+      const hasAccess = this.compareUserIds(sol.creator._id, req.user.userId) ||
+        sol.participants.some(p =>
+          p.user && this.compareUserIds(p.user._id, req.user.userId)
+        );
+
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à ce sol',
+          error: 'unauthorized_sol_access'
+        });
+      }
+
+      // CORRECTION : Recherche participant sécurisée
+      const participant = sol.participants.find(p =>
+        p.user && this.compareUserIds(p.user._id, req.user.userId)
+      );
+
+      if (!participant) {
+        return res.status(400).json({
+          success: false,
+          message: 'Vous ne participez pas à ce sol',
+          error: 'not_participant'
+        });
+      }
+
+      const account = await Account.findOne({
+        _id: accountId,
+        user: req.user.userId,
+        isActive: true
+      });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Compte introuvable',
+          error: 'account_not_found'
+        });
+      }
+
+      // Cotisation proportionnelle aux parts de main détenues
+      const expectedAmount = sol.getExpectedContribution(req.user.userId);
+      if (amount !== expectedAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Montant incorrect. Montant requis: ${expectedAmount} ${sol.currency}`,
+          error: 'incorrect_amount'
+        });
+      }
+
+      if (!account.canProcessTransaction(-amount)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Solde insuffisant',
+          error: 'insufficient_funds'
+        });
+      }
+
+      let targetRound;
+      if (roundIndex !== undefined) {
+        targetRound = sol.rounds[roundIndex];
+      } else {
+        targetRound = sol.rounds.find(r => r.status === 'active');
+      }
 
       if (!targetRound) {
         return res.status(400).json({
@@ -716,170 +1378,1885 @@ class SolController {
         });
       }
 
-      // CORRECTION : Utilisation de la fonction de comparaison
-      const existingPayment = targetRound.payments.find(p =>
-        this.compareUserIds(p.payer, req.user.userId)
-      );
+      const existingPayment = this.findActivePayment(targetRound, req.user.userId);
+
+      if (existingPayment) {
+        return res.status(400).json(this.buildExistingPaymentError(existingPayment));
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // Débiter le compte (historique + grand livre des soldes)
+          await account.updateBalance(-amount, `Paiement Sol: ${sol.name} - Round ${targetRound.roundNumber}`, {
+            source: 'sol_payment',
+            reference: { model: 'Sol', id: sol._id },
+            session
+          });
+
+          // Ajouter le paiement au round (paiement in-app : vérifié d'office)
+          targetRound.payments.push({
+            payer: req.user.userId,
+            amount: amount,
+            date: new Date(),
+            status: 'completed',
+            notes: notes
+          });
+          sol.recordVerifiedPayment(targetRound, targetRound.payments[targetRound.payments.length - 1]);
+
+          // Créer la transaction
+          const transaction = new Transaction({
+            user: req.user.userId,
+            account: accountId,
+            type: 'expense',
+            category: 'sol',
+            subcategory: 'contribution',
+            amount: amount,
+            currency: sol.currency,
+            description: `Paiement Sol: ${sol.name} - Round ${targetRound.roundNumber}`,
+            date: new Date(),
+            isConfirmed: true,
+            metadata: {
+              solId: sol._id,
+              roundIndex: sol.rounds.indexOf(targetRound),
+              roundNumber: targetRound.roundNumber,
+              recipient: targetRound.recipient
+            },
+            tags: [
+              'sol_payment',
+              `sol_type_${sol.type}`,
+              `frequency_${sol.frequency}`,
+              `position_${participant.position}`
+            ]
+          });
+
+          await transaction.save({ session });
+
+          // Vérifier si le round est terminé
+          const roundCompleted = await this.settleRoundIfComplete(sol, targetRound, {
+            session,
+            trigger: 'payment',
+            actor: req.user.userId
+          });
+
+          if (!roundCompleted) {
+            // ✨ NOUVEAU : Notifier bénéficiaire - paiement partiel
+            const payer = sol.participants.find(p => 
+              p.user && this.compareUserIds(p.user._id, req.user.userId)
+            );
+          
+            const totalReceived = sol.getVerifiedPayments(targetRound).reduce((sum, p) => sum + p.amount, 0);
+            const totalExpected = targetRound.expectedAmount || sol.contributionAmount * sol.maxParticipants;
+          
+            await solNotifications.notifyPaymentReceived(targetRound.recipient, {
+              solId: sol._id,
+              solName: sol.name,
+              amount: amount,
+              payerName: payer.user.firstName + ' ' + payer.user.lastName,
+              turnNumber: targetRound.roundNumber,
+              totalReceived: totalReceived,
+              totalExpected: totalExpected
+            });
+            console.log(`✅ Notification paiement partiel envoyée`);
+          }
+
+          sol.lastActivityDate = new Date();
+          await sol.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+
+      // Collecter analytics
+      await this.collectPaymentAnalytics(req.user.userId, sol, targetRound, amount);
+
+      res.status(200).json({
+        success: true,
+        message: 'Paiement effectué avec succès',
+        data: {
+          transaction: {
+            amount: amount,
+            round: targetRound.roundNumber,
+            recipient: targetRound.recipient,
+            date: new Date()
+          },
+          roundStatus: {
+            paymentsReceived: sol.getVerifiedPayments(targetRound).length,
+            paymentsExpected: sol.getMembers().length,
+            isComplete: sol.isRoundFullyPaid(targetRound)
+          },
+          solProgress: {
+            completedRounds: sol.rounds.filter(r => r.status === 'completed').length,
+            totalRounds: sol.rounds.length,
+            status: sol.status
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur paiement sol:', error.message);
+      console.error('Stack trace:', error.stack);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors du paiement',
+        error: 'sol_payment_error',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/payments/external
+   * Déclarer un paiement remis à l'organisateur hors de l'app (cash, MonCash...)
+   * Preuve optionnelle (champ multipart "proof"), en attente de vérification
+   */
+  static declareExternalPayment = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données de paiement invalides',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { roundIndex, paymentMethod, reference, notes, paidAt } = req.body;
+      const amount = parseFloat(req.body.amount);
+
+      const sol = await Sol.findById(id).populate('participants.user', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      const participant = sol.participants.find(p =>
+        p.user && this.compareUserIds(p.user._id, req.user.userId)
+      );
+
+      if (!participant) {
+        return res.status(403).json({
+          success: false,
+          message: 'Vous ne participez pas à ce sol',
+          error: 'not_participant'
+        });
+      }
+
+      // Cotisation proportionnelle aux parts de main détenues
+      const expectedAmount = sol.getExpectedContribution(req.user.userId);
+      if (amount !== expectedAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Montant incorrect. Montant requis: ${expectedAmount} ${sol.currency}`,
+          error: 'incorrect_amount'
+        });
+      }
+
+      const targetRound = roundIndex !== undefined
+        ? sol.rounds[parseInt(roundIndex)]
+        : sol.rounds.find(r => r.status === 'active');
+
+      if (!targetRound || !['pending', 'active'].includes(targetRound.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Aucun round ouvert aux paiements',
+          error: 'no_active_round'
+        });
+      }
+
+      const existingPayment = this.findActivePayment(targetRound, req.user.userId);
+
+      if (existingPayment) {
+        return res.status(400).json(this.buildExistingPaymentError(existingPayment));
+      }
+
+      targetRound.payments.push({
+        payer: req.user.userId,
+        amount,
+        date: paidAt ? new Date(paidAt) : new Date(),
+        status: 'pending',
+        paymentMethod,
+        isExternal: true,
+        declaredAt: new Date(),
+        transactionId: reference,
+        notes
+      });
+
+      const payment = targetRound.payments[targetRound.payments.length - 1];
+
+      if (req.file) {
+        payment.proof = await storeFile(req.file, {
+          folder: FILE_STORAGE.FOLDERS.SOL_PAYMENT_PROOFS,
+          userId: req.user.userId,
+          downloadPath: `/api/sols/${sol._id}/payments/${payment._id}/proof`
+        });
+      }
+
+      sol.lastActivityDate = new Date();
+
+      try {
+        await sol.save();
+      } catch (error) {
+        await removeStoredFile(payment.toObject().proof);
+        throw error;
+      }
+
+      await solNotifications.notifyExternalPaymentDeclared(sol.creator, {
+        solId: sol._id,
+        solName: sol.name,
+        paymentId: payment._id,
+        amount,
+        currency: sol.currency,
+        payerName: `${participant.user.firstName} ${participant.user.lastName}`,
+        turnNumber: targetRound.roundNumber,
+        hasProof: !!req.file
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Paiement déclaré. Il sera compté après vérification par l\'organisateur.',
+        data: {
+          payment,
+          round: targetRound.roundNumber,
+          roundStatus: {
+            paymentsVerified: sol.getVerifiedPayments(targetRound).length,
+            paymentsPending: targetRound.payments.filter(p => p.status === 'pending').length,
+            paymentsExpected: sol.getMembers().length
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur déclaration paiement sol:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la déclaration du paiement',
+        error: error.code || 'sol_payment_declaration_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/payments/pending
+   * Paiements déclarés en attente de vérification (organisateur)
+   */
+  static getPendingPayments = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id)
+        .populate('participants.user', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      if (!this.compareUserIds(sol.creator._id, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'organisateur peut vérifier les paiements',
+          error: 'not_sol_creator'
+        });
+      }
+
+      const pendingPayments = [];
+      sol.rounds.forEach(round => {
+        round.payments
+          .filter(payment => payment.status === 'pending')
+          .forEach(payment => {
+            const participant = sol.participants.find(p =>
+              p.user && this.compareUserIds(p.user._id, payment.payer)
+            );
+
+            pendingPayments.push({
+              paymentId: payment._id,
+              roundNumber: round.roundNumber,
+              dueDate: round.dueDate,
+              payer: participant ? {
+                id: participant.user._id,
+                name: `${participant.user.firstName} ${participant.user.lastName}`,
+                position: participant.position
+              } : { id: payment.payer },
+              amount: payment.amount,
+              paymentMethod: payment.paymentMethod,
+              reference: payment.transactionId,
+              paidAt: payment.date,
+              declaredAt: payment.declaredAt,
+              notes: payment.notes,
+              hasProof: !!(payment.proof && payment.proof.url)
+            });
+          });
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          pendingPayments,
+          count: pendingPayments.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur paiements en attente:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des paiements en attente',
+        error: 'pending_payments_error'
+      });
+    }
+  };
+
+  /**
+   * Charger un paiement déclaré pour revue par l'organisateur
+   * @param {Object} options - { verifying } : une vérification exige un round encore ouvert
+   * @returns {Object|null} - { sol, round, payment } ou null (réponse déjà envoyée)
+   */
+  static async loadPaymentForReview(req, res, { verifying = false } = {}) {
+    const sol = await Sol.findById(req.params.id);
+
+    if (!sol) {
+      res.status(404).json({
+        success: false,
+        message: 'Sol introuvable',
+        error: 'sol_not_found'
+      });
+      return null;
+    }
+
+    if (!this.compareUserIds(sol.creator, req.user.userId)) {
+      res.status(403).json({
+        success: false,
+        message: 'Seul l\'organisateur peut vérifier les paiements',
+        error: 'not_sol_creator'
+      });
+      return null;
+    }
+
+    const found = sol.findPayment(req.params.paymentId);
+
+    if (!found) {
+      res.status(404).json({
+        success: false,
+        message: 'Paiement introuvable',
+        error: 'payment_not_found'
+      });
+      return null;
+    }
+
+    if (found.payment.status !== 'pending') {
+      res.status(409).json({
+        success: false,
+        message: 'Ce paiement a déjà été traité',
+        error: 'payment_not_pending'
+      });
+      return null;
+    }
+
+    // Round déjà versé ou annulé : le paiement ne peut plus y être compté
+    if (verifying && ['completed', 'cancelled'].includes(found.round.status)) {
+      res.status(409).json({
+        success: false,
+        message: 'Ce round est clôturé : le paiement ne peut plus être vérifié, rejetez-le',
+        error: 'round_closed'
+      });
+      return null;
+    }
+
+    return { sol, ...found };
+  }
+
+  /**
+   * PUT /api/sols/:id/payments/:paymentId/verify
+   * Confirmer un paiement déclaré : il compte pour le round et le solde du membre
+   */
+  static verifyPayment = async (req, res) => {
+    try {
+      const loaded = await this.loadPaymentForReview(req, res, { verifying: true });
+      if (!loaded) return;
+
+      const { sol, round, payment } = loaded;
+      let roundCompleted = false;
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          payment.status = 'completed';
+          payment.verifiedBy = req.user.userId;
+          payment.verificationDate = new Date();
+          sol.recordVerifiedPayment(round, payment);
+
+          roundCompleted = await this.settleRoundIfComplete(sol, round, {
+            session,
+            trigger: 'verification',
+            actor: req.user.userId
+          });
+
+          sol.lastActivityDate = new Date();
+          await sol.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+
+      await solNotifications.notifyPaymentReviewed(payment.payer, {
+        solId: sol._id,
+        solName: sol.name,
+        amount: payment.amount,
+        currency: sol.currency,
+        turnNumber: round.roundNumber,
+        approved: true
+      });
+
+      res.status(200).json({
+        success: true,
+        message: roundCompleted
+          ? 'Paiement vérifié. Round complet, versement effectué au bénéficiaire.'
+          : 'Paiement vérifié',
+        data: {
+          payment,
+          roundStatus: {
+            round: round.roundNumber,
+            paymentsVerified: sol.getVerifiedPayments(round).length,
+            paymentsExpected: sol.getMembers().length,
+            isComplete: round.status === 'completed'
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur vérification paiement sol:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la vérification du paiement',
+        error: 'sol_payment_verification_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/payments/:paymentId/reject
+   * Refuser un paiement déclaré : le membre peut en déclarer un nouveau
+   */
+  static rejectPayment = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Motif de rejet invalide',
+          errors: errors.array()
+        });
+      }
+
+      const loaded = await this.loadPaymentForReview(req, res);
+      if (!loaded) return;
+
+      const { sol, round, payment } = loaded;
+
+      payment.status = 'rejected';
+      payment.verifiedBy = req.user.userId;
+      payment.verificationDate = new Date();
+      payment.rejectionReason = req.body.reason;
+
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      await solNotifications.notifyPaymentReviewed(payment.payer, {
+        solId: sol._id,
+        solName: sol.name,
+        amount: payment.amount,
+        currency: sol.currency,
+        turnNumber: round.roundNumber,
+        approved: false,
+        reason: payment.rejectionReason
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Paiement rejeté',
+        data: {
+          payment,
+          round: round.roundNumber
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur rejet paiement sol:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors du rejet du paiement',
+        error: 'sol_payment_rejection_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/payments/:paymentId/proof
+   * Télécharger la preuve d'un paiement (organisateur ou payeur, ?variant=thumbnail)
+   */
+  static downloadPaymentProof = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id);
+      const found = sol && sol.findPayment(req.params.paymentId);
+
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Paiement introuvable',
+          error: 'payment_not_found'
+        });
+      }
+
+      const canView = this.compareUserIds(sol.creator, req.user.userId) ||
+        this.compareUserIds(found.payment.payer, req.user.userId);
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à cette preuve',
+          error: 'unauthorized_sol_access'
+        });
+      }
+
+      const proof = found.payment.toObject().proof;
+
+      if (!proof || !proof.url) {
+        return res.status(404).json({
+          success: false,
+          message: 'Aucune preuve pour ce paiement',
+          error: 'proof_not_found'
+        });
+      }
+
+      await sendStoredFile(res, proof, {
+        variant: req.query.variant,
+        inline: req.query.inline === 'true'
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur téléchargement preuve sol:', error.message);
+
+      if (res.headersSent) return res.end();
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors du téléchargement de la preuve',
+        error: error.code || 'proof_download_error'
+      });
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/events
+   * Journal d'audit des transitions du sol (membres et organisateur)
+   */
+  static getSolEvents = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id).select('creator participants.user');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      const hasAccess = this.compareUserIds(sol.creator, req.user.userId) ||
+        sol.participants.some(p => this.compareUserIds(p.user, req.user.userId));
+
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à ce sol',
+          error: 'unauthorized_sol_access'
+        });
+      }
+
+      const filter = { sol: sol._id };
+      if (req.query.roundNumber) filter.roundNumber = parseInt(req.query.roundNumber);
+
+      const events = await SolEvent.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('actor', 'firstName lastName')
+        .lean();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          events,
+          count: events.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur journal sol:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération du journal',
+        error: 'sol_events_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // 4 bis. PÉNALITÉS
+  // ===================================================================
+
+  /**
+   * GET /api/sols/:id/penalties
+   * Pénalités du sol : toutes pour l'organisateur, les siennes pour un participant
+   */
+  static getPenalties = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id)
+        .populate('penalties.participant', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      const isCreator = this.compareUserIds(sol.creator, req.user.userId);
+      const isMember = sol.participants.some(p => this.compareUserIds(p.user, req.user.userId));
+
+      if (!isCreator && !isMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à ce sol',
+          error: 'unauthorized_sol_access'
+        });
+      }
+
+      const userFilter = isCreator ? null : req.user.userId;
+      const penalties = sol.penalties.filter(penalty =>
+        !userFilter || (penalty.participant && this.compareUserIds(penalty.participant._id, userFilter))
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          penalties,
+          summary: getPenaltySummary(sol, userFilter),
+          gracePeriodDays: sol.gracePeriodDays,
+          enforcedRules: sol.rules.filter(rule => rule.isEnforced && rule.penaltyAmount > 0)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur pénalités sol:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération des pénalités',
+        error: 'sol_penalties_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/penalties/:penaltyId/waive
+   * Annuler une pénalité encore due (organisateur)
+   */
+  static waivePenalty = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await Sol.findById(req.params.id);
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      if (!this.compareUserIds(sol.creator, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'organisateur peut annuler une pénalité',
+          error: 'not_sol_creator'
+        });
+      }
+
+      const penalty = waivePenalty(sol, req.params.penaltyId, req.user.userId, req.body.reason);
+      await sol.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Pénalité annulée',
+        data: { penalty },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur annulation pénalité:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de l\'annulation de la pénalité',
+        error: error.code || 'penalty_waive_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // ORDRE DES MAINS (TIRAGE / ENCHÈRES)
+  // ===================================================================
+
+  /**
+   * GET /api/sols/:id/turn-order
+   * Mode d'attribution, ordre courant et historique (graine révélée, offres)
+   */
+  static getTurnOrder = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id)
+        .populate('participants.user', 'firstName lastName')
+        .populate('turnOrder.history.order.user', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      const isCreator = this.compareUserIds(sol.creator, req.user.userId);
+      const isMember = sol.participants.some(p => this.compareUserIds(p.user._id, req.user.userId));
+
+      if (!isCreator && !isMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à ce sol',
+          error: 'unauthorized_sol_access'
+        });
+      }
+
+      const { mode, seedHash, assignedAt, bids, history } = sol.turnOrder;
+      const isAuctionOpen = mode === 'auction' && !assignedAt;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          mode,
+          seedHash,
+          assignedAt,
+          order: [...sol.participants]
+            .sort((a, b) => a.position - b.position)
+            .map(p => ({
+              position: p.position,
+              user: p.user,
+              share: p.share,
+              turnDiscount: p.turnDiscount,
+              isProvisional: !assignedAt && mode !== 'fixed'
+            })),
+          // Enchère sous pli fermé : chacun ne voit que ses offres avant clôture
+          auction: mode === 'auction' ? {
+            isOpen: isAuctionOpen,
+            maxDiscount: getMaxDiscount(sol),
+            bidCount: bids.length,
+            yourBids: isAuctionOpen
+              ? bids.filter(bid => this.compareUserIds(bid.participant, req.user.userId))
+              : []
+          } : null,
+          history
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur ordre des mains:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la récupération de l\'ordre des mains',
+        error: 'turn_order_fetch_error'
+      });
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/turn-order/bids
+   * Proposer ses remises par round (remplace les offres précédentes)
+   */
+  static placeTurnBids = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Offres invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await Sol.findById(req.params.id);
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      if (!sol.participants.some(p => this.compareUserIds(p.user, req.user.userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Vous ne participez pas à ce sol',
+          error: 'not_participant'
+        });
+      }
+
+      const bids = placeBids(sol, req.user.userId, req.body.bids.map(bid => ({
+        roundNumber: parseInt(bid.roundNumber),
+        discount: parseFloat(bid.discount)
+      })));
+
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Offres enregistrées',
+        data: {
+          bids,
+          maxDiscount: getMaxDiscount(sol)
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur offres enchère:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de l\'enregistrement des offres',
+        error: error.code || 'turn_bid_error'
+      });
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/turn-order/close
+   * Clôturer l'enchère d'un sol complet, attribuer les mains et le démarrer (organisateur)
+   */
+  static closeTurnAuction = async (req, res) => {
+    try {
+      const sol = await Sol.findById(req.params.id)
+        .populate('participants.user', 'firstName lastName');
+
+      if (!sol) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sol introuvable',
+          error: 'sol_not_found'
+        });
+      }
+
+      if (!this.compareUserIds(sol.creator, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'organisateur peut clôturer l\'enchère',
+          error: 'not_sol_creator'
+        });
+      }
+
+      if (sol.turnOrder.mode !== 'auction') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ce sol n\'attribue pas les mains aux enchères',
+          error: 'turn_order_not_auction'
+        });
+      }
+
+      if (sol.status !== 'recruiting') {
+        return res.status(409).json({
+          success: false,
+          message: 'Les enchères sont clôturées',
+          error: 'auction_closed'
+        });
+      }
+
+      const assignment = await this.startSol(sol, req.user.userId);
+      sol.lastActivityDate = new Date();
+      await sol.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Enchère clôturée, le sol démarre',
+        data: {
+          assignment,
+          rounds: sol.rounds.map(round => ({
+            roundNumber: round.roundNumber,
+            startDate: round.startDate,
+            recipient: round.recipient,
+            turnDiscount: round.turnDiscount
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur clôture enchère:', error.message);
+
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erreur lors de la clôture de l\'enchère',
+        error: error.code || 'turn_auction_close_error'
+      });
+    }
+  };
+
+  // ===================================================================
+  // ÉCHANGES DE MAINS
+  // ===================================================================
+
+  /**
+   * Charger un sol pour ses membres et son organisateur
+   * (marché d'échanges, litiges, règlement)
+   */
+  static async loadSolForSwap(req, res) {
+    const sol = await Sol.findById(req.params.id)
+      .populate('participants.user', 'firstName lastName');
+
+    if (!sol) {
+      res.status(404).json({
+        success: false,
+        message: 'Sol introuvable',
+        error: 'sol_not_found'
+      });
+      return null;
+    }
+
+    const isCreator = this.compareUserIds(sol.creator, req.user.userId);
+    const isMember = sol.participants.some(p => this.compareUserIds(p.user._id, req.user.userId));
+
+    if (!isCreator && !isMember) {
+      res.status(403).json({
+        success: false,
+        message: 'Accès non autorisé à ce sol',
+        error: 'unauthorized_sol_access'
+      });
+      return null;
+    }
+
+    return sol;
+  }
+
+  static getParticipantName(sol, userId) {
+    const participant = sol.participants.find(p => this.compareUserIds(p.user._id || p.user, userId));
+    return participant && participant.user.firstName
+      ? `${participant.user.firstName} ${participant.user.lastName}`
+      : 'Un membre';
+  }
+
+  /**
+   * Sauvegarder une demande ; un échange exécuté est versionné et
+   * journalisé dans la même transaction que les nouvelles positions
+   */
+  static async persistSwap(sol, swap, executed, actorId) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (executed) {
+          // Échec (VersionError) si le sol a changé entre lecture et écriture
+          sol.increment();
+          await swapService.recordSwapEvent(sol, swap, { actor: actorId, session });
+        }
+        sol.lastActivityDate = new Date();
+        await sol.save({ session });
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (executed) {
+      await solNotifications.notifyPositionsSwapped(sol, {
+        firstName: this.getParticipantName(sol, swap.requester),
+        firstRound: swap.counterpartyRound,
+        secondName: this.getParticipantName(sol, swap.counterparty),
+        secondRound: swap.requesterRound
+      });
+    }
+  }
+
+  static sendSwapError(res, error, message, code) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Le sol a été modifié entre-temps, veuillez réessayer',
+        error: 'swap_conflict'
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : message,
+      error: error.code || code
+    });
+  }
+
+  /**
+   * GET /api/sols/:id/swaps
+   * Demandes d'échange du sol (offres ouvertes visibles de tous les membres)
+   */
+  static getSwapRequests = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const { status } = req.query;
+      const swapRequests = sol.swapRequests
+        .filter(swap => !status || swap.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          swapRequests,
+          openOffers: sol.swapRequests.filter(swap => swap.status === 'pending' && !swap.target).length,
+          requiresSwapApproval: sol.requiresSwapApproval
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur demandes d\'échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors de la récupération des échanges', 'sol_swaps_error');
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/swaps
+   * Proposer sa main à un membre précis ou à tous
+   */
+  static createSwapRequest = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const { targetUserId, roundNumber, message } = req.body;
+      const swap = swapService.createSwapRequest(sol, req.user.userId, {
+        targetUserId,
+        roundNumber: roundNumber ? parseInt(roundNumber) : null,
+        message: message?.trim()
+      });
+      await this.persistSwap(sol, swap, false, req.user.userId);
+
+      const recipients = targetUserId
+        ? [targetUserId]
+        : sol.getMembers()
+          .filter(userId => !this.compareUserIds(userId, req.user.userId));
+
+      await solNotifications.notifySwapRequested(recipients, {
+        solId: sol._id,
+        solName: sol.name,
+        requesterName: this.getParticipantName(sol, req.user.userId),
+        requesterRound: swap.requesterRound,
+        isOpenOffer: !targetUserId,
+        message: swap.message
+      });
+
+      res.status(201).json({
+        success: true,
+        message: targetUserId ? 'Proposition d\'échange envoyée' : 'Main proposée à tous les membres',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur proposition échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors de la proposition d\'échange', 'swap_request_error');
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/swaps/:swapId/accept
+   * Accepter un échange : exécuté aussitôt, ou soumis à l'organisateur
+   */
+  static acceptSwapRequest = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const roundNumber = req.body?.roundNumber ? parseInt(req.body.roundNumber) : null;
+      const { swap, executed } = swapService.acceptSwap(sol, req.params.swapId, req.user.userId, roundNumber);
+      await this.persistSwap(sol, swap, executed, req.user.userId);
+
+      if (!executed) {
+        await solNotifications.notifySwapUpdate(sol.creator, {
+          solId: sol._id,
+          solName: sol.name,
+          status: 'awaiting_approval',
+          names: `${this.getParticipantName(sol, swap.requester)} et ${this.getParticipantName(sol, swap.counterparty)}`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: executed ? 'Échange effectué' : 'Échange accepté, en attente de l\'approbation de l\'organisateur',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur acceptation échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors de l\'acceptation de l\'échange', 'swap_accept_error');
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/swaps/:swapId/decline
+   * Refuser une proposition qui vous est adressée
+   */
+  static declineSwapRequest = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const swap = swapService.declineSwap(sol, req.params.swapId, req.user.userId);
+      await this.persistSwap(sol, swap, false, req.user.userId);
+
+      await solNotifications.notifySwapUpdate(swap.requester, {
+        solId: sol._id,
+        solName: sol.name,
+        status: 'declined'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Proposition refusée',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur refus échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors du refus de l\'échange', 'swap_decline_error');
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/swaps/:swapId/approve
+   * Approuver un échange accepté (organisateur)
+   */
+  static approveSwapRequest = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      if (!this.compareUserIds(sol.creator, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'organisateur peut approuver un échange',
+          error: 'not_sol_creator'
+        });
+      }
+
+      const swap = swapService.approveSwap(sol, req.params.swapId, req.user.userId);
+      await this.persistSwap(sol, swap, true, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Échange approuvé et effectué',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur approbation échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors de l\'approbation de l\'échange', 'swap_approve_error');
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/swaps/:swapId/reject
+   * Refuser un échange accepté (organisateur)
+   */
+  static rejectSwapRequest = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      if (!this.compareUserIds(sol.creator, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Seul l\'organisateur peut refuser un échange',
+          error: 'not_sol_creator'
+        });
+      }
+
+      const swap = swapService.rejectSwap(sol, req.params.swapId, req.user.userId, req.body.reason);
+      await this.persistSwap(sol, swap, false, req.user.userId);
+
+      await solNotifications.notifySwapUpdate(swap.requester, {
+        solId: sol._id,
+        solName: sol.name,
+        status: 'rejected',
+        reason: swap.rejectionReason
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Échange refusé',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur rejet échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors du rejet de l\'échange', 'swap_reject_error');
+    }
+  };
+
+  /**
+   * DELETE /api/sols/:id/swaps/:swapId
+   * Retirer sa proposition tant qu'elle n'est pas exécutée
+   */
+  static cancelSwapRequest = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const swap = swapService.cancelSwap(sol, req.params.swapId, req.user.userId);
+      await this.persistSwap(sol, swap, false, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Proposition retirée',
+        data: { swapRequest: swap },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur retrait échange:', error.message);
+      this.sendSwapError(res, error, 'Erreur lors du retrait de la proposition', 'swap_cancel_error');
+    }
+  };
+
+  // ===================================================================
+  // LITIGES ET DISSOLUTION
+  // ===================================================================
+
+  static sendSettlementError(res, error, message, code) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : message,
+      error: error.code || code
+    });
+  }
+
+  /**
+   * Noms affichés des membres (y compris ceux qui ont quitté le sol)
+   * @returns {Promise<Map>} - userId → "Prénom Nom"
+   */
+  static async getMemberNames(userIds) {
+    const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName');
+    return new Map(users.map(user => [user._id.toString(), `${user.firstName} ${user.lastName}`]));
+  }
+
+  /**
+   * DELETE /api/sols/:id
+   * Annuler un sol tant qu'aucune cotisation n'a circulé ;
+   * au-delà, le sol doit être dissous avec règlement (POST /:id/dissolve)
+   */
+  static deleteSol = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut annuler ce sol');
+      if (!sol) return;
+
+      if (['completed', 'cancelled'].includes(sol.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ce sol est déjà terminé ou annulé',
+          error: 'sol_already_closed'
+        });
+      }
+
+      const moneyMoved = sol.rounds.some(round => sol.getVerifiedPayments(round).length > 0);
+      if (moneyMoved) {
+        return res.status(409).json({
+          success: false,
+          message: 'Des cotisations ont déjà circulé : dissolvez le sol pour calculer le règlement entre membres',
+          error: 'sol_requires_dissolution',
+          data: {
+            settlementPreview: `GET /api/sols/${sol._id}/settlement`,
+            dissolve: `POST /api/sols/${sol._id}/dissolve`
+          }
+        });
+      }
+
+      const { reason } = req.body;
+      const now = new Date();
+
+      sol.status = 'cancelled';
+      sol.cancelledDate = now;
+      sol.cancellationReason = reason;
+      sol.nextPaymentDate = undefined;
+      sol.rounds.forEach(round => {
+        if (round.status !== 'completed') round.status = 'cancelled';
+      });
+      sol.statusHistory.push({ status: 'cancelled', date: now, reason, changedBy: req.user.userId });
+      invitationService.cancelPendingJoinRequests(sol, now);
+      sol.lastActivityDate = now;
+      await sol.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Sol annulé avec succès',
+        data: {
+          solId: sol._id,
+          status: sol.status,
+          reason
+        },
+        timestamp: now.toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur annulation sol:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors de l\'annulation du sol', 'delete_sol_error');
+    }
+  };
+
+  /**
+   * GET /api/sols/:id/settlement
+   * Positions nettes et plan de règlement : aperçu tant que le sol
+   * tourne, règlement figé une fois le sol dissous
+   */
+  static getSettlement = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const settlement = sol.dissolution && sol.dissolution.dissolvedAt
+        ? { currency: sol.currency, ...sol.dissolution.toObject() }
+        : settlementService.computeSettlement(sol);
+
+      const names = await this.getMemberNames(settlement.positions.map(position => position.user));
+      const nameOf = (userId) => names.get(userId.toString()) || 'Membre du sol';
+      const yourPosition = settlement.positions.find(position =>
+        this.compareUserIds(position.user, req.user.userId)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          solId: sol._id,
+          status: sol.status,
+          dissolved: Boolean(sol.dissolution && sol.dissolution.dissolvedAt),
+          canDissolve: settlementService.DISSOLVABLE_STATUSES.includes(sol.status),
+          settlement: {
+            ...settlement,
+            positions: settlement.positions.map(position => ({ ...position, name: nameOf(position.user) })),
+            transfers: settlement.transfers.map(transfer => ({
+              ...transfer,
+              fromName: nameOf(transfer.from),
+              toName: nameOf(transfer.to)
+            }))
+          },
+          yourPosition: yourPosition || null
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur règlement sol:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors du calcul du règlement', 'sol_settlement_error');
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/dissolve
+   * Dissoudre un sol démarré : remboursement des fonds encore détenus,
+   * plan de règlement entre membres, dettes/créances optionnelles
+   */
+  static dissolveSol = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données de dissolution invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut dissoudre ce sol');
+      if (!sol) return;
+
+      const { reason, createDebts = false, debtDueDate } = req.body;
+      const withDebts = createDebts === true || createDebts === 'true';
+      let settlement;
+      let refunds = [];
+      let debts = [];
+
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          settlement = settlementService.dissolveSol(sol, { actor: req.user.userId, reason: reason.trim() });
+          refunds = await settlementService.executeRefunds(sol, settlement.refunds, session);
+
+          if (withDebts && settlement.transfers.length > 0) {
+            const names = await this.getMemberNames(settlement.positions.map(position => position.user));
+            const documents = settlementService.buildSettlementDebts(sol, settlement.transfers, names, {
+              dueDate: debtDueDate ? new Date(debtDueDate) : undefined
+            });
+            // create() plutôt qu'insertMany() : le hook pre-save calcule amountRemaining
+            debts = await Debt.create(documents, { session });
+            sol.dissolution.debtsCreated = true;
+          }
+
+          // Plus d'échange ni d'adhésion possible
+          sol.swapRequests
+            .filter(swap => swapService.OPEN_SWAP_STATUSES.includes(swap.status))
+            .forEach(swap => {
+              swap.status = 'cancelled';
+              swap.decidedAt = sol.dissolution.dissolvedAt;
+            });
+
+          await settlementService.recordDissolutionEvent(sol, settlement, { actor: req.user.userId, session });
+          sol.increment();
+          sol.lastActivityDate = new Date();
+          await sol.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+
+      await solNotifications.notifySolDissolved(sol, settlement);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sol dissous, règlement calculé',
+        data: {
+          solId: sol._id,
+          status: sol.status,
+          settlement: {
+            currency: settlement.currency,
+            positions: settlement.positions,
+            transfers: settlement.transfers,
+            unallocated: settlement.unallocated,
+            totals: settlement.totals
+          },
+          refunds,
+          debtsCreated: debts.length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur dissolution sol:', error.message);
+      if (error.name === 'VersionError') {
+        return res.status(409).json({
+          success: false,
+          message: 'Le sol a été modifié entre-temps, veuillez réessayer',
+          error: 'sol_conflict'
+        });
+      }
+      this.sendSettlementError(res, error, 'Erreur lors de la dissolution du sol', 'sol_dissolve_error');
+    }
+  };
+
+  /**
+   * Sauvegarder un litige ; ouverture et décision sont journalisées
+   * dans la même transaction
+   */
+  static async persistDispute(sol, dispute, actorId, { record = false } = {}) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (record) {
+          await disputeService.recordDisputeEvent(sol, dispute, { actor: actorId, session });
+        }
+        sol.lastActivityDate = new Date();
+        await sol.save({ session });
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Destinataires d'une mise à jour de litige : auteur, commentateurs
+   * et organisateur, sauf l'utilisateur à l'origine de la mise à jour
+   */
+  static getDisputeAudience(sol, dispute, actorId) {
+    const userIds = [sol.creator, dispute.openedBy, ...dispute.comments.map(comment => comment.author)];
+
+    return userIds
+      .map(userId => (userId._id || userId).toString())
+      .filter((userId, index, all) => all.indexOf(userId) === index)
+      .filter(userId => !this.compareUserIds(userId, actorId));
+  }
+
+  /**
+   * GET /api/sols/:id/disputes
+   * Litiges du sol (ouverts d'abord)
+   */
+  static getDisputes = async (req, res) => {
+    try {
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const { status, roundNumber } = req.query;
+      const disputes = disputeService.listDisputes(sol, {
+        status,
+        roundNumber: roundNumber ? parseInt(roundNumber) : null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          disputes,
+          openDisputes: sol.disputes.filter(dispute => dispute.status === 'open').length
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur litiges sol:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors de la récupération des litiges', 'sol_disputes_error');
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/disputes
+   * Ouvrir un litige sur un round
+   */
+  static openDispute = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Données du litige invalides',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const { roundNumber, category, title, description } = req.body;
+      const dispute = disputeService.openDispute(sol, req.user.userId, {
+        roundNumber: parseInt(roundNumber),
+        category,
+        title: title.trim(),
+        description: description?.trim()
+      });
+      await this.persistDispute(sol, dispute, req.user.userId, { record: true });
+
+      // Litige de l'organisateur : tous les membres sont prévenus
+      const recipients = this.compareUserIds(sol.creator, req.user.userId)
+        ? sol.getMembers().filter(userId => !this.compareUserIds(userId, req.user.userId))
+        : [sol.creator];
+
+      await solNotifications.notifyDisputeUpdate(recipients, {
+        solId: sol._id,
+        solName: sol.name,
+        roundNumber: dispute.roundNumber,
+        title: dispute.title,
+        status: 'open',
+        authorName: this.getParticipantName(sol, req.user.userId)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Litige ouvert, l\'organisateur a été prévenu',
+        data: { dispute },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur ouverture litige:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors de l\'ouverture du litige', 'dispute_open_error');
+    }
+  };
+
+  /**
+   * POST /api/sols/:id/disputes/:disputeId/comments
+   * Commenter un litige ouvert
+   */
+  static addDisputeComment = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Commentaire invalide',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const dispute = disputeService.addDisputeComment(
+        sol, req.params.disputeId, req.user.userId, req.body.message.trim()
+      );
+      await this.persistDispute(sol, dispute, req.user.userId);
+
+      await solNotifications.notifyDisputeUpdate(this.getDisputeAudience(sol, dispute, req.user.userId), {
+        solId: sol._id,
+        solName: sol.name,
+        roundNumber: dispute.roundNumber,
+        title: dispute.title,
+        status: 'commented',
+        authorName: this.getParticipantName(sol, req.user.userId)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Commentaire ajouté',
+        data: { dispute },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur commentaire litige:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors de l\'ajout du commentaire', 'dispute_comment_error');
+    }
+  };
+
+  /**
+   * PUT /api/sols/:id/disputes/:disputeId/resolve
+   * Trancher un litige (organisateur) : résolu ou rejeté, avec une note
+   */
+  static resolveDispute = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Décision invalide',
+          errors: errors.array()
+        });
+      }
+
+      const sol = await this.loadSolAsOrganizer(req, res, 'Seul l\'organisateur peut trancher un litige');
+      if (!sol) return;
+
+      const { status, note } = req.body;
+      const dispute = disputeService.resolveDispute(sol, req.params.disputeId, req.user.userId, {
+        status,
+        note: note?.trim()
+      });
+      await this.persistDispute(sol, dispute, req.user.userId, { record: true });
+
+      await solNotifications.notifyDisputeUpdate(this.getDisputeAudience(sol, dispute, req.user.userId), {
+        solId: sol._id,
+        solName: sol.name,
+        roundNumber: dispute.roundNumber,
+        title: dispute.title,
+        status: dispute.status,
+        note: dispute.resolution.note
+      });
+
+      res.status(200).json({
+        success: true,
+        message: status === 'resolved' ? 'Litige résolu' : 'Litige rejeté',
+        data: { dispute },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur décision litige:', error.message);
+      this.sendSettlementError(res, error, 'Erreur lors de la décision sur le litige', 'dispute_resolve_error');
+    }
+  };
+
+  // ===================================================================
+  // CARNET DU SOL
+  // ===================================================================
+
+  /**
+   * Carnet signé d'un sol avec les noms de ses membres et de l'organisateur
+   */
+  static async buildLedger(sol) {
+    const userIds = [
+      sol.creator,
+      ...sol.participants.map(participant => participant.user._id || participant.user),
+      ...sol.rounds.flatMap(round => sol.getRoundRecipients(round).map(recipient => recipient.user))
+    ];
+    const names = await this.getMemberNames(userIds);
+    return ledgerService.buildSolLedger(sol, { names });
+  }
 
-      if (existingPayment) {
+  /**
+   * GET /api/sols/:id/ledger
+   * Carnet (kanè) du sol : grille membres × rounds des cotisations,
+   * mains versées, empreinte et signature ; JSON, CSV ou PDF
+   */
+  static getSolLedger = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Paiement déjà effectué pour ce round',
-          error: 'payment_already_made'
+          message: 'Paramètres invalides',
+          errors: errors.array()
         });
       }
 
-      const session = await mongoose.startSession();
-      await session.withTransaction(async () => {
-        // Débiter le compte
-        account.balance -= amount;
-        await account.save({ session });
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
 
-        // Ajouter le paiement au round
-        targetRound.payments.push({
-          payer: req.user.userId,
-          amount: amount,
-          date: new Date(),
-          status: 'completed',
-          notes: notes
-        });
+      const format = (req.query.format || 'json').toLowerCase();
+      const ledger = await this.buildLedger(sol);
 
-        // Créer la transaction
-        const transaction = new Transaction({
-          user: req.user.userId,
-          account: accountId,
-          type: 'expense',
-          category: 'sols',
-          subcategory: 'contribution',
-          amount: amount,
-          currency: sol.currency,
-          description: `Paiement Sol: ${sol.name} - Round ${targetRound.roundNumber}`,
-          date: new Date(),
-          isConfirmed: true,
-          metadata: {
-            solId: sol._id,
-            roundIndex: sol.rounds.indexOf(targetRound),
-            roundNumber: targetRound.roundNumber,
-            recipient: targetRound.recipient
-          },
-          tags: [
-            'sol_payment',
-            `sol_type_${sol.type}`,
-            `frequency_${sol.frequency}`,
-            `position_${participant.position}`
-          ]
+      if (format === 'json') {
+        return res.status(200).json({
+          success: true,
+          data: { ledger },
+          timestamp: new Date().toISOString()
         });
+      }
 
-        await transaction.save({ session });
-
-        // Vérifier si le round est terminé
-        if (targetRound.payments.length === sol.participants.length) {
-          targetRound.status = 'completed';
-          targetRound.completedDate = new Date();
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${ledgerService.buildLedgerFilename(ledger, format)}"`
+      );
+      res.setHeader('X-Ledger-Hash', ledger.hash);
+      res.setHeader('X-Ledger-Signature', ledger.signature);
 
-          const totalAmount = targetRound.payments.reduce((sum, p) => sum + p.amount, 0);
-          await this.transferToRecipient(sol, targetRound, totalAmount, session);
+      if (format === 'csv') {
+        ledgerService.writeLedgerCsv(ledger, res);
+      } else {
+        ledgerService.renderLedgerPdf(ledger, res);
+      }
 
-          // ✨ NOUVEAU : Notifier bénéficiaire - paiements complets
-          await solNotifications.notifyPaymentReceived(targetRound.recipient, {
-            solId: sol._id,
-            solName: sol.name,
-            amount: totalAmount,
-            payerName: 'Tous les participants',
-            turnNumber: targetRound.roundNumber,
-            totalReceived: totalAmount,
-            totalExpected: totalAmount
-          });
-          console.log(`✅ Notification paiement complet envoyée au bénéficiaire`);
-
-          // Activer le round suivant ou terminer le sol
-          const nextRoundIndex = sol.rounds.indexOf(targetRound) + 1;
-          if (sol.rounds[nextRoundIndex]) {
-            sol.rounds[nextRoundIndex].status = 'active';
-            sol.rounds[nextRoundIndex].startDate = new Date();
-          } else {
-            sol.status = 'completed';
-            sol.completedDate = new Date();
-            
-            // ✨ NOUVEAU : Notifier sol complété
-            await solNotifications.notifySolCompleted(sol);
-            console.log(`✅ Notifications sol complété envoyées`);
-          }
-        } else {
-          // ✨ NOUVEAU : Notifier bénéficiaire - paiement partiel
-          const payer = sol.participants.find(p => 
-            this.compareUserIds(p.user, req.user.userId)
-          );
-          
-          const totalReceived = targetRound.payments.reduce((sum, p) => sum + p.amount, 0);
-          const totalExpected = sol.contributionAmount * sol.participants.length;
-          
-          await solNotifications.notifyPaymentReceived(targetRound.recipient, {
-            solId: sol._id,
-            solName: sol.name,
-            amount: amount,
-            payerName: payer.user.firstName + ' ' + payer.user.lastName,
-            turnNumber: targetRound.roundNumber,
-            totalReceived: totalReceived,
-            totalExpected: totalExpected
-          });
-          console.log(`✅ Notification paiement partiel envoyée`);
-        }
+    } catch (error) {
+      console.error('❌ Erreur carnet sol:', error.message);
 
-        // Mettre à jour les métriques du sol
-        if (!sol.metrics) {
-          sol.metrics = {
-            totalCollected: 0,
-            completedRounds: 0,
-            successRate: 0,
-            avgPaymentDelay: 0,
-            participantRetention: 100
-          };
-        }
+      // Flux déjà entamé : impossible de renvoyer du JSON
+      if (res.headersSent) {
+        return res.end();
+      }
 
-        sol.metrics.totalCollected = (sol.metrics.totalCollected || 0) + amount;
-        sol.lastActivityDate = new Date();
-        await sol.save({ session });
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la génération du carnet',
+        error: 'sol_ledger_error'
       });
+    }
+  };
 
-      session.endSession();
+  /**
+   * POST /api/sols/:id/ledger/verify
+   * Vérifier l'empreinte et la signature relevées sur un carnet exporté
+   */
+  static verifySolLedger = async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Empreinte ou signature invalide',
+          errors: errors.array()
+        });
+      }
 
-      // Collecter analytics
-      await this.collectPaymentAnalytics(req.user.userId, sol, targetRound, amount);
+      const sol = await this.loadSolForSwap(req, res);
+      if (!sol) return;
+
+      const ledger = await this.buildLedger(sol);
+      const { hash, signature } = req.body;
+      const { signatureValid, matchesCurrent } = ledgerService.verifyLedger(ledger, {
+        hash: hash.toLowerCase(),
+        signature: signature.toLowerCase()
+      });
 
       res.status(200).json({
         success: true,
-        message: 'Paiement effectué avec succès',
+        message: !signatureValid
+          ? 'Ce carnet n\'a pas été émis par FinApp ou a été modifié'
+          : matchesCurrent
+            ? 'Carnet authentique et à jour'
+            : 'Carnet authentique, mais le sol a évolué depuis son édition',
         data: {
-          transaction: {
-            amount: amount,
-            round: targetRound.roundNumber,
-            recipient: targetRound.recipient,
-            date: new Date()
-          },
-          roundStatus: {
-            paymentsReceived: targetRound.payments.length,
-            paymentsExpected: sol.participants.length,
-            isComplete: targetRound.payments.length === sol.participants.length
-          },
-          solProgress: {
-            completedRounds: sol.rounds.filter(r => r.status === 'completed').length,
-            totalRounds: sol.rounds.length,
-            status: sol.status
-          }
+          signatureValid,
+          matchesCurrent,
+          currentHash: ledger.hash
         },
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
-      console.error('❌ Erreur paiement sol:', error.message);
-      console.error('Stack trace:', error.stack);
-
+      console.error('❌ Erreur vérification carnet:', error.message);
       res.status(500).json({
         success: false,
-        message: 'Erreur lors du paiement',
-        error: 'sol_payment_error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        message: 'Erreur lors de la vérification du carnet',
+        error: 'sol_ledger_verify_error'
       });
     }
   };
@@ -903,7 +3280,7 @@ class SolController {
 
       const solTransactions = await Transaction.find({
         user: req.user.userId,
-        category: 'sols',
+        category: 'sol',
         date: { $gte: startDate }
       });
 
@@ -984,26 +3361,21 @@ class SolController {
       } = req.query;
 
       const filter = {
-        status: 'recruiting',
-        isPrivate: false
+        type,
+        currency,
+        minAmount: minAmount ? parseInt(minAmount) : undefined,
+        maxAmount: maxAmount ? parseInt(maxAmount) : undefined,
+        region
       };
 
-      if (type) filter.type = type;
-      if (currency) filter.currency = currency;
-      if (minAmount) filter.contributionAmount = { $gte: parseInt(minAmount) };
-      if (maxAmount) {
-        filter.contributionAmount = filter.contributionAmount || {};
-        filter.contributionAmount.$lte = parseInt(maxAmount);
-      }
-
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const availableSols = await Sol.find(filter)
-        .populate('creator', 'firstName lastName region')
-        .populate('participants.user', 'firstName lastName')
-        .sort({ createdAt: -1, participantCount: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+      // Classement par fiabilité des membres (seuils des organisateurs respectés)
+      const { sols: availableSols, total, viewerReliability } = await Sol.findAvailableSols(filter, {
+        viewerId: req.user.userId,
+        skip,
+        limit: parseInt(limit)
+      });
 
       const userSols = await Sol.find({
         $or: [
@@ -1012,13 +3384,18 @@ class SolController {
         ]
       });
 
-      const scoredSols = availableSols.map(sol => {
-        const relevanceScore = this.calculateRelevanceScore(sol, userSols, req.user);
+      const scoredSols = availableSols.map(({ sol, reliability, viewerEligible }) => {
+        const relevanceScore = viewerEligible
+          ? this.calculateRelevanceScore(sol, userSols, req.user, reliability)
+          : 0;
 
         return {
           ...sol.toJSON(),
           relevanceScore,
-          spotsLeft: sol.maxParticipants - sol.participants.length,
+          reliability,
+          minReliabilityScore: sol.minReliabilityScore,
+          eligible: viewerEligible,
+          spotsLeft: sol.spotsLeft,
           estimatedStartDate: this.estimateStartDate(sol),
           compatibility: this.calculateCompatibility(sol, userSols),
           riskLevel: this.assessRiskLevel(sol)
@@ -1031,10 +3408,13 @@ class SolController {
         success: true,
         data: {
           sols: scoredSols,
+          yourReliability: viewerReliability
+            ? { score: viewerReliability.score, level: viewerReliability.level }
+            : null,
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
-            total: await Sol.countDocuments(filter)
+            total
           },
           filters: {
             availableTypes: await this.getAvailableTypes(),
@@ -1088,9 +3468,8 @@ class SolController {
         if (new Date(activeRound.endDate) < now) {
           // Trouver participants qui n'ont pas payé
           for (const participant of sol.participants) {
-            const hasPaid = activeRound.payments.some(p =>
-              this.compareUserIds(p.payer, participant.user._id)
-            );
+            // Un paiement déclaré en attente de vérification suspend la relance
+            const hasPaid = !!this.findActivePayment(activeRound, participant.user._id);
 
             if (!hasPaid) {
               const daysLate = Math.ceil((now - new Date(activeRound.endDate)) / (1000 * 60 * 60 * 24));
@@ -1216,17 +3595,29 @@ class SolController {
     return code;
   }
 
-  static generateRounds(maxParticipants, startDate, frequency) {
+  /**
+   * Générer le calendrier des rounds
+   * @param {Array} turns - Bénéficiaires dans l'ordre des mains [{ recipient, discount }]
+   */
+  static generateRounds(maxParticipants, startDate, frequency, contributionAmount, turns = []) {
     const rounds = [];
     let currentDate = new Date(startDate);
 
     for (let i = 0; i < maxParticipants; i++) {
+      const endDate = new Date(currentDate.getTime() + this.getFrequencyDuration(frequency));
+      // Paiement dû 7 jours après le début du round (sans dépasser sa fin)
+      const dueDate = new Date(Math.min(currentDate.getTime() + 7 * 24 * 60 * 60 * 1000, endDate.getTime()));
+
       rounds.push({
         roundNumber: i + 1,
         startDate: new Date(currentDate),
-        endDate: new Date(currentDate.getTime() + this.getFrequencyDuration(frequency)),
+        endDate,
+        dueDate,
         status: i === 0 ? 'pending' : 'scheduled',
-        recipient: null,
+        recipient: turns[i]?.recipient || null,
+        recipientShares: turns[i]?.recipientShares || [],
+        turnDiscount: turns[i]?.discount || 0,
+        expectedAmount: contributionAmount * maxParticipants,
         payments: []
       });
 
@@ -1286,51 +3677,41 @@ class SolController {
       sol.rounds.length - currentRound + userRound;
   }
 
-  static async transferToRecipient(sol, round, amount, session) {
-    try {
-      const recipientAccount = await Account.findOne({
-        user: round.recipient,
-        isPrimary: true,
-        isActive: true
-      }).session(session);
-
-      if (recipientAccount) {
-        recipientAccount.balance += amount;
-        await recipientAccount.save({ session });
-
-        const incomeTransaction = new Transaction({
-          user: round.recipient,
-          account: recipientAccount._id,
-          type: 'income',
-          category: 'sols',
-          subcategory: 'reception',
-          amount: amount,
-          currency: sol.currency,
-          description: `Réception Sol: ${sol.name} - Round ${round.roundNumber}`,
-          date: new Date(),
-          isConfirmed: true,
-          metadata: {
-            solId: sol._id,
-            roundIndex: sol.rounds.indexOf(round),
-            roundNumber: round.roundNumber,
-            contributors: round.payments.length
-          },
-          tags: [
-            'sol_reception',
-            `sol_type_${sol.type}`,
-            `round_${round.roundNumber}`
-          ]
-        });
-
-        await incomeTransaction.save({ session });
-        round.transferTransaction = incomeTransaction._id;
-      }
+  /**
+   * Paiement encore valable d'un membre pour un round (hors rejetés / échoués)
+   */
+  static findActivePayment(round, userId) {
+    return round.payments.find(p =>
+      this.compareUserIds(p.payer, userId) && !['rejected', 'failed'].includes(p.status)
+    );
+  }
 
-      return true;
-    } catch (error) {
-      console.error('❌ Erreur transfert bénéficiaire:', error.message);
-      throw error;
+  static buildExistingPaymentError(existingPayment) {
+    if (existingPayment.status === 'pending') {
+      return {
+        success: false,
+        message: 'Un paiement déclaré est déjà en attente de vérification pour ce round',
+        error: 'payment_pending_verification'
+      };
     }
+
+    return {
+      success: false,
+      message: 'Paiement déjà effectué pour ce round',
+      error: 'payment_already_made'
+    };
+  }
+
+  /**
+   * Clôturer un round dont tous les paiements sont vérifiés
+   * (versement, round suivant et journal délégués au cycle de vie)
+   * @param {Object} context - { session, trigger, actor }
+   * @returns {Boolean} - true si le round vient d'être clôturé
+   */
+  static async settleRoundIfComplete(sol, round, context = {}) {
+    if (round.status === 'completed' || !sol.isRoundFullyPaid(round)) return false;
+
+    return closeRound(sol, round, { ...context, reason: 'fully_paid' });
   }
 
   // ===================================================================
@@ -1758,7 +4139,7 @@ class SolController {
     return Math.min(score, 100);
   }
 
-  static calculateRelevanceScore(sol, userSols, user) {
+  static calculateRelevanceScore(sol, userSols, user, reliability = null) {
     let score = 0;
 
     const userTypes = userSols.map(s => s.type);
@@ -1768,6 +4149,11 @@ class SolController {
     if (sol.currency === 'HTG') score += 15;
     if (!sol.isPrivate) score += 10;
 
+    // Membres fiables : jusqu'à 25 points
+    if (reliability && reliability.averageScore != null) {
+      score += Math.round(reliability.averageScore / 4);
+    }
+
     return Math.min(score, 100);
   }
 
@@ -1823,11 +4209,77 @@ class SolController {
   }
 
   static regenerateRounds(sol) {
-    return this.generateRounds(sol.participants.length, sol.startDate, sol.frequency);
+    return this.generateRounds(
+      sol.maxParticipants, sol.startDate, sol.frequency, sol.contributionAmount, getTurnSequence(sol)
+    );
+  }
+
+  /**
+   * Admettre un membre (adhésion directe ou demande approuvée) : parts
+   * attribuées, bénéficiaires recalculés, démarrage si le sol est complet
+   * @returns {Promise<Boolean>} - true si le sol est désormais complet
+   */
+  static async admitMember(sol, userId, share, actorId) {
+    allocateHands(sol, userId, share, {
+      joinedAt: new Date(),
+      role: 'participant',
+      paymentStatus: 'pending'
+    });
+
+    // Bénéficiaires des rounds dans l'ordre d'arrivée
+    // (sinon attribués au tirage / à l'enchère)
+    if (sol.turnOrder.mode === 'fixed') {
+      sol.rounds = this.regenerateRounds(sol);
+    }
+
+    if (!sol.isFull) {
+      // ✨ NOUVEAU : Notifier nouveau participant
+      await sol.populate('participants.user', 'firstName lastName');
+      const newParticipant = sol.participants.find(p =>
+        this.compareUserIds(p.user._id || p.user, userId)
+      );
+
+      await solNotifications.notifyParticipantJoined(sol, {
+        user: newParticipant.user._id || userId,
+        name: newParticipant.user.firstName + ' ' + newParticipant.user.lastName
+      });
+      console.log(`✅ Notifications nouveau participant envoyées`);
+      return false;
+    }
+
+    // Plus aucune main libre : les demandes en attente ne peuvent aboutir
+    invitationService.cancelPendingJoinRequests(sol);
+
+    // Enchère : démarrage à la clôture par l'organisateur
+    if (sol.turnOrder.mode !== 'auction') {
+      await this.startSol(sol, actorId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Démarrer un sol complet : attribution des mains selon le mode,
+   * rounds régénérés avec leurs bénéficiaires, notifications
+   * @returns {Promise<Object>} - Attribution enregistrée dans l'historique
+   */
+  static async startSol(sol, actorId) {
+    const assignment = assignTurnOrder(sol, { actor: actorId });
+
+    sol.rounds = this.regenerateRounds(sol);
+    sol.status = 'active';
+    sol.actualStartDate = new Date();
+    await this.schedulePaymentNotifications(sol);
+
+    // ✨ NOUVEAU : Notifier démarrage sol
+    await solNotifications.notifySolStarted(sol);
+    console.log(`✅ Notifications démarrage sol envoyées`);
+
+    return assignment;
   }
 
   static estimateStartDate(sol) {
-    const spotsLeft = sol.maxParticipants - sol.participants.length;
+    const spotsLeft = Math.ceil(sol.spotsLeft);
     const estimatedDays = spotsLeft * 2;
     const estimatedDate = new Date();
     estimatedDate.setDate(estimatedDate.getDate() + estimatedDays);
@@ -1929,14 +4381,61 @@ SolController.validateCreateSol = [
 
   body('currency')
     .isIn(['HTG', 'USD'])
-    .withMessage('Devise non supportée')
+    .withMessage('Devise non supportée'),
+
+  body('gracePeriodDays')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Délai de grâce invalide (0 à 30 jours)'),
+
+  body('rules.*.penaltyAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Montant de pénalité invalide'),
+
+  body('requiresSwapApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresSwapApproval doit être un booléen'),
+
+  body('requiresApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresApproval doit être un booléen'),
+
+  body('minReliabilityScore')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Score de fiabilité minimum invalide (0 à 100)'),
+
+  body('turnOrderMode')
+    .optional()
+    .isIn(TURN_ORDER_MODES)
+    .withMessage('Mode d\'attribution des mains invalide (fixed, random, auction)')
 ];
 
 SolController.validateJoinSol = [
   body('accessCode')
+    .if(body('invitationToken').not().exists())
     .isLength({ min: 6, max: 6 })
     .isAlphanumeric()
-    .withMessage('Code d\'accès invalide (6 caractères alphanumériques)')
+    .withMessage('Code d\'accès invalide (6 caractères alphanumériques)'),
+
+  body('invitationToken')
+    .optional()
+    .isJWT()
+    .withMessage('Lien d\'invitation invalide'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Message trop long (max 200 caractères)'),
+
+  body('share')
+    .optional()
+    .isInt({ min: 10, max: 200 })
+    .withMessage('Part invalide (10 à 200, 50 = demi-main, 200 = deux mains)')
 ];
 
 SolController.validatePayment = [
@@ -1955,6 +4454,218 @@ SolController.validatePayment = [
     .withMessage('Notes trop longues (max 200 caractères)')
 ];
 
+SolController.validateExternalPayment = [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Montant invalide'),
+
+  body('paymentMethod')
+    .isIn(['cash', 'mobile_money', 'bank_transfer'])
+    .withMessage('Moyen de paiement invalide (cash, mobile_money, bank_transfer)'),
+
+  body('roundIndex')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Index de round invalide'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Référence trop longue (max 100 caractères)'),
+
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de paiement invalide')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('La date de paiement ne peut pas être dans le futur');
+      }
+      return true;
+    }),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Notes trop longues (max 200 caractères)')
+];
+
+SolController.validateWaivePenalty = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Motif trop long (max 200 caractères)')
+];
+
+SolController.validateTurnBids = [
+  body('bids')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Au moins une offre requise (max 20)'),
+
+  body('bids.*.roundNumber')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Numéro de round invalide'),
+
+  body('bids.*.discount')
+    .isFloat({ min: 0 })
+    .withMessage('Remise invalide')
+];
+
+SolController.validateSwapRequest = [
+  body('targetUserId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID du membre ciblé invalide'),
+
+  body('roundNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Numéro de round invalide'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Message trop long (max 200 caractères)')
+];
+
+SolController.validateInvitation = [
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Nombre d\'utilisations invalide (1 à 500)'),
+
+  body('singleUse')
+    .optional()
+    .isBoolean()
+    .withMessage('singleUse doit être un booléen'),
+
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Durée de validité invalide (1 à 720 heures)'),
+
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Libellé trop long (max 60 caractères)')
+];
+
+SolController.validateRejectJoinRequest = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Motif trop long (max 200 caractères)')
+];
+
+SolController.validateReliabilityConsent = [
+  body('share')
+    .isBoolean()
+    .withMessage('share doit être un booléen')
+];
+
+SolController.validateAcceptSwap = [
+  body('roundNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Numéro de round invalide')
+];
+
+SolController.validateRejectSwap = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Motif trop long (max 200 caractères)')
+];
+
+SolController.validateDissolveSol = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Motif de dissolution requis (10 à 200 caractères)'),
+
+  body('createDebts')
+    .optional()
+    .isBoolean()
+    .withMessage('createDebts doit être un booléen'),
+
+  body('debtDueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'échéance invalide')
+];
+
+SolController.validateDispute = [
+  body('roundNumber')
+    .isInt({ min: 1 })
+    .withMessage('Numéro de round invalide'),
+
+  body('category')
+    .optional()
+    .isIn(disputeService.DISPUTE_CATEGORIES)
+    .withMessage('Catégorie de litige invalide'),
+
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Titre requis (3 à 100 caractères)'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description trop longue (max 1000 caractères)')
+];
+
+SolController.validateDisputeComment = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Commentaire requis (max 500 caractères)')
+];
+
+SolController.validateResolveDispute = [
+  body('status')
+    .isIn(['resolved', 'rejected'])
+    .withMessage('Décision invalide (resolved ou rejected)'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note trop longue (max 500 caractères)')
+];
+
+SolController.validateLedgerQuery = [
+  query('format')
+    .optional()
+    .isIn(ledgerService.CONFIG.FORMATS)
+    .withMessage('Format invalide (json, csv ou pdf)')
+];
+
+SolController.validateLedgerVerification = [
+  body('hash')
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('Empreinte SHA-256 invalide (64 caractères hexadécimaux)'),
+
+  body('signature')
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('Signature invalide (64 caractères hexadécimaux)')
+];
+
+SolController.validateRejectPayment = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Motif de rejet requis (3 à 200 caractères)')
+];
+
 // ============================================================================
 // VALIDATIONS POUR LES NOUVELLES ROUTES
 // ============================================================================
@@ -4,14 +4,56 @@ const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
 const Budget = require('../models/Budget');
+const {
+  updateAccountBalance,
+  buildTransactionLedger,
+  applyTransactionEffects,
+  findTransferLegs,
+  reverseTransactionEffects,
+  trackExpenseLines,
+  untrackExpenseLines,
+  buildTransferDetails
+} = require('../services/transactionService');
+const {
+  parseStatement,
+  detectFormat,
+  buildImportPreview,
+  commitImport
+} = require('../services/statementImportService');
+const {
+  SMS_PARSERS,
+  parseSmsMessages,
+  createDraftsFromSms,
+  reconcileWithSmsBalance
+} = require('../services/smsParserService');
+const {
+  EXPORT_FORMATS,
+  buildExportFilename,
+  streamTransactionsCsv,
+  streamTransactionsXlsx,
+  renderStatementPdf
+} = require('../services/exportService');
+const {
+  storeFile,
+  sendStoredFile,
+  removeStoredFile
+} = require('../services/fileStorageService');
+const { getLockedFieldChanges } = require('../services/reconciliationService');
+const { startOfMonth, endOfMonth, startOfDay, endOfDay } = require('../utils/dateUtils');
 const { 
   TRANSACTION_CATEGORIES, 
   TRANSACTION_TYPES, 
   CURRENCIES,
+  HAITI_BANKS,
   QUICK_TRANSACTION_TEMPLATES,
+  FILE_STORAGE,
+  LIMITS,
   DEFAULTS 
 } = require('../utils/constants');
 
+// Fréquences acceptées pour les séries récurrentes
+const RECURRING_TYPES = Transaction.schema.path('recurringType').enumValues;
+
 /**
  * Controllers CRUD transactions avec analytics intégrés
  * Utilise middleware auth pour protection routes et req.user injection
@@ -74,52 +116,84 @@ const sanitizeTransactionData = (transaction) => {
 };
 
 /**
- * Mettre à jour solde compte après transaction
- * @param {Object} account - Compte à mettre à jour
- * @param {Number} amount - Montant (positif pour crédit, négatif pour débit)
- * @param {String} description - Description pour historique
- */
-const updateAccountBalance = async (account, amount, description) => {
-  try {
-    await account.updateBalance(amount, description);
-  } catch (error) {
-    console.error('❌ Erreur mise à jour solde:', error.message);
-    throw new Error('Erreur lors de la mise à jour du solde du compte');
-  }
-};
-
-/**
- * Mettre à jour budget après transaction
+ * Construire la query MongoDB depuis les filtres de liste
+ * Partagée entre la liste paginée et les exports
  * @param {String} userId - ID utilisateur
- * @param {String} category - Catégorie transaction
- * @param {Number} amount - Montant dépense
+ * @param {Object} filters - { account, category, type, startDate, endDate, search }
+ * @returns {Object} - Query MongoDB
  */
-const updateBudgetTracking = async (userId, category, amount) => {
-  try {
-    // Trouver budget actif pour cette catégorie
-    const activeBudget = await Budget.findOne({
-      user: userId,
-      isActive: true,
-      'categories.category': category
-    });
-    
-    if (activeBudget) {
-      const alertResult = await activeBudget.addExpense(category, amount);
-      return alertResult;
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('❌ Erreur mise à jour budget:', error.message);
-    // Ne pas faire échouer la transaction si le budget fail
-    return null;
+const buildTransactionQuery = (userId, filters = {}) => {
+  const { account: accountId, category, type, startDate, endDate, search } = filters;
+  const query = { user: userId };
+  
+  if (accountId) query.account = accountId;
+  if (category) query.category = category;
+  if (type) query.type = type;
+  
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  
+  if (search) {
+    query.$or = [
+      { description: { $regex: search, $options: 'i' } },
+      { notes: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } }
+    ];
   }
+  
+  return query;
 };
 
 // ===================================================================
 // RÈGLES DE VALIDATION
 // ===================================================================
 
+/**
+ * Vérifier si la requête contient une ventilation par catégories
+ * @param {Object} body - Corps de la requête
+ * @returns {Boolean}
+ */
+const hasSplits = (body) => Array.isArray(body.splits) && body.splits.length > 0;
+
+/**
+ * Règles validation ventilation (lignes de catégories)
+ * La cohérence des montants est vérifiée par le modèle
+ */
+const splitsValidation = [
+  body('splits')
+    .optional()
+    .isArray()
+    .withMessage('La ventilation doit être une liste de lignes'),
+
+  body('splits.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Le montant de chaque ligne doit être positif'),
+
+  body('splits.*.category')
+    .isIn(Object.keys(TRANSACTION_CATEGORIES))
+    .withMessage('Catégorie de ligne non valide'),
+
+  body('splits.*.subcategory')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('La sous-catégorie ne peut pas dépasser 50 caractères'),
+
+  body('splits.*.budgetCategory')
+    .optional()
+    .isIn(Object.keys(TRANSACTION_CATEGORIES))
+    .withMessage('Catégorie de budget non valide'),
+
+  body('splits.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La note ne peut pas dépasser 200 caractères')
+];
+
 /**
  * Règles validation création transaction
  */
@@ -144,11 +218,14 @@ const createTransactionValidation = [
     .withMessage('La description doit contenir entre 2 et 200 caractères'),
     
   body('category')
+    .if((value, { req }) => !hasSplits(req.body))
     .notEmpty()
     .withMessage('La catégorie est requise')
     .isIn(Object.keys(TRANSACTION_CATEGORIES))
     .withMessage('Catégorie non valide'),
     
+  ...splitsValidation,
+    
   body('account')
     .notEmpty()
     .withMessage('Le compte est requis')
@@ -169,7 +246,45 @@ const createTransactionValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('La sous-catégorie ne peut pas dépasser 50 caractères')
+    .withMessage('La sous-catégorie ne peut pas dépasser 50 caractères'),
+
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring doit être un booléen'),
+
+  body('recurringType')
+    .if(body('isRecurring').equals('true'))
+    .notEmpty()
+    .withMessage('Le type de récurrence est requis')
+    .isIn(RECURRING_TYPES)
+    .withMessage('Type de récurrence invalide'),
+
+  body('recurringEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Format de date de fin invalide'),
+
+  body('exchangeRate')
+    .optional()
+    .isFloat({ min: 0.0001 })
+    .withMessage('Le taux de change doit être positif'),
+
+  body('destinationAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Le montant reçu doit être positif'),
+
+  body('transferFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les frais doivent être positifs'),
+
+  body('fxProvider')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Le nom du changeur ne peut pas dépasser 100 caractères')
 ];
 
 /**
@@ -192,6 +307,8 @@ const updateTransactionValidation = [
     .isIn(Object.keys(TRANSACTION_CATEGORIES))
     .withMessage('Catégorie non valide'),
     
+  ...splitsValidation,
+    
   body('date')
     .optional()
     .isISO8601()
@@ -219,13 +336,21 @@ const createTransaction = [
         description,
         category,
         subcategory,
+        splits,
         account: accountId,
         toAccount: toAccountId,
         date,
         tags,
         notes,
         location,
-        templateUsed
+        templateUsed,
+        isRecurring,
+        recurringType,
+        recurringEndDate,
+        exchangeRate,
+        destinationAmount,
+        transferFee,
+        fxProvider
       } = req.body;
 
       // 1. Vérifier que le compte appartient à l'utilisateur
@@ -244,7 +369,18 @@ const createTransaction = [
         });
       }
 
-      // 2. Vérifier limites de transaction selon le type
+      // 2. Vérifier la ventilation avant tout mouvement de solde
+      const splitError = Transaction.validateSplits(splits, parseFloat(amount), type);
+      if (splitError) {
+        return res.status(400).json({
+          success: false,
+          message: splitError,
+          error: 'invalid_splits',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // 2b. Vérifier limites de transaction selon le type
       const transactionAmount = type === TRANSACTION_TYPES.EXPENSE ? -amount : amount;
       
       if (type === TRANSACTION_TYPES.EXPENSE && !account.canProcessTransaction(transactionAmount)) {
@@ -260,6 +396,7 @@ const createTransaction = [
 
       // 3. Traitement spécial pour les transferts
       let toAccount = null;
+      let transferDetails = {};
       if (type === TRANSACTION_TYPES.TRANSFER) {
         if (!toAccountId) {
           return res.status(400).json({
@@ -293,6 +430,38 @@ const createTransaction = [
             timestamp: new Date().toISOString()
           });
         }
+
+        // Montant reçu dans la devise du destinataire, taux appliqué et frais
+        try {
+          transferDetails = await buildTransferDetails(account, toAccount, {
+            amount,
+            exchangeRate,
+            destinationAmount,
+            transferFee,
+            provider: fxProvider?.trim(),
+            date
+          });
+        } catch (error) {
+          if (error.code !== 'missing_exchange_rate') throw error;
+
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+            error: 'missing_exchange_rate',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Le compte source doit couvrir montant + frais
+        if (!account.canProcessTransaction(-(parseFloat(amount) + transferDetails.transferFee))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Transfert refusé : solde insuffisant pour le montant et les frais',
+            error: 'insufficient_funds',
+            currentBalance: account.currentBalance,
+            timestamp: new Date().toISOString()
+          });
+        }
       }
 
       // 4. Créer la transaction
@@ -304,6 +473,7 @@ const createTransaction = [
         description: description.trim(),
         category,
         subcategory: subcategory?.trim(),
+        splits: hasSplits(req.body) ? splits : [],
         date: date ? new Date(date) : new Date(),
         tags: tags || [],
         notes: notes?.trim(),
@@ -314,32 +484,21 @@ const createTransaction = [
 
       if (toAccount) {
         newTransactionData.toAccount = toAccountId;
+        Object.assign(newTransactionData, transferDetails);
+      }
+
+      // Série récurrente : cette transaction devient le modèle (1ère occurrence)
+      if (isRecurring === true || isRecurring === 'true') {
+        newTransactionData.isRecurring = true;
+        newTransactionData.recurringType = recurringType;
+        if (recurringEndDate) newTransactionData.recurringEndDate = new Date(recurringEndDate);
       }
 
       const transaction = new Transaction(newTransactionData);
       await transaction.save();
 
-      // 5. Mettre à jour le solde du compte source
-      await updateAccountBalance(
-        account, 
-        transactionAmount, 
-        `Transaction: ${description}`
-      );
-
-      // 6. Pour les transferts, créer transaction inverse et mettre à jour compte destinataire
-      if (type === TRANSACTION_TYPES.TRANSFER && toAccount) {
-        await transaction.createTransferCounterpart({ name: account.name });
-        await updateAccountBalance(
-          toAccount, 
-          amount, 
-          `Transfert depuis ${account.name}`
-        );
-      }
-
-      // 7. Mettre à jour tracking budget (pour les dépenses seulement)
-      if (type === TRANSACTION_TYPES.EXPENSE) {
-        await updateBudgetTracking(userId, category, amount);
-      }
+      // 5-7. Solde compte source, contrepartie transfert et tracking budget
+      await applyTransactionEffects(transaction, { account, toAccount });
 
       // 8. Populer la transaction pour la réponse
       const populatedTransaction = await Transaction.findById(transaction._id)
@@ -403,25 +562,7 @@ const getUserTransactions = async (req, res) => {
     } = req.query;
 
     // Construire la query
-    const query = { user: userId };
-    
-    if (accountId) query.account = accountId;
-    if (category) query.category = category;
-    if (type) query.type = type;
-    
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
-    
-    if (search) {
-      query.$or = [
-        { description: { $regex: search, $options: 'i' } },
-        { notes: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+    const query = buildTransactionQuery(userId, req.query);
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -568,6 +709,13 @@ const getTransactionById = async (req, res) => {
   }
 };
 
+// Champs modifiables par le client : compte, type, transfert, rapprochement,
+// import et récurrence sont gérés par leurs propres endpoints
+const UPDATABLE_FIELDS = [
+  'amount', 'description', 'category', 'subcategory', 'splits', 'date',
+  'tags', 'notes', 'location', 'paymentMethod', 'merchant', 'isConfirmed'
+];
+
 /**
  * Mettre à jour une transaction
  * PUT /api/transactions/:transactionId
@@ -580,7 +728,10 @@ const updateTransaction = [
     try {
       const userId = req.user.userId;
       const { transactionId } = req.params;
-      const updateData = req.body;
+      const updateData = UPDATABLE_FIELDS.reduce((data, field) => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+        return data;
+      }, {});
 
       // Trouver la transaction
       const transaction = await Transaction.findOne({
@@ -597,35 +748,113 @@ const updateTransaction = [
         });
       }
 
-      // Empêcher modification de certains champs critiques
-      const forbiddenFields = ['user', 'account', 'type', 'transferId'];
-      forbiddenFields.forEach(field => delete updateData[field]);
-
-      // Gestion spéciale pour changement de montant
-      if (updateData.amount && updateData.amount !== transaction.amount) {
-        const oldAmount = transaction.type === TRANSACTION_TYPES.EXPENSE ? 
-          -transaction.amount : transaction.amount;
-        const newAmount = transaction.type === TRANSACTION_TYPES.EXPENSE ? 
-          -updateData.amount : updateData.amount;
-        
-        const difference = newAmount - oldAmount;
-        
-        // Mettre à jour solde compte
-        await updateAccountBalance(
-          transaction.account,
-          difference,
-          `Correction transaction: ${transaction.description}`
-        );
+      // Transaction rapprochée : montant, date et ventilation verrouillés
+      const lockedChanges = getLockedFieldChanges(transaction, updateData);
+      if (lockedChanges.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transaction rapprochée avec un relevé : ces champs ne peuvent plus être modifiés',
+          error: 'transaction_reconciled',
+          details: {
+            lockedFields: lockedChanges,
+            reconciliationId: transaction.reconciliation,
+            reconciledDate: transaction.reconciledDate
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Ventilation : vérifier contre le montant final avant de toucher au solde
+      const finalAmount = updateData.amount ? parseFloat(updateData.amount) : transaction.amount;
+      const finalSplits = updateData.splits !== undefined ? updateData.splits : transaction.splits;
+      const splitError = Transaction.validateSplits(finalSplits, finalAmount, transaction.type);
+
+      if (splitError) {
+        return res.status(400).json({
+          success: false,
+          message: splitError,
+          error: 'invalid_splits',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const amountChanged = updateData.amount !== undefined && finalAmount !== transaction.amount;
+
+      // Ventilation ou catégorie modifiée : les lignes budget imputées changent aussi
+      const budgetLinesChanged = transaction.type === TRANSACTION_TYPES.EXPENSE && !amountChanged && (
+        updateData.splits !== undefined ||
+        (updateData.category !== undefined && updateData.category !== transaction.category)
+      );
+      const previousLines = budgetLinesChanged ? Transaction.getCategoryLines(transaction) : null;
+
+      // Contrepartie ou frais d'un transfert : le montant se corrige sur le transfert d'origine
+      if (amountChanged && transaction.transferId && transaction.type !== TRANSACTION_TYPES.TRANSFER) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cette transaction fait partie d\'un transfert : modifiez le transfert d\'origine',
+          error: 'transfer_leg_locked',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const applyUpdates = (doc) => {
+        Object.assign(doc, updateData);
+        if (updateData.description) doc.description = updateData.description.trim();
+        if (updateData.subcategory) doc.subcategory = updateData.subcategory.trim();
+        if (updateData.notes) doc.notes = updateData.notes.trim();
+      };
+
+      // Valider les modifications sur une copie avant de toucher aux soldes
+      const candidate = Transaction.hydrate(transaction.toObject({ depopulate: true }));
+      applyUpdates(candidate);
+      try {
+        await candidate.validate();
+      } catch (validationError) {
+        if (validationError.name !== 'ValidationError') throw validationError;
+        return res.status(400).json({
+          success: false,
+          message: 'Erreur de validation des données',
+          error: 'validation_error',
+          details: validationError.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Changement de montant : annuler toutes les jambes appliquées, puis réappliquer
+      let toAccount = null;
+      if (amountChanged) {
+        if (transaction.type === TRANSACTION_TYPES.TRANSFER && transaction.toAccount) {
+          toAccount = await Account.findOne({ _id: transaction.toAccount, user: userId });
+        }
+
+        const legs = await findTransferLegs(transaction);
+        await reverseTransactionEffects(transaction, legs, `Correction transaction: ${transaction.description}`);
+        await Transaction.deleteMany({ _id: { $in: legs.map(leg => leg._id) } });
       }
 
       // Mettre à jour la transaction
-      Object.assign(transaction, updateData);
-      if (updateData.description) transaction.description = updateData.description.trim();
-      if (updateData.subcategory) transaction.subcategory = updateData.subcategory.trim();
-      if (updateData.notes) transaction.notes = updateData.notes.trim();
+      applyUpdates(transaction);
+
+      // Transfert : montant reçu recalculé au taux appliqué d'origine
+      if (amountChanged && toAccount) {
+        Object.assign(transaction, await buildTransferDetails(transaction.account, toAccount, {
+          amount: finalAmount,
+          exchangeRate: transaction.exchangeRate,
+          transferFee: transaction.transferFee,
+          provider: transaction.fx?.provider,
+          date: transaction.date
+        }));
+      }
 
       await transaction.save();
 
+      if (amountChanged) {
+        await applyTransactionEffects(transaction, { account: transaction.account, toAccount });
+      } else if (budgetLinesChanged) {
+        await untrackExpenseLines(userId, previousLines);
+        await trackExpenseLines(userId, Transaction.getCategoryLines(transaction));
+      }
+
       // Populer pour la réponse
       const updatedTransaction = await Transaction.findById(transaction._id)
         .populate('account', 'name bankName type')
@@ -681,19 +910,49 @@ const deleteTransaction = async (req, res) => {
       });
     }
 
+    if (transaction.isReconciled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transaction rapprochée avec un relevé : suppression impossible',
+        error: 'transaction_reconciled',
+        details: {
+          reconciliationId: transaction.reconciliation,
+          reconciledDate: transaction.reconciledDate
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     if (permanent) {
       // Suppression définitive (admin seulement en production)
-      // Reverser le solde du compte
-      const reversalAmount = transaction.type === TRANSACTION_TYPES.EXPENSE ? 
-        transaction.amount : -transaction.amount;
-      
-      await updateAccountBalance(
-        transaction.account,
-        reversalAmount,
-        `Suppression transaction: ${transaction.description}`
-      );
+      // Jambe d'un transfert : c'est tout le transfert qui est supprimé
+      const source = transaction.transferId && transaction.type !== TRANSACTION_TYPES.TRANSFER
+        ? await Transaction.findOne({
+          user: userId,
+          transferId: transaction.transferId,
+          type: TRANSACTION_TYPES.TRANSFER
+        }).populate('account')
+        : null;
+      const root = source || transaction;
+      const legs = await findTransferLegs(root);
+      const removed = [root, ...legs];
+
+      if (removed.some(item => item.isReconciled)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Une partie de ce transfert est rapprochée avec un relevé : suppression impossible',
+          error: 'transaction_reconciled',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Reverser chaque jambe appliquée (source, destinataire, frais) et les budgets
+      await reverseTransactionEffects(root, legs, `Suppression transaction: ${root.description}`);
 
-      await Transaction.findByIdAndDelete(transactionId);
+      await Transaction.deleteMany({ _id: { $in: removed.map(item => item._id) } });
+      for (const item of removed) {
+        await removeStoredFile(item.toObject().receipt);
+      }
 
       res.status(200).json({
         success: true,
@@ -764,14 +1023,16 @@ const getCategoryAnalytics = async (req, res) => {
       if (endDate) matchStage.date.$lte = new Date(endDate);
     }
 
+    // Une entrée par ligne : les transactions ventilées comptent dans chaque catégorie
     const analytics = await Transaction.aggregate([
       { $match: matchStage },
+      ...Transaction.categoryLinesStages(),
       {
         $group: {
-          _id: '$category',
-          totalAmount: { $sum: '$amount' },
+          _id: '$line.category',
+          totalAmount: { $sum: '$line.amount' },
           transactionCount: { $sum: 1 },
-          avgAmount: { $avg: '$amount' },
+          avgAmount: { $avg: '$line.amount' },
           lastTransaction: { $max: '$date' }
         }
       },
@@ -784,7 +1045,12 @@ const getCategoryAnalytics = async (req, res) => {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$category', '$$category'] },
+                    {
+                      $or: [
+                        { $eq: ['$category', '$$category'] },
+                        { $in: ['$$category', { $ifNull: ['$splits.category', []] }] }
+                      ]
+                    },
                     { $eq: ['$user', new mongoose.Types.ObjectId(userId)] }
                   ]
                 }
@@ -841,6 +1107,110 @@ const getCategoryAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * Écart de change payé par banque / changeur
+ * GET /api/transactions/analytics/fx-spread
+ * @access Private (authentification requise)
+ */
+const getFxSpreadReport = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { startDate, endDate, groupBy = 'month' } = req.query;
+
+    if (!['month', 'week'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Regroupement invalide (month ou week)',
+        error: 'invalid_group_by',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // 12 derniers mois par défaut
+    const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear() - 1, new Date().getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const rows = await Transaction.getFxSpreadReport(userId, {
+      startDate: start,
+      endDate: end,
+      groupBy
+    });
+
+    // Totaux par banque / changeur sur toute la période
+    const providers = {};
+    rows.forEach(row => {
+      const provider = row._id.provider;
+      if (!providers[provider]) {
+        providers[provider] = {
+          provider,
+          providerInfo: HAITI_BANKS[provider] || null,
+          conversions: 0,
+          volumeHTG: 0,
+          spreadCostHTG: 0,
+          feesHTG: 0
+        };
+      }
+
+      providers[provider].conversions += row.conversions;
+      providers[provider].volumeHTG += row.volumeHTG;
+      providers[provider].spreadCostHTG += row.spreadCostHTG;
+      providers[provider].feesHTG += row.feesHTG;
+    });
+
+    const byProvider = Object.values(providers)
+      .map(entry => ({
+        ...entry,
+        spreadPercentage: entry.volumeHTG > 0
+          ? Math.round((entry.spreadCostHTG / entry.volumeHTG) * 10000) / 100
+          : 0,
+        totalCostPercentage: entry.volumeHTG > 0
+          ? Math.round(((entry.spreadCostHTG + entry.feesHTG) / entry.volumeHTG) * 10000) / 100
+          : 0
+      }))
+      .sort((a, b) => a.totalCostPercentage - b.totalCostPercentage);
+
+    const timeline = rows.map(row => ({
+      period: row._id.period,
+      provider: row._id.provider,
+      conversions: row.conversions,
+      volumeHTG: Math.round(row.volumeHTG * 100) / 100,
+      spreadCostHTG: Math.round(row.spreadCostHTG * 100) / 100,
+      feesHTG: Math.round(row.feesHTG * 100) / 100,
+      avgAppliedRate: row.avgAppliedRate,
+      avgReferenceRate: row.avgReferenceRate,
+      spreadPercentage: Math.round(row.spreadPercentage * 100) / 100,
+      totalCostPercentage: Math.round(row.totalCostPercentage * 100) / 100
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        byProvider,
+        timeline,
+        cheapestProvider: byProvider[0]?.provider || null,
+        summary: {
+          conversions: byProvider.reduce((sum, p) => sum + p.conversions, 0),
+          volumeHTG: byProvider.reduce((sum, p) => sum + p.volumeHTG, 0),
+          spreadCostHTG: byProvider.reduce((sum, p) => sum + p.spreadCostHTG, 0),
+          feesHTG: byProvider.reduce((sum, p) => sum + p.feesHTG, 0),
+          period: { startDate: start, endDate: end, groupBy }
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur getFxSpreadReport:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du calcul du rapport de change',
+      error: 'fx_report_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 /**
  * Statistiques mensuelles
  * GET /api/transactions/analytics/monthly
@@ -1074,6 +1444,7 @@ const duplicateTransaction = async (req, res) => {
     delete duplicateData.transferId;
     delete duplicateData.isReconciled;
     delete duplicateData.reconciledDate;
+    delete duplicateData.reconciliation;
 
     const newTransaction = new Transaction(duplicateData);
     await newTransaction.save();
@@ -1138,7 +1509,8 @@ const confirmTransaction = async (req, res) => {
     await updateAccountBalance(
       transaction.account,
       transactionAmount,
-      `Confirmation: ${transaction.description}`
+      `Confirmation: ${transaction.description}`,
+      buildTransactionLedger(transaction)
     );
 
     res.status(200).json({
@@ -1163,21 +1535,22 @@ const confirmTransaction = async (req, res) => {
 };
 
 /**
- * Ajouter un reçu à une transaction
- * POST /api/transactions/:transactionId/receipt
+ * Ajouter ou remplacer le reçu d'une transaction
+ * POST /api/transactions/:transactionId/receipt (multipart "file")
+ * Un lien externe reste accepté via body { receiptUrl }
  * @access Private (authentification requise + ownership)
  */
 const addReceipt = async (req, res) => {
   try {
     const userId = req.user.userId;
     const { transactionId } = req.params;
-    const { receiptUrl, originalName, size, publicId } = req.body;
+    const { receiptUrl, originalName } = req.body;
 
-    if (!receiptUrl) {
+    if (!req.file && !receiptUrl) {
       return res.status(400).json({
         success: false,
-        message: 'URL du reçu requise',
-        error: 'missing_receipt_url',
+        message: 'Fichier du reçu requis (champ "file")',
+        error: 'missing_receipt_file',
         timestamp: new Date().toISOString()
       });
     }
@@ -1196,13 +1569,20 @@ const addReceipt = async (req, res) => {
       });
     }
 
-    // Ajouter le reçu
-    await transaction.addReceipt({
-      url: receiptUrl,
-      publicId,
-      originalName,
-      size
-    });
+    const receipt = req.file
+      ? await storeFile(req.file, {
+        folder: FILE_STORAGE.FOLDERS.TRANSACTION_RECEIPTS,
+        userId,
+        downloadPath: `/api/transactions/${transactionId}/receipt`
+      })
+      : { url: receiptUrl, originalName };
+
+    const previousReceipt = transaction.toObject().receipt;
+
+    await transaction.addReceipt(receipt);
+
+    // Remplacement : l'ancien fichier n'est plus référencé
+    await removeStoredFile(previousReceipt);
 
     res.status(200).json({
       success: true,
@@ -1216,6 +1596,15 @@ const addReceipt = async (req, res) => {
   } catch (error) {
     console.error('❌ Erreur addReceipt:', error.message);
 
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Erreur lors de l\'ajout du reçu',
@@ -1225,6 +1614,93 @@ const addReceipt = async (req, res) => {
   }
 };
 
+/**
+ * Télécharger le reçu d'une transaction (ou sa miniature)
+ * GET /api/transactions/:transactionId/receipt?variant=thumbnail
+ * @access Private (authentification requise + ownership)
+ */
+const downloadReceipt = async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      user: req.user.userId
+    }).select('receipt');
+
+    if (!transaction || !transaction.receipt || !transaction.receipt.url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reçu non trouvé',
+        error: 'receipt_not_found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await sendStoredFile(res, transaction.toObject().receipt, {
+      variant: req.query.variant,
+      inline: req.query.inline === 'true'
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur downloadReceipt:', error.message);
+
+    if (res.headersSent) return res.end();
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erreur lors du téléchargement du reçu',
+      error: error.code || 'receipt_download_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Supprimer le reçu d'une transaction
+ * DELETE /api/transactions/:transactionId/receipt
+ * @access Private (authentification requise + ownership)
+ */
+const deleteReceipt = async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      user: req.user.userId
+    });
+
+    if (!transaction || !transaction.receipt || !transaction.receipt.url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reçu non trouvé',
+        error: 'receipt_not_found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const receipt = transaction.toObject().receipt;
+
+    await transaction.removeReceipt();
+    await removeStoredFile(receipt);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reçu supprimé',
+      data: {
+        transaction: sanitizeTransactionData(transaction)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur deleteReceipt:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la suppression du reçu',
+      error: 'receipt_delete_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 /**
  * Ajouter localisation à une transaction
  * PUT /api/transactions/:transactionId/location
@@ -1289,6 +1765,862 @@ const addLocation = async (req, res) => {
   }
 };
 
+// ===================================================================
+// TRANSACTIONS RÉCURRENTES
+// ===================================================================
+
+/**
+ * Trouver une série récurrente appartenant à l'utilisateur
+ * @param {String} seriesId - ID de la transaction modèle
+ * @param {String} userId - ID utilisateur
+ * @returns {Object|null} - Transaction modèle
+ */
+const findUserRecurringSeries = (seriesId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) return null;
+
+  return Transaction.findOne({
+    _id: seriesId,
+    user: userId,
+    isRecurring: true
+  });
+};
+
+/**
+ * Réponse 404 commune aux endpoints de séries
+ */
+const recurringSeriesNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Série récurrente non trouvée',
+  error: 'recurring_series_not_found',
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Règles validation modification des occurrences futures
+ */
+const updateRecurringSeriesValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Le montant doit être positif'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('La description doit contenir entre 2 et 200 caractères'),
+
+  body('category')
+    .optional()
+    .isIn(Object.keys(TRANSACTION_CATEGORIES))
+    .withMessage('Catégorie non valide'),
+
+  body('account')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de compte invalide'),
+
+  body('recurringType')
+    .optional()
+    .isIn(RECURRING_TYPES)
+    .withMessage('Type de récurrence invalide'),
+
+  body('recurringEndDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Format de date de fin invalide')
+];
+
+/**
+ * Lister les séries récurrentes de l'utilisateur
+ * GET /api/transactions/recurring
+ * @access Private (authentification requise)
+ */
+const getRecurringSeries = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { status } = req.query;
+
+    const query = { user: userId, isRecurring: true };
+    if (status) query.recurringStatus = status;
+
+    const series = await Transaction.find(query)
+      .populate('account', 'name bankName type currency')
+      .populate('toAccount', 'name bankName type')
+      .sort({ nextOccurrenceDate: 1, date: -1 });
+
+    const seriesData = series.map(item => ({
+      ...sanitizeTransactionData(item),
+      upcoming: item.getOccurrenceData()
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series: seriesData,
+        totals: {
+          total: series.length,
+          active: series.filter(s => s.recurringStatus === 'active').length,
+          paused: series.filter(s => s.recurringStatus === 'paused').length
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur getRecurringSeries:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération des séries récurrentes',
+      error: 'recurring_fetch_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Détails d'une série récurrente avec ses occurrences
+ * GET /api/transactions/recurring/:seriesId
+ * @access Private (authentification requise + ownership)
+ */
+const getRecurringSeriesById = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { seriesId } = req.params;
+
+    const series = await findUserRecurringSeries(seriesId, userId);
+    if (!series) return recurringSeriesNotFound(res);
+
+    const occurrences = await Transaction.find({ parentRecurring: series._id, user: userId })
+      .populate('account', 'name bankName type')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series: {
+          ...sanitizeTransactionData(series),
+          upcoming: series.getOccurrenceData()
+        },
+        occurrences: occurrences.map(sanitizeTransactionData)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur getRecurringSeriesById:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la récupération de la série',
+      error: 'recurring_fetch_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Mettre une série en pause
+ * PUT /api/transactions/recurring/:seriesId/pause
+ * @access Private (authentification requise + ownership)
+ */
+const pauseRecurringSeries = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { seriesId } = req.params;
+
+    const series = await findUserRecurringSeries(seriesId, userId);
+    if (!series) return recurringSeriesNotFound(res);
+
+    if (series.recurringStatus !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Seule une série active peut être mise en pause',
+        error: 'recurring_not_active',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    series.recurringStatus = 'paused';
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Série récurrente mise en pause',
+      data: {
+        series: sanitizeTransactionData(series)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur pauseRecurringSeries:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la mise en pause',
+      error: 'recurring_pause_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Reprendre une série en pause
+ * Les occurrences tombées pendant la pause ne sont pas rattrapées
+ * PUT /api/transactions/recurring/:seriesId/resume
+ * @access Private (authentification requise + ownership)
+ */
+const resumeRecurringSeries = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { seriesId } = req.params;
+
+    const series = await findUserRecurringSeries(seriesId, userId);
+    if (!series) return recurringSeriesNotFound(res);
+
+    if (series.recurringStatus !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette série n\'est pas en pause',
+        error: 'recurring_not_paused',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Avancer jusqu'à la prochaine date à venir
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const anchorDay = series.date.getDate();
+    let next = series.nextOccurrenceDate ||
+      Transaction.getNextOccurrenceDate(series.date, series.recurringType, anchorDay);
+
+    while (next && next < today) {
+      next = Transaction.getNextOccurrenceDate(next, series.recurringType, anchorDay);
+    }
+
+    series.nextOccurrenceDate = next;
+    series.recurringStatus = series.recurringEndDate && next > series.recurringEndDate
+      ? 'completed'
+      : 'active';
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Série récurrente reprise',
+      data: {
+        series: sanitizeTransactionData(series)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur resumeRecurringSeries:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la reprise de la série',
+      error: 'recurring_resume_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Sauter une occurrence (la prochaine par défaut)
+ * POST /api/transactions/recurring/:seriesId/skip
+ * @access Private (authentification requise + ownership)
+ */
+const skipRecurringOccurrence = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { seriesId } = req.params;
+    const { date } = req.body;
+
+    const series = await findUserRecurringSeries(seriesId, userId);
+    if (!series) return recurringSeriesNotFound(res);
+
+    if (!['active', 'paused'].includes(series.recurringStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette série est terminée',
+        error: 'recurring_finished',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const skipDate = date ? new Date(date) : series.nextOccurrenceDate;
+
+    if (!skipDate || isNaN(skipDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date d\'occurrence invalide',
+        error: 'invalid_occurrence_date',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const sameDay = (a, b) => a && b && a.toDateString() === b.toDateString();
+
+    if (sameDay(skipDate, series.nextOccurrenceDate)) {
+      // Prochaine occurrence : avancer directement la série
+      series.nextOccurrenceDate = Transaction.getNextOccurrenceDate(
+        series.nextOccurrenceDate,
+        series.recurringType,
+        series.date.getDate()
+      );
+    } else if (!series.skippedOccurrences.some(d => sameDay(d, skipDate))) {
+      series.skippedOccurrences.push(skipDate);
+    }
+
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence sautée',
+      data: {
+        skippedDate: skipDate,
+        series: sanitizeTransactionData(series)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur skipRecurringOccurrence:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors du saut de l\'occurrence',
+      error: 'recurring_skip_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Modifier les occurrences futures d'une série
+ * Les occurrences déjà créées (et la transaction modèle) restent inchangées
+ * PUT /api/transactions/recurring/:seriesId
+ * @access Private (authentification requise + ownership)
+ */
+const updateRecurringSeries = [
+  ...updateRecurringSeriesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { seriesId } = req.params;
+      const {
+        account: accountId,
+        amount,
+        description,
+        category,
+        subcategory,
+        notes,
+        tags,
+        recurringType,
+        recurringEndDate
+      } = req.body;
+
+      const series = await findUserRecurringSeries(seriesId, userId);
+      if (!series) return recurringSeriesNotFound(res);
+
+      if (['stopped', 'completed'].includes(series.recurringStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Impossible de modifier une série terminée',
+          error: 'recurring_finished',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Nouveau compte pour les prochaines occurrences
+      if (accountId) {
+        const account = await Account.findOne({ _id: accountId, user: userId, isActive: true });
+
+        if (!account) {
+          return res.status(404).json({
+            success: false,
+            message: 'Compte non trouvé ou inactif',
+            error: 'account_not_found',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        series.recurringTemplate.account = account._id;
+      }
+
+      if (amount !== undefined) series.recurringTemplate.amount = parseFloat(amount);
+      if (description) series.recurringTemplate.description = description.trim();
+      if (category) series.recurringTemplate.category = category;
+      if (subcategory !== undefined) series.recurringTemplate.subcategory = subcategory?.trim();
+      if (notes !== undefined) series.recurringTemplate.notes = notes?.trim();
+      if (Array.isArray(tags)) series.recurringTemplate.tags = tags;
+
+      // Changement de fréquence : recalculer depuis la dernière occurrence
+      if (recurringType && recurringType !== series.recurringType) {
+        series.recurringType = recurringType;
+        const lastDate = series.lastOccurrenceDate || series.date;
+        series.nextOccurrenceDate = Transaction.getNextOccurrenceDate(
+          lastDate,
+          recurringType,
+          series.date.getDate()
+        );
+      }
+
+      if (recurringEndDate !== undefined) {
+        series.recurringEndDate = recurringEndDate ? new Date(recurringEndDate) : undefined;
+      }
+
+      await series.save();
+
+      res.status(200).json({
+        success: true,
+        message: 'Occurrences futures mises à jour',
+        data: {
+          series: {
+            ...sanitizeTransactionData(series),
+            upcoming: series.getOccurrenceData()
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur updateRecurringSeries:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Erreur de validation des données',
+          error: 'validation_error',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la modification de la série',
+        error: 'recurring_update_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
+/**
+ * Arrêter définitivement une série
+ * Les occurrences déjà créées sont conservées
+ * DELETE /api/transactions/recurring/:seriesId
+ * @access Private (authentification requise + ownership)
+ */
+const stopRecurringSeries = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { seriesId } = req.params;
+
+    const series = await findUserRecurringSeries(seriesId, userId);
+    if (!series) return recurringSeriesNotFound(res);
+
+    if (series.recurringStatus === 'stopped') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cette série est déjà arrêtée',
+        error: 'recurring_already_stopped',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    series.recurringStatus = 'stopped';
+    series.nextOccurrenceDate = undefined;
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Série récurrente arrêtée',
+      data: {
+        series: sanitizeTransactionData(series),
+        occurrencesCreated: series.occurrencesCount
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur stopRecurringSeries:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'arrêt de la série',
+      error: 'recurring_stop_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// ===================================================================
+// IMPORT RELEVÉS (CSV / OFX)
+// ===================================================================
+
+/**
+ * Charger compte + paramètres d'import communs aux deux étapes
+ * @returns {Object|null} - { account, bank, format }
+ */
+const resolveImportContext = async (req) => {
+  const userId = req.user.userId;
+  const { account: accountId, bank, format } = req.body;
+
+  if (!accountId || !mongoose.Types.ObjectId.isValid(accountId)) return null;
+
+  const account = await Account.findOne({
+    _id: accountId,
+    user: userId,
+    isActive: true
+  });
+
+  if (!account) return null;
+
+  return {
+    account,
+    bank: bank || account.bankName || 'other',
+    format: format || (req.file ? detectFormat(req.file.originalname) : 'csv')
+  };
+};
+
+/**
+ * Résumé chiffré d'un aperçu d'import
+ * @param {Array} rows - Lignes d'aperçu
+ * @returns {Object}
+ */
+const summarizeImportRows = (rows) => {
+  const included = rows.filter(row => row.include !== false);
+
+  return {
+    totalRows: rows.length,
+    duplicates: rows.filter(row => row.isDuplicate).length,
+    toImport: included.length,
+    totalIncome: included
+      .filter(row => row.type === TRANSACTION_TYPES.INCOME)
+      .reduce((sum, row) => sum + row.amount, 0),
+    totalExpense: included
+      .filter(row => row.type === TRANSACTION_TYPES.EXPENSE)
+      .reduce((sum, row) => sum + row.amount, 0)
+  };
+};
+
+/**
+ * Aperçu d'un relevé avant import
+ * POST /api/transactions/import/preview
+ * @access Private (authentification requise)
+ */
+const previewTransactionImport = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier relevé requis (CSV ou OFX)',
+        error: 'missing_statement_file',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const context = await resolveImportContext(req);
+
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte non trouvé ou inactif',
+        error: 'account_not_found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { account } = context;
+    const parsed = parseStatement(req.file.buffer, context);
+    const warnings = [];
+
+    if (parsed.currency && parsed.currency !== account.currency) {
+      warnings.push(`Relevé en ${parsed.currency}, compte en ${account.currency}`);
+    }
+
+    const rows = await buildImportPreview(userId, account, parsed.rows);
+
+    res.status(200).json({
+      success: true,
+      message: `${rows.length} ligne(s) lue(s) dans le relevé`,
+      data: {
+        account: {
+          id: account._id,
+          name: account.name,
+          bankName: account.bankName,
+          currency: account.currency
+        },
+        format: parsed.format,
+        bank: parsed.bank,
+        rows,
+        errors: parsed.errors,
+        warnings,
+        summary: summarizeImportRows(rows)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur previewTransactionImport:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de la lecture du relevé',
+      error: 'import_preview_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Importer un relevé en un seul lot
+ * Accepte les lignes d'aperçu (corrigées) ou directement le fichier
+ * POST /api/transactions/import
+ * @access Private (authentification requise)
+ */
+const importTransactions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const context = await resolveImportContext(req);
+
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compte non trouvé ou inactif',
+        error: 'account_not_found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { account } = context;
+    let rows = req.body.rows;
+    let parseErrors = [];
+
+    if (req.file) {
+      // Import direct : aperçu calculé côté serveur, doublons exclus par défaut
+      const parsed = parseStatement(req.file.buffer, context);
+      parseErrors = parsed.errors;
+      rows = await buildImportPreview(userId, account, parsed.rows);
+
+      if (req.body.includeDuplicates === 'true' || req.body.includeDuplicates === true) {
+        rows = rows.map(row => ({ ...row, include: true }));
+      }
+    } else if (typeof rows === 'string') {
+      rows = JSON.parse(rows);
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune ligne à importer (fichier ou lignes d\'aperçu requis)',
+        error: 'empty_import',
+        errors: parseErrors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Même plafond que l'aperçu pour les lignes renvoyées par le client
+    if (rows.length > LIMITS.IMPORT.MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import limité à ${LIMITS.IMPORT.MAX_ROWS} lignes par relevé`,
+        error: 'import_too_large',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await commitImport(userId, account, rows, context);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.imported.length} transaction(s) importée(s)`,
+      data: {
+        batchId: result.batchId,
+        importedCount: result.imported.length,
+        skipped: result.skipped,
+        errors: parseErrors,
+        netChange: result.netChange,
+        newBalance: account.currentBalance,
+        transactions: result.imported.map(sanitizeTransactionData)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur importTransactions:', error.message);
+
+    if (error.name === 'ValidationError' || error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lignes d\'import invalides',
+        error: 'validation_error',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'import du relevé',
+      error: 'import_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// ===================================================================
+// SMS MOBILE MONEY (MONCASH / NATCASH)
+// ===================================================================
+
+/**
+ * Créer des brouillons depuis des SMS MonCash / NatCash collés
+ * POST /api/transactions/sms
+ * @access Private (authentification requise)
+ */
+const importSmsTransactions = [
+  body('text')
+    .notEmpty()
+    .withMessage('Le texte des SMS est requis')
+    .isLength({ max: 20000 })
+    .withMessage('Texte trop long (20 000 caractères maximum)'),
+
+  body('provider')
+    .optional()
+    .isIn(Object.keys(SMS_PARSERS))
+    .withMessage('Opérateur non supporté'),
+
+  body('account')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de compte invalide'),
+
+  body('syncBalance')
+    .optional()
+    .isBoolean()
+    .withMessage('syncBalance doit être un booléen'),
+
+  handleValidationErrors,
+
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { text, provider, account: accountId } = req.body;
+      const syncBalance = req.body.syncBalance === true || req.body.syncBalance === 'true';
+
+      const messages = parseSmsMessages(text, provider);
+      const parsedMessages = messages.filter(message => message.parsed);
+      const unparsed = messages
+        .filter(message => !message.parsed)
+        .map(({ raw, error }) => ({ raw, error }));
+
+      if (parsedMessages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Aucun SMS MonCash / NatCash reconnu',
+          error: 'no_sms_parsed',
+          data: { unparsed },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Compte imposé : tous les SMS y sont rattachés
+      let forcedAccount = null;
+      if (accountId) {
+        forcedAccount = await Account.findOne({ _id: accountId, user: userId, isActive: true });
+
+        if (!forcedAccount) {
+          return res.status(404).json({
+            success: false,
+            message: 'Compte non trouvé ou inactif',
+            error: 'account_not_found',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      // Regrouper par opérateur → compte moncash / natcash correspondant
+      const groups = {};
+      parsedMessages.forEach(message => {
+        const key = forcedAccount ? 'forced' : message.provider;
+        groups[key] = groups[key] || [];
+        groups[key].push(message);
+      });
+
+      const drafts = [];
+      const skipped = [];
+      const reconciliations = [];
+
+      for (const [key, group] of Object.entries(groups)) {
+        const account = forcedAccount || await Account.findOne({
+          user: userId,
+          bankName: key,
+          isActive: true
+        }).sort({ isDefault: -1, createdAt: 1 });
+
+        if (!account) {
+          group.forEach(({ raw }) => unparsed.push({
+            raw,
+            error: `Aucun compte ${HAITI_BANKS[key]?.name || key} actif`
+          }));
+          continue;
+        }
+
+        const result = await createDraftsFromSms(userId, account, group);
+        drafts.push(...result.drafts);
+        skipped.push(...result.skipped);
+
+        const reconciliation = await reconcileWithSmsBalance(account, group, { sync: syncBalance });
+        if (reconciliation) {
+          reconciliations.push({
+            account: { id: account._id, name: account.name, bankName: account.bankName },
+            ...reconciliation
+          });
+        }
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${drafts.length} brouillon(s) créé(s) - à confirmer`,
+        data: {
+          drafts: drafts.map(sanitizeTransactionData),
+          skipped,
+          unparsed,
+          reconciliations
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Erreur importSmsTransactions:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Erreur de validation des données',
+          error: 'validation_error',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Erreur lors de la lecture des SMS',
+        error: 'sms_import_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+];
+
 // ===================================================================
 // TEMPLATES & SUGGESTIONS
 // ===================================================================
@@ -1389,6 +2721,100 @@ const getTransactionSuggestions = async (req, res) => {
   }
 };
 
+// ===================================================================
+// EXPORT TRANSACTIONS
+// ===================================================================
+
+/**
+ * Exporter les transactions (CSV, XLSX ou relevé PDF)
+ * GET /api/transactions/export?format=csv|xlsx|pdf
+ * Mêmes filtres que la liste : account, category, type, startDate, endDate, search
+ * Relevé PDF : mois courant par défaut, ou month/year, ou startDate/endDate
+ * @access Private
+ */
+const exportTransactions = async (req, res) => {
+  const userId = req.user.userId;
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `Format d'export invalide. Formats acceptés: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      error: 'invalid_export_format',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const { account: accountId, startDate, endDate, month, year } = req.query;
+
+    if (accountId) {
+      const account = await Account.exists({ _id: accountId, user: userId });
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Compte introuvable',
+          error: 'account_not_found',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    // Période : obligatoire pour le relevé PDF (mois courant par défaut)
+    let period = { startDate, endDate };
+    if (format === 'pdf') {
+      const reference = month || year
+        ? new Date(parseInt(year) || new Date().getFullYear(), (parseInt(month) || 1) - 1, 1)
+        : new Date();
+
+      period = {
+        startDate: startOfDay(startDate ? new Date(startDate) : startOfMonth(reference)),
+        endDate: endOfDay(endDate ? new Date(endDate) : endOfMonth(reference))
+      };
+
+      if (isNaN(period.startDate) || isNaN(period.endDate) || period.startDate > period.endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Période du relevé invalide',
+          error: 'invalid_statement_period',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const query = buildTransactionQuery(userId, { ...req.query, ...period });
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${buildExportFilename(format, period)}"`
+    );
+
+    if (format === 'csv') {
+      await streamTransactionsCsv(query, res);
+    } else if (format === 'xlsx') {
+      await streamTransactionsXlsx(query, res);
+    } else {
+      await renderStatementPdf(userId, query, period, res);
+    }
+
+  } catch (error) {
+    console.error('❌ Erreur exportTransactions:', error.message);
+
+    // Flux déjà entamé : impossible de renvoyer du JSON
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Erreur lors de l\'export des transactions',
+      error: 'transactions_export_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 // ===================================================================
 // CONTROLLERS ADMIN
 // ===================================================================
@@ -1472,14 +2898,34 @@ module.exports = {
   // Analytics
   getCategoryAnalytics,
   getMonthlyStats,
+  getFxSpreadReport,
   searchTransactions,
   
   // Actions spéciales
   duplicateTransaction,
   confirmTransaction,
   addReceipt,
+  downloadReceipt,
+  deleteReceipt,
   addLocation,
   
+  // Transactions récurrentes
+  getRecurringSeries,
+  getRecurringSeriesById,
+  pauseRecurringSeries,
+  resumeRecurringSeries,
+  skipRecurringOccurrence,
+  updateRecurringSeries,
+  stopRecurringSeries,
+  
+  // Import relevés & SMS
+  previewTransactionImport,
+  importTransactions,
+  importSmsTransactions,
+  
+  // Export
+  exportTransactions,
+  
   // Suggestions & Templates
   getTransactionSuggestions,
   
@@ -0,0 +1,167 @@
+// src/cron/debtInterest.js
+// Cron job de calcul quotidien des intérêts et pénalités des dettes
+// S'exécute tous les jours à 1h, avant les rappels, pour des montants à jour
+
+const Debt = require('../models/Debt');
+const { startOfDay } = require('../utils/dateUtils');
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+/**
+ * Configuration du calcul des intérêts
+ */
+const CONFIG = {
+  // Statuts sur lesquels les intérêts courent encore
+  ACTIVE_STATUSES: ['active', 'partially_paid', 'overdue'],
+
+  // Dettes chargées par lot
+  BATCH_SIZE: 200
+};
+
+// ===================================================================
+// FONCTION PRINCIPALE
+// ===================================================================
+
+/**
+ * Fonction principale exécutée par le cron job
+ * Calcule les intérêts courus depuis le dernier calcul de chaque dette
+ */
+async function processDebtInterest() {
+  console.log('\n📈 DÉBUT - Calcul intérêts et pénalités dettes'.cyan.bold);
+  console.log('⏰ Heure d\'exécution:', new Date().toLocaleString('fr-HT'));
+
+  const stats = {
+    debtsAnalyzed: 0,
+    debtsAccrued: 0,
+    totalInterest: { HTG: 0, USD: 0 },
+    totalPenalty: { HTG: 0, USD: 0 },
+    errors: 0,
+    details: []
+  };
+
+  try {
+    const today = startOfDay(new Date());
+    const cursor = getDebtsToAccrue(today).cursor({ batchSize: CONFIG.BATCH_SIZE });
+
+    for await (const debt of cursor) {
+      stats.debtsAnalyzed++;
+
+      try {
+        const accrual = await processDebtAccrual(debt, today);
+        if (!accrual) continue;
+
+        stats.debtsAccrued++;
+        stats.totalInterest[debt.currency] += accrual.interest;
+        stats.totalPenalty[debt.currency] += accrual.penalty;
+
+        if (accrual.penalty > 0) {
+          stats.details.push({
+            id: debt._id,
+            contact: debt.contact.name,
+            currency: debt.currency,
+            interest: accrual.interest,
+            penalty: accrual.penalty
+          });
+        }
+
+      } catch (error) {
+        console.error(`❌ Erreur dette ${debt._id}:`, error.message);
+        stats.errors++;
+      }
+    }
+
+    displaySummary(stats);
+
+    return stats;
+
+  } catch (error) {
+    console.error('❌ ERREUR CRITIQUE - processDebtInterest:', error.message);
+    stats.errors++;
+    throw error;
+  } finally {
+    console.log('🏁 FIN - Calcul intérêts dettes\n'.cyan.bold);
+  }
+}
+
+// ===================================================================
+// TRAITEMENT D'UNE DETTE
+// ===================================================================
+
+/**
+ * Dettes avec intérêts ou pénalité, non calculées aujourd'hui
+ * @param {Date} today - Début de la journée
+ * @returns {Query}
+ */
+function getDebtsToAccrue(today) {
+  return Debt.find({
+    status: { $in: CONFIG.ACTIVE_STATUSES },
+    isArchived: false,
+    $and: [
+      { $or: [{ 'interest.hasInterest': true }, { 'interest.penalty.rate': { $gt: 0 } }] },
+      { $or: [{ 'interest.lastAccrualDate': { $exists: false } }, { 'interest.lastAccrualDate': { $lt: today } }] }
+    ]
+  });
+}
+
+/**
+ * Calcule et enregistre les intérêts courus d'une dette
+ * @param {Object} debt - Dette
+ * @param {Date} today - Jour calculé
+ * @returns {Object|null} Ligne d'historique ajoutée
+ */
+async function processDebtAccrual(debt, today) {
+  const accrual = debt.calculateInterest(today);
+
+  // lastAccrualDate avance même sans montant (dette soldée, pas encore échue)
+  await debt.save();
+
+  return accrual;
+}
+
+// ===================================================================
+// AFFICHAGE RÉSUMÉ
+// ===================================================================
+
+/**
+ * Affiche le résumé de l'exécution
+ * @param {Object} stats - Statistiques consolidées
+ */
+function displaySummary(stats) {
+  const format = (amounts) => Object.entries(amounts)
+    .map(([currency, amount]) => `${Math.round(amount * 100) / 100} ${currency}`)
+    .join(' / ');
+
+  console.log('\n' + '='.repeat(60).green);
+  console.log('📊 RÉSUMÉ - INTÉRÊTS DETTES'.bold.green);
+  console.log('='.repeat(60).green);
+
+  console.log(`📈 Dettes analysées: ${stats.debtsAnalyzed}`.cyan);
+  console.log(`✅ Dettes calculées: ${stats.debtsAccrued}`.green);
+  console.log(`💰 Intérêts courus: ${format(stats.totalInterest)}`.cyan);
+  console.log(`⚠️  Pénalités de retard: ${format(stats.totalPenalty)}`.yellow);
+  console.log(`❌ Erreurs: ${stats.errors}`.red);
+
+  if (stats.details.length > 0) {
+    console.log('\n📋 PÉNALITÉS:'.bold.cyan);
+    stats.details.forEach(detail => {
+      console.log(`    • ${detail.contact} - pénalité ${detail.penalty} ${detail.currency}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60).green);
+}
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+module.exports = processDebtInterest;
+
+// Export fonctions utilitaires pour tests
+module.exports.utils = {
+  getDebtsToAccrue,
+  processDebtAccrual,
+  CONFIG
+};
@@ -62,6 +62,7 @@ async function processDebtReminders() {
     debtsAnalyzed: 0,
     previewReminders: 0,
     overdueAlerts: 0,
+    scheduledReminders: 0,
     usersNotified: 0,
     errors: 0,
     criticalCases: 0,
@@ -76,6 +77,9 @@ async function processDebtReminders() {
     
     console.log('\n🚨 PHASE 2: Alertes retards (paiements en retard)');
     const overdueStats = await processOverdueAlerts();
+
+    console.log('\n📌 PHASE 3: Rappels programmés (plans de remboursement, rappels manuels)');
+    const scheduledStats = await processScheduledReminders();
     
     // Consolider statistiques
     stats.debtsAnalyzed = previewStats.analyzed + overdueStats.analyzed;
@@ -84,7 +88,9 @@ async function processDebtReminders() {
     stats.usersNotified = previewStats.users + overdueStats.users;
     stats.errors = previewStats.errors + overdueStats.errors;
     stats.criticalCases = overdueStats.critical;
-    stats.totalReminders = stats.previewReminders + stats.overdueAlerts;
+    stats.scheduledReminders = scheduledStats.reminders;
+    stats.errors += scheduledStats.errors;
+    stats.totalReminders = stats.previewReminders + stats.overdueAlerts + stats.scheduledReminders;
     stats.debtDetails = [...previewStats.details, ...overdueStats.details];
     
     // Afficher résumé
@@ -332,6 +338,74 @@ async function processOverdueDebt(debt) {
   };
 }
 
+// ===================================================================
+// RAPPELS PROGRAMMÉS (debt.reminders)
+// ===================================================================
+
+/**
+ * Envoie les rappels enregistrés sur les dettes dont la date est arrivée
+ * @returns {Object} Statistiques du traitement
+ */
+async function processScheduledReminders() {
+  const stats = { analyzed: 0, reminders: 0, errors: 0 };
+  const now = new Date();
+
+  try {
+    const debts = await Debt.find({
+      status: { $in: [...CONFIG.ACTIVE_DEBT_STATUSES, 'partially_paid'] },
+      isArchived: false,
+      reminders: { $elemMatch: { sent: false, date: { $lte: now } } }
+    });
+    stats.analyzed = debts.length;
+
+    console.log(`📌 Dettes avec rappels programmés: ${debts.length}`);
+
+    for (const debt of debts) {
+      try {
+        const dueReminders = debt.reminders.filter(reminder =>
+          !reminder.sent && reminder.date && reminder.date <= now
+        );
+
+        for (const reminder of dueReminders) {
+          await NotificationService.create({
+            user: debt.user,
+            source: 'debt_reminder',
+            type: 'info',
+            title: reminder.origin === 'payoff_plan' ? '📌 Plan de remboursement' : '📌 Rappel dette',
+            message: reminder.message || `Rappel : ${debt.description || debt.contact.name}`,
+            priority: 'medium',
+            actionable: true,
+            actionUrl: `/debts/${debt._id}/payment`,
+            actionLabel: 'Payer',
+            metadata: {
+              debtId: debt._id,
+              reminderId: reminder._id,
+              amount: reminder.amount,
+              origin: reminder.origin
+            }
+          });
+
+          reminder.sent = true;
+          stats.reminders++;
+        }
+
+        await debt.save();
+        console.log(`  ✅ "${debt.description}" - ${dueReminders.length} rappel(s) envoyé(s)`);
+
+      } catch (error) {
+        console.error(`❌ Erreur rappels programmés ${debt._id}:`, error.message);
+        stats.errors++;
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Erreur processScheduledReminders:', error.message);
+    stats.errors++;
+  }
+
+  return stats;
+}
+
 // ===================================================================
 // LOGIQUE MÉTIER
 // ===================================================================
@@ -414,6 +488,7 @@ function displaySummary(stats) {
   console.log(`📈 Dettes analysées: ${stats.debtsAnalyzed}`.cyan);
   console.log(`📅 Rappels préventifs: ${stats.previewReminders}`.blue);
   console.log(`🚨 Alertes retards: ${stats.overdueAlerts}`.orange);
+  console.log(`📌 Rappels programmés: ${stats.scheduledReminders}`.blue);
   console.log(`⚠️  Cas critiques: ${stats.criticalCases}`.red);
   console.log(`👥 Utilisateurs notifiés: ${stats.usersNotified}`.green);
   console.log(`❌ Erreurs: ${stats.errors}`.red);
@@ -514,6 +589,7 @@ module.exports = processDebtReminders;
 module.exports.utils = {
   processPreviewReminders,
   processOverdueAlerts,
+  processScheduledReminders,
   getUpcomingDebts,
   getOverdueDebts,
   getEscalationLevel,
@@ -7,8 +7,12 @@ const colors = require('colors');
 
 // Import des tâches cron
 const solReminders = require('./solReminders');
+const solPenalties = require('./solPenalties');
+const solLifecycle = require('./solLifecycle');
 const debtReminders = require('./debtReminders');
+const debtInterest = require('./debtInterest');
 const cleanupNotifications = require('./cleanupNotifications');
+const recurringTransactions = require('./recurringTransactions');
 
 // ===================================================================
 // CONFIGURATION CRON JOBS
@@ -19,6 +23,33 @@ const cleanupNotifications = require('./cleanupNotifications');
  * Chaque tâche a une expression cron qui définit quand elle s'exécute
  */
 const CRON_JOBS = {
+  // Transactions récurrentes - Tous les jours à 6h du matin
+  recurringTransactions: {
+    schedule: '0 6 * * *',
+    task: recurringTransactions,
+    name: 'Transactions Récurrentes',
+    description: 'Crée les occurrences dues des séries récurrentes (loyer, salaire...)',
+    enabled: true
+  },
+
+  // Cycle de vie sols - Toutes les heures
+  solLifecycle: {
+    schedule: '0 * * * *',
+    task: solLifecycle,
+    name: 'Cycle de Vie Sols',
+    description: 'Active les rounds à leur date, clôt les rounds payés ou échus et verse les mains',
+    enabled: true
+  },
+
+  // Pénalités sols - Tous les jours à 8h, avant les rappels
+  solPenalties: {
+    schedule: '0 8 * * *',
+    task: solPenalties,
+    name: 'Pénalités Sols',
+    description: 'Marque les retards après délai de grâce et inscrit les pénalités des règles',
+    enabled: true
+  },
+
   // Rappels paiements sols - Tous les jours à 9h du matin
   solReminders: {
     schedule: '0 9 * * *',  // minute heure jour mois jour-semaine
@@ -28,6 +59,15 @@ const CRON_JOBS = {
     enabled: true
   },
 
+  // Intérêts dettes - Tous les jours à 1h, avant les rappels
+  debtInterest: {
+    schedule: '0 1 * * *',
+    task: debtInterest,
+    name: 'Intérêts Dettes',
+    description: 'Calcule les intérêts courus et les pénalités de retard des dettes',
+    enabled: true
+  },
+
   // Rappels dettes - Tous les jours à 10h du matin
   debtReminders: {
     schedule: '0 10 * * *',
@@ -178,6 +218,31 @@ function getNextRunTime(cronExpression) {
     const next = new Date();
 
     // Cas spéciaux
+    if (cronExpression === '0 * * * *') {
+      // Chaque heure pile
+      next.setMinutes(0, 0, 0);
+      next.setHours(next.getHours() + 1);
+      return next.toLocaleString('fr-HT');
+    }
+
+    if (cronExpression === '0 1 * * *') {
+      next.setHours(1, 0, 0, 0);
+      if (next <= now) next.setDate(next.getDate() + 1);
+      return next.toLocaleString('fr-HT');
+    }
+
+    if (cronExpression === '0 6 * * *') {
+      next.setHours(6, 0, 0, 0);
+      if (next <= now) next.setDate(next.getDate() + 1);
+      return next.toLocaleString('fr-HT');
+    }
+
+    if (cronExpression === '0 8 * * *') {
+      next.setHours(8, 0, 0, 0);
+      if (next <= now) next.setDate(next.getDate() + 1);
+      return next.toLocaleString('fr-HT');
+    }
+
     if (cronExpression === '0 9 * * *') {
       next.setHours(9, 0, 0, 0);
       if (next <= now) next.setDate(next.getDate() + 1);
@@ -267,6 +332,7 @@ module.exports = {
 //  *  * * * * *
 //  * 
 //  * EXEMPLES :
+//  * '0 6 * * *'   → Tous les jours à 6h00
 //  * '0 9 * * *'   → Tous les jours à 9h00
 //  * '0 10 * * *'  → Tous les jours à 10h00
 //  * '0 2 * * 0'   → Tous les dimanches à 2h00
@@ -305,11 +371,32 @@ module.exports = {
 //  * 
 //  * 📊 JOBS CONFIGURÉS :
 //  * 
+//  * 0. recurringTransactions (6h/jour)
+//  *    - Trouve séries récurrentes dues (findDueRecurring)
+//  *    - Crée les occurrences manquantes + met à jour soldes/budgets
+//  *    - Ignore occurrences déjà créées ou sautées
+//  * 
+//  * 0bis. solLifecycle (chaque heure)
+//  *    - Active les rounds arrivés à leur date de début
+//  *    - Clôt les rounds entièrement vérifiés ou échus (échéance + grâce)
+//  *    - Verse la main une seule fois, termine le sol après le dernier round
+//  *    - Journalise chaque transition (SolEvent)
+//  * 
+//  * 1bis. solPenalties (8h/jour)
+//  *    - Marque "overdue" les participants sans paiement vérifié après échéance + grâce
+//  *    - Inscrit la pénalité des règles appliquées (une par round)
+//  *    - Notifie retard / pénalité
+//  * 
 //  * 1. solReminders (9h/jour)
 //  *    - Trouve sols avec paiement dans 1-3 jours
 //  *    - Crée notifications rappel pour participants
 //  *    - Envoie selon préférences utilisateur
 //  * 
+//  * 2bis. debtInterest (1h/jour)
+//  *    - Calcule les intérêts courus depuis le dernier calcul (simple, composé, frais fixe)
+//  *    - Ajoute la pénalité de retard sur les sommes échues après délai de grâce
+//  *    - Historise chaque calcul sur la dette (interest.accruals)
+//  * 
 //  * 2. debtReminders (10h/jour)
 //  *    - Détecte dettes en retard
 //  *    - Calcule jours de retard
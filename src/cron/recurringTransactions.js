@@ -0,0 +1,235 @@
+// src/cron/recurringTransactions.js
+// Cron job pour matérialiser les transactions récurrentes (loyer, salaire, abonnements...)
+// S'exécute tous les jours à 6h pour créer les occurrences arrivées à échéance
+
+const Transaction = require('../models/Transaction');
+const { materializeRecurringOccurrence } = require('../services/transactionService');
+const { startOfDay, endOfDay } = require('../utils/dateUtils');
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+/**
+ * Configuration du moteur de récurrence
+ */
+const CONFIG = {
+  // Rattrapage maximum par série et par exécution (serveur arrêté plusieurs jours)
+  MAX_OCCURRENCES_PER_RUN: 31,
+
+  // Raisons pour lesquelles une occurrence est ignorée sans erreur
+  SKIP_REASONS: ['already_exists', 'skipped_by_user'],
+
+  // Raisons qui suspendent la série (compte supprimé ou archivé)
+  PAUSE_REASONS: ['account_not_found', 'destination_account_not_found']
+};
+
+// ===================================================================
+// FONCTION PRINCIPALE
+// ===================================================================
+
+/**
+ * Fonction principale exécutée par le cron job
+ * Parcourt les séries dues et crée chaque occurrence manquante
+ */
+async function processRecurringTransactions() {
+  console.log('\n🔁 DÉBUT - Traitement transactions récurrentes'.cyan.bold);
+  console.log('⏰ Heure d\'exécution:', new Date().toLocaleString('fr-HT'));
+
+  const stats = {
+    seriesAnalyzed: 0,
+    occurrencesCreated: 0,
+    occurrencesSkipped: 0,
+    occurrencesFailed: 0,
+    seriesCompleted: 0,
+    seriesPaused: 0,
+    errors: 0,
+    details: []
+  };
+
+  try {
+    const dueTemplates = await Transaction.findDueRecurring();
+    stats.seriesAnalyzed = dueTemplates.length;
+
+    console.log(`📊 Séries récurrentes à traiter: ${dueTemplates.length}`);
+
+    if (dueTemplates.length === 0) {
+      console.log('ℹ️  Aucune occurrence à créer aujourd\'hui');
+    }
+
+    for (const template of dueTemplates) {
+      try {
+        const result = await processRecurringSeries(template);
+
+        stats.occurrencesCreated += result.created;
+        stats.occurrencesSkipped += result.skipped;
+        stats.occurrencesFailed += result.failed;
+        if (result.completed) stats.seriesCompleted++;
+        if (result.paused) stats.seriesPaused++;
+
+        if (result.created > 0 || result.failed > 0) {
+          stats.details.push({
+            id: template._id,
+            description: template.description,
+            amount: template.amount,
+            created: result.created,
+            failed: result.failed
+          });
+        }
+
+      } catch (error) {
+        console.error(`❌ Erreur série ${template._id}:`, error.message);
+        stats.errors++;
+      }
+    }
+
+    displaySummary(stats);
+
+    return stats;
+
+  } catch (error) {
+    console.error('❌ ERREUR CRITIQUE - processRecurringTransactions:', error.message);
+    stats.errors++;
+    throw error;
+  } finally {
+    console.log('🏁 FIN - Traitement transactions récurrentes\n'.cyan.bold);
+  }
+}
+
+// ===================================================================
+// TRAITEMENT D'UNE SÉRIE
+// ===================================================================
+
+/**
+ * Crée toutes les occurrences échues d'une série puis avance sa prochaine date
+ * @param {Object} template - Transaction modèle (isRecurring: true)
+ * @returns {Object} Statistiques de la série
+ */
+async function processRecurringSeries(template) {
+  const result = { created: 0, skipped: 0, failed: 0, completed: false, paused: false };
+  const now = endOfDay(new Date());
+  const anchorDay = template.date.getDate();
+
+  let occurrenceDate = template.nextOccurrenceDate;
+
+  // Série sans prochaine date (antérieure au moteur) : pas de rattrapage du passé,
+  // première occurrence à partir d'aujourd'hui
+  if (!occurrenceDate) {
+    const today = startOfDay(new Date());
+    occurrenceDate = Transaction.getNextOccurrenceDate(template.date, template.recurringType, anchorDay);
+    while (occurrenceDate && occurrenceDate < today) {
+      occurrenceDate = Transaction.getNextOccurrenceDate(occurrenceDate, template.recurringType, anchorDay);
+    }
+  }
+  let processed = 0;
+
+  while (occurrenceDate && occurrenceDate <= now && processed < CONFIG.MAX_OCCURRENCES_PER_RUN) {
+    // Fin de série atteinte
+    if (template.recurringEndDate && occurrenceDate > template.recurringEndDate) {
+      break;
+    }
+
+    const outcome = isSkippedOccurrence(template, occurrenceDate)
+      ? { created: false, reason: 'skipped_by_user' }
+      : await materializeRecurringOccurrence(template, occurrenceDate);
+
+    if (outcome.created) {
+      result.created++;
+      template.occurrencesCount = (template.occurrencesCount || 0) + 1;
+      template.lastOccurrenceDate = occurrenceDate;
+    } else if (CONFIG.SKIP_REASONS.includes(outcome.reason)) {
+      result.skipped++;
+    } else if (CONFIG.PAUSE_REASONS.includes(outcome.reason)) {
+      // Ne pas avancer : la série reprendra à cette date une fois le compte réactivé
+      console.log(`⏸️  Série "${template.description}" suspendue (${outcome.reason})`.yellow);
+      template.recurringStatus = 'paused';
+      result.paused = true;
+      break;
+    } else {
+      result.failed++;
+    }
+
+    occurrenceDate = Transaction.getNextOccurrenceDate(occurrenceDate, template.recurringType, anchorDay);
+    processed++;
+  }
+
+  template.nextOccurrenceDate = occurrenceDate;
+
+  if (template.recurringEndDate && occurrenceDate > template.recurringEndDate) {
+    template.recurringStatus = 'completed';
+    result.completed = true;
+  }
+
+  // Le compte est peuplé par findDueRecurring : ne sauvegarder que la série
+  await Transaction.updateOne(
+    { _id: template._id },
+    {
+      $set: {
+        nextOccurrenceDate: template.nextOccurrenceDate,
+        lastOccurrenceDate: template.lastOccurrenceDate,
+        occurrencesCount: template.occurrencesCount,
+        recurringStatus: template.recurringStatus
+      }
+    }
+  );
+
+  return result;
+}
+
+/**
+ * Vérifie si l'utilisateur a demandé de sauter cette occurrence
+ * @param {Object} template - Transaction modèle
+ * @param {Date} occurrenceDate - Date de l'occurrence
+ * @returns {boolean}
+ */
+function isSkippedOccurrence(template, occurrenceDate) {
+  const day = startOfDay(occurrenceDate).getTime();
+  return (template.skippedOccurrences || []).some(
+    skipped => startOfDay(skipped).getTime() === day
+  );
+}
+
+// ===================================================================
+// AFFICHAGE RÉSUMÉ
+// ===================================================================
+
+/**
+ * Affiche le résumé de l'exécution
+ * @param {Object} stats - Statistiques consolidées
+ */
+function displaySummary(stats) {
+  console.log('\n' + '='.repeat(60).green);
+  console.log('📊 RÉSUMÉ - TRANSACTIONS RÉCURRENTES'.bold.green);
+  console.log('='.repeat(60).green);
+
+  console.log(`📈 Séries analysées: ${stats.seriesAnalyzed}`.cyan);
+  console.log(`✅ Occurrences créées: ${stats.occurrencesCreated}`.green);
+  console.log(`⏭️  Occurrences ignorées: ${stats.occurrencesSkipped}`.blue);
+  console.log(`⚠️  Occurrences refusées: ${stats.occurrencesFailed}`.yellow);
+  console.log(`🏁 Séries terminées: ${stats.seriesCompleted}`.cyan);
+  console.log(`⏸️  Séries suspendues: ${stats.seriesPaused}`.yellow);
+  console.log(`❌ Erreurs: ${stats.errors}`.red);
+
+  if (stats.details.length > 0) {
+    console.log('\n📋 DÉTAILS:'.bold.cyan);
+    stats.details.forEach(detail => {
+      const failed = detail.failed > 0 ? ` (${detail.failed} refusée(s))` : '';
+      console.log(`    • "${detail.description}" - ${detail.created} occurrence(s) de ${detail.amount}${failed}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60).green);
+}
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+module.exports = processRecurringTransactions;
+
+// Export fonctions utilitaires pour tests
+module.exports.utils = {
+  processRecurringSeries,
+  isSkippedOccurrence,
+  CONFIG
+};
@@ -0,0 +1,107 @@
+// src/cron/solLifecycle.js
+// Cron job du cycle de vie des sols (activation et clôture des rounds)
+// S'exécute toutes les heures pour que les rounds avancent sans action des membres
+
+const mongoose = require('mongoose');
+const Sol = require('../models/Sol');
+const { advanceSol } = require('../services/solLifecycleService');
+const { utils: penaltyUtils } = require('./solPenalties');
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  // Statuts des sols à faire avancer
+  ACTIVE_SOL_STATUSES: ['active']
+};
+
+// ===================================================================
+// FONCTION PRINCIPALE
+// ===================================================================
+
+/**
+ * Active les rounds arrivés à leur date, clôt les rounds payés ou échus,
+ * verse les mains et termine les sols après leur dernier round
+ */
+async function processSolLifecycle(now = new Date()) {
+  console.log('\n🔄 DÉBUT - Cycle de vie des sols'.cyan.bold);
+
+  const stats = {
+    solsAnalyzed: 0,
+    roundsActivated: 0,
+    roundsClosed: 0,
+    solsCompleted: 0,
+    errors: 0
+  };
+
+  try {
+    const sols = await Sol.find({
+      status: { $in: CONFIG.ACTIVE_SOL_STATUSES },
+      isActive: true,
+      'rounds.status': { $in: ['scheduled', 'pending', 'active'] }
+    });
+
+    stats.solsAnalyzed = sols.length;
+    console.log(`📊 Sols à analyser: ${sols.length}`);
+
+    for (const sol of sols) {
+      try {
+        let summary = null;
+
+        // Versements et journal atomiques avec la sauvegarde du sol
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            summary = await advanceSol(sol, { now, session });
+            if (summary.activated > 0 || summary.closed > 0) {
+              await sol.save({ session });
+            }
+          });
+        } finally {
+          session.endSession();
+        }
+
+        if (summary.overdue.length > 0) {
+          await sol.populate('participants.user', 'firstName lastName');
+          await penaltyUtils.notifyParticipants(sol, summary.overdue);
+        }
+
+        stats.roundsActivated += summary.activated;
+        stats.roundsClosed += summary.closed;
+        if (summary.completed) stats.solsCompleted++;
+
+        if (summary.activated > 0 || summary.closed > 0) {
+          console.log(`  ✅ Sol "${sol.name}": ${summary.activated} activé(s), ${summary.closed} clôturé(s)`);
+        }
+
+      } catch (error) {
+        console.error(`❌ Erreur cycle de vie sol ${sol._id}:`, error.message);
+        stats.errors++;
+      }
+    }
+
+    console.log(`▶️  Rounds activés: ${stats.roundsActivated}`.green);
+    console.log(`⏹️  Rounds clôturés: ${stats.roundsClosed}`.green);
+    console.log(`🏁 Sols terminés: ${stats.solsCompleted}`.green);
+    console.log(`❌ Erreurs: ${stats.errors}`.red);
+
+    return stats;
+
+  } catch (error) {
+    console.error('❌ ERREUR CRITIQUE - processSolLifecycle:', error.message);
+    throw error;
+  } finally {
+    console.log('🏁 FIN - Cycle de vie des sols\n'.cyan.bold);
+  }
+}
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+module.exports = processSolLifecycle;
+
+module.exports.utils = {
+  CONFIG
+};
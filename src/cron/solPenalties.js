@@ -0,0 +1,138 @@
+// src/cron/solPenalties.js
+// Cron job d'application des règles de sols (retards et pénalités)
+// S'exécute tous les jours à 8h, avant les rappels de 9h
+
+const Sol = require('../models/Sol');
+const solNotifications = require('../integrations/solNotifications');
+const { applyOverduePenalties } = require('../services/solPenaltyService');
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  // Statuts des sols à traiter
+  ACTIVE_SOL_STATUSES: ['active']
+};
+
+// ===================================================================
+// FONCTION PRINCIPALE
+// ===================================================================
+
+/**
+ * Marque les participants en retard (échéance + délai de grâce dépassés),
+ * inscrit les pénalités des règles appliquées et notifie les participants
+ */
+async function processSolPenalties(now = new Date()) {
+  console.log('\n⚖️  DÉBUT - Application des pénalités sols'.cyan.bold);
+
+  const stats = {
+    solsAnalyzed: 0,
+    participantsOverdue: 0,
+    penaltiesAccrued: 0,
+    penaltiesAmount: 0,
+    errors: 0
+  };
+
+  try {
+    const sols = await Sol.find({
+      status: { $in: CONFIG.ACTIVE_SOL_STATUSES },
+      isActive: true,
+      'rounds.status': { $in: ['pending', 'active'] }
+    }).populate('participants.user', 'firstName lastName');
+
+    stats.solsAnalyzed = sols.length;
+    console.log(`📊 Sols à analyser: ${sols.length}`);
+
+    for (const sol of sols) {
+      try {
+        const results = applyOverduePenalties(sol, now);
+        if (results.length === 0) continue;
+
+        await sol.save();
+        await notifyParticipants(sol, results);
+
+        results.forEach(result => {
+          if (result.newlyOverdue) stats.participantsOverdue++;
+          if (result.penalty) {
+            stats.penaltiesAccrued++;
+            stats.penaltiesAmount += result.penalty.amount;
+          }
+        });
+
+        console.log(`  ✅ Sol "${sol.name}": ${results.length} retard(s) traité(s)`);
+
+      } catch (error) {
+        console.error(`❌ Erreur pénalités sol ${sol._id}:`, error.message);
+        stats.errors++;
+      }
+    }
+
+    console.log(`⏰ Participants passés en retard: ${stats.participantsOverdue}`.yellow);
+    console.log(`💸 Pénalités inscrites: ${stats.penaltiesAccrued} (${stats.penaltiesAmount})`.yellow);
+    console.log(`❌ Erreurs: ${stats.errors}`.red);
+
+    return stats;
+
+  } catch (error) {
+    console.error('❌ ERREUR CRITIQUE - processSolPenalties:', error.message);
+    throw error;
+  } finally {
+    console.log('🏁 FIN - Pénalités sols\n'.cyan.bold);
+  }
+}
+
+// ===================================================================
+// NOTIFICATIONS
+// ===================================================================
+
+/**
+ * Une notification par retard nouveau ou pénalité inscrite
+ * @param {Object} sol - Sol traité
+ * @param {Array} results - Résultat de applyOverduePenalties
+ */
+async function notifyParticipants(sol, results) {
+  for (const { participant, round, daysLate, newlyOverdue, penalty } of results) {
+    const userId = participant.user._id || participant.user;
+
+    if (penalty) {
+      await solNotifications.notifySolPenalty(userId, {
+        solId: sol._id,
+        solName: sol.name,
+        amount: penalty.amount,
+        currency: sol.currency,
+        turnNumber: round.roundNumber,
+        daysLate,
+        reason: penalty.reason
+      });
+    } else if (newlyOverdue) {
+      const recipient = sol.participants.find(p =>
+        p.user && round.recipient && (p.user._id || p.user).toString() === round.recipient.toString()
+      );
+
+      await solNotifications.notifyLatePayment(userId, {
+        solId: sol._id,
+        solName: sol.name,
+        amount: sol.contributionAmount,
+        currency: sol.currency,
+        daysLate,
+        beneficiaryName: recipient && recipient.user.firstName
+          ? `${recipient.user.firstName} ${recipient.user.lastName}`
+          : 'un participant',
+        turnNumber: round.roundNumber
+      });
+    }
+  }
+}
+
+// ===================================================================
+// EXPORT
+// ===================================================================
+
+module.exports = processSolPenalties;
+
+// Export fonctions utilitaires pour tests
+module.exports.utils = {
+  notifyParticipants,
+  CONFIG
+};
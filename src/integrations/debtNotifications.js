@@ -40,7 +40,8 @@ const CONFIG = {
     late: true,
     payment: true,
     settled: true,
-    cancelled: true
+    cancelled: true,
+    shared: true     // Dettes partagées entre utilisateurs
   },
 
   // Seuils d'alerte
@@ -573,6 +574,145 @@ async function notifyDebtsStatus(userId, debts) {
   }
 }
 
+// =============================================================================
+// DETTES PARTAGÉES
+// =============================================================================
+
+/**
+ * Invite un utilisateur à confirmer une dette saisie par son contact
+ * 
+ * @param {Object} debt - Dette d'origine (link.user = invité)
+ * @param {String} ownerName - Nom de l'auteur de la dette
+ * @returns {Object} Notification créée
+ */
+async function notifyDebtLinkInvitation(debt, ownerName) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.shared) {
+      return null;
+    }
+
+    // Côté invité, le sens est inversé : une dette de l'auteur est une créance pour lui
+    const side = debt.type === 'debt' ? 'vous doit' : 'dit que vous lui devez';
+
+    return await NotificationService.create({
+      user: debt.link.user,
+      source: 'debt_reminder',
+      type: 'info',
+      title: '🤝 Dette à confirmer',
+      message: `${ownerName} ${side} ${debt.amount.toLocaleString()} ${debt.currency}${debt.description ? ` (${debt.description})` : ''}. Confirmez pour suivre cette dette à deux.`,
+      priority: 'medium',
+      actionable: true,
+      actionUrl: `/debts/invitations/${debt._id}`,
+      actionLabel: 'Répondre',
+      metadata: {
+        debtId: debt._id,
+        amount: debt.amount,
+        currency: debt.currency
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur notifyDebtLinkInvitation:', error);
+    return null;
+  }
+}
+
+/**
+ * Informe l'auteur de la réponse à son invitation
+ * 
+ * @param {Object} debt - Dette d'origine
+ * @param {String} counterpartyName - Nom de l'invité
+ * @param {Boolean} accepted - Invitation acceptée
+ * @returns {Object} Notification créée
+ */
+async function notifyDebtLinkResponse(debt, counterpartyName, accepted) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.shared) {
+      return null;
+    }
+
+    return await NotificationService.create({
+      user: debt.user,
+      source: 'debt_reminder',
+      type: accepted ? 'success' : 'warning',
+      title: accepted ? '🤝 Dette confirmée' : '🤝 Dette refusée',
+      message: accepted
+        ? `${counterpartyName} a confirmé la dette de ${debt.amount.toLocaleString()} ${debt.currency}. Les paiements seront confirmés des deux côtés.`
+        : `${counterpartyName} n'a pas reconnu la dette de ${debt.amount.toLocaleString()} ${debt.currency}.`,
+      priority: accepted ? 'low' : 'medium',
+      actionable: true,
+      actionUrl: `/debts/${debt._id}`,
+      actionLabel: 'Voir la dette',
+      metadata: {
+        debtId: debt._id,
+        accepted
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur notifyDebtLinkResponse:', error);
+    return null;
+  }
+}
+
+/**
+ * Notifie la contrepartie d'un paiement saisi, confirmé ou contesté
+ * 
+ * @param {String} userId - Destinataire
+ * @param {Object} debt - Dette du destinataire
+ * @param {Object} payment - Paiement concerné
+ * @param {Object} context - { status: pending|confirmed|disputed, authorName }
+ * @returns {Object} Notification créée
+ */
+async function notifyLinkedPayment(userId, debt, payment, { status, authorName }) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.shared) {
+      return null;
+    }
+
+    const amount = `${payment.amount.toLocaleString()} ${debt.currency}`;
+    const content = {
+      pending: {
+        type: 'info',
+        title: '🤝 Paiement à confirmer',
+        message: `${authorName} a enregistré un paiement de ${amount}. Confirmez-le ou contestez-le.`,
+        priority: 'medium'
+      },
+      confirmed: {
+        type: 'success',
+        title: '🤝 Paiement confirmé',
+        message: `${authorName} a confirmé votre paiement de ${amount}.`,
+        priority: 'low'
+      },
+      disputed: {
+        type: 'warning',
+        title: '⚠️ Paiement contesté',
+        message: `${authorName} conteste le paiement de ${amount}${payment.confirmation.reason ? ` : ${payment.confirmation.reason}` : ''}.`,
+        priority: 'high'
+      }
+    }[status];
+
+    return await NotificationService.create({
+      user: userId,
+      source: 'debt_reminder',
+      ...content,
+      actionable: status !== 'confirmed',
+      actionUrl: `/debts/${debt._id}/payments`,
+      actionLabel: 'Voir les paiements',
+      metadata: {
+        debtId: debt._id,
+        paymentId: payment._id,
+        amount: payment.amount,
+        status
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Erreur notifyLinkedPayment:', error);
+    return null;
+  }
+}
+
 // =============================================================================
 // UTILITAIRES
 // =============================================================================
@@ -646,6 +786,9 @@ module.exports = {
   notifyDebtSettled,
   notifyDebtCancelled,
   notifyDebtsStatus,
+  notifyDebtLinkInvitation,
+  notifyDebtLinkResponse,
+  notifyLinkedPayment,
   
   // Utilitaires
   calculateReminders,
@@ -12,6 +12,8 @@
  * - Tour de sol arrivé → Rappel bénéficiaire + participants
  * - Paiement reçu → Confirmation bénéficiaire
  * - Paiement en retard → Alerte urgente
+ * - Litige ouvert / tranché → Organisateur et membre concerné
+ * - Sol dissous → Position nette de chaque membre
  * - Sol complété → Félicitations tous participants
  * 
  * APPELÉ PAR : solController lors des actions sur sols
@@ -40,6 +42,10 @@ const CONFIG = {
     turn: true,
     payment: true,
     late: true,
+    swap: true,
+    joinRequest: true,
+    dispute: true,
+    dissolution: true,
     completed: true
   },
 
@@ -178,6 +184,88 @@ async function notifyParticipantJoined(sol, newParticipant) {
   }
 }
 
+// =============================================================================
+// DEMANDES D'ADHÉSION (SOLS SUR APPROBATION)
+// =============================================================================
+
+/**
+ * Informe l'organisateur d'une demande d'adhésion à valider
+ * 
+ * @param {String} creatorId - ID de l'organisateur
+ * @param {Object} request - { solId, solName, applicantName, share, viaInvitation, pendingCount }
+ * @returns {Object} Notification créée
+ */
+async function notifyJoinRequested(creatorId, request) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.joinRequest) {
+      return null;
+    }
+
+    const { solId, solName, applicantName, share = 100, viaInvitation, pendingCount } = request;
+    const shareLabel = share === 100 ? 'une main' : `${share}% de main`;
+
+    const notification = await NotificationService.create({
+      user: creatorId,
+      source: 'sol_reminder',
+      type: 'info',
+      title: `🙋 Demande d'adhésion - "${solName}"`,
+      message: `${applicantName} demande à rejoindre le sol pour ${shareLabel}${viaInvitation ? ' via une invitation' : ''}. ${pendingCount} demande(s) en attente.`,
+      priority: 'medium',
+      actionable: true,
+      actionUrl: `/sols/${solId}/join-requests`,
+      actionLabel: 'Voir les Demandes',
+      metadata: { solId, share, viaInvitation: !!viaInvitation, pendingCount }
+    });
+
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifyJoinRequested:', error);
+    return null;
+  }
+}
+
+/**
+ * Informe le demandeur de la décision de l'organisateur
+ * 
+ * @param {String} userId - ID du demandeur
+ * @param {Object} decision - { solId, solName, status: 'approved'|'rejected', position, reason }
+ * @returns {Object} Notification créée
+ */
+async function notifyJoinRequestDecision(userId, decision) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.joinRequest) {
+      return null;
+    }
+
+    const { solId, solName, status, position, reason } = decision;
+    const approved = status === 'approved';
+
+    const notification = await NotificationService.create({
+      user: userId,
+      source: 'sol_reminder',
+      type: approved ? 'success' : 'warning',
+      title: approved
+        ? `✅ Adhésion acceptée - "${solName}"`
+        : `❌ Adhésion refusée - "${solName}"`,
+      message: approved
+        ? `L'organisateur a accepté votre demande. Vous occupez la position #${position}.`
+        : `L'organisateur a refusé votre demande d'adhésion${reason ? ` : ${reason}` : ''}.`,
+      priority: approved ? 'high' : 'low',
+      actionable: approved,
+      actionUrl: `/sols/${solId}`,
+      actionLabel: 'Voir Sol',
+      metadata: { solId, status, position }
+    });
+
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifyJoinRequestDecision:', error);
+    return null;
+  }
+}
+
 // =============================================================================
 // TOUR DE SOL (RAPPELS)
 // =============================================================================
@@ -366,6 +454,233 @@ async function notifyPaymentReceived(beneficiaryId, payment) {
   }
 }
 
+// =============================================================================
+// PAIEMENTS HORS APP (DÉCLARATION / VÉRIFICATION)
+// =============================================================================
+
+/**
+ * Notifie l'organisateur qu'un participant a déclaré un paiement hors app
+ * 
+ * @param {String} creatorId - ID de l'organisateur
+ * @param {Object} declaration - Détails de la déclaration
+ * @returns {Object} Notification créée
+ */
+async function notifyExternalPaymentDeclared(creatorId, declaration) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.payment) {
+      return null;
+    }
+
+    const { solId, solName, paymentId, amount, currency, payerName, turnNumber, hasProof } = declaration;
+
+    const notification = await NotificationService.create({
+      user: creatorId,
+      source: 'sol_reminder',
+      type: 'info',
+      title: `🧾 Paiement à vérifier pour "${solName}"`,
+      message: `${payerName} déclare avoir payé ${amount.toLocaleString()} ${currency} hors de l'app (round ${turnNumber})${hasProof ? ', preuve jointe' : ''}. Vérifiez-le pour qu'il soit compté.`,
+      priority: 'medium',
+      actionable: true,
+      actionUrl: `/sols/${solId}/payments/pending`,
+      actionLabel: 'Vérifier',
+      metadata: {
+        solId,
+        paymentId,
+        turnNumber,
+        amount,
+        currency
+      }
+    });
+
+    console.log(`✅ Notification paiement à vérifier envoyée`);
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifyExternalPaymentDeclared:', error);
+    return null;
+  }
+}
+
+/**
+ * Informe le participant de la vérification ou du rejet de son paiement
+ * 
+ * @param {String} payerId - ID du participant
+ * @param {Object} review - { solId, solName, amount, currency, turnNumber, approved, reason }
+ * @returns {Object} Notification créée
+ */
+async function notifyPaymentReviewed(payerId, review) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.payment) {
+      return null;
+    }
+
+    const { solId, solName, amount, currency, turnNumber, approved, reason } = review;
+
+    const notification = await NotificationService.create({
+      user: payerId,
+      source: 'sol_reminder',
+      type: approved ? 'success' : 'warning',
+      title: approved
+        ? `✅ Paiement confirmé pour "${solName}"`
+        : `❌ Paiement refusé pour "${solName}"`,
+      message: approved
+        ? `L'organisateur a confirmé votre paiement de ${amount.toLocaleString()} ${currency} (round ${turnNumber}).`
+        : `L'organisateur n'a pas reconnu votre paiement de ${amount.toLocaleString()} ${currency} (round ${turnNumber})${reason ? ` : ${reason}` : ''}.`,
+      priority: approved ? 'low' : 'high',
+      actionable: !approved,
+      actionUrl: `/sols/${solId}`,
+      actionLabel: 'Voir Sol',
+      metadata: {
+        solId,
+        turnNumber,
+        amount,
+        currency,
+        approved
+      }
+    });
+
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifyPaymentReviewed:', error);
+    return null;
+  }
+}
+
+// =============================================================================
+// ÉCHANGES DE MAINS
+// =============================================================================
+
+/**
+ * Informe les membres concernés d'une proposition d'échange de main
+ * (le membre ciblé, ou tous les autres pour une offre ouverte)
+ * 
+ * @param {Array} recipientIds - IDs des membres à prévenir
+ * @param {Object} request - { solId, solName, requesterName, requesterRound, isOpenOffer, message }
+ * @returns {Object} Résumé des notifications créées
+ */
+async function notifySwapRequested(recipientIds, request) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.swap) {
+      return { created: 0 };
+    }
+
+    const { solId, solName, requesterName, requesterRound, isOpenOffer, message } = request;
+    let created = 0;
+
+    for (const userId of recipientIds) {
+      try {
+        await NotificationService.create({
+          user: userId,
+          source: 'sol_reminder',
+          type: 'info',
+          title: `🔄 Échange de main proposé - "${solName}"`,
+          message: `${requesterName} ${isOpenOffer ? 'offre' : 'vous propose'} sa main du round ${requesterRound} en échange de la vôtre${message ? ` : "${message}"` : ''}.`,
+          priority: 'medium',
+          actionable: true,
+          actionUrl: `/sols/${solId}/swaps`,
+          actionLabel: 'Voir la Proposition',
+          metadata: { solId, requesterRound, isOpenOffer }
+        });
+        created++;
+      } catch (error) {
+        console.error(`❌ Erreur notification échange ${userId}:`, error.message);
+      }
+    }
+
+    return { created };
+
+  } catch (error) {
+    console.error('❌ Erreur notifySwapRequested:', error);
+    return { created: 0 };
+  }
+}
+
+/**
+ * Informe le demandeur (refus du membre ciblé ou de l'organisateur)
+ * ou l'organisateur (échange accepté à approuver) de l'état d'une demande
+ * 
+ * @param {String} userId - ID du destinataire
+ * @param {Object} update - { solId, solName, status: 'declined'|'rejected'|'awaiting_approval', names, reason }
+ * @returns {Object} Notification créée
+ */
+async function notifySwapUpdate(userId, update) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.swap) {
+      return null;
+    }
+
+    const { solId, solName, status, names, reason } = update;
+    const awaitingApproval = status === 'awaiting_approval';
+
+    const notification = await NotificationService.create({
+      user: userId,
+      source: 'sol_reminder',
+      type: awaitingApproval ? 'info' : 'warning',
+      title: awaitingApproval
+        ? `🔄 Échange de mains à approuver - "${solName}"`
+        : `❌ Échange de main refusé - "${solName}"`,
+      message: awaitingApproval
+        ? `${names} se sont mis d'accord pour échanger leurs mains. Votre approbation est requise.`
+        : `Votre proposition d'échange a été refusée${status === 'rejected' ? ' par l\'organisateur' : ''}${reason ? ` : ${reason}` : ''}.`,
+      priority: awaitingApproval ? 'high' : 'low',
+      actionable: awaitingApproval,
+      actionUrl: `/sols/${solId}/swaps`,
+      actionLabel: 'Voir les Échanges',
+      metadata: { solId, status }
+    });
+
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifySwapUpdate:', error);
+    return null;
+  }
+}
+
+/**
+ * Annonce à tous les participants un échange de mains exécuté
+ * 
+ * @param {Object} sol - Sol (participants peuplés)
+ * @param {Object} swap - { firstName, firstRound, secondName, secondRound }
+ * @returns {Object} Résumé des notifications créées
+ */
+async function notifyPositionsSwapped(sol, swap) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.swap) {
+      return { created: 0 };
+    }
+
+    const { firstName, firstRound, secondName, secondRound } = swap;
+    let created = 0;
+
+    for (const participant of sol.participants) {
+      try {
+        await NotificationService.create({
+          user: participant.user._id || participant.user,
+          source: 'sol_reminder',
+          type: 'info',
+          title: `🔄 Ordre des mains modifié - "${sol.name}"`,
+          message: `${firstName} reçoit désormais la main du round ${firstRound} et ${secondName} celle du round ${secondRound}.`,
+          priority: 'low',
+          actionUrl: `/sols/${sol._id}`,
+          actionLabel: 'Voir Sol',
+          metadata: { solId: sol._id, firstRound, secondRound }
+        });
+        created++;
+      } catch (error) {
+        console.error(`❌ Erreur notification échange ${participant.user}:`, error.message);
+      }
+    }
+
+    return { created };
+
+  } catch (error) {
+    console.error('❌ Erreur notifyPositionsSwapped:', error);
+    return { created: 0 };
+  }
+}
+
 // =============================================================================
 // PAIEMENT EN RETARD
 // =============================================================================
@@ -385,35 +700,26 @@ async function notifyLatePayment(userId, latePayment) {
 
     console.log(`👥 [Sol Notifications] Paiement en retard pour "${latePayment.solName}"`);
 
-    const { solId, solName, amount, daysLate, beneficiaryName, turnNumber } = latePayment;
+    const { solId, solName, amount, daysLate, beneficiaryName, turnNumber, currency = 'HTG' } = latePayment;
 
-    const notification = await NotificationService.create(userId, {
-      type: 'sol_late_payment',
+    const notification = await NotificationService.create({
+      user: userId,
+      source: 'sol_reminder',
+      type: 'urgent',
       title: `⚠️ RETARD - Paiement sol "${solName}"`,
-      message: `Votre paiement de ${amount.toLocaleString()} HTG est en retard de ${daysLate} jour(s) ! Tour de ${beneficiaryName}. Payez immédiatement pour maintenir votre réputation dans le sol.`,
+      message: `Votre paiement de ${amount.toLocaleString()} ${currency} est en retard de ${daysLate} jour(s) ! Tour de ${beneficiaryName}. Payez immédiatement pour maintenir votre réputation dans le sol.`,
       priority: 'urgent',
-      category: 'sol',
-      data: {
+      actionable: true,
+      actionUrl: `/sols/${solId}/pay`,
+      actionLabel: 'Payer Maintenant',
+      metadata: {
         solId: solId,
         solName: solName,
         turnNumber: turnNumber,
         amount: amount,
         daysLate: daysLate,
         beneficiaryName: beneficiaryName
-      },
-      actionable: true,
-      actions: [
-        {
-          label: 'Payer Maintenant',
-          type: 'navigate',
-          value: `/sols/${solId}/pay`
-        },
-        {
-          label: 'Voir Sol',
-          type: 'navigate',
-          value: `/sols/${solId}`
-        }
-      ]
+      }
     });
 
     console.log(`✅ Notification retard envoyée`);
@@ -425,6 +731,153 @@ async function notifyLatePayment(userId, latePayment) {
   }
 }
 
+/**
+ * Informe un participant qu'une pénalité de retard lui est appliquée
+ * 
+ * @param {String} userId - ID du participant pénalisé
+ * @param {Object} penalty - { solId, solName, amount, currency, turnNumber, daysLate, reason }
+ * @returns {Object} Notification créée
+ */
+async function notifySolPenalty(userId, penalty) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.late) {
+      return null;
+    }
+
+    const { solId, solName, amount, currency, turnNumber, daysLate, reason } = penalty;
+
+    const notification = await NotificationService.create({
+      user: userId,
+      source: 'sol_reminder',
+      type: 'warning',
+      title: `💸 Pénalité de retard - "${solName}"`,
+      message: `Une pénalité de ${amount.toLocaleString()} ${currency} est appliquée pour le round ${turnNumber} (${daysLate} jour(s) de retard)${reason ? ` : ${reason}` : ''}. Elle sera retenue sur votre main.`,
+      priority: 'high',
+      actionable: true,
+      actionUrl: `/sols/${solId}/penalties`,
+      actionLabel: 'Voir Pénalités',
+      metadata: {
+        solId,
+        turnNumber,
+        amount,
+        currency,
+        daysLate
+      }
+    });
+
+    return notification;
+
+  } catch (error) {
+    console.error('❌ Erreur notifySolPenalty:', error);
+    return null;
+  }
+}
+
+// =============================================================================
+// LITIGES ET DISSOLUTION
+// =============================================================================
+
+/**
+ * Informe les intéressés d'un litige (ouverture, commentaire, décision)
+ * 
+ * @param {Array} userIds - Destinataires
+ * @param {Object} update - { solId, solName, roundNumber, title, status: 'open'|'commented'|'resolved'|'rejected', authorName, note }
+ * @returns {Object} Résumé des notifications créées
+ */
+async function notifyDisputeUpdate(userIds, update) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.dispute) {
+      return { created: 0 };
+    }
+
+    const { solId, solName, roundNumber, title, status, authorName, note } = update;
+    const messages = {
+      open: `${authorName} conteste le round ${roundNumber} : "${title}".`,
+      commented: `${authorName} a commenté le litige "${title}" (round ${roundNumber}).`,
+      resolved: `Le litige "${title}" a été résolu par l'organisateur${note ? ` : ${note}` : ''}.`,
+      rejected: `Le litige "${title}" a été rejeté par l'organisateur${note ? ` : ${note}` : ''}.`
+    };
+    let created = 0;
+
+    for (const userId of userIds) {
+      try {
+        await NotificationService.create({
+          user: userId,
+          source: 'sol_reminder',
+          type: status === 'open' ? 'warning' : 'info',
+          title: `⚖️ Litige - "${solName}"`,
+          message: messages[status],
+          priority: status === 'open' ? 'high' : 'medium',
+          actionable: status === 'open',
+          actionUrl: `/sols/${solId}/disputes`,
+          actionLabel: 'Voir les Litiges',
+          metadata: { solId, roundNumber, status }
+        });
+        created++;
+      } catch (error) {
+        console.error(`❌ Erreur notification litige ${userId}:`, error.message);
+      }
+    }
+
+    return { created };
+
+  } catch (error) {
+    console.error('❌ Erreur notifyDisputeUpdate:', error);
+    return { created: 0 };
+  }
+}
+
+/**
+ * Annonce la dissolution du sol à chaque membre avec sa position nette
+ * 
+ * @param {Object} sol - Sol dissous
+ * @param {Object} settlement - Règlement (positions, transfers)
+ * @returns {Object} Résumé des notifications créées
+ */
+async function notifySolDissolved(sol, settlement) {
+  try {
+    if (!CONFIG.ENABLED_NOTIFICATIONS.dissolution) {
+      return { created: 0 };
+    }
+
+    const { currency = 'HTG', positions } = settlement;
+    let created = 0;
+
+    for (const position of positions) {
+      const amount = Math.abs(position.net).toLocaleString();
+      const balance = position.net > 0
+        ? `Vous devez ${amount} ${currency} aux autres membres.`
+        : position.net < 0
+          ? `Les autres membres vous doivent ${amount} ${currency}.`
+          : 'Votre position est équilibrée.';
+
+      try {
+        await NotificationService.create({
+          user: position.user,
+          source: 'sol_reminder',
+          type: 'warning',
+          title: `🛑 Sol "${sol.name}" dissous`,
+          message: `L'organisateur a dissous le sol${sol.dissolution && sol.dissolution.reason ? ` : ${sol.dissolution.reason}` : ''}. ${balance}`,
+          priority: position.net !== 0 ? 'high' : 'medium',
+          actionable: position.net !== 0,
+          actionUrl: `/sols/${sol._id}/settlement`,
+          actionLabel: 'Voir le Règlement',
+          metadata: { solId: sol._id, net: position.net, refunded: position.refunded }
+        });
+        created++;
+      } catch (error) {
+        console.error(`❌ Erreur notification dissolution ${position.user}:`, error.message);
+      }
+    }
+
+    return { created };
+
+  } catch (error) {
+    console.error('❌ Erreur notifySolDissolved:', error);
+    return { created: 0 };
+  }
+}
+
 // =============================================================================
 // SOL COMPLÉTÉ
 // =============================================================================
@@ -519,48 +972,53 @@ async function notifySolStarted(sol) {
     console.log(`👥 [Sol Notifications] Sol "${sol.name}" démarre`);
 
     const notifications = [];
-    const { name, totalAmount, frequency, participants, turns } = sol;
+    const { name, frequency, participants, maxParticipants, currency = 'HTG' } = sol;
+    const totalAmount = sol.contributionAmount * maxParticipants;
+    const members = sol.getMembers();
 
-    // Notifier tous les participants
-    for (const participant of participants) {
+    // Notifier chaque membre des mains (ou parts de main) qui lui sont attribuées
+    for (const userId of members) {
       try {
-        const participantTurn = turns.find(t => t.participant.toString() === participant.user.toString());
-        const turnPosition = participantTurn ? participantTurn.turnNumber : 'TBD';
-
-        const notification = await NotificationService.create(participant.user, {
-          type: 'sol_started',
+        const hands = participants
+          .filter(participant => (participant.user._id || participant.user).toString() === userId.toString())
+          .sort((a, b) => a.position - b.position);
+        const turnPosition = hands[0].position;
+        const turnLabel = hands
+          .map(hand => (hand.share ?? 100) < 100 ? `#${hand.position} (${hand.share}%)` : `#${hand.position}`)
+          .join(', ');
+        const turnDiscount = hands.reduce((sum, hand) => sum + (hand.turnDiscount || 0), 0);
+        const discountNote = turnDiscount > 0
+          ? ` Remise d'enchère: ${turnDiscount.toLocaleString()} ${currency}.`
+          : '';
+
+        const notification = await NotificationService.create({
+          user: userId,
+          source: 'sol_reminder',
+          type: 'success',
           title: `🚀 Sol "${name}" démarré !`,
-          message: `Le sol est maintenant actif avec ${participants.length} participants. Montant: ${totalAmount.toLocaleString()} HTG (${frequency}). Votre tour: #${turnPosition}. Consultez le calendrier des paiements !`,
+          message: `Le sol est maintenant actif avec ${members.length} participants. Main: ${totalAmount.toLocaleString()} ${currency} (${frequency}). Votre tour: ${turnLabel}.${discountNote} Consultez le calendrier des paiements !`,
           priority: 'high',
-          category: 'sol',
-          data: {
+          actionable: true,
+          actionUrl: `/sols/${sol._id}`,
+          actionLabel: 'Voir Sol',
+          metadata: {
             solId: sol._id,
             solName: name,
             totalAmount: totalAmount,
             frequency: frequency,
-            participantCount: participants.length,
+            participantCount: members.length,
             yourTurnNumber: turnPosition,
-            totalTurns: turns.length
-          },
-          actionable: true,
-          actions: [
-            {
-              label: 'Voir Calendrier',
-              type: 'navigate',
-              value: `/sols/${sol._id}/calendar`
-            },
-            {
-              label: 'Voir Sol',
-              type: 'navigate',
-              value: `/sols/${sol._id}`
-            }
-          ]
+            yourTurns: hands.map(hand => ({ position: hand.position, share: hand.share ?? 100 })),
+            turnDiscount: turnDiscount,
+            turnOrderMode: sol.turnOrder ? sol.turnOrder.mode : 'fixed',
+            totalTurns: maxParticipants
+          }
         });
 
         notifications.push(notification._id);
 
       } catch (error) {
-        console.error(`❌ Erreur notification participant ${participant.user}:`, error.message);
+        console.error(`❌ Erreur notification participant ${userId}:`, error.message);
       }
     }
 
@@ -646,9 +1104,19 @@ module.exports = {
   // Fonctions principales
   notifySolCreated,
   notifyParticipantJoined,
+  notifyJoinRequested,
+  notifyJoinRequestDecision,
   notifySolTurnReminder,
   notifyPaymentReceived,
+  notifyExternalPaymentDeclared,
+  notifyPaymentReviewed,
   notifyLatePayment,
+  notifySolPenalty,
+  notifySwapRequested,
+  notifySwapUpdate,
+  notifyPositionsSwapped,
+  notifyDisputeUpdate,
+  notifySolDissolved,
   notifySolCompleted,
   notifySolStarted,
   
@@ -0,0 +1,73 @@
+// src/middleware/upload.js - Upload reçus et documents FinApp Haiti
+const multer = require('multer');
+const { LIMITS } = require('../utils/constants');
+const { ALLOWED_MIME_TYPES } = require('../services/fileStorageService');
+
+/**
+ * MIDDLEWARE UPLOAD FICHIERS
+ * Fichier gardé en mémoire puis confié au service de stockage
+ * (disque local ou Cloudinary). Le type déclaré est filtré ici,
+ * le type réel est revérifié par le service.
+ */
+
+// ===================================================================
+// CONFIGURATION MULTER
+// ===================================================================
+
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LIMITS.UPLOAD.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Type de fichier non supporté (JPEG, PNG, GIF, WEBP ou PDF)';
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+// ===================================================================
+// MIDDLEWARE
+// ===================================================================
+
+/**
+ * Envelopper un middleware multer : erreurs d'upload renvoyées en 400
+ * @param {Function} upload - Middleware multer (ex: multer(...).single('file'))
+ * @param {Number} maxFileSize - Taille max annoncée dans le message (octets)
+ */
+const handleUploadErrors = (upload, maxFileSize) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.name === 'MulterError') {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `Fichier trop volumineux (max: ${maxFileSize / (1024 * 1024)}MB)`
+          : err.message,
+        error: 'file_upload_error',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Accepter un seul fichier multipart
+ * Les erreurs d'upload sont renvoyées directement en 400
+ * @param {String} fieldName - Nom du champ (défaut: 'file')
+ */
+const uploadSingleFile = (fieldName = 'file') =>
+  handleUploadErrors(fileUpload.single(fieldName), LIMITS.UPLOAD.MAX_FILE_SIZE);
+
+module.exports = {
+  uploadSingleFile,
+  handleUploadErrors
+};
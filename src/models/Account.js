@@ -1,5 +1,6 @@
 // src/models/Account.js - Modèle comptes bancaires FinApp Haiti
 const mongoose = require('mongoose');
+const BalanceLedgerEntry = require('./BalanceLedgerEntry');
 
 // Import des constantes
 const { 
@@ -374,9 +375,9 @@ accountSchema.pre('save', function(next) {
 // MÉTHODES D'INSTANCE
 // ===================================================================
 
-// Mettre à jour le solde
-accountSchema.methods.updateBalance = function(amount, description = 'Transaction') {
-  const previousBalance = this.currentBalance;
+// Mettre à jour le solde et l'inscrire au grand livre
+// ledger : { source, reference, date, lines, session } (voir BalanceLedgerEntry.record)
+accountSchema.methods.updateBalance = async function(amount, description = 'Transaction', ledger = {}) {
   this.currentBalance += amount;
   this.availableBalance = Math.min(this.availableBalance + amount, this.currentBalance);
   
@@ -384,11 +385,14 @@ accountSchema.methods.updateBalance = function(amount, description = 'Transactio
   this.balanceHistory.push({
     balance: this.currentBalance,
     change: amount,
-    reason: 'transaction',
+    reason: ['adjustment', 'sync'].includes(ledger.source) ? ledger.source : 'transaction',
     description
   });
   
-  return this.save();
+  await this.save({ session: ledger.session || null });
+  await BalanceLedgerEntry.record(this, amount, { description, ...ledger });
+
+  return this;
 };
 
 // Vérifier si transaction possible
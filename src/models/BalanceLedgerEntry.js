@@ -0,0 +1,213 @@
+// src/models/BalanceLedgerEntry.js - Grand livre des soldes de comptes FinApp Haiti
+const mongoose = require('mongoose');
+
+/**
+ * Journal en ajout seul de chaque mouvement de solde d'un compte
+ * (transaction, ajustement, synchronisation SMS, import, sol, dette).
+ * Permet de reconstituer le solde à n'importe quelle date et de
+ * vérifier que currentBalance n'a pas dérivé.
+ */
+
+const LEDGER_SOURCES = [
+  'opening',       // Solde d'ouverture (création du compte ou début du journal)
+  'transaction',   // Création, correction ou confirmation de transaction
+  'adjustment',    // Ajustement manuel du solde
+  'sync',          // Alignement sur un solde SMS MonCash / NatCash
+  'import',        // Import de relevé bancaire
+  'sol_payment',   // Cotisation versée à un sol
+  'sol_payout',    // Main de sol reçue
+  'debt_payment',  // Remboursement de dette / créance
+  'expense_group'  // Remboursement entre membres d'un groupe de dépenses
+];
+
+const balanceLedgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utilisateur est requis'],
+    index: true
+  },
+
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Le compte est requis']
+  },
+
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // ===================================================================
+  // MOUVEMENT
+  // ===================================================================
+  amount: {
+    type: Number,
+    required: [true, 'Le montant du mouvement est requis']
+  },
+
+  balanceBefore: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Date de valeur (date de la transaction), peut précéder la saisie
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+
+  // ===================================================================
+  // ORIGINE
+  // ===================================================================
+  source: {
+    type: String,
+    enum: {
+      values: LEDGER_SOURCES,
+      message: 'Origine de mouvement non valide'
+    },
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'La description ne peut pas dépasser 255 caractères']
+  },
+
+  reference: {
+    model: {
+      type: String,
+      enum: ['Transaction', 'Sol', 'Debt', 'ExpenseGroup']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// ===================================================================
+// INDEX
+// ===================================================================
+balanceLedgerEntrySchema.index({ account: 1, effectiveDate: 1 });
+balanceLedgerEntrySchema.index({ account: 1, _id: 1 });
+balanceLedgerEntrySchema.index({ 'reference.model': 1, 'reference.id': 1 });
+
+// ===================================================================
+// AJOUT SEUL
+// ===================================================================
+
+const rejectMutation = function(next) {
+  next(new Error('Le grand livre des soldes est en ajout seul : écrire une écriture corrective'));
+};
+
+balanceLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  balanceLedgerEntrySchema.pre(operation, rejectMutation);
+});
+
+// ===================================================================
+// MÉTHODES STATIQUES
+// ===================================================================
+
+/**
+ * Enregistrer un mouvement déjà appliqué au compte
+ * Au premier mouvement d'un compte existant, une écriture d'ouverture
+ * reprend le solde antérieur au journal
+ * @param {Object} account - Compte après mise à jour du solde
+ * @param {Number} amount - Variation appliquée
+ * @param {Object} options - { source, description, reference, date, lines, session }
+ *   lines : ventilation [{ amount, date, reference, description }] d'un mouvement groupé
+ * @returns {Promise<Array>} - Écritures créées
+ */
+balanceLedgerEntrySchema.statics.record = async function(account, amount, options = {}) {
+  const {
+    source = 'transaction',
+    description,
+    reference,
+    date = new Date(),
+    lines,
+    session = null
+  } = options;
+
+  const round = (value) => Math.round(value * 100) / 100;
+  let balance = round(account.currentBalance - amount);
+  const entries = [];
+
+  const hasEntries = await this.exists({ account: account._id }).session(session);
+  if (!hasEntries) {
+    entries.push({
+      amount: balance,
+      balanceBefore: 0,
+      balanceAfter: balance,
+      effectiveDate: account.createdAt || date,
+      source: 'opening',
+      description: 'Solde avant ouverture du journal'
+    });
+  }
+
+  const movements = Array.isArray(lines) && lines.length > 0
+    ? lines
+    : [{ amount, date, reference, description }];
+
+  movements.forEach(line => {
+    entries.push({
+      amount: round(line.amount),
+      balanceBefore: balance,
+      balanceAfter: round(balance + line.amount),
+      effectiveDate: line.date || date,
+      source,
+      description: line.description || description,
+      reference: line.reference || reference
+    });
+    balance = round(balance + line.amount);
+  });
+
+  const documents = entries.map(entry => ({
+    ...entry,
+    user: account.user,
+    account: account._id,
+    currency: account.currency
+  }));
+
+  return this.create(documents, { session, ordered: true });
+};
+
+/**
+ * Écriture d'ouverture d'un nouveau compte
+ * @param {Object} account - Compte sauvegardé
+ */
+balanceLedgerEntrySchema.statics.recordOpening = function(account) {
+  return this.create({
+    user: account.user,
+    account: account._id,
+    currency: account.currency,
+    amount: account.currentBalance,
+    balanceBefore: 0,
+    balanceAfter: account.currentBalance,
+    effectiveDate: account.createdAt || new Date(),
+    source: 'opening',
+    description: 'Solde initial'
+  });
+};
+
+balanceLedgerEntrySchema.statics.SOURCES = LEDGER_SOURCES;
+
+// ===================================================================
+// EXPORT DU MODÈLE
+// ===================================================================
+const BalanceLedgerEntry = mongoose.model('BalanceLedgerEntry', balanceLedgerEntrySchema);
+
+module.exports = BalanceLedgerEntry;
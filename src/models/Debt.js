@@ -2,6 +2,9 @@
 // Modèle pour gérer dettes et créances
 
 const mongoose = require('mongoose');
+const { FILE_STORAGE } = require('../utils/constants');
+const { buildInstallmentSchedule, allocatePayments } = require('../services/debtScheduleService');
+const { getNominalAnnualRate, accrueInterest, allocatePayment } = require('../services/debtInterestService');
 
 const debtSchema = new mongoose.Schema({
   user: {
@@ -38,6 +41,11 @@ const debtSchema = new mongoose.Schema({
       type: String,
       enum: ['family', 'friend', 'colleague', 'business', 'other'],
       default: 'other'
+    },
+    // Contact inscrit sur FinApp (dette partagée)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   },
 
@@ -117,19 +125,106 @@ const debtSchema = new mongoose.Schema({
     numberOfInstallments: Number
   },
 
-  // Intérêts (si applicable)
+  // Intérêts (si applicable) - calculés chaque jour par debtInterestService
   interest: {
     hasInterest: {
       type: Boolean,
       default: false
     },
-    rate: Number,
+    model: {
+      type: String,
+      enum: ['simple', 'compound', 'flat_fee'],
+      default: 'simple'
+    },
+    rate: Number, // Taux en % par ratePeriod (annuel par défaut)
+    ratePeriod: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly'],
+      default: 'yearly'
+    },
+    // Modèle composé : fréquence de capitalisation
+    compoundingPeriod: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly'],
+      default: 'monthly'
+    },
+    // Modèle frais fixe : montant prélevé à chaque période
+    flatFee: {
+      amount: Number,
+      period: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+        default: 'monthly'
+      }
+    },
+    // Pénalité de retard sur les sommes échues
+    penalty: {
+      rate: Number, // % par période
+      period: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+        default: 'monthly'
+      },
+      graceDays: {
+        type: Number,
+        default: 0
+      }
+    },
     totalInterest: {
       type: Number,
       default: 0
-    }
+    },
+    totalPenalty: {
+      type: Number,
+      default: 0
+    },
+    // Part des paiements ayant réglé intérêts et pénalités (sans échéancier)
+    interestPaid: {
+      type: Number,
+      default: 0
+    },
+    penaltyPaid: {
+      type: Number,
+      default: 0
+    },
+    lastAccrualDate: Date,
+    // Historique des calculs (une ligne par exécution, anciennes lignes regroupées)
+    accruals: [{
+      date: Date,
+      from: Date,
+      days: Number,
+      base: Number,
+      interest: Number,
+      penalty: Number,
+      model: String,
+      runs: Number
+    }]
   },
 
+  // Échéancier (généré depuis paymentTerms et interest)
+  schedule: [{
+    number: Number,
+    dueDate: Date,
+    amount: Number,
+    principal: Number,
+    interest: Number,
+    principalPaid: {
+      type: Number,
+      default: 0
+    },
+    interestPaid: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'partial', 'paid'],
+      default: 'pending'
+    },
+    paidAt: Date
+  }],
+  scheduleGeneratedAt: Date,
+
   // Historique des paiements
   payments: [{
     amount: {
@@ -145,10 +240,56 @@ const debtSchema = new mongoose.Schema({
       enum: ['cash', 'moncash', 'bank_transfer', 'check', 'other']
     },
     note: String,
-    receipt: String, // URL photo reçu
+    // Photo ou PDF du reçu (service de stockage)
+    receipt: {
+      url: String,
+      storage: {
+        type: String,
+        enum: FILE_STORAGE.DRIVERS
+      },
+      key: String,
+      publicId: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      thumbnail: {
+        key: String,
+        url: String,
+        publicId: String
+      },
+      uploadedAt: Date
+    },
     transactionReference: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction'
+    },
+    // Part du paiement ayant réglé intérêts et pénalités courus (le reste : capital)
+    allocation: {
+      interest: Number,
+      penalty: Number
+    },
+    // Dette partagée : paiement à confirmer par l'autre partie
+    confirmation: {
+      status: {
+        type: String,
+        enum: ['confirmed', 'pending', 'disputed']
+      },
+      linkId: mongoose.Schema.Types.ObjectId, // Même valeur sur la copie miroir
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      respondedAt: Date,
+      reason: String,
+      // Compte de l'auteur, mouvementé à la confirmation (jamais avant)
+      account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account'
+      }
     }
   }],
 
@@ -160,6 +301,13 @@ const debtSchema = new mongoose.Schema({
       enum: ['payment_due', 'overdue', 'custom']
     },
     message: String,
+    amount: Number,
+    // Rappel manuel ou issu d'un plan de remboursement
+    origin: {
+      type: String,
+      enum: ['manual', 'payoff_plan'],
+      default: 'manual'
+    },
     sent: {
       type: Boolean,
       default: false
@@ -179,6 +327,53 @@ const debtSchema = new mongoose.Schema({
   // Notes additionnelles
   notes: String,
 
+  // Règlement d'un sol dissous : créance ou dette envers un autre membre
+  solSettlement: {
+    sol: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sol'
+    },
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Remboursement enregistré dans un groupe de dépenses partagées
+  expenseGroup: {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseGroup'
+    },
+    settlement: mongoose.Schema.Types.ObjectId
+  },
+
+  // Dette partagée avec le contact inscrit (copie miroir chez lui)
+  link: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'declined', 'disputed', 'unlinked']
+    },
+    mirror: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Debt'
+    },
+    invitedAt: Date,
+    respondedAt: Date,
+    dispute: {
+      openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      openedAt: Date
+    }
+  },
+
   // Metadata
   tags: [String],
   isArchived: {
@@ -192,7 +387,14 @@ const debtSchema = new mongoose.Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Invitation sans réponse : l'invité (inscrit ou non) n'est pas révélé
+    transform: (doc, ret) => {
+      if (ret.link && ret.link.status === 'pending') delete ret.link.user;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -201,6 +403,7 @@ debtSchema.index({ user: 1, status: 1 });
 debtSchema.index({ user: 1, type: 1, status: 1 });
 debtSchema.index({ user: 1, dueDate: 1 });
 debtSchema.index({ 'contact.name': 'text', description: 'text' });
+debtSchema.index({ 'link.user': 1, 'link.status': 1 });
 
 // Virtual : Pourcentage payé
 debtSchema.virtual('percentagePaid').get(function() {
@@ -223,27 +426,88 @@ debtSchema.virtual('isOverdue').get(function() {
   return new Date() > this.dueDate && this.status !== 'paid';
 });
 
+// Middleware : Anciens reçus enregistrés en simple URL (avant le stockage des fichiers)
+// Voir src/scripts/migrateDebtReceipts.js pour la conversion en base
+debtSchema.pre('init', function(raw) {
+  (raw.payments || []).forEach(payment => {
+    if (typeof payment.receipt === 'string') {
+      payment.receipt = payment.receipt ? { url: payment.receipt } : undefined;
+    }
+  });
+});
+
+// Middleware : Échéancier à jour avec les conditions et les paiements
+debtSchema.pre('save', function(next) {
+  const termsChanged = this.isNew ||
+    this.isModified('paymentTerms') ||
+    this.isModified('interest.hasInterest') ||
+    this.isModified('interest.rate') ||
+    this.isModified('interest.ratePeriod') ||
+    this.isModified('interest.model') ||
+    this.isModified('amount') ||
+    this.isModified('borrowedDate');
+
+  try {
+    if (termsChanged) {
+      this.generateSchedule();
+    } else if (this.isModified('payments') && this.schedule.length > 0) {
+      allocatePayments(this.schedule, this.getSettledPayments());
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (this.schedule.length > 0) {
+    const nextInstallment = this.schedule.find(installment => installment.status !== 'paid');
+    this.nextPaymentDue = nextInstallment ? nextInstallment.dueDate : undefined;
+  }
+
+  next();
+});
+
 // Middleware : Calculer montant restant avant sauvegarde
 debtSchema.pre('save', function(next) {
-  this.amountRemaining = this.amount - this.amountPaid;
+  // Seuls les versements affectés au capital réduisent la dette
+  // (échéancier, ou intérêts et pénalités courus réglés en premier)
+  const principalPaid = this.schedule.length > 0
+    ? this.schedule.reduce((sum, installment) => sum + installment.principalPaid, 0)
+    : this.amountPaid - (this.interest.interestPaid || 0) - (this.interest.penaltyPaid || 0);
+
+  this.amountRemaining = Math.round((this.amount - principalPaid) * 100) / 100;
   
   // Mettre à jour statut automatiquement
-  if (this.amountPaid >= this.amount) {
+  if (this.amountRemaining <= 0) {
     this.status = 'paid';
   } else if (this.amountPaid > 0) {
     this.status = 'partially_paid';
   } else if (this.isOverdue) {
     this.status = 'overdue';
-  } else if (this.status === 'paid' && this.amountPaid < this.amount) {
+  } else if (this.status === 'paid' && this.amountRemaining > 0) {
     this.status = 'active';
   }
   
   next();
 });
 
+// Méthode : Paiements comptabilisés (hors paiements partagés non confirmés)
+debtSchema.methods.getSettledPayments = function() {
+  return this.payments.filter(payment =>
+    !payment.confirmation || !payment.confirmation.status || payment.confirmation.status === 'confirmed'
+  );
+};
+
 // Méthode : Ajouter paiement
 debtSchema.methods.addPayment = function(paymentData) {
   this.payments.push(paymentData);
+
+  // Paiement partagé en attente : comptabilisé à sa confirmation
+  if (paymentData.confirmation && paymentData.confirmation.status === 'pending') {
+    return this.save();
+  }
+
+  const payment = this.payments[this.payments.length - 1];
+  payment.allocation = allocatePayment(this, payment.amount);
+
   this.amountPaid += paymentData.amount;
   this.lastPaymentDate = paymentData.date || new Date();
   
@@ -270,16 +534,32 @@ debtSchema.methods.addPayment = function(paymentData) {
   return this.save();
 };
 
-// Méthode : Calculer intérêts
-debtSchema.methods.calculateInterest = function() {
-  if (!this.interest.hasInterest || !this.interest.rate) return 0;
-  
-  const principal = this.amountRemaining;
-  const rate = this.interest.rate / 100;
-  const interest = principal * rate;
-  
-  this.interest.totalInterest += interest;
-  return interest;
+// Méthode : (Re)générer l'échéancier et y affecter les paiements existants
+debtSchema.methods.generateSchedule = function() {
+  const terms = this.paymentTerms || {};
+
+  if (!terms.installments) {
+    this.schedule = [];
+    return this.schedule;
+  }
+
+  this.schedule = buildInstallmentSchedule({
+    principal: this.amount,
+    annualRate: getNominalAnnualRate(this.interest),
+    frequency: terms.installmentFrequency,
+    numberOfInstallments: terms.numberOfInstallments,
+    installmentAmount: terms.installmentAmount,
+    startDate: this.borrowedDate || new Date()
+  });
+  allocatePayments(this.schedule, this.getSettledPayments());
+  this.scheduleGeneratedAt = new Date();
+
+  return this.schedule;
+};
+
+// Méthode : Calculer les intérêts et pénalités courus jusqu'à une date
+debtSchema.methods.calculateInterest = function(until = new Date()) {
+  return accrueInterest(this, until);
 };
 
 // Méthode statique : Obtenir statistiques utilisateur
@@ -0,0 +1,165 @@
+// src/models/ExchangeRate.js - Taux de change USD/HTG datés FinApp Haiti
+const mongoose = require('mongoose');
+const { EXCHANGE_RATES } = require('../utils/constants');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // ===================================================================
+  // PAIRE DE DEVISES
+  // ===================================================================
+  baseCurrency: {
+    type: String,
+    enum: ['USD'],
+    default: 'USD'
+  },
+
+  quoteCurrency: {
+    type: String,
+    enum: ['HTG'],
+    default: 'HTG'
+  },
+
+  // ===================================================================
+  // TAUX DU JOUR (gourdes pour 1 dollar)
+  // ===================================================================
+  date: {
+    type: Date,
+    required: [true, 'La date du taux est requise'],
+    index: true
+  },
+
+  referenceRate: {
+    type: Number,
+    required: [true, 'Le taux de référence est requis'],
+    min: [1, 'Le taux de référence doit être positif']
+  },
+
+  buyRate: {
+    type: Number,
+    min: [1, 'Le taux d\'achat doit être positif']
+  },
+
+  sellRate: {
+    type: Number,
+    min: [1, 'Le taux de vente doit être positif']
+  },
+
+  // ===================================================================
+  // PROVENANCE
+  // ===================================================================
+  source: {
+    type: String,
+    enum: {
+      values: EXCHANGE_RATES.SOURCES,
+      message: 'Source de taux non valide'
+    },
+    default: EXCHANGE_RATES.DEFAULT_SOURCE
+  },
+
+  // Banque concernée quand source = 'bank'
+  bank: {
+    type: String,
+    trim: true
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Les notes ne peuvent pas dépasser 300 caractères']
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  importBatchId: {
+    type: String,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===================================================================
+// INDEX
+// ===================================================================
+
+// Un seul taux par jour et par source
+exchangeRateSchema.index(
+  { baseCurrency: 1, quoteCurrency: 1, source: 1, bank: 1, date: 1 },
+  { unique: true }
+);
+
+// ===================================================================
+// VIRTUALS
+// ===================================================================
+
+// Écart achat/vente en pourcentage du taux de référence
+exchangeRateSchema.virtual('spreadPercentage').get(function() {
+  if (!this.buyRate || !this.sellRate) return null;
+  return Math.round(((this.sellRate - this.buyRate) / this.referenceRate) * 10000) / 100;
+});
+
+// ===================================================================
+// MIDDLEWARE PRE-SAVE
+// ===================================================================
+
+// Un taux vaut pour la journée entière : normaliser à minuit
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.date) {
+    const day = new Date(this.date);
+    day.setHours(0, 0, 0, 0);
+    this.date = day;
+  }
+
+  if (this.buyRate && this.sellRate && this.buyRate > this.sellRate) {
+    this.invalidate('buyRate', 'Le taux d\'achat ne peut pas dépasser le taux de vente');
+  }
+
+  next();
+});
+
+// ===================================================================
+// MÉTHODES D'INSTANCE
+// ===================================================================
+
+// Taux selon le sens de l'opération (achat/vente/référence)
+exchangeRateSchema.methods.getRate = function(type = 'reference') {
+  if (type === 'buy') return this.buyRate || this.referenceRate;
+  if (type === 'sell') return this.sellRate || this.referenceRate;
+  return this.referenceRate;
+};
+
+// ===================================================================
+// MÉTHODES STATIQUES
+// ===================================================================
+
+// Taux en vigueur à une date : dernier taux publié à cette date ou avant
+exchangeRateSchema.statics.findEffectiveRate = function(date = new Date(), source = EXCHANGE_RATES.DEFAULT_SOURCE) {
+  return this.findOne({
+    source,
+    date: { $lte: date }
+  }).sort({ date: -1 });
+};
+
+// Historique sur une période
+exchangeRateSchema.statics.getHistory = function(startDate, endDate, source = EXCHANGE_RATES.DEFAULT_SOURCE) {
+  const query = { source };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = startDate;
+    if (endDate) query.date.$lte = endDate;
+  }
+
+  return this.find(query).sort({ date: 1 });
+};
+
+// ===================================================================
+// EXPORT DU MODÈLE
+// ===================================================================
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,316 @@
+// src/models/ExpenseGroup.js
+// Modèle Mongoose des groupes de dépenses partagées - FinApp Haiti
+// (famille, colocataires : provisions, factures EDH, camion d'eau...)
+
+const mongoose = require('mongoose');
+const { TRANSACTION_CATEGORIES } = require('../utils/constants');
+
+// ===================================================================
+// SOUS-SCHEMAS
+// ===================================================================
+
+// Membre : utilisateur inscrit ou simple contact.
+// Un contact ajouté par email ou téléphone n'est rattaché à son compte (user)
+// qu'après avoir accepté l'invitation ; invitation.user n'est jamais exposé.
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Le nom du membre est requis'],
+    trim: true,
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  invitation: {
+    // Utilisateur inscrit correspondant aux coordonnées (absent sinon)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined']
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: Date,
+    respondedAt: Date
+  }
+}, {
+  toJSON: {
+    // Inscrit ou non : rien ne le distingue avant sa réponse
+    transform: (doc, ret) => {
+      if (ret.invitation) delete ret.invitation.user;
+      return ret;
+    }
+  }
+});
+
+// Part d'un membre dans une dépense (member = _id du membre dans le groupe)
+const splitSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  shares: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const expenseSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'La description est requise'],
+    trim: true,
+    maxlength: [200, 'La description ne peut pas dépasser 200 caractères']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Le montant est requis'],
+    min: [0.01, 'Le montant doit être positif']
+  },
+  currency: {
+    type: String,
+    enum: ['HTG', 'USD'],
+    default: 'HTG'
+  },
+  category: {
+    type: String,
+    enum: Object.keys(TRANSACTION_CATEGORIES),
+    default: 'other'
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  splitType: {
+    type: String,
+    enum: ['equal', 'shares', 'exact'],
+    default: 'equal'
+  },
+  splits: [splitSchema],
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+// Remboursement entre deux membres
+const settlementSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Le montant doit être positif']
+  },
+  currency: {
+    type: String,
+    enum: ['HTG', 'USD'],
+    default: 'HTG'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'moncash', 'natcash', 'bank_transfer', 'check', 'other'],
+    default: 'cash'
+  },
+  note: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Remboursement enregistré par un autre que le membre remboursé (inscrit) :
+  // compté dans les soldes seulement après sa confirmation
+  confirmation: {
+    status: {
+      type: String,
+      enum: ['confirmed', 'pending', 'disputed'],
+      default: 'confirmed'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    reason: String,
+    // Choix de l'auteur, appliqués à la confirmation (jamais avant)
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    createTransactions: Boolean,
+    createDebts: Boolean
+  },
+  // Enregistrements créés pour les membres inscrits
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  debts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Debt'
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    // Le compte de l'auteur ne regarde pas les autres membres
+    transform: (doc, ret) => {
+      if (ret.confirmation) delete ret.confirmation.account;
+      return ret;
+    }
+  }
+});
+
+// ===================================================================
+// SCHEMA PRINCIPAL
+// ===================================================================
+
+const expenseGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Le nom du groupe est requis'],
+    trim: true,
+    minlength: [2, 'Le nom doit contenir au moins 2 caractères'],
+    maxlength: [100, 'Le nom ne peut pas dépasser 100 caractères']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'La description ne peut pas dépasser 255 caractères']
+  },
+  type: {
+    type: String,
+    enum: ['family', 'roommates', 'friends', 'trip', 'other'],
+    default: 'family'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  defaultCurrency: {
+    type: String,
+    enum: ['HTG', 'USD'],
+    default: 'HTG'
+  },
+  members: [memberSchema],
+  expenses: [expenseSchema],
+  settlements: [settlementSchema],
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===================================================================
+// INDEX
+// ===================================================================
+
+expenseGroupSchema.index({ 'members.user': 1, isArchived: 1 });
+expenseGroupSchema.index({ 'members.invitation.user': 1, 'members.invitation.status': 1 });
+
+// ===================================================================
+// VIRTUALS
+// ===================================================================
+
+expenseGroupSchema.virtual('activeMembers').get(function() {
+  return this.members.filter(member => member.isActive);
+});
+
+// ===================================================================
+// MÉTHODES
+// ===================================================================
+
+/**
+ * Membre du groupe correspondant à un utilisateur
+ */
+expenseGroupSchema.methods.findMemberByUser = function(userId) {
+  return this.members.find(member =>
+    member.isActive && member.user && member.user.toString() === userId.toString()
+  );
+};
+
+/**
+ * Groupes dont l'utilisateur est membre
+ */
+expenseGroupSchema.statics.findForUser = function(userId, { includeArchived = false } = {}) {
+  const filter = { members: { $elemMatch: { user: userId, isActive: true } } };
+  if (!includeArchived) filter.isArchived = false;
+
+  return this.find(filter).sort({ updatedAt: -1 });
+};
+
+/**
+ * Groupes où l'utilisateur a une invitation en attente
+ */
+expenseGroupSchema.statics.findInvitationsForUser = function(userId) {
+  return this.find({
+    isArchived: false,
+    members: { $elemMatch: { 'invitation.user': userId, 'invitation.status': 'pending' } }
+  }).sort({ updatedAt: -1 });
+};
+
+/**
+ * Membre portant l'invitation en attente d'un utilisateur
+ */
+expenseGroupSchema.methods.findPendingInvitation = function(userId) {
+  return this.members.find(member =>
+    member.invitation && member.invitation.status === 'pending' &&
+    member.invitation.user && member.invitation.user.toString() === userId.toString()
+  );
+};
+
+module.exports = mongoose.model('ExpenseGroup', expenseGroupSchema);
@@ -6,7 +6,8 @@ const {
   INVESTMENT_TYPES,
   CURRENCIES,
   DEFAULTS,
-  LIMITS
+  LIMITS,
+  FILE_STORAGE
 } = require('../utils/constants');
 
 /**
@@ -401,7 +402,19 @@ const investmentSchema = new mongoose.Schema({
       default: 'other'
     },
     url: String,
+    storage: {
+      type: String,
+      enum: FILE_STORAGE.DRIVERS
+    },
+    key: String, // Clé dans le driver de stockage
     publicId: String, // Cloudinary
+    originalName: String,
+    mimeType: String,
+    thumbnail: {
+      key: String,
+      url: String,
+      publicId: String
+    },
     uploadDate: {
       type: Date,
       default: Date.now
@@ -691,7 +704,12 @@ investmentSchema.methods.addDocument = function(documentData) {
     name: documentData.name,
     type: documentData.type || 'other',
     url: documentData.url,
+    storage: documentData.storage,
+    key: documentData.key,
     publicId: documentData.publicId,
+    originalName: documentData.originalName,
+    mimeType: documentData.mimeType,
+    thumbnail: documentData.thumbnail,
     size: documentData.size
   };
   
@@ -0,0 +1,118 @@
+// src/models/Reconciliation.js - Rapprochements bancaires FinApp Haiti
+const mongoose = require('mongoose');
+
+/**
+ * Session de rapprochement d'un compte avec un relevé
+ * - ouverte avec la date de fin et le solde de clôture du relevé
+ * - l'utilisateur coche les transactions présentes sur le relevé
+ * - finalisée : les transactions cochées sont verrouillées et le
+ *   rapprochement reste comme trace (solde pointé, écart accepté)
+ */
+const reconciliationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utilisateur est requis'],
+    index: true
+  },
+
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Le compte est requis']
+  },
+
+  currency: {
+    type: String,
+    required: true
+  },
+
+  // ===================================================================
+  // RELEVÉ
+  // ===================================================================
+  statementEndDate: {
+    type: Date,
+    required: [true, 'La date de fin du relevé est requise']
+  },
+
+  statementClosingBalance: {
+    type: Number,
+    required: [true, 'Le solde de clôture du relevé est requis']
+  },
+
+  // Solde déjà pointé au moment de l'ouverture
+  openingBalance: {
+    type: Number,
+    required: true
+  },
+
+  previousReconciliation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reconciliation'
+  },
+
+  // ===================================================================
+  // POINTAGE
+  // ===================================================================
+  clearedTransactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+
+  status: {
+    type: String,
+    enum: ['open', 'finalized', 'cancelled'],
+    default: 'open'
+  },
+
+  // Photographie au moment de la finalisation
+  summary: {
+    clearedCount: Number,
+    clearedTotal: Number,
+    clearedBalance: Number,
+    difference: Number,
+    differenceAccepted: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Les notes ne peuvent pas dépasser 500 caractères']
+  },
+
+  finalizedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// ===================================================================
+// INDEX
+// ===================================================================
+reconciliationSchema.index({ account: 1, status: 1, statementEndDate: -1 });
+
+// Une seule session ouverte par compte
+reconciliationSchema.index(
+  { account: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// ===================================================================
+// MÉTHODES STATIQUES
+// ===================================================================
+
+// Dernier rapprochement finalisé d'un compte
+reconciliationSchema.statics.findLastFinalized = function(accountId) {
+  return this.findOne({ account: accountId, status: 'finalized' })
+    .sort({ statementEndDate: -1 });
+};
+
+// ===================================================================
+// EXPORT DU MODÈLE
+// ===================================================================
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+
+module.exports = Reconciliation;
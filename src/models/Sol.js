@@ -3,6 +3,11 @@
 // Version complète avec toutes les méthodes nécessaires
 
 const mongoose = require('mongoose');
+const {
+  CONFIG: RELIABILITY_CONFIG,
+  computeReliability,
+  summarizeReliability
+} = require('../services/solReliabilityService');
 
 // ===================================================================
 // SOUS-SCHEMAS
@@ -20,6 +25,14 @@ const participantSchema = new mongoose.Schema({
     min: 1,
     max: 20
   },
+  // Part de la main détenue à cette position (50 = demi-main "mwatye men").
+  // Un membre qui tient plusieurs mains a une entrée par position.
+  share: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  },
   joinedAt: { 
     type: Date, 
     default: Date.now 
@@ -43,6 +56,12 @@ const participantSchema = new mongoose.Schema({
     default: 0
   },
   lastPaymentDate: Date,
+  // Remise consentie aux autres membres pour obtenir ce tour (mode enchère)
+  turnDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   paymentHistory: [{
     roundNumber: Number,
     amount: Number,
@@ -51,6 +70,8 @@ const participantSchema = new mongoose.Schema({
   }]
 }, { _id: false });
 
+// Paiements identifiés par _id (vérification, rejet) ; paiements antérieurs
+// sans _id : voir src/scripts/migrateSolPaymentIds.js
 const paymentSchema = new mongoose.Schema({
   payer: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -66,9 +87,11 @@ const paymentSchema = new mongoose.Schema({
     type: Date, 
     default: Date.now 
   },
+  // pending : paiement hors app déclaré, en attente de vérification par l'organisateur
+  // completed : paiement vérifié (paiement in-app ou déclaration acceptée)
   status: { 
     type: String, 
-    enum: ['pending', 'completed', 'failed', 'refunded'], 
+    enum: ['pending', 'completed', 'rejected', 'failed', 'refunded'], 
     default: 'completed' 
   },
   paymentMethod: {
@@ -76,17 +99,43 @@ const paymentSchema = new mongoose.Schema({
     enum: ['wallet', 'bank_transfer', 'mobile_money', 'cash'],
     default: 'wallet'
   },
+  // Paiement remis à l'organisateur hors de l'app (cash, MonCash...)
+  isExternal: {
+    type: Boolean,
+    default: false
+  },
+  declaredAt: Date,
   transactionId: String,
   notes: { 
     type: String, 
     maxlength: 200 
   },
+  // Preuve de paiement (photo du reçu MonCash, bordereau...)
+  proof: {
+    storage: String,
+    key: String,
+    url: String,
+    publicId: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: Date,
+    thumbnail: {
+      key: String,
+      url: String,
+      publicId: String
+    }
+  },
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  verificationDate: Date
-}, { _id: false });
+  verificationDate: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: 200
+  }
+});
 
 const roundSchema = new mongoose.Schema({
   roundNumber: { 
@@ -111,10 +160,17 @@ const roundSchema = new mongoose.Schema({
     enum: ['scheduled', 'pending', 'active', 'completed', 'cancelled'], 
     default: 'scheduled' 
   },
+  // Détenteur principal de la main (plus grande part)
   recipient: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   },
+  // Répartition de la main entre ses détenteurs (main partagée)
+  recipientShares: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    share: { type: Number, min: 1, max: 100 },
+    _id: false
+  }],
   expectedAmount: {
     type: Number,
     required: true
@@ -137,7 +193,23 @@ const roundSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  distributionDate: Date
+  distributionDate: Date,
+  // Main versée = cotisations vérifiées - pénalités retenues + pénalités reversées
+  penaltyDeductions: {
+    type: Number,
+    default: 0
+  },
+  penaltyAdditions: {
+    type: Number,
+    default: 0
+  },
+  // Remise d'enchère du bénéficiaire, partagée entre les autres membres
+  turnDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  payoutAmount: Number
 }, { _id: false });
 
 const metricsSchema = new mongoose.Schema({
@@ -212,6 +284,348 @@ const ruleSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Pénalité de retard d'un participant pour un round
+ * accrued : due ; collected : retenue sur la main du participant ;
+ * waived : annulée par l'organisateur
+ */
+const penaltySchema = new mongoose.Schema({
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  roundNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    maxlength: 300
+  },
+  daysLate: Number,
+  status: {
+    type: String,
+    enum: ['accrued', 'collected', 'waived'],
+    default: 'accrued'
+  },
+  accruedAt: {
+    type: Date,
+    default: Date.now
+  },
+  collectedInRound: Number,
+  collectedAt: Date,
+  // Round dont la main a reçu la pénalité retenue
+  distributedInRound: Number,
+  waivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  waivedAt: Date,
+  waiverReason: {
+    type: String,
+    maxlength: 200
+  }
+});
+
+/**
+ * Offre d'enchère : remise qu'un membre accepte de céder pour un round
+ */
+const turnBidSchema = new mongoose.Schema({
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  roundNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Attribution de l'ordre des mains, conservée pour transparence
+ * (graine révélée pour un tirage, offres pour une enchère)
+ */
+const turnAssignmentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['fixed', 'random', 'auction'],
+    required: true
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  seed: String,
+  seedHash: String,
+  // Membres dans l'ordre d'arrivée, entrée du tirage
+  inputOrder: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  order: [{
+    position: Number,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    discount: { type: Number, default: 0 }
+  }],
+  bids: [turnBidSchema]
+}, { _id: false });
+
+/**
+ * Demande d'échange de mains entre membres ("mwen ba ou men pa m")
+ * pending : en attente de la contrepartie ; awaiting_approval : acceptée,
+ * en attente de l'organisateur ; completed : positions échangées
+ */
+const swapRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requesterRound: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Absent pour une offre ouverte à tous les membres
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  counterparty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  counterpartyRound: Number,
+  message: {
+    type: String,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'awaiting_approval', 'completed', 'declined', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  acceptedAt: Date,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  completedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: 200
+  }
+}, { timestamps: true });
+
+/**
+ * Invitation signée (lien ou QR code) : le token ne porte que les
+ * identifiants, validité, révocation et utilisations sont suivies ici
+ */
+const invitationSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  // 1 = usage unique ; null = illimité jusqu'à l'expiration
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  uses: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    usedAt: { type: Date, default: Date.now }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+/**
+ * Demande d'adhésion en attente de l'organisateur (sol.requiresApproval)
+ */
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  share: {
+    type: Number,
+    min: 10,
+    max: 200,
+    default: 100
+  },
+  via: {
+    type: String,
+    enum: ['access_code', 'invitation'],
+    default: 'access_code'
+  },
+  invitation: mongoose.Schema.Types.ObjectId,
+  message: {
+    type: String,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: 200
+  }
+}, { timestamps: true });
+
+/**
+ * Litige ouvert par un membre sur un round (cotisation manquante,
+ * montant de la main, vérification contestée...), tranché par l'organisateur
+ */
+const disputeSchema = new mongoose.Schema({
+  roundNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['missing_payment', 'payout_amount', 'payment_verification', 'recipient', 'other'],
+    default: 'other'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'rejected'],
+    default: 'open'
+  },
+  comments: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolution: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: {
+      type: String,
+      maxlength: 500
+    }
+  }
+}, { timestamps: true });
+
+/**
+ * Règlement d'un sol dissous en cours de cycle :
+ * positions nettes, remboursements du pot et virements entre membres
+ */
+const dissolutionSchema = new mongoose.Schema({
+  dissolvedAt: Date,
+  dissolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  },
+  positions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    paid: Number,
+    received: Number,
+    refunded: Number,
+    net: Number
+  }],
+  refunds: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    roundNumber: Number,
+    source: { type: String, enum: ['contribution', 'penalty'] },
+    amount: Number
+  }],
+  transfers: [{
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    amount: Number
+  }],
+  unallocated: {
+    type: Number,
+    default: 0
+  },
+  debtsCreated: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 // ===================================================================
 // SCHEMA PRINCIPAL
 // ===================================================================
@@ -300,6 +714,13 @@ const solSchema = new mongoose.Schema({
     max: 20,
     default: 5
   },
+  // Jours de tolérance après l'échéance avant de déclarer un retard
+  gracePeriodDays: {
+    type: Number,
+    min: 0,
+    max: 30,
+    default: 2
+  },
   
   // Gestion accès et confidentialité
   accessCode: { 
@@ -312,22 +733,70 @@ const solSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  // Adhésions validées par l'organisateur (file joinRequests)
   requiresApproval: {
     type: Boolean,
     default: false
   },
+  // Score de fiabilité minimum pour rejoindre (null = pas de seuil)
+  minReliabilityScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  // Fiabilité agrégée des membres consentants (cache du classement de découverte)
+  reliabilitySummary: {
+    averageScore: { type: Number, default: null },
+    ratedMembers: { type: Number, default: 0 },
+    computedAt: Date
+  },
+  // Échanges de mains soumis à l'accord de l'organisateur
+  requiresSwapApproval: {
+    type: Boolean,
+    default: false
+  },
   invitedUsers: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     invitedAt: { type: Date, default: Date.now },
     status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' }
   }],
+  invitations: [invitationSchema],
+  joinRequests: [joinRequestSchema],
   
   // Participants et rounds
   participants: [participantSchema],
   rounds: [roundSchema],
+
+  // Attribution des mains : ordre d'arrivée, tirage au sort ou enchère
+  turnOrder: {
+    mode: {
+      type: String,
+      enum: ['fixed', 'random', 'auction'],
+      default: 'fixed'
+    },
+    // Engagement publié à la création, graine révélée au tirage
+    seedHash: String,
+    seed: {
+      type: String,
+      select: false
+    },
+    bids: [turnBidSchema],
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    history: [turnAssignmentSchema]
+  },
+  swapRequests: [swapRequestSchema],
+  disputes: [disputeSchema],
+  // Renseigné quand le sol est dissous (statut cancelled après démarrage)
+  dissolution: dissolutionSchema,
   
   // Règles et conditions
   rules: [ruleSchema],
+  penalties: [penaltySchema],
   tags: [String],
   
   // Statut et workflow
@@ -396,11 +865,12 @@ const solSchema = new mongoose.Schema({
 // ===================================================================
 
 solSchema.virtual('participantCount').get(function() {
-  return this.participants.length;
+  return this.getMembers().length;
 });
 
+// Mains encore libres (0.5 = une demi-main)
 solSchema.virtual('spotsLeft').get(function() {
-  return this.maxParticipants - this.participants.length;
+  return (this.maxParticipants * 100 - this.getAllocatedShare()) / 100;
 });
 
 solSchema.virtual('totalValue').get(function() {
@@ -414,7 +884,7 @@ solSchema.virtual('progressPercentage').get(function() {
 });
 
 solSchema.virtual('isFull').get(function() {
-  return this.participants.length >= this.maxParticipants;
+  return this.getAllocatedShare() >= this.maxParticipants * 100;
 });
 
 solSchema.virtual('canJoin').get(function() {
@@ -437,6 +907,81 @@ solSchema.virtual('currentRound').get(function() {
 // MÉTHODES D'INSTANCE
 // ===================================================================
 
+const entryUserId = (participant) => (participant.user && participant.user._id ? participant.user._id : participant.user);
+
+/**
+ * Mains du sol par position, avec leurs détenteurs et la part attribuée
+ * @returns {Array} - [{ position, holders, allocated }]
+ */
+solSchema.methods.getHands = function() {
+  const byPosition = new Map();
+
+  this.participants.forEach(participant => {
+    if (!byPosition.has(participant.position)) {
+      byPosition.set(participant.position, { position: participant.position, holders: [], allocated: 0 });
+    }
+    const hand = byPosition.get(participant.position);
+    hand.holders.push(participant);
+    hand.allocated += participant.share ?? 100;
+  });
+
+  return [...byPosition.values()]
+    .sort((a, b) => a.position - b.position)
+    .map(hand => ({
+      ...hand,
+      holders: hand.holders.sort((a, b) => (b.share ?? 100) - (a.share ?? 100))
+    }));
+};
+
+/**
+ * Total des parts attribuées (100 par main complète)
+ */
+solSchema.methods.getAllocatedShare = function() {
+  return this.participants.reduce((sum, participant) => sum + (participant.share ?? 100), 0);
+};
+
+/**
+ * Membres distincts (un membre peut tenir plusieurs positions)
+ * @returns {Array} - IDs utilisateurs
+ */
+solSchema.methods.getMembers = function() {
+  const seen = new Set();
+  return this.participants
+    .map(entryUserId)
+    .filter(userId => {
+      if (!userId || seen.has(userId.toString())) return false;
+      seen.add(userId.toString());
+      return true;
+    });
+};
+
+/**
+ * Parts cumulées d'un membre sur toutes ses positions (200 = deux mains)
+ */
+solSchema.methods.getUserShare = function(userId) {
+  return this.participants
+    .filter(participant => entryUserId(participant) && entryUserId(participant).toString() === userId.toString())
+    .reduce((sum, participant) => sum + (participant.share ?? 100), 0);
+};
+
+/**
+ * Cotisation due par un membre à chaque round, proportionnelle à ses parts
+ */
+solSchema.methods.getExpectedContribution = function(userId) {
+  return Math.round(this.contributionAmount * this.getUserShare(userId)) / 100;
+};
+
+/**
+ * Bénéficiaires d'un round et leur part de la main
+ * @returns {Array} - [{ user, share }]
+ */
+solSchema.methods.getRoundRecipients = function(round) {
+  if (round.recipientShares && round.recipientShares.length > 0) {
+    return round.recipientShares.map(entry => ({ user: entry.user, share: entry.share }));
+  }
+  return round.recipient ? [{ user: round.recipient, share: 100 }] : [];
+};
+
 /**
  * Calculer la date de fin estimée du sol
  */
@@ -528,6 +1073,74 @@ solSchema.methods.hasPaidCurrentRound = function(userId) {
   );
 };
 
+/**
+ * Paiements vérifiés d'un round (seuls comptés pour la complétion et les soldes)
+ */
+solSchema.methods.getVerifiedPayments = function(round) {
+  return (round.payments || []).filter(payment => payment.status === 'completed');
+};
+
+/**
+ * Vérifier si chaque membre a versé, en paiements vérifiés, toute sa cotisation du round
+ * (comparaison en centimes : plusieurs paiements partiels peuvent se cumuler)
+ */
+solSchema.methods.isRoundFullyPaid = function(round) {
+  const verifiedPayments = this.getVerifiedPayments(round);
+  return this.getMembers().every(userId => {
+    const paidCents = verifiedPayments
+      .filter(payment => payment.payer && payment.payer.toString() === userId.toString())
+      .reduce((sum, payment) => sum + Math.round(payment.amount * 100), 0);
+    return paidCents >= Math.round(this.getExpectedContribution(userId) * 100);
+  });
+};
+
+/**
+ * Trouver un paiement par son ID dans l'ensemble des rounds
+ * @returns {Object|null} - { round, payment }
+ */
+solSchema.methods.findPayment = function(paymentId) {
+  for (const round of this.rounds || []) {
+    const payment = round.payments.find(p => p._id && p._id.toString() === paymentId.toString());
+    if (payment) return { round, payment };
+  }
+  return null;
+};
+
+/**
+ * Prendre en compte un paiement vérifié : solde du participant et métriques
+ */
+solSchema.methods.recordVerifiedPayment = function(round, payment) {
+  // Solde suivi sur la première position du membre, statut sur toutes
+  const entries = this.participants.filter(p => {
+    const participantId = entryUserId(p);
+    return participantId && participantId.toString() === payment.payer.toString();
+  });
+  const participant = entries[0];
+  entries.forEach(entry => { entry.paymentStatus = 'paid'; });
+
+  if (participant) {
+    participant.totalPaid = (participant.totalPaid || 0) + payment.amount;
+    participant.lastPaymentDate = payment.date;
+    participant.paymentHistory.push({
+      roundNumber: round.roundNumber,
+      amount: payment.amount,
+      date: payment.date,
+      status: 'completed'
+    });
+  }
+
+  if (!this.metrics) this.metrics = {};
+
+  // Ponctualité jugée sur la date du paiement, pas celle de la vérification
+  if (payment.date <= round.dueDate) {
+    this.metrics.onTimePayments = (this.metrics.onTimePayments || 0) + 1;
+  } else {
+    this.metrics.latePayments = (this.metrics.latePayments || 0) + 1;
+  }
+
+  this.metrics.totalCollected = (this.metrics.totalCollected || 0) + payment.amount;
+};
+
 /**
  * Calculer le montant total collecté
  */
@@ -547,25 +1160,26 @@ solSchema.methods.calculateTotalCollected = function() {
  */
 solSchema.methods.calculateUserBalance = function(userId) {
   const participant = this.participants.find(p => 
-    p.user && p.user.toString() === userId.toString()
+    entryUserId(p) && entryUserId(p).toString() === userId.toString()
   );
   
   if (!participant) return 0;
   
-  const roundsPaid = this.rounds.reduce((count, round) => {
-    const hasPaid = round.payments.some(payment =>
-      payment.payer && payment.payer.toString() === userId.toString() &&
-      payment.status === 'completed'
-    );
-    return hasPaid ? count + 1 : count;
-  }, 0);
-  
-  const roundsOwed = this.rounds.filter(round => 
+  // Paiements vérifiés des rounds ouverts, comparés à la cotisation selon les parts
+  const openRounds = this.rounds.filter(round => 
     round.status === 'active' || round.status === 'pending'
-  ).length;
+  );
   
-  const amountOwed = roundsOwed * this.contributionAmount;
-  const amountPaid = roundsPaid * this.contributionAmount;
+  const amountPaid = openRounds.reduce((sum, round) =>
+    sum + round.payments
+      .filter(payment =>
+        payment.payer && payment.payer.toString() === userId.toString() &&
+        payment.status === 'completed'
+      )
+      .reduce((roundSum, payment) => roundSum + payment.amount, 0),
+  0);
+  
+  const amountOwed = openRounds.length * this.getExpectedContribution(userId);
   
   return amountOwed - amountPaid;
 };
@@ -585,6 +1199,7 @@ solSchema.methods.generateRounds = function() {
   };
   
   const daysToAdd = frequencyDays[this.frequency] || 30;
+  const hands = this.getHands();
   
   for (let i = 0; i < this.maxParticipants; i++) {
     const startDate = new Date(currentDate);
@@ -600,7 +1215,11 @@ solSchema.methods.generateRounds = function() {
       status: i === 0 ? 'pending' : 'scheduled',
       expectedAmount: this.contributionAmount * this.maxParticipants,
       actualAmount: 0,
-      recipient: this.participants[i]?.user || null,
+      recipient: hands[i] ? entryUserId(hands[i].holders[0]) : null,
+      recipientShares: hands[i]
+        ? hands[i].holders.map(holder => ({ user: entryUserId(holder), share: holder.share ?? 100 }))
+        : [],
+      turnDiscount: hands[i] ? hands[i].holders.reduce((sum, holder) => sum + (holder.turnDiscount || 0), 0) : 0,
       payments: []
     });
     
@@ -631,7 +1250,7 @@ solSchema.methods.completeRound = function(roundNumber) {
   if (round) {
     round.status = 'completed';
     round.completedDate = new Date();
-    round.actualAmount = round.payments.reduce((sum, payment) => sum + payment.amount, 0);
+    round.actualAmount = this.getVerifiedPayments(round).reduce((sum, payment) => sum + payment.amount, 0);
     
     // Mettre à jour les métriques
     this.metrics.completedRounds += 1;
@@ -672,9 +1291,68 @@ solSchema.statics.findUserActiveSols = function(userId) {
 };
 
 /**
- * Trouver les sols disponibles pour rejoindre
+ * Scores de fiabilité de plusieurs membres, en une seule lecture de leurs sols
+ * @param {Array} userIds - Membres
+ * @param {Date} now - Date de référence
+ * @returns {Promise<Map>} - userId (string) → { score, level, isNew, stats }
+ */
+solSchema.statics.getReliabilityScores = async function(userIds, now = new Date()) {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return new Map();
+
+  const sols = await this.find({
+    'participants.user': { $in: ids },
+    status: { $in: ['active', 'completed', 'cancelled'] }
+  })
+    .select('status gracePeriodDays participants.user rounds penalties')
+    .lean();
+
+  return new Map(ids.map(id => [id, computeReliability(id, sols, now)]));
+};
+
+/**
+ * Rafraîchir le résumé de fiabilité des sols dont le cache a expiré :
+ * seuls les membres ayant accepté le partage de leur score sont comptés
+ * @param {Array} sols - Sols (modifiés en mémoire et en base)
+ * @param {Date} now - Date de référence
  */
-solSchema.statics.findAvailableSols = function(filters = {}) {
+solSchema.statics.refreshReliabilitySummaries = async function(sols, now = new Date()) {
+  const stale = sols.filter(sol => {
+    const computedAt = sol.reliabilitySummary && sol.reliabilitySummary.computedAt;
+    return !computedAt || now - computedAt > RELIABILITY_CONFIG.SUMMARY_TTL_MS;
+  });
+  if (stale.length === 0) return;
+
+  const sharing = await mongoose.model('User')
+    .find({
+      _id: { $in: stale.flatMap(sol => sol.getMembers()) },
+      'privacySettings.shareSolReliability': true
+    })
+    .select('_id')
+    .lean();
+  const scores = await this.getReliabilityScores(sharing.map(user => user._id), now);
+
+  await this.bulkWrite(stale.map(sol => {
+    // Membres non consentants : absents de scores, donc ignorés
+    const summary = {
+      ...summarizeReliability(sol.getMembers().map(userId => scores.get(userId.toString()))),
+      computedAt: now
+    };
+    sol.reliabilitySummary = summary;
+    return { updateOne: { filter: { _id: sol._id }, update: { $set: { reliabilitySummary: summary } } } };
+  }));
+};
+
+/**
+ * Trouver les sols disponibles pour rejoindre, classés par fiabilité :
+ * sols accessibles au visiteur (seuil minReliabilityScore) d'abord,
+ * puis par score moyen (en cache) de leurs membres.
+ * Pagination faite par la base : seuls les membres de la page sont évalués.
+ * @param {Object} filters - { type, currency, minAmount, maxAmount, region }
+ * @param {Object} options - { viewerId, skip, limit }
+ * @returns {Promise<Object>} - { sols, total, viewerReliability }
+ */
+solSchema.statics.findAvailableSols = async function(filters = {}, { viewerId = null, skip = 0, limit = 20 } = {}) {
   const query = {
     status: 'recruiting',
     isPrivate: false,
@@ -687,11 +1365,61 @@ solSchema.statics.findAvailableSols = function(filters = {}) {
   if (filters.minAmount) query.contributionAmount = { $gte: filters.minAmount };
   if (filters.maxAmount) query.contributionAmount = { ...query.contributionAmount, $lte: filters.maxAmount };
   if (filters.region) query['location.region'] = filters.region;
-  
-  return this.find(query)
+
+  const viewerReliability = viewerId
+    ? (await this.getReliabilityScores([viewerId])).get(viewerId.toString())
+    : null;
+
+  const findPage = (pageQuery, pageSkip, pageLimit) => this.find(pageQuery)
     .populate('creator', 'firstName lastName region rating')
     .populate('participants.user', 'firstName lastName')
-    .sort({ createdAt: -1 });
+    .sort({ 'reliabilitySummary.averageScore': -1, createdAt: -1 })
+    .skip(pageSkip)
+    .limit(pageLimit);
+
+  let sols;
+  let total;
+
+  if (viewerReliability) {
+    // Seuil évalué par la base : les sols accessibles d'abord, puis les autres
+    const eligibleQuery = {
+      ...query,
+      $or: [{ minReliabilityScore: null }, { minReliabilityScore: { $lte: viewerReliability.score } }]
+    };
+    const lockedQuery = { ...query, minReliabilityScore: { $gt: viewerReliability.score } };
+
+    const [eligibleTotal, lockedTotal] = await Promise.all([
+      this.countDocuments(eligibleQuery),
+      this.countDocuments(lockedQuery)
+    ]);
+    total = eligibleTotal + lockedTotal;
+
+    const eligible = skip < eligibleTotal ? await findPage(eligibleQuery, skip, limit) : [];
+    const remaining = limit - eligible.length;
+    const locked = remaining > 0
+      ? await findPage(lockedQuery, Math.max(0, skip - eligibleTotal), remaining)
+      : [];
+    sols = [...eligible, ...locked];
+  } else {
+    [sols, total] = await Promise.all([
+      findPage(query, skip, limit),
+      this.countDocuments(query)
+    ]);
+  }
+
+  await this.refreshReliabilitySummaries(sols);
+
+  return {
+    sols: sols.map(sol => {
+      const viewerEligible = sol.minReliabilityScore == null || !viewerReliability ||
+        viewerReliability.score >= sol.minReliabilityScore;
+      const { averageScore, ratedMembers } = sol.reliabilitySummary;
+
+      return { sol, reliability: { averageScore, ratedMembers }, viewerEligible };
+    }),
+    total,
+    viewerReliability
+  };
 };
 
 /**
@@ -777,7 +1505,7 @@ solSchema.pre('save', function(next) {
   }
   
   // Générer les rounds si le sol est complet et passe en actif
-  if (this.isModified('status') && this.status === 'active' && this.participants.length === this.maxParticipants) {
+  if (this.isModified('status') && this.status === 'active' && this.isFull) {
     if (!this.rounds || this.rounds.length === 0) {
       this.rounds = this.generateRounds();
       this.actualStartDate = new Date();
@@ -826,6 +1554,7 @@ solSchema.index({ type: 1, status: 1 });
 solSchema.index({ contributionAmount: 1 });
 solSchema.index({ 'location.region': 1 });
 solSchema.index({ status: 1, isPrivate: 1, moderationStatus: 1 });
+solSchema.index({ status: 1, isPrivate: 1, 'reliabilitySummary.averageScore': -1, createdAt: -1 });
 
 // Index composé pour les recherches de disponibilité
 solSchema.index({ 
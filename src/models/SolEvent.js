@@ -0,0 +1,125 @@
+// src/models/SolEvent.js - Journal d'audit du cycle de vie des sols FinApp Haiti
+const mongoose = require('mongoose');
+
+/**
+ * Trace en ajout seul de chaque transition d'un sol :
+ * activation / clôture de round, versement de la main, échange de mains,
+ * litiges, fin ou dissolution du sol.
+ * Permet de savoir qui (membre, organisateur ou planificateur) a
+ * déclenché chaque étape et avec quels montants.
+ */
+
+const SOL_EVENT_TYPES = [
+  'round_activated',          // Round ouvert aux cotisations
+  'round_completed',          // Toutes les cotisations vérifiées
+  'round_closed_at_deadline', // Échéance + grâce dépassée, round clos incomplet
+  'payout_transferred',       // Main versée au bénéficiaire
+  'positions_swapped',        // Deux membres ont échangé leurs mains
+  'dispute_opened',           // Litige ouvert par un membre sur un round
+  'dispute_resolved',         // Litige tranché par l'organisateur
+  'sol_completed',            // Dernier round clos
+  'sol_dissolved'             // Sol arrêté en cours de cycle, règlement calculé
+];
+
+const SOL_EVENT_TRIGGERS = [
+  'payment',       // Paiement in-app d'un membre
+  'verification',  // Vérification d'un paiement hors app par l'organisateur
+  'swap',          // Échange de mains accepté (et approuvé si requis)
+  'dispute',       // Ouverture ou décision d'un litige
+  'dissolution',   // Dissolution décidée par l'organisateur
+  'scheduler'      // Worker de cycle de vie
+];
+
+const solEventSchema = new mongoose.Schema({
+  sol: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sol',
+    required: [true, 'Le sol est requis']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: SOL_EVENT_TYPES,
+      message: 'Type d\'événement non valide'
+    },
+    required: true
+  },
+
+  roundNumber: Number,
+
+  fromStatus: String,
+  toStatus: String,
+
+  trigger: {
+    type: String,
+    enum: SOL_EVENT_TRIGGERS,
+    required: true
+  },
+
+  // Utilisateur à l'origine de la transition (absent pour le planificateur)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  amount: Number,
+
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// ===================================================================
+// INDEX
+// ===================================================================
+solEventSchema.index({ sol: 1, createdAt: 1 });
+solEventSchema.index({ sol: 1, roundNumber: 1, type: 1 });
+
+// ===================================================================
+// AJOUT SEUL
+// ===================================================================
+
+const rejectMutation = function(next) {
+  next(new Error('Le journal des sols est en ajout seul'));
+};
+
+solEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  solEventSchema.pre(operation, rejectMutation);
+});
+
+// ===================================================================
+// MÉTHODES STATIQUES
+// ===================================================================
+
+/**
+ * Enregistrer une transition
+ * @param {Object} sol - Sol concerné
+ * @param {String} type - Type d'événement
+ * @param {Object} data - { roundNumber, fromStatus, toStatus, trigger, actor, amount, details, session }
+ * @returns {Promise<Object>}
+ */
+solEventSchema.statics.record = async function(sol, type, data = {}) {
+  const { session = null, ...fields } = data;
+  const [event] = await this.create([{ sol: sol._id, type, ...fields }], { session });
+  return event;
+};
+
+solEventSchema.statics.TYPES = SOL_EVENT_TYPES;
+solEventSchema.statics.TRIGGERS = SOL_EVENT_TRIGGERS;
+
+// ===================================================================
+// EXPORT DU MODÈLE
+// ===================================================================
+const SolEvent = mongoose.model('SolEvent', solEventSchema);
+
+module.exports = SolEvent;
@@ -8,9 +8,13 @@ const {
   CURRENCIES, 
   QUICK_TRANSACTION_TEMPLATES,
   LIMITS,
+  FILE_STORAGE,
   DEFAULTS 
 } = require('../utils/constants');
 
+// Champs figés une fois la transaction rapprochée avec un relevé
+const RECONCILED_LOCKED_FIELDS = ['amount', 'type', 'date', 'account', 'toAccount', 'splits', 'destinationAmount', 'transferFee'];
+
 /**
  * Schéma transaction adapté au contexte haïtien
  */
@@ -88,6 +92,42 @@ const transactionSchema = new mongoose.Schema({
     maxlength: [50, 'La sous-catégorie ne peut pas dépasser 50 caractères']
   },
   
+  // Ventilation d'une même dépense sur plusieurs catégories
+  // (ex: marché = alimentation + sante + vetements). Somme = montant total
+  splits: [{
+    amount: {
+      type: Number,
+      required: [true, 'Le montant de la ligne est requis'],
+      min: [0.01, 'Le montant de la ligne doit être positif']
+    },
+    category: {
+      type: String,
+      required: [true, 'La catégorie de la ligne est requise'],
+      enum: {
+        values: Object.keys(TRANSACTION_CATEGORIES),
+        message: 'Catégorie de ligne non valide'
+      }
+    },
+    subcategory: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'La sous-catégorie ne peut pas dépasser 50 caractères']
+    },
+    // Catégorie de budget à imputer si différente de la catégorie de la ligne
+    budgetCategory: {
+      type: String,
+      enum: {
+        values: Object.keys(TRANSACTION_CATEGORIES),
+        message: 'Catégorie de budget non valide'
+      }
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La note ne peut pas dépasser 200 caractères']
+    }
+  }],
+  
   // ===================================================================
   // TRANSFERTS ENTRE COMPTES
   // ===================================================================
@@ -123,6 +163,45 @@ const transactionSchema = new mongoose.Schema({
     }
   },
   
+  // Montant crédité sur le compte destinataire, dans sa propre devise
+  // (égal à amount pour un transfert dans la même devise)
+  destinationAmount: {
+    type: Number,
+    min: [0, 'Le montant de destination doit être positif']
+  },
+  
+  // Frais prélevés en plus du montant, dans la devise du compte source
+  transferFee: {
+    type: Number,
+    min: [0, 'Les frais doivent être positifs'],
+    default: 0
+  },
+  
+  // Change HTG/USD : écart entre le taux appliqué et le taux de référence BRH
+  fx: {
+    sourceCurrency: {
+      type: String,
+      enum: Object.keys(CURRENCIES)
+    },
+    destinationCurrency: {
+      type: String,
+      enum: Object.keys(CURRENCIES)
+    },
+    referenceRate: Number,
+    // Montant qu'aurait donné le taux de référence (devise destination)
+    referenceAmount: Number,
+    // Gain (+) ou perte (-) de change en HTG, frais exclus
+    gainLoss: Number,
+    // Coût de l'écart en % du montant au taux de référence (positif = payé)
+    spreadPercentage: Number,
+    // Banque ou changeur ayant effectué la conversion
+    provider: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Le nom du changeur ne peut pas dépasser 100 caractères']
+    }
+  },
+  
   // ===================================================================
   // RÉCURRENCE
   // ===================================================================
@@ -163,18 +242,70 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Transaction',
     sparse: true
   },
-  
+
+  // État de la série (sur la transaction modèle uniquement)
+  recurringStatus: {
+    type: String,
+    enum: ['active', 'paused', 'stopped', 'completed'],
+    default: 'active'
+  },
+
+  nextOccurrenceDate: Date,
+
+  lastOccurrenceDate: Date,
+
+  // Occurrences sautées volontairement par l'utilisateur
+  skippedOccurrences: [Date],
+
+  occurrencesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Modifications applicables aux prochaines occurrences seulement
+  // (la transaction modèle reste la 1ère occurrence, inchangée)
+  recurringTemplate: {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    amount: Number,
+    description: String,
+    category: {
+      type: String,
+      enum: Object.keys(TRANSACTION_CATEGORIES)
+    },
+    subcategory: String,
+    notes: String,
+    tags: {
+      type: [String],
+      default: undefined
+    }
+  },
+
   // ===================================================================
   // PIÈCES JOINTES ET REÇUS
   // ===================================================================
   receipt: {
     url: String,
+    storage: {
+      type: String,
+      enum: FILE_STORAGE.DRIVERS
+    },
+    key: String, // Clé dans le driver de stockage
     publicId: String, // Cloudinary public_id
     originalName: String,
+    mimeType: String,
     size: {
       type: Number,
       max: [LIMITS.UPLOAD.MAX_FILE_SIZE, 'Fichier trop volumineux']
     },
+    thumbnail: {
+      key: String,
+      url: String,
+      publicId: String
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -221,6 +352,15 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Sol',
     sparse: true
   },
+
+  // Remboursement dans un groupe de dépenses partagées
+  expenseGroupReference: {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseGroup'
+    },
+    settlement: mongoose.Schema.Types.ObjectId
+  },
   
   // ===================================================================
   // MÉTADONNÉES ET TAGS
@@ -237,6 +377,19 @@ const transactionSchema = new mongoose.Schema({
     maxlength: [500, 'Les notes ne peuvent pas dépasser 500 caractères']
   },
   
+  // Provenance import relevé bancaire / SMS mobile money
+  importReference: {
+    batchId: String,
+    source: {
+      type: String,
+      enum: ['csv', 'ofx', 'sms']
+    },
+    bank: String,
+    externalId: String, // FITID OFX, référence banque ou ID transaction SMS
+    quotedBalance: Number, // Solde annoncé dans le SMS
+    importedAt: Date
+  },
+  
   // ===================================================================
   // STATUT ET VALIDATION
   // ===================================================================
@@ -259,6 +412,12 @@ const transactionSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Session de rapprochement ayant verrouillé la transaction
+  reconciliation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reconciliation'
+  },
+  
   // ===================================================================
   // BUDGETS ET PLANNING
   // ===================================================================
@@ -366,15 +525,57 @@ transactionSchema.index({ user: 1, type: 1, date: -1 });
 transactionSchema.index({ transferId: 1 });
 transactionSchema.index({ solReference: 1 });
 transactionSchema.index({ isRecurring: 1, recurringType: 1 });
+transactionSchema.index({ isRecurring: 1, recurringStatus: 1, nextOccurrenceDate: 1 });
+transactionSchema.index({ parentRecurring: 1, date: -1 });
+transactionSchema.index({ 'importReference.batchId': 1 }, { sparse: true });
+transactionSchema.index({ account: 1, 'importReference.externalId': 1 }, { sparse: true });
 transactionSchema.index({ createdAt: -1 });
 
 // Index composé pour analytics
 transactionSchema.index({ user: 1, category: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1, category: 1 });
+transactionSchema.index({ user: 1, 'splits.category': 1 });
+transactionSchema.index({ user: 1, 'fx.provider': 1, date: -1 });
+transactionSchema.index({ account: 1, isReconciled: 1, date: 1 });
 
 // Index géospatial pour location
 transactionSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
 
+// ===================================================================
+// MIDDLEWARE PRE-VALIDATE
+// ===================================================================
+
+// Ventilation : catégorie principale par défaut et cohérence des montants
+transactionSchema.pre('validate', function(next) {
+  if (!this.splits || this.splits.length === 0) return next();
+  
+  if (!this.category) {
+    // La ligne la plus importante devient la catégorie principale
+    const mainLine = [...this.splits].sort((a, b) => b.amount - a.amount)[0];
+    this.category = mainLine.category;
+  }
+  
+  const splitError = this.constructor.validateSplits(this.splits, this.amount, this.type);
+  if (splitError) {
+    this.invalidate('splits', splitError);
+  }
+  
+  next();
+});
+
+// Transaction rapprochée : les champs qui font le solde sont verrouillés
+// ($locals.allowReconciledEdit pour une correction volontaire)
+transactionSchema.pre('validate', function(next) {
+  if (this.isNew || !this.isReconciled || this.$locals.allowReconciledEdit) return next();
+  
+  const lockedField = RECONCILED_LOCKED_FIELDS.find(field => this.isModified(field));
+  if (lockedField) {
+    this.invalidate(lockedField, 'Transaction rapprochée avec un relevé : modification verrouillée');
+  }
+  
+  next();
+});
+
 // ===================================================================
 // MIDDLEWARE PRE-SAVE
 // ===================================================================
@@ -410,6 +611,14 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
+// Planification première occurrence pour les séries récurrentes
+transactionSchema.pre('save', function(next) {
+  if (this.isRecurring && !this.parentRecurring && !this.nextOccurrenceDate && this.recurringStatus === 'active') {
+    this.nextOccurrenceDate = this.constructor.getNextOccurrenceDate(this.date, this.recurringType);
+  }
+  next();
+});
+
 // ===================================================================
 // MÉTHODES D'INSTANCE
 // ===================================================================
@@ -419,7 +628,8 @@ transactionSchema.methods.createTransferCounterpart = async function(toAccountDa
   const counterpart = new this.constructor({
     user: this.user,
     account: this.toAccount,
-    amount: this.amount,
+    amount: this.destinationAmount || this.amount, // Devise du compte destinataire
+    exchangeRate: this.exchangeRate,
     type: TRANSACTION_TYPES.INCOME, // Opposé
     description: `Transfert depuis ${toAccountData.name}`,
     date: this.date,
@@ -435,15 +645,25 @@ transactionSchema.methods.createTransferCounterpart = async function(toAccountDa
 transactionSchema.methods.addReceipt = function(receiptData) {
   this.receipt = {
     url: receiptData.url,
+    storage: receiptData.storage,
+    key: receiptData.key,
     publicId: receiptData.publicId,
     originalName: receiptData.originalName,
+    mimeType: receiptData.mimeType,
     size: receiptData.size,
+    thumbnail: receiptData.thumbnail,
     uploadedAt: new Date()
   };
   
   return this.save();
 };
 
+// Retirer reçu (le fichier est supprimé par le service de stockage)
+transactionSchema.methods.removeReceipt = function() {
+  this.receipt = undefined;
+  return this.save();
+};
+
 // Ajouter localisation
 transactionSchema.methods.addLocation = function(locationData) {
   this.location = {
@@ -478,6 +698,56 @@ transactionSchema.methods.createCorrection = function(correctionData) {
   return correction.save();
 };
 
+// Données des prochaines occurrences d'une série (modèle + modifications futures)
+transactionSchema.methods.getOccurrenceData = function() {
+  const overrides = this.recurringTemplate || {};
+  const pick = (field) => overrides[field] !== undefined && overrides[field] !== null
+    ? overrides[field]
+    : this[field];
+  
+  const amount = pick('amount');
+  
+  return {
+    account: pick('account'),
+    amount,
+    description: pick('description'),
+    category: pick('category'),
+    subcategory: pick('subcategory'),
+    notes: pick('notes'),
+    tags: pick('tags'),
+    splits: this.getOccurrenceSplits(amount)
+  };
+};
+
+// Ventilation d'une occurrence : lignes du modèle, au prorata si le montant a changé
+transactionSchema.methods.getOccurrenceSplits = function(amount) {
+  if (!this.splits || this.splits.length === 0) return undefined;
+  
+  const ratio = amount / this.amount;
+  let allocated = 0;
+  
+  return this.splits.map((line, index) => {
+    const isLast = index === this.splits.length - 1;
+    const lineAmount = isLast
+      ? Math.round((amount - allocated) * 100) / 100
+      : Math.round(line.amount * ratio * 100) / 100;
+    allocated += lineAmount;
+    
+    return {
+      amount: lineAmount,
+      category: line.category,
+      subcategory: line.subcategory,
+      budgetCategory: line.budgetCategory,
+      note: line.note
+    };
+  });
+};
+
+// Lignes par catégorie (ventilation ou catégorie unique)
+transactionSchema.methods.getCategoryLines = function() {
+  return this.constructor.getCategoryLines(this);
+};
+
 // Réconcilier transaction
 transactionSchema.methods.reconcile = function() {
   this.isReconciled = true;
@@ -519,6 +789,66 @@ transactionSchema.statics.findByUser = function(userId, options = {}) {
     .skip((page - 1) * limit);
 };
 
+// Vérifier une ventilation (retourne le message d'erreur ou null)
+transactionSchema.statics.validateSplits = function(splits, amount, type) {
+  if (!splits || splits.length === 0) return null;
+  
+  if (type === TRANSACTION_TYPES.TRANSFER) {
+    return 'Un transfert ne peut pas être ventilé';
+  }
+  
+  if (splits.length < 2) {
+    return 'Une ventilation doit contenir au moins 2 lignes';
+  }
+  
+  const total = splits.reduce((sum, line) => sum + Number(line.amount || 0), 0);
+  // Tolérance d'un centime pour les arrondis
+  if (Math.abs(total - amount) > 0.01) {
+    return `La somme des lignes (${total.toFixed(2)}) doit être égale au montant (${Number(amount).toFixed(2)})`;
+  }
+  
+  return null;
+};
+
+// Lignes par catégorie d'une transaction (documents ou objets .lean())
+// Sans ventilation : une seule ligne avec la catégorie principale
+transactionSchema.statics.getCategoryLines = function(transaction) {
+  if (transaction.splits && transaction.splits.length > 0) {
+    return transaction.splits.map(line => ({
+      amount: line.amount,
+      category: line.category,
+      subcategory: line.subcategory,
+      budgetCategory: line.budgetCategory || line.category,
+      note: line.note
+    }));
+  }
+  
+  return [{
+    amount: transaction.amount,
+    category: transaction.category,
+    subcategory: transaction.subcategory,
+    budgetCategory: transaction.category
+  }];
+};
+
+// Étapes d'agrégation : une entrée par ligne de catégorie (champ "line")
+transactionSchema.statics.categoryLinesStages = function() {
+  return [
+    {
+      $addFields: {
+        line: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+            '$splits',
+            [{ amount: '$amount', category: '$category', subcategory: '$subcategory' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$line' }
+  ];
+};
+
 // Analytics par catégorie
 transactionSchema.statics.getCategoryAnalytics = function(userId, startDate, endDate) {
   const matchStage = {
@@ -534,18 +864,90 @@ transactionSchema.statics.getCategoryAnalytics = function(userId, startDate, end
   
   return this.aggregate([
     { $match: matchStage },
+    ...this.categoryLinesStages(),
     {
       $group: {
-        _id: { category: '$category', type: '$type' },
-        totalAmount: { $sum: '$amount' },
+        _id: { category: '$line.category', type: '$type' },
+        totalAmount: { $sum: '$line.amount' },
         count: { $sum: 1 },
-        avgAmount: { $avg: '$amount' }
+        avgAmount: { $avg: '$line.amount' }
       }
     },
     { $sort: { totalAmount: -1 } }
   ]);
 };
 
+// Écart de change payé par banque / changeur, par période
+// groupBy: 'month' | 'week' - montants exprimés en HTG
+transactionSchema.statics.getFxSpreadReport = function(userId, { startDate, endDate, groupBy = 'month' } = {}) {
+  const matchStage = {
+    user: new mongoose.Types.ObjectId(userId),
+    type: TRANSACTION_TYPES.TRANSFER,
+    isConfirmed: true,
+    'fx.referenceRate': { $gt: 0 }
+  };
+  
+  if (startDate || endDate) {
+    matchStage.date = {};
+    if (startDate) matchStage.date.$gte = startDate;
+    if (endDate) matchStage.date.$lte = endDate;
+  }
+  
+  const periodFormat = groupBy === 'week' ? '%G-S%V' : '%Y-%m';
+  const toHTG = (field, currencyField) => ({
+    $cond: [{ $eq: [currencyField, 'USD'] }, { $multiply: [field, '$fx.referenceRate'] }, field]
+  });
+  
+  return this.aggregate([
+    { $match: matchStage },
+    {
+      $addFields: {
+        provider: { $ifNull: ['$fx.provider', 'inconnu'] },
+        period: { $dateToString: { format: periodFormat, date: '$date' } },
+        referenceAmountHTG: toHTG('$fx.referenceAmount', '$fx.destinationCurrency'),
+        feeHTG: toHTG({ $ifNull: ['$transferFee', 0] }, '$fx.sourceCurrency')
+      }
+    },
+    {
+      $group: {
+        _id: { provider: '$provider', period: '$period' },
+        conversions: { $sum: 1 },
+        volumeHTG: { $sum: '$referenceAmountHTG' },
+        gainLossHTG: { $sum: '$fx.gainLoss' },
+        feesHTG: { $sum: '$feeHTG' },
+        avgAppliedRate: { $avg: '$exchangeRate' },
+        avgReferenceRate: { $avg: '$fx.referenceRate' }
+      }
+    },
+    {
+      $addFields: {
+        // Coût total = écart de taux + frais, en % du volume au taux de référence
+        spreadCostHTG: { $multiply: ['$gainLossHTG', -1] },
+        spreadPercentage: {
+          $cond: [
+            { $gt: ['$volumeHTG', 0] },
+            { $multiply: [{ $divide: [{ $multiply: ['$gainLossHTG', -1] }, '$volumeHTG'] }, 100] },
+            0
+          ]
+        },
+        totalCostPercentage: {
+          $cond: [
+            { $gt: ['$volumeHTG', 0] },
+            {
+              $multiply: [
+                { $divide: [{ $subtract: ['$feesHTG', '$gainLossHTG'] }, '$volumeHTG'] },
+                100
+              ]
+            },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { '_id.period': 1, spreadPercentage: 1 } }
+  ]);
+};
+
 // Recherche transactions
 transactionSchema.statics.searchByUser = function(userId, searchTerm) {
   const regex = new RegExp(searchTerm, 'i');
@@ -567,13 +969,61 @@ transactionSchema.statics.findDueRecurring = function() {
   
   return this.find({
     isRecurring: true,
-    $or: [
-      { recurringEndDate: { $exists: false } },
-      { recurringEndDate: { $gte: today } }
+    recurringStatus: { $nin: ['paused', 'stopped', 'completed'] },
+    $and: [
+      {
+        $or: [
+          { recurringEndDate: { $exists: false } },
+          { recurringEndDate: null },
+          { recurringEndDate: { $gte: today } }
+        ]
+      },
+      {
+        $or: [
+          { nextOccurrenceDate: { $exists: false } },
+          { nextOccurrenceDate: null },
+          { nextOccurrenceDate: { $lte: today } }
+        ]
+      }
     ]
   }).populate('user account');
 };
 
+// Calculer la date d'occurrence suivante d'une série
+// anchorDay conserve le jour d'origine (ex: loyer le 31 → 28/29 février → 31 mars)
+transactionSchema.statics.getNextOccurrenceDate = function(fromDate, recurringType, anchorDay = null) {
+  const next = new Date(fromDate);
+  const day = anchorDay || next.getDate();
+  
+  switch (recurringType) {
+    case 'daily':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'weekly':
+      next.setDate(next.getDate() + 7);
+      break;
+    case 'biweekly':
+      next.setDate(next.getDate() + 14);
+      break;
+    case 'monthly':
+    case 'yearly': {
+      next.setDate(1);
+      if (recurringType === 'monthly') {
+        next.setMonth(next.getMonth() + 1);
+      } else {
+        next.setFullYear(next.getFullYear() + 1);
+      }
+      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      return null;
+  }
+  
+  return next;
+};
+
 // Statistiques mensuelles
 transactionSchema.statics.getMonthlyStats = function(userId, year, month) {
   const startDate = new Date(year, month - 1, 1);
@@ -613,6 +1063,8 @@ transactionSchema.statics.findPotentialDuplicates = function(userId, transaction
   });
 };
 
+transactionSchema.statics.RECONCILED_LOCKED_FIELDS = RECONCILED_LOCKED_FIELDS;
+
 // ===================================================================
 // EXPORT DU MODÈLE
 // ===================================================================
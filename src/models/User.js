@@ -139,6 +139,17 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // ===================================================================
+  // CONFIDENTIALITÉ
+  // ===================================================================
+  privacySettings: {
+    // Score de fiabilité sols visible des autres membres et organisateurs
+    shareSolReliability: {
+      type: Boolean,
+      default: false
+    }
+  },
+  
   // ===================================================================
   // SÉCURITÉ & AUTHENTIFICATION
   // ===================================================================
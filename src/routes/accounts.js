@@ -4,6 +4,7 @@ const rateLimit = require('express-rate-limit');
 
 // Import controllers et middleware
 const accountController = require('../controllers/accountController');
+const reconciliationController = require('../controllers/reconciliationController');
 const { 
   authenticate,
   requireRole,
@@ -282,6 +283,160 @@ router.put('/:accountId/adjust-balance',
   accountController.adjustBalance
 );
 
+/**
+ * @route   GET /api/accounts/:accountId/history
+ * @desc    Soldes de clôture quotidiens depuis le grand livre des soldes
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ * 
+ * Query params: {
+ *   startDate?: string - ISO date (défaut: 30 derniers jours),
+ *   endDate?: string - ISO date (défaut: aujourd'hui),
+ *   includeEntries?: boolean - joindre les écritures détaillées de la période
+ * }
+ * 
+ * Période limitée à 366 jours. Chaque mouvement de solde (transaction,
+ * ajustement, synchronisation SMS, import, sol, dette) est une écriture.
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     account: { id, name, bankName, currency, currentBalance },
+ *     history: {
+ *       period, openingBalance, closingBalance, coverageStart,
+ *       days: [{ date, openingBalance, credits, debits, closingBalance, movements }]
+ *     },
+ *     consistency: {
+ *       ledgerBalance: number - solde recalculé depuis le journal,
+ *       drift: number - currentBalance - ledgerBalance,
+ *       isConsistent: boolean,
+ *       breaks: [...] - soldes modifiés hors journal
+ *     },
+ *     entries?: [LedgerEntry]
+ *   }
+ * }
+ */
+router.get('/:accountId/history',
+  authenticate,
+  accountOperationsLimiter,
+  accountController.getAccountHistory
+);
+
+// ===================================================================
+// ROUTES RAPPROCHEMENT AVEC LES RELEVÉS
+// ===================================================================
+
+/**
+ * @route   POST /api/accounts/:accountId/reconciliations
+ * @desc    Ouvrir un rapprochement avec la date et le solde de clôture du relevé
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ * 
+ * Body: {
+ *   statementEndDate: string - ISO date de fin du relevé,
+ *   statementClosingBalance: number - solde de clôture du relevé,
+ *   notes?: string
+ * }
+ * 
+ * Un seul rapprochement ouvert par compte ; la date doit suivre celle
+ * du dernier rapprochement finalisé.
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     session: Reconciliation,
+ *     items: [Transaction + { signedAmount, cleared }] - non rapprochées jusqu'à la date,
+ *     totals: {
+ *       openingBalance, statementClosingBalance, clearedCount, clearedTotal,
+ *       clearedBalance, unclearedCount, unclearedTotal, difference, isBalanced
+ *     }
+ *   }
+ * }
+ */
+router.post('/:accountId/reconciliations',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.createReconciliation
+);
+
+/**
+ * @route   GET /api/accounts/:accountId/reconciliations
+ * @desc    Historique des rapprochements du compte
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ * 
+ * Query params: {
+ *   status?: string - open | finalized | cancelled
+ * }
+ */
+router.get('/:accountId/reconciliations',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.getReconciliations
+);
+
+/**
+ * @route   GET /api/accounts/:accountId/reconciliations/:reconciliationId
+ * @desc    Transactions à pointer et écart en direct (ou trace d'un rapprochement terminé)
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ */
+router.get('/:accountId/reconciliations/:reconciliationId',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.getReconciliation
+);
+
+/**
+ * @route   PUT /api/accounts/:accountId/reconciliations/:reconciliationId/items
+ * @desc    Cocher / décocher des transactions présentes sur le relevé
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ * 
+ * Body: {
+ *   transactionIds: [string] - 1 à 500 transactions,
+ *   cleared?: boolean - false pour décocher (défaut: true)
+ * }
+ * 
+ * Response: même format que GET, totaux recalculés
+ */
+router.put('/:accountId/reconciliations/:reconciliationId/items',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.updateReconciliationItems
+);
+
+/**
+ * @route   POST /api/accounts/:accountId/reconciliations/:reconciliationId/finalize
+ * @desc    Finaliser : verrouiller les transactions pointées
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ * 
+ * Body: {
+ *   acceptDifference?: boolean - clôturer malgré un écart (défaut: false)
+ * }
+ * 
+ * Les transactions verrouillées refusent ensuite toute modification de
+ * montant, type, date, compte ou ventilation, ainsi que la suppression.
+ */
+router.post('/:accountId/reconciliations/:reconciliationId/finalize',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.finalizeReconciliation
+);
+
+/**
+ * @route   DELETE /api/accounts/:accountId/reconciliations/:reconciliationId
+ * @desc    Abandonner un rapprochement ouvert
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + accountOperationsLimiter
+ */
+router.delete('/:accountId/reconciliations/:reconciliationId',
+  authenticate,
+  accountOperationsLimiter,
+  reconciliationController.cancelReconciliation
+);
+
 // ===================================================================
 // ROUTES GESTION COMPTES
 // ===================================================================
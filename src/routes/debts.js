@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const DebtController = require('../controllers/debtController');
 const { authenticate } = require('../middleware/auth');
+const { uploadSingleFile } = require('../middleware/upload');
 const { body, param, query } = require('express-validator');
 
 // Middleware auth pour toutes les routes
@@ -37,6 +38,42 @@ router.post(
       .optional()
       .isISO8601()
       .withMessage('Date d\'échéance invalide'),
+    body('paymentTerms.installmentFrequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'biweekly', 'monthly'])
+      .withMessage('Fréquence des échéances invalide'),
+    body('paymentTerms.numberOfInstallments')
+      .optional()
+      .isInt({ min: 1, max: 600 })
+      .withMessage('Nombre d\'échéances invalide (1 à 600)'),
+    body('paymentTerms.installmentAmount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Montant d\'échéance doit être positif'),
+    body('interest.model')
+      .optional()
+      .isIn(['simple', 'compound', 'flat_fee'])
+      .withMessage('Modèle d\'intérêt invalide (simple, compound ou flat_fee)'),
+    body('interest.rate')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Taux d\'intérêt invalide (% par période)'),
+    body(['interest.ratePeriod', 'interest.compoundingPeriod', 'interest.flatFee.period', 'interest.penalty.period'])
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+      .withMessage('Période invalide (daily, weekly, monthly ou yearly)'),
+    body('interest.flatFee.amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Frais fixe invalide'),
+    body('interest.penalty.rate')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Taux de pénalité invalide (% par période)'),
+    body('interest.penalty.graceDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Délai de grâce invalide (0 à 365 jours)'),
     body('priority')
       .optional()
       .isIn(['low', 'medium', 'high', 'urgent'])
@@ -74,6 +111,132 @@ router.get(
  */
 router.get('/summary', DebtController.getSummary);
 
+/**
+ * POST /api/debts/payoff-plan
+ * Simuler les stratégies de remboursement (snowball, avalanche, custom)
+ */
+router.post(
+  '/payoff-plan',
+  [
+    body('monthlyAmount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Montant mensuel doit être positif')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .isIn(['HTG', 'USD'])
+      .withMessage('Devise doit être HTG ou USD'),
+    body('order')
+      .optional()
+      .isArray()
+      .withMessage('order doit être une liste d\'IDs'),
+    body('order.*')
+      .isMongoId()
+      .withMessage('ID invalide dans order'),
+    body('debtIds')
+      .optional()
+      .isArray()
+      .withMessage('debtIds doit être une liste d\'IDs'),
+    body('debtIds.*')
+      .isMongoId()
+      .withMessage('ID invalide dans debtIds'),
+    body('strategies')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('strategies doit être une liste'),
+    body('strategies.*')
+      .isIn(['snowball', 'avalanche', 'custom'])
+      .withMessage('Stratégie invalide'),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Date de début invalide')
+  ],
+  DebtController.getPayoffPlan
+);
+
+/**
+ * POST /api/debts/payoff-plan/apply
+ * Appliquer un plan : lignes budgétaires et rappels de versement
+ */
+router.post(
+  '/payoff-plan/apply',
+  [
+    body('monthlyAmount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Montant mensuel doit être positif')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .isIn(['HTG', 'USD'])
+      .withMessage('Devise doit être HTG ou USD'),
+    body('order')
+      .optional()
+      .isArray()
+      .withMessage('order doit être une liste d\'IDs'),
+    body('order.*')
+      .isMongoId()
+      .withMessage('ID invalide dans order'),
+    body('debtIds')
+      .optional()
+      .isArray()
+      .withMessage('debtIds doit être une liste d\'IDs'),
+    body('debtIds.*')
+      .isMongoId()
+      .withMessage('ID invalide dans debtIds'),
+    body('strategy')
+      .isIn(['snowball', 'avalanche', 'custom'])
+      .withMessage('Stratégie invalide'),
+    body('budgetIds')
+      .optional()
+      .isArray()
+      .withMessage('budgetIds doit être une liste d\'IDs'),
+    body('budgetIds.*')
+      .isMongoId()
+      .withMessage('ID invalide dans budgetIds'),
+    body('createBudgetLines')
+      .optional()
+      .isBoolean()
+      .withMessage('createBudgetLines doit être boolean')
+      .toBoolean(),
+    body('createReminders')
+      .optional()
+      .isBoolean()
+      .withMessage('createReminders doit être boolean')
+      .toBoolean(),
+    body('reminderMonths')
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage('reminderMonths doit être entre 1 et 12')
+      .toInt()
+  ],
+  DebtController.applyPayoffPlan
+);
+
+/**
+ * GET /api/debts/invitations
+ * Dettes partagées en attente de ma confirmation
+ */
+router.get('/invitations', DebtController.getLinkInvitations);
+
+/**
+ * POST /api/debts/invitations/:id/respond
+ * Accepter ou refuser une dette partagée
+ */
+router.post(
+  '/invitations/:id/respond',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    body('accept')
+      .isBoolean()
+      .withMessage('accept doit être boolean')
+      .toBoolean()
+  ],
+  DebtController.respondToLinkInvitation
+);
+
 /**
  * GET /api/debts/:id
  * Détails d'une dette/créance
@@ -106,6 +269,42 @@ router.put(
       .optional()
       .isIn(['low', 'medium', 'high', 'urgent'])
       .withMessage('Priorité invalide'),
+    body('paymentTerms.installmentFrequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'biweekly', 'monthly'])
+      .withMessage('Fréquence des échéances invalide'),
+    body('paymentTerms.numberOfInstallments')
+      .optional()
+      .isInt({ min: 1, max: 600 })
+      .withMessage('Nombre d\'échéances invalide (1 à 600)'),
+    body('paymentTerms.installmentAmount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Montant d\'échéance doit être positif'),
+    body('interest.model')
+      .optional()
+      .isIn(['simple', 'compound', 'flat_fee'])
+      .withMessage('Modèle d\'intérêt invalide (simple, compound ou flat_fee)'),
+    body('interest.rate')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Taux d\'intérêt invalide (% par période)'),
+    body(['interest.ratePeriod', 'interest.compoundingPeriod', 'interest.flatFee.period', 'interest.penalty.period'])
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+      .withMessage('Période invalide (daily, weekly, monthly ou yearly)'),
+    body('interest.flatFee.amount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Frais fixe invalide'),
+    body('interest.penalty.rate')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Taux de pénalité invalide (% par période)'),
+    body('interest.penalty.graceDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('Délai de grâce invalide (0 à 365 jours)'),
     body('status')
       .optional()
       .isIn(['active', 'partially_paid', 'paid', 'overdue', 'cancelled'])
@@ -173,6 +372,135 @@ router.get(
   DebtController.getPayments
 );
 
+/**
+ * POST /api/debts/:id/link
+ * Lier la dette à un utilisateur inscrit (email ou téléphone du contact par défaut)
+ */
+router.post(
+  '/:id/link',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Email invalide')
+      .normalizeEmail(),
+    body('phone')
+      .optional()
+      .isString()
+      .withMessage('Téléphone invalide')
+  ],
+  DebtController.linkDebt
+);
+
+/**
+ * POST /api/debts/:id/payments/:paymentId/confirm
+ * Confirmer un paiement saisi par l'autre partie (dette partagée)
+ */
+router.post(
+  '/:id/payments/:paymentId/confirm',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    param('paymentId')
+      .isMongoId()
+      .withMessage('ID paiement invalide')
+  ],
+  DebtController.confirmLinkedPayment
+);
+
+/**
+ * POST /api/debts/:id/payments/:paymentId/dispute
+ * Contester un paiement saisi par l'autre partie (dette partagée)
+ */
+router.post(
+  '/:id/payments/:paymentId/dispute',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    param('paymentId')
+      .isMongoId()
+      .withMessage('ID paiement invalide'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Motif de contestation requis')
+      .isLength({ max: 500 })
+      .withMessage('Motif trop long (500 caractères max)')
+  ],
+  DebtController.disputeLinkedPayment
+);
+
+/**
+ * GET /api/debts/:id/schedule
+ * Échéancier : échéances payées, à payer, en retard et restantes
+ */
+router.get(
+  '/:id/schedule',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide')
+  ],
+  DebtController.getSchedule
+);
+
+/**
+ * POST /api/debts/:id/payments/:paymentId/receipt
+ * Joindre le reçu d'un paiement (multipart "file" : image ou PDF, max 5MB)
+ */
+router.post(
+  '/:id/payments/:paymentId/receipt',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    param('paymentId')
+      .isMongoId()
+      .withMessage('ID paiement invalide')
+  ],
+  uploadSingleFile('file'),
+  DebtController.uploadPaymentReceipt
+);
+
+/**
+ * GET /api/debts/:id/payments/:paymentId/receipt
+ * Télécharger le reçu d'un paiement (?variant=thumbnail pour la miniature)
+ */
+router.get(
+  '/:id/payments/:paymentId/receipt',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    param('paymentId')
+      .isMongoId()
+      .withMessage('ID paiement invalide')
+  ],
+  DebtController.downloadPaymentReceipt
+);
+
+/**
+ * DELETE /api/debts/:id/payments/:paymentId/receipt
+ * Supprimer le reçu d'un paiement
+ */
+router.delete(
+  '/:id/payments/:paymentId/receipt',
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('ID invalide'),
+    param('paymentId')
+      .isMongoId()
+      .withMessage('ID paiement invalide')
+  ],
+  DebtController.deletePaymentReceipt
+);
+
 /**
  * POST /api/debts/:id/reminder
  * Créer un rappel
@@ -212,7 +540,7 @@ router.put(
 
 /**
  * POST /api/debts/:id/calculate-interest
- * Calculer et appliquer intérêts
+ * Calculer les intérêts et pénalités courus, avec taux effectif annuel
  */
 router.post(
   '/:id/calculate-interest',
@@ -0,0 +1,256 @@
+// src/routes/exchangeRates.js - Routes taux de change FinApp Haiti
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+
+// Import controllers et middleware
+const exchangeRateController = require('../controllers/exchangeRateController');
+const {
+  authenticate,
+  requireRole,
+  adminLimiter
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Routes taux de change USD/HTG
+ *
+ * Structure :
+ * - Routes consultation (auth requis) : taux du jour, historique, conversion
+ * - Routes admin : saisie manuelle, import CSV BRH, suppression
+ *
+ * Les taux enregistrés alimentent le résolveur utilisé par toutes les
+ * conversions (calculs, IA, rapports) au taux en vigueur à la date de l'opération
+ */
+
+// ===================================================================
+// RATE LIMITING
+// ===================================================================
+
+/**
+ * Rate limiter consultation des taux (léger)
+ */
+const rateLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 120, // 120 requêtes par utilisateur
+  message: {
+    success: false,
+    message: 'Trop de requêtes de taux de change. Réessayez dans 15 minutes.',
+    error: 'exchange_rate_rate_limit_exceeded',
+    retryAfter: '15 minutes'
+  },
+  keyGenerator: (req) => req.user?.userId || req.ip
+});
+
+// ===================================================================
+// UPLOAD CSV BRH
+// ===================================================================
+
+/**
+ * Upload CSV en mémoire (pas de stockage disque)
+ */
+const ratesUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!['.csv', '.txt'].includes(extension)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Format non supporté (.csv, .txt)';
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+}).single('file');
+
+// ===================================================================
+// DOCUMENTATION API
+// ===================================================================
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Documentation et informations sur l'API Taux de change
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.json({
+    message: 'API Taux de change FinApp Haiti 💱',
+    description: 'Taux USD/HTG datés (référence BRH, achat, vente)',
+    version: '1.0.0',
+    endpoints: {
+      'GET /current': 'Taux en vigueur (aujourd\'hui ou ?date=)',
+      'GET /history': 'Historique des taux sur une période',
+      'GET /convert': 'Convertir un montant au taux d\'une date',
+
+      // Admin
+      'POST /admin': 'Enregistrer le taux d\'une journée (admin)',
+      'POST /admin/import': 'Importer un CSV de taux BRH (admin)',
+      'DELETE /admin/:rateId': 'Supprimer un taux (admin)'
+    },
+    csvFormat: 'Date;Achat;Vente;Taux de référence (DD/MM/YYYY ou YYYY-MM-DD)',
+    authentication: 'Bearer token requis'
+  });
+});
+
+// ===================================================================
+// ROUTES CONSULTATION
+// ===================================================================
+
+/**
+ * @route   GET /api/exchange-rates/current
+ * @desc    Taux en vigueur à une date
+ * @access  Private (authentification requise)
+ *
+ * Query params: {
+ *   date?: string - ISO date (défaut: aujourd'hui),
+ *   type?: string - reference|buy|sell (défaut: reference),
+ *   source?: string - brh|bank|manual (défaut: brh)
+ * }
+ *
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     rate: { rate, date, source, type, isFallback, isStale }
+ *   }
+ * }
+ */
+router.get('/current',
+  authenticate,
+  rateLookupLimiter,
+  exchangeRateController.getCurrentRate
+);
+
+/**
+ * @route   GET /api/exchange-rates/history
+ * @desc    Historique des taux (90 derniers jours par défaut)
+ * @access  Private (authentification requise)
+ *
+ * Query params: {
+ *   startDate?: string - ISO date,
+ *   endDate?: string - ISO date,
+ *   source?: string - brh|bank|manual
+ * }
+ */
+router.get('/history',
+  authenticate,
+  rateLookupLimiter,
+  exchangeRateController.getRateHistory
+);
+
+/**
+ * @route   GET /api/exchange-rates/convert
+ * @desc    Convertir un montant HTG ↔ USD au taux d'une date
+ * @access  Private (authentification requise)
+ *
+ * Query params: {
+ *   amount: number (requis),
+ *   from: string (requis) - HTG|USD,
+ *   to: string (requis) - HTG|USD,
+ *   date?: string - ISO date (défaut: aujourd'hui)
+ * }
+ */
+router.get('/convert',
+  authenticate,
+  rateLookupLimiter,
+  exchangeRateController.convertAmount
+);
+
+// ===================================================================
+// ROUTES ADMINISTRATIVES (ADMIN SEULEMENT)
+// ===================================================================
+
+/**
+ * @route   POST /api/exchange-rates/admin
+ * @desc    Enregistrer ou corriger le taux d'une journée
+ * @access  Private (admin uniquement)
+ * @middleware authenticate + requireRole('admin') + adminLimiter
+ *
+ * Body: {
+ *   date: string (requis) - ISO date,
+ *   referenceRate: number (requis) - Gourdes pour 1 USD,
+ *   buyRate?: number,
+ *   sellRate?: number,
+ *   source?: string - brh|bank|manual (défaut: brh),
+ *   bank?: string - requis si source = bank,
+ *   notes?: string
+ * }
+ */
+router.post('/admin',
+  authenticate,
+  requireRole('admin'),
+  adminLimiter,
+  exchangeRateController.createRate
+);
+
+/**
+ * @route   POST /api/exchange-rates/admin/import
+ * @desc    Importer un CSV de taux publiés par la BRH (un taux par jour)
+ * @access  Private (admin uniquement)
+ * @middleware authenticate + requireRole('admin') + adminLimiter
+ *
+ * Body (multipart/form-data): { file: CSV }
+ * ou Body (JSON): { content: string - contenu CSV }
+ *
+ * Les jours déjà enregistrés sont mis à jour
+ */
+router.post('/admin/import',
+  authenticate,
+  requireRole('admin'),
+  adminLimiter,
+  ratesUpload,
+  exchangeRateController.importRates
+);
+
+/**
+ * @route   DELETE /api/exchange-rates/admin/:rateId
+ * @desc    Supprimer un taux
+ * @access  Private (admin uniquement)
+ * @middleware authenticate + requireRole('admin') + adminLimiter
+ */
+router.delete('/admin/:rateId',
+  authenticate,
+  requireRole('admin'),
+  adminLimiter,
+  exchangeRateController.removeRate
+);
+
+// ===================================================================
+// GESTION D'ERREURS
+// ===================================================================
+
+/**
+ * Middleware de gestion d'erreurs spécifique aux taux de change
+ */
+router.use((err, req, res, next) => {
+  console.error('❌ Erreur Route Taux de change:', err.message);
+
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE'
+        ? 'Fichier trop volumineux (max: 1MB)'
+        : err.message,
+      error: 'rates_upload_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Erreur interne des taux de change',
+    error: 'exchange_rates_internal_error',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ===================================================================
+// EXPORT ROUTER
+// ===================================================================
+module.exports = router;
@@ -0,0 +1,527 @@
+// src/routes/expenseGroups.js - Routes groupes de dépenses FinApp Haiti
+const express = require('express');
+const router = express.Router();
+const ExpenseGroupController = require('../controllers/expenseGroupController');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { body, query, param } = require('express-validator');
+const { TRANSACTION_CATEGORIES } = require('../utils/constants');
+
+// ===================================================================
+// RATE LIMITING
+// ===================================================================
+
+const normalRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // 100 requêtes par IP
+  message: {
+    success: false,
+    message: 'Trop de requêtes, réessayez dans 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Dépenses saisies au fil de l'eau : limite plus large que les budgets
+const writeRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 créations/modifications par IP
+  message: {
+    success: false,
+    message: 'Trop de créations/modifications, réessayez dans 15 minutes'
+  }
+});
+
+// ===================================================================
+// MIDDLEWARE D'AUTHENTIFICATION
+// ===================================================================
+
+router.use(authMiddleware.authenticate);
+
+// ===================================================================
+// VALIDATIONS RÉUTILISABLES
+// ===================================================================
+
+const memberValidation = (prefix) => [
+  body(`${prefix}name`)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Le nom doit contenir entre 1 et 100 caractères'),
+
+  body(`${prefix}email`)
+    .optional()
+    .isEmail()
+    .withMessage('Email invalide'),
+
+  body(`${prefix}phone`)
+    .optional()
+    .isString()
+    .withMessage('Téléphone invalide')
+];
+
+const groupValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le nom doit contenir entre 2 et 100 caractères'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('La description ne peut pas dépasser 255 caractères'),
+
+  body('type')
+    .optional()
+    .isIn(['family', 'roommates', 'friends', 'trip', 'other'])
+    .withMessage('Type de groupe non valide'),
+
+  body('defaultCurrency')
+    .optional()
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise non supportée (HTG ou USD uniquement)'),
+
+  body('members')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('50 membres maximum'),
+
+  body('members.*')
+    .custom(member => Boolean(member && (member.name || member.email || member.phone)))
+    .withMessage('Chaque membre doit avoir un nom, un email ou un téléphone'),
+
+  ...memberValidation('members.*.')
+];
+
+const updateGroupValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Le nom doit contenir entre 2 et 100 caractères'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('La description ne peut pas dépasser 255 caractères'),
+
+  body('type')
+    .optional()
+    .isIn(['family', 'roommates', 'friends', 'trip', 'other'])
+    .withMessage('Type de groupe non valide'),
+
+  body('defaultCurrency')
+    .optional()
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise non supportée (HTG ou USD uniquement)')
+];
+
+const addMemberValidation = [
+  body()
+    .custom(member => Boolean(member && (member.name || member.email || member.phone)))
+    .withMessage('Nom, email ou téléphone du membre requis'),
+
+  ...memberValidation('')
+];
+
+const expenseValidation = [
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La description doit contenir entre 1 et 200 caractères'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Le montant doit être positif'),
+
+  body('currency')
+    .optional()
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise non supportée (HTG ou USD uniquement)'),
+
+  body('category')
+    .optional()
+    .isIn(Object.keys(TRANSACTION_CATEGORIES))
+    .withMessage('Catégorie non valide'),
+
+  body('paidBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Membre payeur invalide'),
+
+  body('splitType')
+    .optional()
+    .isIn(['equal', 'shares', 'exact'])
+    .withMessage('Type de répartition non valide (equal, shares ou exact)'),
+
+  body('splits')
+    .optional()
+    .isArray()
+    .withMessage('La répartition doit être une liste'),
+
+  body('splits.*.member')
+    .isMongoId()
+    .withMessage('Membre de la répartition invalide'),
+
+  body('splits.*.shares')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Les parts doivent être des entiers positifs')
+    .toInt(),
+
+  body('splits.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Les montants de répartition doivent être positifs')
+    .toFloat(),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide')
+];
+
+const settlementValidation = [
+  body('from')
+    .isMongoId()
+    .withMessage('Membre qui rembourse invalide'),
+
+  body('to')
+    .isMongoId()
+    .withMessage('Membre remboursé invalide'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Le montant doit être positif'),
+
+  body('currency')
+    .optional()
+    .isIn(['HTG', 'USD'])
+    .withMessage('Devise non supportée (HTG ou USD uniquement)'),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'moncash', 'natcash', 'bank_transfer', 'check', 'other'])
+    .withMessage('Moyen de paiement non valide'),
+
+  body('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Compte invalide'),
+
+  body('createTransactions')
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+
+  body('createDebts')
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date invalide')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('ID de groupe invalide')
+];
+
+// ===================================================================
+// ROUTES CRUD GROUPES
+// ===================================================================
+
+/**
+ * @route   POST /api/expense-groups
+ * @desc    Créer un groupe de dépenses
+ * @access  Private
+ * @rateLimit 60/15min
+ */
+router.post('/',
+  writeRateLimit,
+  groupValidation,
+  ExpenseGroupController.createGroup
+);
+
+/**
+ * @route   GET /api/expense-groups/list
+ * @desc    Lister mes groupes avec mon solde
+ * @access  Private
+ * @rateLimit 100/15min
+ */
+router.get('/list',
+  normalRateLimit,
+  [
+    query('includeArchived')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('includeArchived doit être true ou false')
+  ],
+  ExpenseGroupController.listGroups
+);
+
+/**
+ * @route   GET /api/expense-groups/invitations
+ * @desc    Groupes où je suis invité
+ * @access  Private
+ * @rateLimit 100/15min
+ */
+router.get('/invitations',
+  normalRateLimit,
+  ExpenseGroupController.getInvitations
+);
+
+/**
+ * @route   GET /api/expense-groups/:id
+ * @desc    Détails du groupe, soldes et remboursements suggérés
+ * @access  Private (membres)
+ * @rateLimit 100/15min
+ */
+router.get('/:id',
+  normalRateLimit,
+  idValidation,
+  ExpenseGroupController.getGroup
+);
+
+/**
+ * @route   PUT /api/expense-groups/:id
+ * @desc    Modifier le groupe
+ * @access  Private (créateur)
+ * @rateLimit 60/15min
+ */
+router.put('/:id',
+  writeRateLimit,
+  idValidation,
+  updateGroupValidation,
+  ExpenseGroupController.updateGroup
+);
+
+/**
+ * @route   DELETE /api/expense-groups/:id
+ * @desc    Archiver le groupe
+ * @access  Private (créateur)
+ * @rateLimit 60/15min
+ */
+router.delete('/:id',
+  writeRateLimit,
+  idValidation,
+  ExpenseGroupController.archiveGroup
+);
+
+// ===================================================================
+// ROUTES MEMBRES
+// ===================================================================
+
+/**
+ * @route   POST /api/expense-groups/:id/members
+ * @desc    Ajouter un membre (contact invité à rejoindre s'il est inscrit)
+ * @access  Private (membres)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/members',
+  writeRateLimit,
+  idValidation,
+  addMemberValidation,
+  ExpenseGroupController.addMember
+);
+
+/**
+ * @route   DELETE /api/expense-groups/:id/members/:memberId
+ * @desc    Retirer un membre dont le solde est réglé
+ * @access  Private (créateur ou le membre lui-même)
+ * @rateLimit 60/15min
+ */
+router.delete('/:id/members/:memberId',
+  writeRateLimit,
+  [
+    ...idValidation,
+    param('memberId')
+      .isMongoId()
+      .withMessage('ID de membre invalide')
+  ],
+  ExpenseGroupController.removeMember
+);
+
+/**
+ * @route   POST /api/expense-groups/:id/invitations/respond
+ * @desc    Accepter ou refuser une invitation à rejoindre le groupe
+ * @access  Private (invité)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/invitations/respond',
+  writeRateLimit,
+  [
+    ...idValidation,
+    body('accept')
+      .isBoolean()
+      .withMessage('accept doit être true ou false')
+      .toBoolean()
+  ],
+  ExpenseGroupController.respondToInvitation
+);
+
+// ===================================================================
+// ROUTES DÉPENSES
+// ===================================================================
+
+/**
+ * @route   POST /api/expense-groups/:id/expenses
+ * @desc    Ajouter une dépense partagée
+ * @access  Private (membres)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/expenses',
+  writeRateLimit,
+  idValidation,
+  expenseValidation,
+  ExpenseGroupController.addExpense
+);
+
+/**
+ * @route   DELETE /api/expense-groups/:id/expenses/:expenseId
+ * @desc    Supprimer une dépense
+ * @access  Private (auteur ou créateur)
+ * @rateLimit 60/15min
+ */
+router.delete('/:id/expenses/:expenseId',
+  writeRateLimit,
+  [
+    ...idValidation,
+    param('expenseId')
+      .isMongoId()
+      .withMessage('ID de dépense invalide')
+  ],
+  ExpenseGroupController.deleteExpense
+);
+
+// ===================================================================
+// ROUTES SOLDES ET REMBOURSEMENTS
+// ===================================================================
+
+/**
+ * @route   GET /api/expense-groups/:id/balances
+ * @desc    Soldes par devise et "qui doit à qui"
+ * @access  Private (membres)
+ * @rateLimit 100/15min
+ */
+router.get('/:id/balances',
+  normalRateLimit,
+  idValidation,
+  ExpenseGroupController.getBalances
+);
+
+/**
+ * @route   POST /api/expense-groups/:id/settlements
+ * @desc    Enregistrer un remboursement entre deux membres
+ * @access  Private (membres concernés ou créateur)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/settlements',
+  writeRateLimit,
+  idValidation,
+  settlementValidation,
+  ExpenseGroupController.createSettlement
+);
+
+/**
+ * @route   POST /api/expense-groups/:id/settlements/:settlementId/confirm
+ * @desc    Confirmer un remboursement reçu (compté dans les soldes)
+ * @access  Private (membre remboursé)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/settlements/:settlementId/confirm',
+  writeRateLimit,
+  [
+    ...idValidation,
+    param('settlementId')
+      .isMongoId()
+      .withMessage('ID de remboursement invalide')
+  ],
+  ExpenseGroupController.confirmSettlement
+);
+
+/**
+ * @route   POST /api/expense-groups/:id/settlements/:settlementId/dispute
+ * @desc    Contester un remboursement non reçu
+ * @access  Private (membre remboursé)
+ * @rateLimit 60/15min
+ */
+router.post('/:id/settlements/:settlementId/dispute',
+  writeRateLimit,
+  [
+    ...idValidation,
+    param('settlementId')
+      .isMongoId()
+      .withMessage('ID de remboursement invalide'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Motif de contestation requis')
+      .isLength({ max: 500 })
+      .withMessage('Motif trop long (500 caractères max)')
+  ],
+  ExpenseGroupController.disputeSettlement
+);
+
+// ===================================================================
+// DOCUMENTATION
+// ===================================================================
+
+/**
+ * @route   GET /api/expense-groups
+ * @desc    Documentation endpoints groupes de dépenses
+ * @access  Private
+ * @rateLimit 100/15min
+ */
+router.get('/',
+  normalRateLimit,
+  (req, res) => {
+    res.json({
+      success: true,
+      message: 'API Groupes de dépenses FinApp Haiti 🇭🇹',
+      version: '1.0.0',
+      endpoints: {
+        crud: {
+          'POST /': 'Créer un groupe',
+          'GET /list': 'Lister mes groupes',
+          'GET /:id': 'Détails, soldes et remboursements suggérés',
+          'PUT /:id': 'Modifier le groupe (créateur)',
+          'DELETE /:id': 'Archiver le groupe (créateur)'
+        },
+        members: {
+          'POST /:id/members': 'Ajouter un membre',
+          'DELETE /:id/members/:memberId': 'Retirer un membre',
+          'GET /invitations': 'Mes invitations',
+          'POST /:id/invitations/respond': 'Accepter ou refuser une invitation'
+        },
+        expenses: {
+          'POST /:id/expenses': 'Ajouter une dépense partagée',
+          'DELETE /:id/expenses/:expenseId': 'Supprimer une dépense'
+        },
+        settleUp: {
+          'GET /:id/balances': 'Soldes et "qui doit à qui"',
+          'POST /:id/settlements': 'Enregistrer un remboursement',
+          'POST /:id/settlements/:settlementId/confirm': 'Confirmer un remboursement reçu',
+          'POST /:id/settlements/:settlementId/dispute': 'Contester un remboursement'
+        }
+      },
+      rate_limits: {
+        normal: '100 req/15min',
+        write: '60 req/15min'
+      },
+      supported_split_types: ['equal', 'shares', 'exact'],
+      supported_currencies: ['HTG', 'USD']
+    });
+  }
+);
+
+// ===================================================================
+// EXPORT DU ROUTER
+// ===================================================================
+module.exports = router;
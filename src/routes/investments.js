@@ -8,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 const { body, param, query } = require('express-validator');
 const InvestmentController = require('../controllers/investmentController');
 const { authenticate } = require('../middleware/auth');
+const { uploadSingleFile } = require('../middleware/upload');
 
 // ===================================================================
 // RATE LIMITERS SPÉCIFIQUES
@@ -393,6 +394,77 @@ router.post('/:investmentId/partner',
   InvestmentController.addPartner
 );
 
+// ===================================================================
+// ROUTES DOCUMENTS
+// ===================================================================
+
+const documentIdValidation = [
+  param('documentId')
+    .isMongoId()
+    .withMessage('ID de document invalide')
+];
+
+/**
+ * @route   POST /api/investments/:investmentId/documents
+ * @desc    Joindre un document (contrat, reçu, photo...) à un investissement
+ * @access  Private (propriétaire uniquement)
+ * @middleware authenticate + financialOperationsLimiter + uploadSingleFile + validation
+ * 
+ * Body (multipart/form-data): {
+ *   file: JPEG|PNG|GIF|WEBP|PDF (max 5MB, requis),
+ *   name?: string (max 100 chars, défaut: nom du fichier),
+ *   type?: "contract"|"receipt"|"invoice"|"report"|"photo"|"legal"|"insurance"|"other"
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   message: "Document ajouté avec succès",
+ *   data: {
+ *     document: { _id, name, type, url, mimeType, size, thumbnail? }
+ *   }
+ * }
+ */
+router.post('/:investmentId/documents',
+  authenticate,
+  financialOperationsLimiter,
+  investmentIdValidation,
+  uploadSingleFile('file'),
+  [
+    body('name').optional().trim().isLength({ max: 100 }).withMessage('Nom trop long (max 100 caractères)'),
+    body('type').optional().isIn(['contract', 'receipt', 'invoice', 'report', 'photo', 'legal', 'insurance', 'other'])
+      .withMessage('Type de document invalide')
+  ],
+  InvestmentController.uploadDocument
+);
+
+/**
+ * @route   GET /api/investments/:investmentId/documents/:documentId
+ * @desc    Télécharger un document (?variant=thumbnail pour la miniature)
+ * @access  Private (propriétaire uniquement)
+ * @middleware authenticate + investmentOperationsLimiter
+ */
+router.get('/:investmentId/documents/:documentId',
+  authenticate,
+  investmentOperationsLimiter,
+  investmentIdValidation,
+  documentIdValidation,
+  InvestmentController.downloadDocument
+);
+
+/**
+ * @route   DELETE /api/investments/:investmentId/documents/:documentId
+ * @desc    Supprimer un document et son fichier
+ * @access  Private (propriétaire uniquement)
+ * @middleware authenticate + investmentOperationsLimiter
+ */
+router.delete('/:investmentId/documents/:documentId',
+  authenticate,
+  investmentOperationsLimiter,
+  investmentIdValidation,
+  documentIdValidation,
+  InvestmentController.deleteDocument
+);
+
 // ===================================================================
 // ROUTES ANALYTICS
 // ===================================================================
@@ -563,11 +635,12 @@ router.get('/health', (req, res) => {
     message: 'Module Investments opérationnel',
     timestamp: new Date().toISOString(),
     endpoints: {
-      total: 11,
+      total: 14,
       categories: {
         crud: 4,
         financial: 2,
         partners: 1,
+        documents: 3,
         analytics: 3,
         actions: 1
       }
@@ -8,6 +8,7 @@ const { body, param, query, validationResult } = require('express-validator');
 
 // Import controllers et middleware
 const SolController = require('../controllers/solController');
+const { uploadSingleFile } = require('../middleware/upload');
 const { 
   authenticate,
   requireRole,
@@ -153,7 +154,12 @@ const analyticsLimiter = rateLimit({
  *   interestRate?: number (0-10),
  *   tags?: string[],
  *   isPrivate?: boolean,
- *   rules?: string[]
+ *   rules?: [{ title, description, isEnforced?, penaltyAmount?, penaltyDescription? }],
+ *   gracePeriodDays?: number (0-30, défaut 2 - tolérance avant pénalité),
+ *   turnOrderMode?: "fixed"|"random"|"auction" (défaut fixed - attribution des mains),
+ *   requiresSwapApproval?: boolean (défaut false - échanges de mains approuvés par l'organisateur),
+ *   requiresApproval?: boolean (défaut false - adhésions validées par l'organisateur),
+ *   minReliabilityScore?: number (0-100 - score de fiabilité minimum pour rejoindre)
  * }
  * 
  * Response: {
@@ -324,7 +330,8 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/sols/:id
- * @desc    Supprimer/annuler un sol (créateur uniquement, conditions strictes)
+ * @desc    Annuler un sol tant qu'aucune cotisation n'a circulé
+ *          (sinon 409 sol_requires_dissolution : passer par POST /:id/dissolve)
  * @access  Private (créateur du sol uniquement)
  * @middleware authenticate + solOperationsLimiter + validation
  * 
@@ -343,10 +350,10 @@ router.put('/:id',
  * 
  * Response: {
  *   success: true,
- *   message: "Sol supprimé/annulé avec succès",
+ *   message: "Sol annulé avec succès",
  *   data: { 
  *     solId: string,
- *     status: "cancelled"|"deleted",
+ *     status: "cancelled",
  *     reason: string 
  *   }
  * }
@@ -360,23 +367,7 @@ router.delete('/:id',
       .withMessage('Raison de suppression requise (10-200 caractères)'),
     body('confirmDeletion').equals('true').withMessage('Confirmation de suppression requise')
   ],
-  async (req, res) => {
-    try {
-      // TODO: Implémenter SolController.deleteSol  
-      res.status(501).json({
-        success: false,
-        message: 'Suppression sols - À implémenter',
-        error: 'not_implemented'
-      });
-
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Erreur suppression sol',
-        error: 'delete_sol_error'
-      });
-    }
-  }
+  SolController.deleteSol
 );
 
 // ===================================================================
@@ -394,9 +385,18 @@ router.delete('/:id',
  * }
  * 
  * Body: {
- *   accessCode: string (6 chars alphanumeric)
+ *   accessCode: string (6 chars alphanumeric, sauf avec invitationToken),
+ *   invitationToken?: string (token d'un lien ou QR code d'invitation),
+ *   share?: number (10-200, défaut 100 ; 50 = demi-main, 200 = deux mains),
+ *   message?: string (pour l'organisateur si le sol est sur approbation)
  * }
  * 
+ * Sol avec requiresApproval : réponse 202, la demande attend l'organisateur
+ * (data.status = "pending_approval").
+ * 
+ * Une demi-main complète d'abord une main déjà entamée ; cotisation et
+ * main versée sont proportionnelles aux parts (une main entière en enchère).
+ * 
  * Response: {
  *   success: true,
  *   message: "Vous avez rejoint le sol avec succès",
@@ -404,6 +404,8 @@ router.delete('/:id',
  *     sol: SolObject,
  *     yourPosition: number,
  *     yourRoundNumber: number,
+ *     yourPositions: [{ position, share }],
+ *     yourShare: number,
  *     status: string,
  *     nextSteps: string[]
  *   }
@@ -417,6 +419,31 @@ router.post('/join',
   SolController.joinSol
 );
 
+/**
+ * @route   GET /api/sols/invitations/:token
+ * @desc    Aperçu du sol derrière un lien ou QR code d'invitation
+ * @access  Private (utilisateur authentifié)
+ * @middleware authenticate + solOperationsLimiter
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     sol: { name, contributionAmount, currency, frequency, spotsLeft, organizer, ... },
+ *     invitation: { expiresAt, remainingUses },
+ *     requiresApproval: boolean,
+ *     alreadyMember: boolean
+ *   }
+ * }
+ * 
+ * Erreurs : invalid_invitation (400/404), invitation_expired,
+ * invitation_revoked, invitation_exhausted (410)
+ */
+router.get('/invitations/:token',
+  authenticate,
+  solOperationsLimiter,
+  SolController.previewInvitation
+);
+
 /**
  * @route   DELETE /api/sols/:id/leave
  * @desc    Quitter un sol (avec conditions et pénalités)
@@ -472,10 +499,16 @@ router.delete('/:id/leave',
  * Response: {
  *   success: true,
  *   data: {
- *     participants: [ParticipantObject],
+ *     participants: [{
+ *       user, role, joinedAt, positions: [{ position, share }], share, paymentStatus,
+ *       reliability: { score, level, onTimeRatio, averageDelayDays, penalties,
+ *                      completedSols, abandonedSols } | null (non partagé),
+ *       reliabilityShared: boolean
+ *     }],
  *     totalParticipants: number,
  *     maxParticipants: number,
- *     spotsLeft: number
+ *     spotsLeft: number,
+ *     minReliabilityScore: number|null
  *   }
  * }
  */
@@ -483,23 +516,194 @@ router.get('/:id/participants',
   authenticate,
   solOperationsLimiter,
   [param('id').isMongoId().withMessage('ID de sol invalide')],
-  async (req, res) => {
-    try {
-      // TODO: Implémenter SolController.getSolParticipants
-      res.status(501).json({
-        success: false,
-        message: 'Liste participants - À implémenter',
-        error: 'not_implemented'
-      });
+  SolController.getSolParticipants
+);
 
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Erreur récupération participants',
-        error: 'get_participants_error'
-      });
-    }
-  }
+/**
+ * @route   GET /api/sols/reliability/me
+ * @desc    Son score de fiabilité sols détaillé et son choix de partage
+ * @access  Private (utilisateur authentifié)
+ * @middleware authenticate + solOperationsLimiter
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     reliability: { score, level, isNew, stats, computedAt },
+ *     shared: boolean
+ *   }
+ * }
+ */
+router.get('/reliability/me',
+  authenticate,
+  solOperationsLimiter,
+  SolController.getMyReliability
+);
+
+/**
+ * @route   PUT /api/sols/reliability/consent
+ * @desc    Partager (ou non) son score de fiabilité avec les membres et organisateurs
+ * @access  Private (utilisateur authentifié)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: { share: boolean }
+ */
+router.put('/reliability/consent',
+  authenticate,
+  solOperationsLimiter,
+  SolController.validateReliabilityConsent,
+  SolController.updateReliabilityConsent
+);
+
+// ===================================================================
+// 3 bis. ROUTES INVITATIONS ET DEMANDES D'ADHÉSION
+// ===================================================================
+
+/**
+ * @route   POST /api/sols/:id/invitations
+ * @desc    Créer une invitation signée et expirante (lien profond + QR code)
+ * @access  Private (organisateur d'un sol en recrutement)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   maxUses?: number (1-500, défaut 1 = usage unique),
+ *   singleUse?: boolean (false sans maxUses : utilisations illimitées),
+ *   expiresInHours?: number (1-720, défaut 72),
+ *   label?: string (max 60 caractères)
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     invitation: InvitationObject,
+ *     token: string,
+ *     link: string,
+ *     qrCode: { png: string, svg: string }
+ *   }
+ * }
+ */
+router.post('/:id/invitations',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateInvitation
+  ],
+  SolController.createInvitation
+);
+
+/**
+ * @route   GET /api/sols/:id/invitations
+ * @desc    Invitations du sol avec état (active, expired, revoked, exhausted)
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Query: { status?: 'active'|'expired'|'revoked'|'exhausted' }
+ */
+router.get('/:id/invitations',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    query('status').optional().isIn(['active', 'expired', 'revoked', 'exhausted'])
+  ],
+  SolController.getInvitations
+);
+
+/**
+ * @route   GET /api/sols/:id/invitations/:invitationId/qr
+ * @desc    QR code du lien d'invitation, généré localement
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Query: {
+ *   format?: 'png'|'svg' (défaut png),
+ *   size?: number (128-1024 pixels, défaut 320)
+ * }
+ * 
+ * Response: image/png ou image/svg+xml
+ */
+router.get('/:id/invitations/:invitationId/qr',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('invitationId').isMongoId().withMessage('ID d\'invitation invalide'),
+    query('format').optional().isIn(['png', 'svg']).withMessage('Format invalide (png ou svg)'),
+    query('size').optional().isInt({ min: 128, max: 1024 }).withMessage('Taille invalide (128 à 1024)')
+  ],
+  SolController.getInvitationQrCode
+);
+
+/**
+ * @route   DELETE /api/sols/:id/invitations/:invitationId
+ * @desc    Révoquer une invitation : ses liens et QR codes cessent de fonctionner
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ */
+router.delete('/:id/invitations/:invitationId',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('invitationId').isMongoId().withMessage('ID d\'invitation invalide')
+  ],
+  SolController.revokeInvitation
+);
+
+/**
+ * @route   GET /api/sols/:id/join-requests
+ * @desc    File des demandes d'adhésion (sols avec requiresApproval)
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Query: { status?: 'pending'|'approved'|'rejected'|'cancelled'|'all' (défaut pending) }
+ */
+router.get('/:id/join-requests',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled', 'all'])
+  ],
+  SolController.getJoinRequests
+);
+
+/**
+ * @route   PUT /api/sols/:id/join-requests/:requestId/approve
+ * @desc    Accepter une demande : membre admis avec les parts demandées
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Le sol démarre si cette adhésion le complète ; les autres demandes
+ * en attente sont alors annulées.
+ */
+router.put('/:id/join-requests/:requestId/approve',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('requestId').isMongoId().withMessage('ID de demande invalide')
+  ],
+  SolController.approveJoinRequest
+);
+
+/**
+ * @route   PUT /api/sols/:id/join-requests/:requestId/reject
+ * @desc    Refuser une demande d'adhésion
+ * @access  Private (organisateur)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: { reason?: string (max 200 caractères) }
+ */
+router.put('/:id/join-requests/:requestId/reject',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('requestId').isMongoId().withMessage('ID de demande invalide'),
+    ...SolController.validateRejectJoinRequest
+  ],
+  SolController.rejectJoinRequest
 );
 
 // ===================================================================
@@ -547,6 +751,614 @@ router.post('/:id/payment',
   SolController.makePayment
 );
 
+/**
+ * @route   POST /api/sols/:id/payments/external
+ * @desc    Déclarer une cotisation remise à l'organisateur hors de l'app
+ * @access  Private (participant du sol)
+ * @middleware authenticate + paymentLimiter + uploadSingleFile + validation
+ * 
+ * Headers: {
+ *   Authorization: "Bearer <accessToken>",
+ *   Content-Type: "multipart/form-data" (si preuve jointe)
+ * }
+ * 
+ * Body: {
+ *   amount: number (montant de la cotisation),
+ *   paymentMethod: "cash"|"mobile_money"|"bank_transfer",
+ *   roundIndex?: number (round actif par défaut),
+ *   reference?: string (référence MonCash / bordereau),
+ *   paidAt?: ISO8601 date (date de remise, défaut maintenant),
+ *   notes?: string,
+ *   proof?: File (photo du reçu - JPEG, PNG, WebP ou PDF)
+ * }
+ * 
+ * Aucun compte n'est débité. Le paiement reste "pending" et ne compte
+ * (complétion du round, ponctualité, solde du membre) qu'après
+ * vérification par l'organisateur.
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     payment: PaymentObject (status "pending"),
+ *     round: number,
+ *     roundStatus: { paymentsVerified, paymentsPending, paymentsExpected }
+ *   }
+ * }
+ */
+router.post('/:id/payments/external',
+  authenticate,
+  paymentLimiter,
+  uploadSingleFile('proof'),
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateExternalPayment
+  ],
+  SolController.declareExternalPayment
+);
+
+/**
+ * @route   GET /api/sols/:id/payments/pending
+ * @desc    Paiements déclarés en attente de vérification
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     pendingPayments: [{ paymentId, roundNumber, payer, amount, paymentMethod, reference, paidAt, hasProof }],
+ *     count: number
+ *   }
+ * }
+ */
+router.get('/:id/payments/pending',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide')
+  ],
+  SolController.getPendingPayments
+);
+
+/**
+ * @route   PUT /api/sols/:id/payments/:paymentId/verify
+ * @desc    Confirmer un paiement déclaré (complète le round si c'était le dernier)
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + paymentLimiter + param validation
+ */
+router.put('/:id/payments/:paymentId/verify',
+  authenticate,
+  paymentLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('paymentId').isMongoId().withMessage('ID de paiement invalide')
+  ],
+  SolController.verifyPayment
+);
+
+/**
+ * @route   PUT /api/sols/:id/payments/:paymentId/reject
+ * @desc    Refuser un paiement déclaré (le membre peut en déclarer un autre)
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + paymentLimiter + validation
+ * 
+ * Body: {
+ *   reason: string (3 à 200 caractères)
+ * }
+ */
+router.put('/:id/payments/:paymentId/reject',
+  authenticate,
+  paymentLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('paymentId').isMongoId().withMessage('ID de paiement invalide'),
+    ...SolController.validateRejectPayment
+  ],
+  SolController.rejectPayment
+);
+
+/**
+ * @route   GET /api/sols/:id/payments/:paymentId/proof
+ * @desc    Télécharger la preuve d'un paiement déclaré
+ * @access  Private (organisateur ou payeur)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Query Parameters: {
+ *   variant?: "thumbnail",
+ *   inline?: boolean
+ * }
+ */
+router.get('/:id/payments/:paymentId/proof',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('paymentId').isMongoId().withMessage('ID de paiement invalide')
+  ],
+  SolController.downloadPaymentProof
+);
+
+/**
+ * @route   GET /api/sols/:id/events
+ * @desc    Journal d'audit du cycle de vie (activation/clôture de rounds, versements)
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Query Parameters: {
+ *   roundNumber?: number
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     events: [{ type, roundNumber, fromStatus, toStatus, trigger, actor, amount, details, createdAt }],
+ *     count: number
+ *   }
+ * }
+ */
+router.get('/:id/events',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    query('roundNumber').optional().isInt({ min: 1 })
+  ],
+  SolController.getSolEvents
+);
+
+/**
+ * @route   GET /api/sols/:id/penalties
+ * @desc    Compte de pénalités de retard du sol
+ * @access  Private (organisateur : toutes ; participant : les siennes)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Un participant sans paiement vérifié après l'échéance + gracePeriodDays
+ * passe "overdue" (job quotidien) et reçoit la somme des penaltyAmount des
+ * règles appliquées. Les pénalités dues sont retenues sur sa main et
+ * reversées avec la main suivante.
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     penalties: [{ _id, participant, roundNumber, amount, status, daysLate, ... }],
+ *     summary: [{ participant, accrued, collected, waived, count }],
+ *     gracePeriodDays: number,
+ *     enforcedRules: [RuleObject]
+ *   }
+ * }
+ */
+router.get('/:id/penalties',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide')
+  ],
+  SolController.getPenalties
+);
+
+/**
+ * @route   PUT /api/sols/:id/penalties/:penaltyId/waive
+ * @desc    Annuler une pénalité encore due (non retenue)
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   reason?: string (max 200 caractères)
+ * }
+ */
+router.put('/:id/penalties/:penaltyId/waive',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('penaltyId').isMongoId().withMessage('ID de pénalité invalide'),
+    ...SolController.validateWaivePenalty
+  ],
+  SolController.waivePenalty
+);
+
+/**
+ * @route   GET /api/sols/:id/turn-order
+ * @desc    Ordre des mains : mode, ordre courant, historique du tirage / de l'enchère
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Modes : fixed (ordre d'arrivée), random (tirage au sort : seedHash publié
+ * à la création, graine révélée dans history au démarrage), auction (remises
+ * proposées par round, partagées entre les autres membres au versement).
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     mode: "fixed"|"random"|"auction",
+ *     seedHash?: string,
+ *     assignedAt?: Date,
+ *     order: [{ position, user, turnDiscount, isProvisional }],
+ *     auction: { isOpen, maxDiscount, bidCount, yourBids } | null,
+ *     history: [{ mode, performedAt, seed?, seedHash?, inputOrder, order, bids? }]
+ *   }
+ * }
+ */
+router.get('/:id/turn-order',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide')
+  ],
+  SolController.getTurnOrder
+);
+
+/**
+ * @route   PUT /api/sols/:id/turn-order/bids
+ * @desc    Proposer des remises pour obtenir une main (remplace les offres précédentes)
+ * @access  Private (participant d'un sol en enchère, avant clôture)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   bids: [{ roundNumber: number, discount: number (max contribution × (participants - 1)) }]
+ * }
+ */
+router.put('/:id/turn-order/bids',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateTurnBids
+  ],
+  SolController.placeTurnBids
+);
+
+/**
+ * @route   POST /api/sols/:id/turn-order/close
+ * @desc    Clôturer l'enchère d'un sol complet, attribuer les mains et démarrer le sol
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Round par round, la plus forte remise l'emporte (la plus ancienne en cas
+ * d'égalité) ; les rounds sans offre suivent l'ordre d'arrivée.
+ */
+router.post('/:id/turn-order/close',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide')
+  ],
+  SolController.closeTurnAuction
+);
+
+/**
+ * @route   GET /api/sols/:id/swaps
+ * @desc    Marché d'échange de mains du sol
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Cycle : pending (proposée) → awaiting_approval (acceptée, si
+ * requiresSwapApproval) → completed ; ou declined / rejected / cancelled.
+ * Seuls les rounds encore planifiés peuvent être échangés.
+ * 
+ * Query Parameters: {
+ *   status?: "pending"|"awaiting_approval"|"completed"|"declined"|"rejected"|"cancelled"
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     swapRequests: [{ _id, requester, requesterRound, target?, counterparty?, counterpartyRound?, status, message }],
+ *     openOffers: number,
+ *     requiresSwapApproval: boolean
+ *   }
+ * }
+ */
+router.get('/:id/swaps',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    query('status').optional().isIn(['pending', 'awaiting_approval', 'completed', 'declined', 'rejected', 'cancelled'])
+  ],
+  SolController.getSwapRequests
+);
+
+/**
+ * @route   POST /api/sols/:id/swaps
+ * @desc    Proposer sa main à un membre (targetUserId) ou à tous (offre ouverte)
+ * @access  Private (participant d'un sol actif)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   targetUserId?: ObjectId (absent : offre ouverte),
+ *   roundNumber?: number (main proposée si le membre en tient plusieurs),
+ *   message?: string (max 200 caractères)
+ * }
+ * 
+ * Seules les mains entières non partagées s'échangent.
+ */
+router.post('/:id/swaps',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateSwapRequest
+  ],
+  SolController.createSwapRequest
+);
+
+/**
+ * @route   PUT /api/sols/:id/swaps/:swapId/accept
+ * @desc    Accepter un échange (membre ciblé, ou tout membre pour une offre ouverte)
+ * @access  Private (participant du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Body: {
+ *   roundNumber?: number (main cédée si le membre en tient plusieurs)
+ * }
+ * 
+ * Positions et bénéficiaires sont échangés en une seule sauvegarde,
+ * journalisée (GET /:id/events) et notifiée à tous les membres.
+ */
+router.put('/:id/swaps/:swapId/accept',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('swapId').isMongoId().withMessage('ID de demande invalide'),
+    ...SolController.validateAcceptSwap
+  ],
+  SolController.acceptSwapRequest
+);
+
+/**
+ * @route   PUT /api/sols/:id/swaps/:swapId/decline
+ * @desc    Refuser une proposition adressée
+ * @access  Private (membre ciblé)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ */
+router.put('/:id/swaps/:swapId/decline',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('swapId').isMongoId().withMessage('ID de demande invalide')
+  ],
+  SolController.declineSwapRequest
+);
+
+/**
+ * @route   PUT /api/sols/:id/swaps/:swapId/approve
+ * @desc    Approuver un échange accepté
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ */
+router.put('/:id/swaps/:swapId/approve',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('swapId').isMongoId().withMessage('ID de demande invalide')
+  ],
+  SolController.approveSwapRequest
+);
+
+/**
+ * @route   PUT /api/sols/:id/swaps/:swapId/reject
+ * @desc    Refuser un échange accepté
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   reason?: string (max 200 caractères)
+ * }
+ */
+router.put('/:id/swaps/:swapId/reject',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('swapId').isMongoId().withMessage('ID de demande invalide'),
+    ...SolController.validateRejectSwap
+  ],
+  SolController.rejectSwapRequest
+);
+
+/**
+ * @route   DELETE /api/sols/:id/swaps/:swapId
+ * @desc    Retirer sa proposition tant qu'elle n'est pas exécutée
+ * @access  Private (auteur de la demande)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ */
+router.delete('/:id/swaps/:swapId',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('swapId').isMongoId().withMessage('ID de demande invalide')
+  ],
+  SolController.cancelSwapRequest
+);
+
+/**
+ * @route   GET /api/sols/:id/settlement
+ * @desc    Positions nettes (cotisé / reçu / remboursé) et plan de règlement
+ *          entre membres ; figé une fois le sol dissous
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + param validation
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     dissolved: boolean,
+ *     canDissolve: boolean,
+ *     settlement: { positions, refunds, transfers, unallocated },
+ *     yourPosition: { paid, received, refunded, net } (net > 0 : vous devez)
+ *   }
+ * }
+ */
+router.get('/:id/settlement',
+  authenticate,
+  solOperationsLimiter,
+  [param('id').isMongoId().withMessage('ID de sol invalide')],
+  SolController.getSettlement
+);
+
+/**
+ * @route   POST /api/sols/:id/dissolve
+ * @desc    Dissoudre un sol actif ou en pause : rounds ouverts annulés,
+ *          cotisations non versées remboursées, plan de règlement figé
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   reason: string (10-200 caractères),
+ *   createDebts?: boolean (dette/créance Debt pour chaque virement du plan),
+ *   debtDueDate?: ISO8601
+ * }
+ */
+router.post('/:id/dissolve',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateDissolveSol
+  ],
+  SolController.dissolveSol
+);
+
+/**
+ * @route   GET /api/sols/:id/disputes
+ * @desc    Litiges du sol, les ouverts d'abord
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Query: {
+ *   status?: "open"|"resolved"|"rejected",
+ *   roundNumber?: number
+ * }
+ */
+router.get('/:id/disputes',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    query('status').optional().isIn(['open', 'resolved', 'rejected']).withMessage('Statut invalide'),
+    query('roundNumber').optional().isInt({ min: 1 }).withMessage('Numéro de round invalide')
+  ],
+  SolController.getDisputes
+);
+
+/**
+ * @route   POST /api/sols/:id/disputes
+ * @desc    Ouvrir un litige sur un round déjà ouvert aux cotisations
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   roundNumber: number,
+ *   category?: "missing_payment"|"payout_amount"|"payment_verification"|"recipient"|"other",
+ *   title: string (3-100 caractères),
+ *   description?: string (max 1000 caractères)
+ * }
+ */
+router.post('/:id/disputes',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateDispute
+  ],
+  SolController.openDispute
+);
+
+/**
+ * @route   POST /api/sols/:id/disputes/:disputeId/comments
+ * @desc    Commenter un litige ouvert
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   message: string (max 500 caractères)
+ * }
+ */
+router.post('/:id/disputes/:disputeId/comments',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('disputeId').isMongoId().withMessage('ID de litige invalide'),
+    ...SolController.validateDisputeComment
+  ],
+  SolController.addDisputeComment
+);
+
+/**
+ * @route   PUT /api/sols/:id/disputes/:disputeId/resolve
+ * @desc    Trancher un litige
+ * @access  Private (organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   status: "resolved"|"rejected",
+ *   note?: string (max 500 caractères)
+ * }
+ */
+router.put('/:id/disputes/:disputeId/resolve',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    param('disputeId').isMongoId().withMessage('ID de litige invalide'),
+    ...SolController.validateResolveDispute
+  ],
+  SolController.resolveDispute
+);
+
+/**
+ * @route   GET /api/sols/:id/ledger
+ * @desc    Carnet (kanè) du sol : cotisations membre × round, mains versées,
+ *          colonne de signatures ; signé par empreinte SHA-256 + signature
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Query: {
+ *   format?: "json"|"csv"|"pdf" (défaut json)
+ * }
+ * 
+ * Response (json): {
+ *   success: true,
+ *   data: { ledger: { generatedAt, content: { sol, members, rounds, totals }, hash, signature } }
+ * }
+ * Response (csv|pdf): fichier + en-têtes X-Ledger-Hash et X-Ledger-Signature
+ */
+router.get('/:id/ledger',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateLedgerQuery
+  ],
+  SolController.getSolLedger
+);
+
+/**
+ * @route   POST /api/sols/:id/ledger/verify
+ * @desc    Vérifier un carnet exporté : signature émise par FinApp et
+ *          correspondance avec l'état actuel du sol
+ * @access  Private (participant ou organisateur du sol)
+ * @middleware authenticate + solOperationsLimiter + validation
+ * 
+ * Body: {
+ *   hash: string (SHA-256, 64 hex),
+ *   signature: string (64 hex)
+ * }
+ */
+router.post('/:id/ledger/verify',
+  authenticate,
+  solOperationsLimiter,
+  [
+    param('id').isMongoId().withMessage('ID de sol invalide'),
+    ...SolController.validateLedgerVerification
+  ],
+  SolController.verifySolLedger
+);
+
 /**
  * @route   GET /api/sols/:id/rounds
  * @desc    Récupérer historique des rounds d'un sol
@@ -717,10 +1529,14 @@ router.get('/analytics/personal',
  *   limit?: number
  * }
  * 
+ * Classement : sols dont le seuil minReliabilityScore est atteint par
+ * l'utilisateur d'abord, puis score de fiabilité moyen des membres.
+ * 
  * Response: {
  *   success: true,
  *   data: {
- *     sols: [ScoredSolObject],
+ *     sols: [ScoredSolObject + { reliability: { averageScore, ratedMembers }, eligible }],
+ *     yourReliability: { score, level },
  *     pagination: PaginationObject,
  *     filters: FilterOptionsObject,
  *     recommendations: RecommendationObject[]
@@ -915,6 +1731,13 @@ router.get('/info',
         features: [
           'CRUD sols complet avec validations robustes',
           'Gestion participants et rounds automatisés',
+          'Ordre des mains fixe, tiré au sort (vérifiable) ou aux enchères',
+          'Échanges de mains entre membres avec approbation optionnelle',
+          'Demi-mains partagées et mains multiples par membre',
+          'Invitations signées par lien ou QR code, adhésions sur approbation',
+          'Score de fiabilité des membres (partage consenti, seuil d\'adhésion)',
+          'Litiges sur les rounds et dissolution avec plan de règlement',
+          'Carnet (kanè) signé exportable en CSV et PDF',
           'Paiements sécurisés avec transactions atomiques',
           'Analytics personnels avec patterns comportementaux',
           'Découverte de sols avec scoring de pertinence',
@@ -926,8 +1749,37 @@ router.get('/info',
           list: 'GET /api/sols/',
           details: 'GET /api/sols/:id',
           join: 'POST /api/sols/join',
+          previewInvitation: 'GET /api/sols/invitations/:token',
+          invitations: 'GET|POST /api/sols/:id/invitations',
+          invitationQrCode: 'GET /api/sols/:id/invitations/:invitationId/qr',
+          revokeInvitation: 'DELETE /api/sols/:id/invitations/:invitationId',
+          joinRequests: 'GET /api/sols/:id/join-requests',
+          respondJoinRequest: 'PUT /api/sols/:id/join-requests/:requestId/(approve|reject)',
           leave: 'DELETE /api/sols/:id/leave',
+          participants: 'GET /api/sols/:id/participants',
+          myReliability: 'GET /api/sols/reliability/me',
+          reliabilityConsent: 'PUT /api/sols/reliability/consent',
           payment: 'POST /api/sols/:id/payment',
+          externalPayment: 'POST /api/sols/:id/payments/external',
+          pendingPayments: 'GET /api/sols/:id/payments/pending',
+          verifyPayment: 'PUT /api/sols/:id/payments/:paymentId/verify',
+          rejectPayment: 'PUT /api/sols/:id/payments/:paymentId/reject',
+          events: 'GET /api/sols/:id/events',
+          penalties: 'GET /api/sols/:id/penalties',
+          waivePenalty: 'PUT /api/sols/:id/penalties/:penaltyId/waive',
+          turnOrder: 'GET /api/sols/:id/turn-order',
+          turnBids: 'PUT /api/sols/:id/turn-order/bids',
+          closeTurnAuction: 'POST /api/sols/:id/turn-order/close',
+          swaps: 'GET|POST /api/sols/:id/swaps',
+          respondSwap: 'PUT /api/sols/:id/swaps/:swapId/(accept|decline|approve|reject)',
+          disputes: 'GET|POST /api/sols/:id/disputes',
+          disputeComment: 'POST /api/sols/:id/disputes/:disputeId/comments',
+          resolveDispute: 'PUT /api/sols/:id/disputes/:disputeId/resolve',
+          settlement: 'GET /api/sols/:id/settlement',
+          dissolve: 'POST /api/sols/:id/dissolve',
+          cancel: 'DELETE /api/sols/:id',
+          ledger: 'GET /api/sols/:id/ledger?format=json|csv|pdf',
+          verifyLedger: 'POST /api/sols/:id/ledger/verify',
           analytics: 'GET /api/sols/analytics/personal',
           discover: 'GET /api/sols/discover'
         },
@@ -942,7 +1794,8 @@ router.get('/info',
           accessCode: '6 caractères alphanumériques',
           contributionAmount: 'minimum 100 HTG ou USD',
           participants: '3-20 participants',
-          frequencies: ['weekly', 'biweekly', 'monthly', 'quarterly']
+          frequencies: ['weekly', 'biweekly', 'monthly', 'quarterly'],
+          turnOrderModes: ['fixed', 'random', 'auction']
         }
       },
       timestamp: new Date().toISOString()
@@ -1,5 +1,7 @@
 // src/routes/transactions.js - Routes transactions FinApp Haiti
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 
 // Import controllers et middleware
@@ -15,6 +17,8 @@ const {
   strictAuthLimiter,
   adminLimiter
 } = require('../middleware/auth');
+const { uploadSingleFile, handleUploadErrors } = require('../middleware/upload');
+const { LIMITS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -100,6 +104,78 @@ const searchLimiter = rateLimit({
   keyGenerator: (req) => req.user?.userId || req.ip
 });
 
+/**
+ * Rate limiter pour imports de relevés (parsing + catégorisation coûteux)
+ */
+const importLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 20, // 20 imports par utilisateur par heure
+  message: {
+    success: false,
+    message: 'Trop d\'imports de relevés. Réessayez dans 1 heure.',
+    error: 'import_rate_limit_exceeded',
+    retryAfter: '1 hour'
+  },
+  keyGenerator: (req) => req.user?.userId || req.ip
+});
+
+/**
+ * Rate limiter pour exports (génération fichiers lourde)
+ */
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 30, // 30 exports par utilisateur par heure
+  message: {
+    success: false,
+    message: 'Trop d\'exports demandés. Réessayez dans 1 heure.',
+    error: 'export_rate_limit_exceeded',
+    retryAfter: '1 hour'
+  },
+  keyGenerator: (req) => req.user?.userId || req.ip
+});
+
+/**
+ * Rate limiter pour uploads de reçus (stockage + miniature)
+ */
+const receiptUploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 40, // 40 reçus par utilisateur par heure
+  message: {
+    success: false,
+    message: 'Trop de reçus envoyés. Réessayez dans 1 heure.',
+    error: 'receipt_upload_rate_limit_exceeded',
+    retryAfter: '1 hour'
+  },
+  keyGenerator: (req) => req.user?.userId || req.ip
+});
+
+// ===================================================================
+// UPLOAD RELEVÉS
+// ===================================================================
+
+/**
+ * Upload relevé en mémoire (pas de stockage disque)
+ * Erreurs d'upload (taille, format) renvoyées en 400
+ */
+const statementUpload = handleUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LIMITS.IMPORT.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!LIMITS.IMPORT.ALLOWED_EXTENSIONS.includes(extension)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Format non supporté (${LIMITS.IMPORT.ALLOWED_EXTENSIONS.join(', ')})`;
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+}).single('file'), LIMITS.IMPORT.MAX_FILE_SIZE);
+
 // ===================================================================
 // DOCUMENTATION API TRANSACTIONS
 // ===================================================================
@@ -125,14 +201,34 @@ router.get('/', (req, res) => {
       // Analytics & Stats
       'GET /analytics/categories': 'Analytics par catégorie',
       'GET /analytics/monthly': 'Statistiques mensuelles',
+      'GET /analytics/fx-spread': 'Écart de change payé par banque / changeur',
       'GET /search': 'Recherche avancée',
       
       // Actions spéciales
       'POST /:transactionId/duplicate': 'Dupliquer transaction',
       'PUT /:transactionId/confirm': 'Confirmer transaction',
-      'POST /:transactionId/receipt': 'Ajouter reçu',
+      'POST /:transactionId/receipt': 'Envoyer un reçu (image ou PDF)',
+      'GET /:transactionId/receipt': 'Télécharger le reçu (?variant=thumbnail)',
+      'DELETE /:transactionId/receipt': 'Supprimer le reçu',
       'PUT /:transactionId/location': 'Ajouter localisation',
       
+      // Transactions récurrentes
+      'GET /recurring': 'Lister mes séries récurrentes',
+      'GET /recurring/:seriesId': 'Détails d\'une série et ses occurrences',
+      'PUT /recurring/:seriesId': 'Modifier les occurrences futures',
+      'PUT /recurring/:seriesId/pause': 'Mettre une série en pause',
+      'PUT /recurring/:seriesId/resume': 'Reprendre une série',
+      'POST /recurring/:seriesId/skip': 'Sauter une occurrence',
+      'DELETE /recurring/:seriesId': 'Arrêter une série',
+      
+      // Import relevés
+      'POST /import/preview': 'Aperçu d\'un relevé CSV/OFX (catégories + doublons)',
+      'POST /import': 'Importer un relevé en un seul lot',
+      'POST /sms': 'Brouillons depuis SMS MonCash / NatCash',
+      
+      // Export
+      'GET /export': 'Exporter en CSV / XLSX ou relevé mensuel PDF',
+      
       // Utilitaires
       'GET /suggestions': 'Suggestions basées sur historique',
       
@@ -143,7 +239,10 @@ router.get('/', (req, res) => {
       transactionOperations: '100 requêtes / 15 minutes',
       transactionCreation: '50 créations / heure',
       analytics: '200 requêtes / heure',
-      search: '60 recherches / 15 minutes'
+      search: '60 recherches / 15 minutes',
+      import: '20 imports / heure',
+      export: '30 exports / heure',
+      receiptUpload: '40 reçus / heure'
     },
     supportedTypes: ['income', 'expense', 'transfer'],
     supportedCategories: [
@@ -172,9 +271,11 @@ router.get('/', (req, res) => {
  *   amount: number (requis),
  *   type: string (requis) - income|expense|transfer,
  *   description: string (requis),
- *   category: string (requis),
+ *   category: string (requis sauf si splits),
  *   account: string (requis) - ID du compte,
  *   subcategory?: string,
+ *   splits?: [{ amount, category, subcategory?, budgetCategory?, note? }]
+ *     - Ventilation sur plusieurs catégories (≥ 2 lignes, somme = amount),
  *   toAccount?: string - ID compte destinataire (requis pour transfer),
  *   date?: string - ISO date,
  *   tags?: string[],
@@ -185,7 +286,14 @@ router.get('/', (req, res) => {
  *     latitude?: number,
  *     longitude?: number
  *   },
- *   templateUsed?: string
+ *   templateUsed?: string,
+ *   isRecurring?: boolean - Crée une série (cette transaction = 1ère occurrence),
+ *   recurringType?: string - daily|weekly|biweekly|monthly|yearly (requis si isRecurring),
+ *   recurringEndDate?: string - ISO date,
+ *   exchangeRate?: number - Taux appliqué (HTG pour 1 USD) si devises différentes,
+ *   destinationAmount?: number - Montant reçu dans la devise du destinataire,
+ *   transferFee?: number - Frais en devise source (dépense séparée),
+ *   fxProvider?: string - Banque ou changeur (défaut: banque du compte source)
  * }
  * 
  * Response: {
@@ -247,6 +355,281 @@ router.get('/list',
   transactionController.getUserTransactions
 );
 
+// ===================================================================
+// ROUTES TRANSACTIONS RÉCURRENTES
+// ===================================================================
+// Déclarées avant /:transactionId pour ne pas être capturées par le paramètre
+
+/**
+ * @route   GET /api/transactions/recurring
+ * @desc    Lister les séries récurrentes (loyer, salaire, abonnements...)
+ * @access  Private (authentification requise)
+ * @middleware authenticate + transactionOperationsLimiter
+ * 
+ * Query Parameters: {
+ *   status?: string - active|paused|stopped|completed
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     series: [TransactionObject + upcoming],
+ *     totals: { total, active, paused }
+ *   }
+ * }
+ */
+router.get('/recurring',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.getRecurringSeries
+);
+
+/**
+ * @route   GET /api/transactions/recurring/:seriesId
+ * @desc    Détails d'une série et de ses occurrences créées
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     series: TransactionObject + upcoming,
+ *     occurrences: [TransactionObject]
+ *   }
+ * }
+ */
+router.get('/recurring/:seriesId',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.getRecurringSeriesById
+);
+
+/**
+ * @route   PUT /api/transactions/recurring/:seriesId
+ * @desc    Modifier les occurrences futures d'une série
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ * 
+ * Body: {
+ *   account?: string - ID du compte,
+ *   amount?: number,
+ *   description?: string,
+ *   category?: string,
+ *   subcategory?: string,
+ *   notes?: string,
+ *   tags?: string[],
+ *   recurringType?: string - daily|weekly|biweekly|monthly|yearly,
+ *   recurringEndDate?: string|null - ISO date
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   message: "Occurrences futures mises à jour",
+ *   data: {
+ *     series: TransactionObject + upcoming
+ *   }
+ * }
+ */
+router.put('/recurring/:seriesId',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.updateRecurringSeries
+);
+
+/**
+ * @route   PUT /api/transactions/recurring/:seriesId/pause
+ * @desc    Mettre une série en pause
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ */
+router.put('/recurring/:seriesId/pause',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.pauseRecurringSeries
+);
+
+/**
+ * @route   PUT /api/transactions/recurring/:seriesId/resume
+ * @desc    Reprendre une série en pause (sans rattrapage)
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ */
+router.put('/recurring/:seriesId/resume',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.resumeRecurringSeries
+);
+
+/**
+ * @route   POST /api/transactions/recurring/:seriesId/skip
+ * @desc    Sauter une occurrence (la prochaine par défaut)
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ * 
+ * Body: {
+ *   date?: string - ISO date de l'occurrence à sauter
+ * }
+ */
+router.post('/recurring/:seriesId/skip',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.skipRecurringOccurrence
+);
+
+/**
+ * @route   DELETE /api/transactions/recurring/:seriesId
+ * @desc    Arrêter définitivement une série (occurrences créées conservées)
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ */
+router.delete('/recurring/:seriesId',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.stopRecurringSeries
+);
+
+// ===================================================================
+// ROUTES IMPORT RELEVÉS (CSV / OFX) & SMS
+// ===================================================================
+
+/**
+ * @route   POST /api/transactions/import/preview
+ * @desc    Lire un relevé et proposer catégories + doublons probables
+ * @access  Private (authentification requise)
+ * @middleware authenticate + importLimiter + statementUpload
+ * 
+ * Headers: {
+ *   Authorization: "Bearer <accessToken>",
+ *   Content-Type: "multipart/form-data"
+ * }
+ * 
+ * Body (form-data): {
+ *   file: fichier .csv|.ofx|.qfx (requis, 2MB max),
+ *   account: string (requis) - ID du compte cible,
+ *   bank?: string - clé HAITI_BANKS (défaut: banque du compte),
+ *   format?: string - csv|ofx (défaut: selon extension)
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     rows: [{ rowNumber, date, description, amount, type, reference,
+ *              category, categoryConfidence, isDuplicate, duplicateReason, include }],
+ *     errors: [{ row, message }],
+ *     warnings: [string],
+ *     summary: { totalRows, duplicates, toImport, totalIncome, totalExpense }
+ *   }
+ * }
+ */
+router.post('/import/preview',
+  authenticate,
+  importLimiter,
+  statementUpload,
+  transactionController.previewTransactionImport
+);
+
+/**
+ * @route   POST /api/transactions/import
+ * @desc    Importer un relevé en un seul lot (soldes + budgets mis à jour)
+ * @access  Private (authentification requise)
+ * @middleware authenticate + importLimiter + statementUpload
+ * 
+ * Body (JSON, après aperçu): {
+ *   account: string (requis),
+ *   bank?: string,
+ *   format?: string,
+ *   rows: [ligne d'aperçu, éventuellement corrigée ; include: false pour exclure]
+ * }
+ * 
+ * Body (form-data, import direct): {
+ *   file, account, bank?, format?,
+ *   includeDuplicates?: boolean - importer aussi les doublons probables
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   message: "N transaction(s) importée(s)",
+ *   data: {
+ *     batchId: string,
+ *     importedCount: number,
+ *     skipped: [{ row, reason }],
+ *     netChange: number,
+ *     newBalance: number,
+ *     transactions: [TransactionObject]
+ *   }
+ * }
+ */
+router.post('/import',
+  authenticate,
+  importLimiter,
+  statementUpload,
+  transactionController.importTransactions
+);
+
+/**
+ * @route   POST /api/transactions/sms
+ * @desc    Créer des brouillons depuis des SMS MonCash / NatCash collés
+ * @access  Private (authentification requise)
+ * @middleware authenticate + importLimiter
+ * 
+ * Body: {
+ *   text: string (requis) - un ou plusieurs SMS (séparés par une ligne vide),
+ *   provider?: string - moncash|natcash (défaut: détection automatique),
+ *   account?: string - ID du compte (défaut: compte moncash/natcash de l'utilisateur),
+ *   syncBalance?: boolean - aligner le solde du compte sur le solde annoncé par le SMS
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   message: "N brouillon(s) créé(s) - à confirmer",
+ *   data: {
+ *     drafts: [TransactionObject (isPending: true)],
+ *     skipped: [{ reference, reason }],
+ *     unparsed: [{ raw, error }],
+ *     reconciliations: [{ account, quotedBalance, expectedBalance, difference, isConsistent, synced }]
+ *   }
+ * }
+ * 
+ * Les brouillons se valident avec PUT /:transactionId/confirm (mise à jour du solde)
+ */
+router.post('/sms',
+  authenticate,
+  importLimiter,
+  transactionController.importSmsTransactions
+);
+
+// ===================================================================
+// EXPORT TRANSACTIONS
+// ===================================================================
+
+/**
+ * @route   GET /api/transactions/export
+ * @desc    Exporter mes transactions (fichier en téléchargement)
+ * @access  Private (authentification requise)
+ * @middleware authenticate + exportLimiter
+ * 
+ * Query params: {
+ *   format?: string - csv|xlsx|pdf (défaut: csv),
+ *   account?: string - ID compte,
+ *   category?: string - Catégorie,
+ *   type?: string - income|expense|transfer,
+ *   startDate?: string - ISO date,
+ *   endDate?: string - ISO date,
+ *   search?: string - Recherche texte,
+ *   month?: number - 1-12 (pdf uniquement),
+ *   year?: number - (pdf uniquement)
+ * }
+ * 
+ * Response: fichier CSV / XLSX streamé, ou relevé PDF
+ * Relevé PDF : une page par compte (solde d'ouverture / clôture,
+ * totaux HTG / USD, sous-totaux par catégorie) - mois courant par défaut
+ */
+router.get('/export',
+  authenticate,
+  exportLimiter,
+  transactionController.exportTransactions
+);
+
 /**
  * @route   GET /api/transactions/:transactionId
  * @desc    Obtenir détails d'une transaction spécifique
@@ -285,6 +668,7 @@ router.get('/:transactionId',
  *   description?: string,
  *   category?: string,
  *   subcategory?: string,
+ *   splits?: [{ amount, category, subcategory?, budgetCategory?, note? }] - [] pour retirer la ventilation,
  *   date?: string,
  *   tags?: string[],
  *   notes?: string
@@ -407,6 +791,36 @@ router.get('/analytics/monthly',
   transactionController.getMonthlyStats
 );
 
+/**
+ * @route   GET /api/transactions/analytics/fx-spread
+ * @desc    Écart de change payé par banque / changeur dans le temps
+ * @access  Private (authentification requise)
+ * @middleware authenticate + analyticsLimiter
+ * 
+ * Query Parameters: {
+ *   startDate?: string - ISO date (défaut: il y a 12 mois),
+ *   endDate?: string - ISO date (défaut: aujourd'hui),
+ *   groupBy?: string - month|week (défaut: month)
+ * }
+ * 
+ * Response: {
+ *   success: true,
+ *   data: {
+ *     byProvider: [{ provider, conversions, volumeHTG, spreadCostHTG, feesHTG, spreadPercentage, totalCostPercentage }],
+ *     timeline: [{ period, provider, ... }],
+ *     cheapestProvider: string,
+ *     summary: { conversions, volumeHTG, spreadCostHTG, feesHTG, period }
+ *   }
+ * }
+ * 
+ * Basé sur les transferts HTG ↔ USD comparés au taux de référence BRH du jour
+ */
+router.get('/analytics/fx-spread',
+  authenticate,
+  analyticsLimiter,
+  transactionController.getFxSpreadReport
+);
+
 /**
  * @route   GET /api/transactions/search
  * @desc    Recherche avancée dans les transactions
@@ -508,21 +922,25 @@ router.put('/:transactionId/confirm',
 
 /**
  * @route   POST /api/transactions/:transactionId/receipt
- * @desc    Ajouter un reçu à une transaction
+ * @desc    Envoyer ou remplacer le reçu d'une transaction
  * @access  Private (authentification requise + ownership)
- * @middleware authenticate + transactionOperationsLimiter
+ * @middleware authenticate + receiptUploadLimiter + uploadSingleFile
  * 
  * Headers: {
  *   Authorization: "Bearer <accessToken>"
  * }
  * 
- * Body: {
- *   receiptUrl: string (requis) - URL du reçu uploadé,
- *   originalName?: string,
- *   size?: number,
- *   publicId?: string - ID Cloudinary
+ * Body (multipart/form-data): {
+ *   file: JPEG|PNG|GIF|WEBP|PDF (max 5MB)
+ * }
+ * ou Body (JSON): {
+ *   receiptUrl: string - lien externe déjà hébergé,
+ *   originalName?: string
  * }
  * 
+ * Fichier stocké via le driver configuré (FILE_STORAGE_DRIVER=local|cloudinary),
+ * miniature générée pour les images. L'ancien reçu est supprimé.
+ * 
  * Response: {
  *   success: true,
  *   message: "Reçu ajouté avec succès",
@@ -533,10 +951,42 @@ router.put('/:transactionId/confirm',
  */
 router.post('/:transactionId/receipt',
   authenticate,
-  transactionOperationsLimiter,
+  receiptUploadLimiter,
+  uploadSingleFile('file'),
   transactionController.addReceipt
 );
 
+/**
+ * @route   GET /api/transactions/:transactionId/receipt
+ * @desc    Télécharger le reçu d'une transaction
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ * 
+ * Query params: {
+ *   variant?: string - original|thumbnail (défaut: original),
+ *   inline?: boolean - afficher dans le navigateur au lieu de télécharger
+ * }
+ * 
+ * Response: fichier (stockage local) ou redirection vers l'URL Cloudinary
+ */
+router.get('/:transactionId/receipt',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.downloadReceipt
+);
+
+/**
+ * @route   DELETE /api/transactions/:transactionId/receipt
+ * @desc    Supprimer le reçu d'une transaction (fichier et miniature)
+ * @access  Private (authentification requise + ownership)
+ * @middleware authenticate + transactionOperationsLimiter
+ */
+router.delete('/:transactionId/receipt',
+  authenticate,
+  transactionOperationsLimiter,
+  transactionController.deleteReceipt
+);
+
 /**
  * @route   PUT /api/transactions/:transactionId/location
  * @desc    Ajouter une localisation à une transaction
@@ -903,6 +1353,18 @@ router.use((err, req, res, next) => {
     });
   }
   
+  // Erreurs upload relevé
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE'
+        ? 'Fichier trop volumineux (max: 2MB)'
+        : err.message,
+      error: 'statement_upload_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   // Erreurs de validation
   if (err.name === 'ValidationError') {
     return res.status(400).json({
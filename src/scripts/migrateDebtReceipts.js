@@ -0,0 +1,64 @@
+// src/scripts/migrateDebtReceipts.js
+// 🔄 MIGRATION : reçus de paiements de dettes enregistrés en simple URL (String)
+// Convertit payments[].receipt en objet { url } attendu par le stockage des fichiers
+// Usage : node src/scripts/migrateDebtReceipts.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: '.env.local' });
+
+const migrateDebtReceipts = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🔄 MIGRATION REÇUS DETTES${dryRun ? ' (simulation)' : ''}\n`);
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB connecté\n');
+
+    // Collection brute : le modèle convertit déjà les anciens reçus à la lecture
+    const debts = mongoose.connection.collection('debts');
+    const cursor = debts.find(
+      { 'payments.receipt': { $type: 'string' } },
+      { projection: { payments: 1 } }
+    );
+
+    let debtsUpdated = 0;
+    let receiptsConverted = 0;
+
+    for await (const debt of cursor) {
+      const $set = {};
+      const $unset = {};
+
+      debt.payments.forEach((payment, index) => {
+        if (typeof payment.receipt !== 'string') return;
+
+        if (payment.receipt) {
+          $set[`payments.${index}.receipt`] = { url: payment.receipt };
+        } else {
+          $unset[`payments.${index}.receipt`] = '';
+        }
+        receiptsConverted++;
+      });
+
+      if (!dryRun) {
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+        await debts.updateOne({ _id: debt._id }, update);
+      }
+      debtsUpdated++;
+    }
+
+    console.log(`📊 Dettes concernées: ${debtsUpdated}`);
+    console.log(`🧾 Reçus convertis: ${receiptsConverted}`);
+    console.log(dryRun ? '\nℹ️  Simulation : aucune écriture' : '\n✅ Migration terminée');
+
+  } catch (error) {
+    console.error('❌ Erreur migration:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateDebtReceipts();
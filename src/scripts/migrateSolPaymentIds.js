@@ -0,0 +1,58 @@
+// src/scripts/migrateSolPaymentIds.js
+// 🔄 MIGRATION : identifiants des paiements de sols
+// Les paiements enregistrés avant l'ajout de _id (vérification / rejet par paiement)
+// n'en ont pas : findPayment ne peut pas les retrouver. On leur attribue un _id stable.
+// Usage : node src/scripts/migrateSolPaymentIds.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: '.env.local' });
+
+const migrateSolPaymentIds = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🔄 MIGRATION IDs PAIEMENTS SOLS${dryRun ? ' (simulation)' : ''}\n`);
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB connecté\n');
+
+    // Collection brute : le modèle attribuerait un _id différent à chaque lecture
+    const sols = mongoose.connection.collection('sols');
+    const cursor = sols.find(
+      { rounds: { $elemMatch: { payments: { $elemMatch: { _id: { $exists: false } } } } } },
+      { projection: { rounds: 1 } }
+    );
+
+    let solsUpdated = 0;
+    let paymentsUpdated = 0;
+
+    for await (const sol of cursor) {
+      const $set = {};
+
+      sol.rounds.forEach((round, roundIndex) => {
+        (round.payments || []).forEach((payment, paymentIndex) => {
+          if (payment._id) return;
+          $set[`rounds.${roundIndex}.payments.${paymentIndex}._id`] = new mongoose.Types.ObjectId();
+          paymentsUpdated++;
+        });
+      });
+
+      if (!dryRun) {
+        await sols.updateOne({ _id: sol._id }, { $set });
+      }
+      solsUpdated++;
+    }
+
+    console.log(`📊 Sols concernés: ${solsUpdated}`);
+    console.log(`💳 Paiements identifiés: ${paymentsUpdated}`);
+    console.log(dryRun ? '\nℹ️  Simulation : aucune écriture' : '\n✅ Migration terminée');
+
+  } catch (error) {
+    console.error('❌ Erreur migration:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateSolPaymentIds();
@@ -16,6 +16,7 @@ const {
   CURRENCIES,
   HAITI_BANKS 
 } = require('../utils/constants');
+const { getRate } = require('./exchangeRateService');
 
 class AdviceEngine {
 
@@ -277,8 +278,9 @@ class AdviceEngine {
     if (usdAccounts.length > 0 && htgAccounts.length > 0) {
       const usdBalance = usdAccounts.reduce((sum, a) => sum + a.balance, 0);
       const htgBalance = htgAccounts.reduce((sum, a) => sum + a.balance, 0);
-      const totalInHTG = htgBalance + (usdBalance * 130);
-      const usdRatio = totalInHTG > 0 ? (usdBalance * 130) / totalInHTG * 100 : 0;
+      const exchangeRate = (await getRate()).rate;
+      const totalInHTG = htgBalance + (usdBalance * exchangeRate);
+      const usdRatio = totalInHTG > 0 ? (usdBalance * exchangeRate) / totalInHTG * 100 : 0;
 
       if (usdRatio < 15) {
         insights.push({
@@ -288,7 +290,7 @@ class AdviceEngine {
           title: 'Optimiser votre allocation HTG/USD',
           message: `Seulement ${usdRatio.toFixed(1)}% de vos fonds sont en USD. Gardez 20-30% en USD pour vous protéger.`,
           recommendations: [
-            `Convertir ${Math.round((totalInHTG * 0.25 - usdBalance * 130) / 130)} USD pour atteindre 25%`,
+            `Convertir ${Math.round((totalInHTG * 0.25 - usdBalance * exchangeRate) / exchangeRate)} USD pour atteindre 25%`,
             'Privilégier USD pour épargne long terme',
             'Garder HTG uniquement pour dépenses courantes',
             'Surveiller le taux de change pour conversions optimales'
@@ -1222,7 +1224,9 @@ class AdviceEngine {
       const htgBalance = htgAccounts.reduce((sum, a) => sum + a.balance, 0);
       const usdBalance = usdAccounts.reduce((sum, a) => sum + a.balance, 0);
 
-      const exchangeRate = 130;
+      // Taux BRH du jour (résolveur de taux)
+      const rateInfo = await getRate();
+      const exchangeRate = rateInfo.rate;
       const totalInHTG = htgBalance + (usdBalance * exchangeRate);
       const usdRatio = totalInHTG > 0 ? (usdBalance * exchangeRate) / totalInHTG * 100 : 0;
 
@@ -1250,6 +1254,12 @@ class AdviceEngine {
             totalInHTG,
             usdRatio: `${usdRatio.toFixed(1)}%`
           },
+          exchangeRate: {
+            rate: exchangeRate,
+            date: rateInfo.date,
+            source: rateInfo.source,
+            isFallback: rateInfo.isFallback
+          },
           recommendations,
           optimalStrategy: {
             description: 'Stratégie optimale pour contexte Haïti',
@@ -0,0 +1,172 @@
+// src/services/balanceLedgerService.js - Historique et contrôle des soldes FinApp Haiti
+const moment = require('moment');
+const BalanceLedgerEntry = require('../models/BalanceLedgerEntry');
+const { startOfDay, endOfDay, getDateRange, daysBetween } = require('../utils/dateUtils');
+const { roundNumber } = require('../utils/helpers');
+
+/**
+ * Lecture du grand livre des soldes
+ * - soldes de clôture jour par jour (« combien avais-je à la BNC le 3 mars ? »)
+ * - contrôle de cohérence : currentBalance recalculé depuis le journal
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const MAX_HISTORY_DAYS = 366;
+const DEFAULT_HISTORY_DAYS = 30;
+const DRIFT_TOLERANCE = 0.01;
+const MAX_REPORTED_BREAKS = 10;
+
+// ===================================================================
+// HISTORIQUE
+// ===================================================================
+
+/**
+ * Soldes de clôture quotidiens sur une période
+ * @param {Object} account - Compte
+ * @param {Object} options - { startDate, endDate }
+ * @returns {Promise<Object>} - { period, openingBalance, closingBalance, days, coverageStart }
+ */
+const getDailyBalances = async (account, { startDate, endDate } = {}) => {
+  const end = endOfDay(endDate ? new Date(endDate) : new Date());
+  let start = startOfDay(startDate ? new Date(startDate) : moment(end).subtract(DEFAULT_HISTORY_DAYS - 1, 'days').toDate());
+
+  // Borne la période pour garder une réponse raisonnable
+  if (daysBetween(start, end) > MAX_HISTORY_DAYS) {
+    start = startOfDay(moment(end).subtract(MAX_HISTORY_DAYS - 1, 'days').toDate());
+  }
+
+  const [previous, entries, firstEntry] = await Promise.all([
+    BalanceLedgerEntry.aggregate([
+      { $match: { account: account._id, effectiveDate: { $lt: start } } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]),
+    BalanceLedgerEntry.find({
+      account: account._id,
+      effectiveDate: { $gte: start, $lte: end }
+    }).sort({ effectiveDate: 1, _id: 1 }).lean(),
+    BalanceLedgerEntry.findOne({ account: account._id }).sort({ effectiveDate: 1 }).select('effectiveDate').lean()
+  ]);
+
+  // Écritures regroupées par jour (heure locale du serveur)
+  const entriesByDay = new Map();
+  entries.forEach(entry => {
+    const key = startOfDay(entry.effectiveDate).getTime();
+    if (!entriesByDay.has(key)) entriesByDay.set(key, []);
+    entriesByDay.get(key).push(entry);
+  });
+
+  const openingBalance = roundNumber(previous[0]?.balance || 0, 2);
+  let balance = openingBalance;
+
+  const days = getDateRange(start, startOfDay(end)).map(day => {
+    const dayEntries = entriesByDay.get(day.getTime()) || [];
+    const dayOpening = balance;
+    const credits = dayEntries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+    const debits = dayEntries.filter(e => e.amount < 0).reduce((sum, e) => sum + e.amount, 0);
+
+    balance = roundNumber(balance + credits + debits, 2);
+
+    return {
+      date: moment(day).format('YYYY-MM-DD'),
+      openingBalance: dayOpening,
+      credits: roundNumber(credits, 2),
+      debits: roundNumber(Math.abs(debits), 2),
+      closingBalance: balance,
+      movements: dayEntries.length
+    };
+  });
+
+  return {
+    period: { startDate: start, endDate: end },
+    currency: account.currency,
+    openingBalance,
+    closingBalance: balance,
+    coverageStart: firstEntry ? firstEntry.effectiveDate : null,
+    days
+  };
+};
+
+/**
+ * Écritures détaillées d'un compte (plus récentes d'abord)
+ * @param {Object} account - Compte
+ * @param {Object} options - { startDate, endDate, limit }
+ * @returns {Promise<Array>}
+ */
+const getLedgerEntries = (account, { startDate, endDate, limit = 100 } = {}) => {
+  const query = { account: account._id };
+
+  if (startDate || endDate) {
+    query.effectiveDate = {};
+    if (startDate) query.effectiveDate.$gte = startOfDay(new Date(startDate));
+    if (endDate) query.effectiveDate.$lte = endOfDay(new Date(endDate));
+  }
+
+  return BalanceLedgerEntry.find(query)
+    .sort({ effectiveDate: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// ===================================================================
+// CONTRÔLE DE COHÉRENCE
+// ===================================================================
+
+/**
+ * Recalculer le solde depuis le journal et mesurer la dérive
+ * Relève aussi les ruptures de chaînage (solde modifié hors journal
+ * entre deux écritures successives)
+ * @param {Object} account - Compte
+ * @returns {Promise<Object>} - { ledgerBalance, currentBalance, drift, isConsistent, breaks }
+ */
+const checkLedgerConsistency = async (account) => {
+  const entries = await BalanceLedgerEntry.find({ account: account._id })
+    .sort({ _id: 1 })
+    .select('amount balanceBefore balanceAfter effectiveDate createdAt source description')
+    .lean();
+
+  let ledgerBalance = 0;
+  let previous = null;
+  const breaks = [];
+
+  entries.forEach(entry => {
+    ledgerBalance += entry.amount;
+
+    if (previous && Math.abs(entry.balanceBefore - previous.balanceAfter) >= DRIFT_TOLERANCE) {
+      breaks.push({
+        entryId: entry._id,
+        recordedAt: entry.createdAt,
+        expectedBalanceBefore: previous.balanceAfter,
+        actualBalanceBefore: entry.balanceBefore,
+        gap: roundNumber(entry.balanceBefore - previous.balanceAfter, 2)
+      });
+    }
+
+    previous = entry;
+  });
+
+  ledgerBalance = roundNumber(ledgerBalance, 2);
+  const drift = roundNumber(account.currentBalance - ledgerBalance, 2);
+
+  return {
+    entries: entries.length,
+    ledgerBalance,
+    currentBalance: account.currentBalance,
+    drift,
+    isConsistent: entries.length > 0 && Math.abs(drift) < DRIFT_TOLERANCE && breaks.length === 0,
+    breaksCount: breaks.length,
+    breaks: breaks.slice(-MAX_REPORTED_BREAKS),
+    checkedAt: new Date()
+  };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  getDailyBalances,
+  getLedgerEntries,
+  checkLedgerConsistency
+};
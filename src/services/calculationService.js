@@ -4,47 +4,38 @@
  */
 
 const { roundNumber } = require('../utils/helpers');
+const { resolveRate, convertAmount } = require('./exchangeRateService');
 
 /**
  * Convertit HTG vers USD
  * @param {number} amount - Montant en HTG
- * @param {number} exchangeRate - Taux de change (défaut: 130)
+ * @param {number} exchangeRate - Taux de change (défaut: taux du jour)
  * @returns {number} Montant en USD
  */
-const convertHTGtoUSD = (amount, exchangeRate = 130) => {
+const convertHTGtoUSD = (amount, exchangeRate = resolveRate()) => {
   return roundNumber(amount / exchangeRate, 2);
 };
 
 /**
  * Convertit USD vers HTG
  * @param {number} amount - Montant en USD
- * @param {number} exchangeRate - Taux de change (défaut: 130)
+ * @param {number} exchangeRate - Taux de change (défaut: taux du jour)
  * @returns {number} Montant en HTG
  */
-const convertUSDtoHTG = (amount, exchangeRate = 130) => {
+const convertUSDtoHTG = (amount, exchangeRate = resolveRate()) => {
   return roundNumber(amount * exchangeRate, 2);
 };
 
 /**
- * Convertit un montant entre devises
+ * Convertit un montant entre devises au taux en vigueur à une date
  * @param {number} amount - Montant
  * @param {string} from - Devise source
  * @param {string} to - Devise cible
- * @param {number} exchangeRate - Taux de change
+ * @param {Date} date - Date de l'opération (défaut: aujourd'hui)
  * @returns {number} Montant converti
  */
-const convertCurrency = (amount, from, to, exchangeRate = 130) => {
-  if (from === to) return amount;
-  
-  if (from === 'HTG' && to === 'USD') {
-    return convertHTGtoUSD(amount, exchangeRate);
-  }
-  
-  if (from === 'USD' && to === 'HTG') {
-    return convertUSDtoHTG(amount, exchangeRate);
-  }
-  
-  return amount;
+const convertCurrency = (amount, from, to, date = new Date()) => {
+  return convertAmount(amount, from, to, date);
 };
 
 /**
@@ -116,15 +107,16 @@ const calculateCompoundInterest = (principal, rate, time, frequency = 12) => {
  * Calcule le paiement mensuel d'un prêt (formule amortissement)
  * @param {number} principal - Montant du prêt
  * @param {number} annualRate - Taux annuel (%)
- * @param {number} months - Durée en mois
+ * @param {number} months - Durée en mois (en périodes si periodsPerYear ≠ 12)
+ * @param {number} periodsPerYear - Échéances par an (12 mensuel, 52 hebdomadaire...)
  * @returns {number} Paiement mensuel
  */
-const calculateLoanPayment = (principal, annualRate, months) => {
+const calculateLoanPayment = (principal, annualRate, months, periodsPerYear = 12) => {
   if (annualRate === 0) {
     return roundNumber(principal / months, 2);
   }
   
-  const monthlyRate = (annualRate / 100) / 12;
+  const monthlyRate = (annualRate / 100) / periodsPerYear;
   const payment = principal * (monthlyRate * Math.pow(1 + monthlyRate, months)) / 
                   (Math.pow(1 + monthlyRate, months) - 1);
   
@@ -135,30 +127,33 @@ const calculateLoanPayment = (principal, annualRate, months) => {
  * Calcule le calendrier d'amortissement d'un prêt
  * @param {number} principal - Montant du prêt
  * @param {number} annualRate - Taux annuel (%)
- * @param {number} months - Durée en mois
+ * @param {number} months - Durée en mois (en périodes si periodsPerYear ≠ 12)
+ * @param {number} periodsPerYear - Échéances par an (12 mensuel, 52 hebdomadaire...)
  * @returns {Array} Calendrier détaillé
  */
-const calculateAmortizationSchedule = (principal, annualRate, months) => {
-  const monthlyPayment = calculateLoanPayment(principal, annualRate, months);
-  const monthlyRate = (annualRate / 100) / 12;
+const calculateAmortizationSchedule = (principal, annualRate, months, periodsPerYear = 12) => {
+  const monthlyPayment = calculateLoanPayment(principal, annualRate, months, periodsPerYear);
+  const monthlyRate = (annualRate / 100) / periodsPerYear;
   
   let balance = principal;
   const schedule = [];
   
   for (let month = 1; month <= months; month++) {
     const interestPayment = roundNumber(balance * monthlyRate, 2);
-    const principalPayment = roundNumber(monthlyPayment - interestPayment, 2);
+    let principalPayment = roundNumber(monthlyPayment - interestPayment, 2);
+    let payment = monthlyPayment;
     balance = roundNumber(balance - principalPayment, 2);
     
     // Correction du dernier paiement pour éviter les erreurs d'arrondi
     if (month === months && balance !== 0) {
-      principalPayment += balance;
+      principalPayment = roundNumber(principalPayment + balance, 2);
+      payment = roundNumber(principalPayment + interestPayment, 2);
       balance = 0;
     }
     
     schedule.push({
       month,
-      payment: monthlyPayment,
+      payment,
       principal: principalPayment,
       interest: interestPayment,
       balance: Math.max(0, balance)
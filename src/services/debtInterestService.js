@@ -0,0 +1,399 @@
+// src/services/debtInterestService.js - Modèles d'intérêts des dettes FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+const { addDays, addMonths, startOfDay } = require('../utils/dateUtils');
+const { calculateEffectiveRate } = require('./calculationService');
+
+/**
+ * Intérêts d'une dette ou d'un prêt informel (ponya, usurier), calculés jour par jour :
+ * - simple : taux (% par ratePeriod) appliqué au capital restant
+ * - compound : taux capitalisé à chaque compoundingPeriod (intérêts sur intérêts)
+ * - flat_fee : frais fixe prélevé à chaque période écoulée depuis l'emprunt
+ * - pénalité : taux supplémentaire sur les sommes échues après le délai de grâce
+ * Une dette remboursée par échéancier intègre déjà ses intérêts dans les
+ * échéances : seule la pénalité de retard y est ajoutée.
+ * Sans échéancier, un paiement règle d'abord les pénalités puis les intérêts
+ * courus, le reste réduit le capital (payments[].allocation) ; chaque jour
+ * rattrapé est calculé sur le capital et les intérêts dus à cette date.
+ * Chaque exécution ajoute une ligne à l'historique interest.accruals,
+ * les plus anciennes sont regroupées au-delà de MAX_ACCRUAL_ENTRIES.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  MODELS: ['simple', 'compound', 'flat_fee'],
+  PERIODS: ['daily', 'weekly', 'monthly', 'yearly'],
+  PERIOD_DAYS: { daily: 1, weekly: 7, monthly: 365 / 12, yearly: 365 },
+  // Rattrapage maximum par exécution (dette ancienne jamais calculée)
+  MAX_ACCRUAL_DAYS: 3650,
+  // Lignes d'historique conservées (les plus anciennes sont regroupées)
+  MAX_ACCRUAL_ENTRIES: 60,
+  // Projection du taux effectif annuel
+  PROJECTION_MONTHS: 12
+};
+
+// Champs modifiables par l'utilisateur (le reste est calculé)
+const TERM_FIELDS = ['hasInterest', 'model', 'rate', 'ratePeriod', 'compoundingPeriod', 'flatFee', 'penalty'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Conditions d'intérêt fournies par l'utilisateur, sans les cumuls calculés
+ */
+const pickInterestTerms = (interest = {}) =>
+  TERM_FIELDS.reduce((terms, field) => {
+    if (interest[field] !== undefined) terms[field] = interest[field];
+    return terms;
+  }, {});
+
+const periodDays = (period) => CONFIG.PERIOD_DAYS[period] || CONFIG.PERIOD_DAYS.yearly;
+
+/**
+ * Nombre de périodes entières écoulées entre deux dates
+ */
+const periodsElapsed = (start, date, period) => {
+  if (date < start) return 0;
+
+  if (period === 'monthly' || period === 'yearly') {
+    const step = period === 'monthly' ? 1 : 12;
+    let months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+    if (addMonths(start, months) > date) months--;
+    return Math.floor(months / step);
+  }
+
+  const days = Math.floor((date - start) / DAY_MS);
+  return Math.floor(days / periodDays(period));
+};
+
+const hasRegularInterest = (interest) => Boolean(
+  interest && interest.hasInterest && (
+    interest.model === 'flat_fee'
+      ? interest.flatFee && interest.flatFee.amount > 0
+      : interest.rate > 0
+  )
+);
+
+const hasPenalty = (interest) => Boolean(interest && interest.penalty && interest.penalty.rate > 0);
+
+/**
+ * La dette produit-elle des intérêts ou des pénalités ?
+ */
+const accruesInterest = (debt) => hasRegularInterest(debt.interest) || hasPenalty(debt.interest);
+
+const hasSchedule = (debt) => Boolean(debt.schedule && debt.schedule.length > 0);
+
+// ===================================================================
+// PAIEMENTS
+// ===================================================================
+
+/**
+ * Intérêts et pénalités courus restant à payer
+ * @returns {Object} - { interest, penalty }
+ */
+const getOutstandingCharges = (debt) => {
+  const interest = debt.interest || {};
+  return {
+    interest: Math.max(0, toCents(interest.totalInterest) - toCents(interest.interestPaid)) / 100,
+    penalty: Math.max(0, toCents(interest.totalPenalty) - toCents(interest.penaltyPaid)) / 100
+  };
+};
+
+/**
+ * Répartir un paiement comptabilisé : pénalités, puis intérêts courus,
+ * le reste sur le capital. Avec échéancier, allocatePayments répartit déjà.
+ * @param {Object} debt - Dette (interest.interestPaid / penaltyPaid modifiés)
+ * @param {Number} amount - Montant payé
+ * @returns {Object} - { interest, penalty } (payments[].allocation)
+ */
+const allocatePayment = (debt, amount) => {
+  if (!debt.interest || hasSchedule(debt)) return { interest: 0, penalty: 0 };
+
+  const outstanding = getOutstandingCharges(debt);
+  const penaltyCents = Math.min(toCents(amount), toCents(outstanding.penalty));
+  const interestCents = Math.min(toCents(amount) - penaltyCents, toCents(outstanding.interest));
+
+  debt.interest.penaltyPaid = (toCents(debt.interest.penaltyPaid) + penaltyCents) / 100;
+  debt.interest.interestPaid = (toCents(debt.interest.interestPaid) + interestCents) / 100;
+
+  return { interest: interestCents / 100, penalty: penaltyCents / 100 };
+};
+
+/**
+ * Part d'un paiement affectée au capital et aux intérêts, en centimes
+ */
+const splitPaymentCents = (payment) => {
+  const allocation = payment.allocation || {};
+  const interest = toCents(allocation.interest);
+  return {
+    interest,
+    principal: toCents(payment.amount) - interest - toCents(allocation.penalty)
+  };
+};
+
+// ===================================================================
+// TAUX
+// ===================================================================
+
+/**
+ * Taux annuel nominal en % (échéancier, plan de remboursement)
+ * Frais fixes : pas de taux, le coût apparaît dans le taux effectif
+ */
+const getNominalAnnualRate = (interest) => {
+  if (!interest || !interest.hasInterest || !interest.rate || interest.model === 'flat_fee') return 0;
+  return roundNumber(interest.rate * CONFIG.PERIOD_DAYS.yearly / periodDays(interest.ratePeriod), 4);
+};
+
+/**
+ * Taux journalier (fraction) du modèle simple ou composé
+ */
+const getDailyRate = (interest) => {
+  const rate = interest.rate / 100 / periodDays(interest.ratePeriod);
+
+  if (interest.model !== 'compound') return rate;
+
+  // Taux de la période de capitalisation, ramené à un équivalent journalier
+  const compoundingDays = periodDays(interest.compoundingPeriod);
+  return Math.pow(1 + rate * compoundingDays, 1 / compoundingDays) - 1;
+};
+
+// ===================================================================
+// CALCUL JOURNALIER
+// ===================================================================
+
+/**
+ * Montant échu non payé à une date, après le délai de grâce
+ * @param {Number} principalCents - Capital restant dû ce jour-là
+ * @returns {Number} - Montant en centimes
+ */
+const getOverdueCents = (debt, day, principalCents = toCents(debt.amountRemaining)) => {
+  const graceDays = (debt.interest.penalty && debt.interest.penalty.graceDays) || 0;
+  const isLate = (dueDate) => dueDate && addDays(startOfDay(dueDate), graceDays) < day;
+
+  if (debt.schedule && debt.schedule.length > 0) {
+    return debt.schedule
+      .filter(installment => installment.status !== 'paid' && isLate(installment.dueDate))
+      .reduce((sum, installment) => sum + Math.round(
+        (installment.amount - installment.principalPaid - installment.interestPaid) * 100
+      ), 0);
+  }
+
+  return isLate(debt.dueDate) ? principalCents : 0;
+};
+
+/**
+ * Intérêts et pénalités d'une journée
+ * @param {Object} debt - Dette
+ * @param {Date} day - Jour calculé (début de journée)
+ * @param {Number} capitalizedCents - Intérêts courus non payés ce jour-là (modèle composé)
+ * @param {Number} principalCents - Capital restant dû ce jour-là
+ * @returns {Object} - { interest, penalty } en centimes (non arrondis)
+ */
+const computeDailyAccrual = (debt, day, capitalizedCents = 0, principalCents = toCents(debt.amountRemaining)) => {
+  const { interest } = debt;
+  const result = { interest: 0, penalty: 0 };
+
+  // Échéancier : les intérêts sont déjà dans les échéances
+  if (hasRegularInterest(interest) && !hasSchedule(debt)) {
+    if (interest.model === 'flat_fee') {
+      const start = startOfDay(debt.borrowedDate || debt.createdAt || day);
+      const period = interest.flatFee.period;
+      const fees = periodsElapsed(start, day, period) - periodsElapsed(start, addDays(day, -1), period);
+      result.interest = fees * Math.round(interest.flatFee.amount * 100);
+    } else {
+      const base = interest.model === 'compound' ? principalCents + capitalizedCents : principalCents;
+      result.interest = base * getDailyRate(interest);
+    }
+  }
+
+  if (hasPenalty(interest)) {
+    const { rate, period } = interest.penalty;
+    result.penalty = getOverdueCents(debt, day, principalCents) * rate / 100 / periodDays(period);
+  }
+
+  return result;
+};
+
+// ===================================================================
+// ACCRUAL
+// ===================================================================
+
+/**
+ * Regrouper les lignes d'historique les plus anciennes en une seule
+ * @param {Array} accruals - interest.accruals (modifié)
+ */
+const rollUpAccruals = (accruals) => {
+  if (accruals.length <= CONFIG.MAX_ACCRUAL_ENTRIES) return;
+
+  const merged = accruals.slice(0, accruals.length - CONFIG.MAX_ACCRUAL_ENTRIES + 1);
+  const last = merged[merged.length - 1];
+  const summary = {
+    date: last.date,
+    from: merged[0].from,
+    days: merged.reduce((sum, entry) => sum + (entry.days || 0), 0),
+    base: last.base,
+    interest: merged.reduce((sum, entry) => sum + toCents(entry.interest), 0) / 100,
+    penalty: merged.reduce((sum, entry) => sum + toCents(entry.penalty), 0) / 100,
+    model: last.model,
+    runs: merged.reduce((sum, entry) => sum + (entry.runs || 1), 0)
+  };
+
+  accruals.splice(0, merged.length, summary);
+};
+
+/**
+ * Calculer les intérêts courus depuis le dernier calcul jusqu'à une date.
+ * Chaque jour est calculé sur le capital et les intérêts dus ce jour-là :
+ * les paiements postérieurs sont réintégrés puis déduits à leur date.
+ * @param {Object} debt - Dette (modifiée, non sauvegardée)
+ * @param {Date} until - Dernier jour calculé (inclus)
+ * @returns {Object|null} - Ligne d'historique ajoutée, null si rien à calculer
+ */
+const accrueInterest = (debt, until = new Date()) => {
+  const end = startOfDay(until);
+  const last = debt.interest.lastAccrualDate || debt.borrowedDate || debt.createdAt || end;
+  const start = startOfDay(last);
+
+  if (end <= start) return null;
+
+  const days = Math.min(Math.round((end - start) / DAY_MS), CONFIG.MAX_ACCRUAL_DAYS);
+  const from = addDays(end, -days);
+  debt.interest.lastAccrualDate = end;
+
+  // Dette soldée ou annulée : rien ne court plus
+  if (!accruesInterest(debt) || debt.amountRemaining <= 0 || ['paid', 'cancelled'].includes(debt.status)) {
+    return null;
+  }
+
+  // Paiements comptabilisés après le début de la période, par jour
+  const settled = typeof debt.getSettledPayments === 'function' ? debt.getSettledPayments() : debt.payments || [];
+  const paymentsByDay = new Map();
+  let principal = toCents(debt.amountRemaining);
+  let capitalized = toCents(getOutstandingCharges(debt).interest);
+
+  settled.forEach(payment => {
+    const day = startOfDay(payment.date);
+    if (day <= from) return;
+
+    const split = splitPaymentCents(payment);
+    principal += split.principal;
+    capitalized += split.interest;
+
+    const key = day.getTime();
+    const entry = paymentsByDay.get(key) || { principal: 0, interest: 0 };
+    entry.principal += split.principal;
+    entry.interest += split.interest;
+    paymentsByDay.set(key, entry);
+  });
+
+  let interestCents = 0;
+  let penaltyCents = 0;
+
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(end, -i);
+
+    const paid = paymentsByDay.get(day.getTime());
+    if (paid) {
+      principal -= paid.principal;
+      capitalized -= paid.interest;
+    }
+    if (principal <= 0) continue;
+
+    const accrual = computeDailyAccrual(debt, day, Math.max(0, capitalized), principal);
+
+    interestCents += accrual.interest;
+    penaltyCents += accrual.penalty;
+    capitalized += accrual.interest;
+  }
+
+  const entry = {
+    date: end,
+    from,
+    days,
+    base: debt.amountRemaining,
+    interest: Math.round(interestCents) / 100,
+    penalty: Math.round(penaltyCents) / 100,
+    model: debt.interest.model
+  };
+
+  debt.interest.totalInterest = roundNumber((debt.interest.totalInterest || 0) + entry.interest, 2);
+  debt.interest.totalPenalty = roundNumber((debt.interest.totalPenalty || 0) + entry.penalty, 2);
+  debt.interest.accruals.push(entry);
+  rollUpAccruals(debt.interest.accruals);
+
+  return entry;
+};
+
+// ===================================================================
+// TAUX EFFECTIF
+// ===================================================================
+
+/**
+ * Intérêts produits par le modèle sur un capital, sans paiement ni retard
+ */
+const projectInterest = (interest, principal, months = CONFIG.PROJECTION_MONTHS, start = new Date()) => {
+  if (!hasRegularInterest(interest) || !principal) return 0;
+
+  const projection = {
+    interest,
+    amountRemaining: principal,
+    borrowedDate: startOfDay(start),
+    schedule: []
+  };
+  const end = addMonths(projection.borrowedDate, months);
+
+  let total = 0;
+  for (let day = addDays(projection.borrowedDate, 1); day <= end; day = addDays(day, 1)) {
+    total += computeDailyAccrual(projection, day, total).interest;
+  }
+
+  return Math.round(total) / 100;
+};
+
+/**
+ * Taux nominal, taux effectif annuel du modèle et taux réel constaté
+ * @returns {Object} - { nominalAnnualRate, effectiveAnnualRate, realizedAnnualRate, monthsElapsed }
+ */
+const getEffectiveRates = (debt, now = new Date()) => {
+  const principal = debt.amount;
+  const projected = projectInterest(debt.interest, principal);
+
+  const since = debt.borrowedDate || debt.createdAt || now;
+  const monthsElapsed = roundNumber((now - since) / DAY_MS / CONFIG.PERIOD_DAYS.monthly, 2);
+  const accrued = (debt.interest.totalInterest || 0) + (debt.interest.totalPenalty || 0);
+
+  return {
+    nominalAnnualRate: getNominalAnnualRate(debt.interest),
+    effectiveAnnualRate: principal
+      ? calculateEffectiveRate(principal, principal + projected, CONFIG.PROJECTION_MONTHS)
+      : 0,
+    // Pénalités comprises, sur la durée réellement écoulée
+    realizedAnnualRate: principal && monthsElapsed >= 1
+      ? calculateEffectiveRate(principal, principal + accrued, monthsElapsed)
+      : null,
+    monthsElapsed
+  };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  CONFIG,
+  pickInterestTerms,
+  accruesInterest,
+  getOutstandingCharges,
+  allocatePayment,
+  getNominalAnnualRate,
+  computeDailyAccrual,
+  accrueInterest,
+  projectInterest,
+  getEffectiveRates
+};
@@ -0,0 +1,285 @@
+// src/services/debtLinkService.js - Dettes partagées entre utilisateurs FinApp Haiti
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { pickInterestTerms } = require('./debtInterestService');
+
+/**
+ * Dette partagée : le contact d'une dette est un utilisateur inscrit.
+ * 1. le créancier (ou le débiteur) lie la dette au contact par email ou téléphone ;
+ *    la réponse est la même que le contact soit inscrit ou non, et l'invité
+ *    n'est révélé (link.user, contact.user) qu'une fois l'invitation acceptée
+ * 2. le contact accepte l'invitation : une copie miroir est créée chez lui
+ *    (debt ↔ loan), les deux dettes se référencent via link.mirror
+ * 3. tout paiement saisi d'un côté est copié de l'autre, en attente de
+ *    confirmation par la contrepartie ; il ne compte (et ne mouvemente le
+ *    compte choisi) qu'une fois confirmé
+ * 4. un paiement contesté passe les deux dettes en litige (link.status
+ *    disputed) jusqu'à confirmation
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+// Liens sur lesquels les paiements sont synchronisés
+const ACTIVE_LINK_STATUSES = ['confirmed', 'disputed'];
+
+// Termes qui ne peuvent plus être modifiés d'un seul côté
+const LOCKED_FIELDS = ['type', 'amount', 'currency'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de dette partagée avec code et statut HTTP
+ */
+const createLinkError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+/**
+ * Normaliser un numéro haïtien (+509XXXXXXXX), comme le modèle User
+ */
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/[\s().-]/g, '');
+  if (/^\d{8}$/.test(digits)) return `+509${digits}`;
+  if (/^509\d{8}$/.test(digits)) return `+${digits}`;
+  return digits;
+};
+
+const toPlain = (value) => (typeof value.toObject === 'function' ? value.toObject() : { ...value });
+
+const isLinkActive = (debt) => Boolean(debt.link && ACTIVE_LINK_STATUSES.includes(debt.link.status));
+
+// ===================================================================
+// INVITATION
+// ===================================================================
+
+/**
+ * Trouver l'utilisateur inscrit correspondant au contact
+ * @param {Object} contact - { email, phone }
+ * @param {String} ownerId - Propriétaire de la dette (ne peut pas se lier à lui-même)
+ * @returns {Promise<Object|null>} - Utilisateur trouvé, null si aucun (sans le signaler
+ *   à l'appelant : la liaison ne doit pas permettre de tester des coordonnées)
+ */
+const findCounterpartyUser = async ({ email, phone } = {}, ownerId) => {
+  if (!email && !phone) {
+    throw createLinkError('Email ou téléphone du contact requis', 'contact_identifier_required');
+  }
+
+  const user = email
+    ? await User.emailExists(email)
+    : await User.phoneExists(normalizePhone(phone));
+
+  if (!user || !user.isActive) return null;
+
+  if (sameId(user._id, ownerId)) {
+    throw createLinkError('Impossible de lier une dette à soi-même', 'self_link');
+  }
+
+  return user;
+};
+
+/**
+ * Inviter le contact à confirmer la dette
+ * Contact non inscrit : l'invitation reste en attente sans destinataire,
+ * indiscernable pour le propriétaire d'une invitation sans réponse
+ * @param {Object} debt - Dette (modifiée, non sauvegardée)
+ * @param {Object|null} counterparty - Utilisateur invité
+ */
+const inviteCounterparty = (debt, counterparty) => {
+  if (debt.link && ['pending', ...ACTIVE_LINK_STATUSES].includes(debt.link.status)) {
+    throw createLinkError('Cette dette est déjà liée ou en attente de confirmation', 'already_linked', 409);
+  }
+
+  debt.link = {
+    user: counterparty ? counterparty._id : undefined,
+    status: 'pending',
+    invitedAt: new Date()
+  };
+
+  return debt.link;
+};
+
+/**
+ * Données de la dette miroir créée chez la contrepartie
+ * @param {Object} debt - Dette d'origine
+ * @param {Object} owner - Propriétaire de la dette d'origine (firstName, lastName, email, phone)
+ * @returns {Object} - Document Debt à créer
+ */
+const buildMirrorDebt = (debt, owner) => ({
+  user: debt.link.user,
+  type: debt.type === 'debt' ? 'loan' : 'debt',
+  contact: {
+    name: `${owner.firstName} ${owner.lastName}`,
+    email: owner.email,
+    phone: owner.phone,
+    relation: debt.contact.relation,
+    user: owner._id
+  },
+  amount: debt.amount,
+  currency: debt.currency,
+  amountPaid: debt.amountPaid,
+  description: debt.description,
+  reason: debt.reason,
+  borrowedDate: debt.borrowedDate,
+  dueDate: debt.dueDate,
+  paymentTerms: debt.paymentTerms,
+  // Même dette : conditions et intérêts déjà courus ou payés
+  interest: {
+    ...pickInterestTerms(debt.interest),
+    totalInterest: debt.interest.totalInterest,
+    totalPenalty: debt.interest.totalPenalty,
+    interestPaid: debt.interest.interestPaid,
+    penaltyPaid: debt.interest.penaltyPaid,
+    lastAccrualDate: debt.interest.lastAccrualDate
+  },
+  // Accepter l'invitation vaut reconnaissance des paiements déjà saisis
+  payments: debt.payments.map(payment => buildMirrorPayment(payment)),
+  link: {
+    user: owner._id,
+    status: 'confirmed',
+    mirror: debt._id,
+    invitedAt: debt.link.invitedAt,
+    respondedAt: new Date()
+  }
+});
+
+/**
+ * Enregistrer la réponse du contact sur la dette d'origine
+ * (link.mirror est renseigné une fois la copie miroir créée)
+ */
+const respondToInvitation = (debt, userId, accept) => {
+  if (!debt.link || debt.link.status !== 'pending' || !sameId(debt.link.user, userId)) {
+    throw createLinkError('Invitation introuvable ou déjà traitée', 'invitation_not_found', 404);
+  }
+
+  debt.link.status = accept ? 'confirmed' : 'declined';
+  debt.link.respondedAt = new Date();
+  if (accept) debt.contact.user = userId;
+
+  return debt.link;
+};
+
+// ===================================================================
+// PAIEMENTS
+// ===================================================================
+
+/**
+ * Confirmation d'un paiement saisi sur une dette liée
+ * @param {String} userId - Auteur du paiement
+ * @param {String} accountId - Compte à mouvementer une fois le paiement confirmé
+ * @returns {Object} - { status: 'pending', linkId, recordedBy, account }
+ */
+const createPaymentConfirmation = (userId, accountId) => ({
+  status: 'pending',
+  linkId: new mongoose.Types.ObjectId(),
+  recordedBy: userId,
+  account: accountId || undefined
+});
+
+/**
+ * Copie du paiement sur la dette miroir
+ */
+const buildMirrorPayment = (payment) => ({
+  amount: payment.amount,
+  date: payment.date,
+  paymentMethod: payment.paymentMethod,
+  note: payment.note,
+  allocation: payment.allocation,
+  // Le compte de l'auteur ne concerne que sa copie
+  confirmation: payment.confirmation
+    ? { ...toPlain(payment.confirmation), account: undefined }
+    : undefined
+});
+
+/**
+ * Paiement correspondant sur la dette miroir
+ */
+const findLinkedPayment = (debt, linkId) =>
+  debt.payments.find(payment =>
+    payment.confirmation && sameId(payment.confirmation.linkId, linkId)
+  );
+
+/**
+ * Vérifier qu'un paiement attend la réponse de l'utilisateur
+ */
+const assertCanRespond = (payment, userId) => {
+  const confirmation = payment.confirmation;
+
+  if (!confirmation || !['pending', 'disputed'].includes(confirmation.status)) {
+    throw createLinkError('Ce paiement n\'attend pas de confirmation', 'payment_not_pending', 409);
+  }
+
+  if (sameId(confirmation.recordedBy, userId)) {
+    throw createLinkError('La confirmation revient à l\'autre partie', 'own_payment', 403);
+  }
+};
+
+/**
+ * Confirmer ou contester un paiement, sur les deux copies
+ * @param {Array} payments - Copies du paiement (dette et miroir)
+ * @param {String} status - confirmed | disputed
+ * @param {String} userId - Contrepartie qui répond
+ * @param {String} reason - Motif de contestation
+ */
+const setPaymentStatus = (payments, status, userId, reason) => {
+  payments.forEach(payment => {
+    payment.confirmation.status = status;
+    payment.confirmation.respondedBy = userId;
+    payment.confirmation.respondedAt = new Date();
+    payment.confirmation.reason = status === 'disputed' ? reason : undefined;
+  });
+};
+
+/**
+ * Statut du lien selon les paiements contestés restants
+ */
+const refreshLinkStatus = (debt, { userId, reason } = {}) => {
+  if (!isLinkActive(debt)) return debt.link;
+
+  const disputed = debt.payments.some(payment =>
+    payment.confirmation && payment.confirmation.status === 'disputed'
+  );
+
+  if (disputed && debt.link.status !== 'disputed') {
+    debt.link.status = 'disputed';
+    debt.link.dispute = { openedBy: userId, reason, openedAt: new Date() };
+  } else if (!disputed && debt.link.status === 'disputed') {
+    debt.link.status = 'confirmed';
+    debt.link.dispute = undefined;
+  }
+
+  return debt.link;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  ACTIVE_LINK_STATUSES,
+  LOCKED_FIELDS,
+  normalizePhone,
+  isLinkActive,
+  findCounterpartyUser,
+  inviteCounterparty,
+  buildMirrorDebt,
+  respondToInvitation,
+  createPaymentConfirmation,
+  buildMirrorPayment,
+  findLinkedPayment,
+  assertCanRespond,
+  setPaymentStatus,
+  refreshLinkStatus
+};
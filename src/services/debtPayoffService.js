@@ -0,0 +1,322 @@
+// src/services/debtPayoffService.js - Plans de remboursement des dettes FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+const { addMonths } = require('../utils/dateUtils');
+const { FREQUENCIES } = require('./debtScheduleService');
+const { getNominalAnnualRate } = require('./debtInterestService');
+
+/**
+ * Avec un montant mensuel consacré aux dettes, dans quel ordre rembourser ?
+ * Chaque mois : intérêts du mois ajoutés au solde, versement minimum sur
+ * chaque dette, puis tout le reste sur la dette cible ; une dette soldée
+ * libère son minimum pour la suivante (effet boule de neige).
+ * - snowball : plus petit solde d'abord
+ * - avalanche : taux le plus élevé d'abord
+ * - custom : ordre choisi par l'utilisateur, sinon priorité puis échéance
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  STRATEGIES: ['snowball', 'avalanche', 'custom'],
+  // Horizon maximal de simulation (30 ans)
+  MAX_MONTHS: 360,
+  PRIORITY_RANK: { urgent: 0, high: 1, medium: 2, low: 3 },
+  // Mois de rappels créés à l'application d'un plan
+  REMINDER_MONTHS: 3
+};
+
+const FAR_FUTURE = 8640000000000000;
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de plan avec code et statut HTTP
+ */
+const createPayoffError = (message, code, status = 400, details = undefined) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+const byDueDate = (a, b) =>
+  (a.dueDate ? new Date(a.dueDate).getTime() : FAR_FUTURE) -
+  (b.dueDate ? new Date(b.dueDate).getTime() : FAR_FUTURE);
+
+/**
+ * Versement minimum mensuel d'une dette : échéance convenue ramenée au mois
+ */
+const getMonthlyMinimum = (debt) => {
+  const terms = debt.paymentTerms || {};
+  if (!terms.installments) return 0;
+
+  const nextInstallment = (debt.schedule || []).find(installment => installment.status !== 'paid');
+  const installmentAmount = nextInstallment ? nextInstallment.amount : terms.installmentAmount;
+  if (!installmentAmount) return 0;
+
+  const { periodsPerYear } = FREQUENCIES[terms.installmentFrequency] || FREQUENCIES.monthly;
+  return roundNumber(installmentAmount * periodsPerYear / 12, 2);
+};
+
+// ===================================================================
+// PRÉPARATION
+// ===================================================================
+
+/**
+ * Dettes ramenées aux données utiles à la simulation
+ * @param {Array} debts - Documents Debt (type debt, non soldés)
+ * @returns {Array} - [{ id, name, balance, annualRate, minimumPayment, priority, dueDate }]
+ */
+const preparePlanDebts = (debts) => {
+  return debts
+    .filter(debt => debt.amountRemaining > 0)
+    .map(debt => ({
+      id: debt._id.toString(),
+      name: debt.description || (debt.contact && debt.contact.name) || 'Dette',
+      currency: debt.currency,
+      balance: debt.amountRemaining,
+      annualRate: getNominalAnnualRate(debt.interest),
+      minimumPayment: getMonthlyMinimum(debt),
+      priority: debt.priority || 'medium',
+      dueDate: debt.dueDate || null
+    }));
+};
+
+/**
+ * Ordre de remboursement d'une stratégie
+ * @param {Array} debts - Dettes préparées
+ * @param {String} strategy - snowball | avalanche | custom
+ * @param {Array} order - Ids dans l'ordre voulu (custom)
+ * @returns {Array} - Dettes triées
+ */
+const orderDebts = (debts, strategy, order = []) => {
+  const sorted = [...debts];
+
+  if (strategy === 'snowball') {
+    return sorted.sort((a, b) => a.balance - b.balance || b.annualRate - a.annualRate);
+  }
+
+  if (strategy === 'avalanche') {
+    return sorted.sort((a, b) => b.annualRate - a.annualRate || a.balance - b.balance);
+  }
+
+  const rank = (debt) => {
+    const index = order.indexOf(debt.id);
+    return index === -1 ? order.length : index;
+  };
+
+  return sorted.sort((a, b) =>
+    rank(a) - rank(b) ||
+    CONFIG.PRIORITY_RANK[a.priority] - CONFIG.PRIORITY_RANK[b.priority] ||
+    byDueDate(a, b)
+  );
+};
+
+// ===================================================================
+// SIMULATION
+// ===================================================================
+
+/**
+ * Simuler le remboursement mois par mois
+ * @param {Array} debts - Dettes préparées
+ * @param {Number} monthlyAmount - Montant mensuel disponible
+ * @param {String} strategy - Stratégie
+ * @param {Object} options - { order, startDate }
+ * @returns {Object} - { strategy, order, months, payoffDate, totalInterest, totalPaid, debts, timeline }
+ */
+const simulatePayoff = (debts, monthlyAmount, strategy, { order = [], startDate = new Date() } = {}) => {
+  const ordered = orderDebts(debts, strategy, order);
+  const budget = toCents(monthlyAmount);
+  const minimumTotal = ordered.reduce((sum, debt) => sum + toCents(debt.minimumPayment), 0);
+
+  if (budget < minimumTotal) {
+    throw createPayoffError(
+      `Le montant mensuel ne couvre pas les versements minimums (${minimumTotal / 100})`,
+      'budget_too_low',
+      400,
+      { minimumRequired: minimumTotal / 100 }
+    );
+  }
+
+  const state = ordered.map(debt => ({
+    debt,
+    balance: toCents(debt.balance),
+    interestPaid: 0,
+    totalPaid: 0,
+    payoffMonth: debt.balance > 0 ? null : 0
+  }));
+
+  const timeline = [];
+  let previousTotal = state.reduce((sum, entry) => sum + entry.balance, 0);
+
+  for (let month = 1; previousTotal > 0; month++) {
+    if (month > CONFIG.MAX_MONTHS) {
+      throw createPayoffError(
+        `Remboursement impossible en moins de ${CONFIG.MAX_MONTHS / 12} ans avec ce montant`,
+        'plan_not_converging',
+        422
+      );
+    }
+
+    const payments = new Map();
+    let pool = budget;
+
+    // Intérêts du mois puis versements minimums
+    state.forEach(entry => {
+      if (entry.balance === 0) return;
+
+      const interest = Math.round(entry.balance * entry.debt.annualRate / 1200);
+      entry.balance += interest;
+
+      const minimum = Math.min(toCents(entry.debt.minimumPayment), entry.balance);
+      entry.balance -= minimum;
+      pool -= minimum;
+      payments.set(entry, { interest, payment: minimum });
+    });
+
+    // Reste du budget sur les dettes cibles, dans l'ordre de la stratégie
+    state.forEach(entry => {
+      if (pool === 0 || entry.balance === 0) return;
+
+      const extra = Math.min(pool, entry.balance);
+      entry.balance -= extra;
+      pool -= extra;
+      payments.get(entry).payment += extra;
+    });
+
+    const total = state.reduce((sum, entry) => sum + entry.balance, 0);
+    if (total >= previousTotal) {
+      throw createPayoffError(
+        'Le montant mensuel ne couvre pas les intérêts des dettes',
+        'plan_not_converging',
+        422
+      );
+    }
+    previousTotal = total;
+
+    const lines = [];
+    payments.forEach(({ interest, payment }, entry) => {
+      entry.interestPaid += Math.min(interest, payment);
+      entry.totalPaid += payment;
+      if (entry.balance === 0 && entry.payoffMonth === null) entry.payoffMonth = month;
+
+      lines.push({
+        debt: entry.debt.id,
+        name: entry.debt.name,
+        payment: payment / 100,
+        interest: interest / 100,
+        balance: entry.balance / 100
+      });
+    });
+
+    timeline.push({
+      month,
+      date: addMonths(startDate, month),
+      payments: lines,
+      totalPaid: lines.reduce((sum, line) => sum + toCents(line.payment), 0) / 100,
+      remainingBalance: total / 100
+    });
+  }
+
+  const months = timeline.length;
+  const totalInterest = state.reduce((sum, entry) => sum + entry.interestPaid, 0);
+  const totalPaid = state.reduce((sum, entry) => sum + entry.totalPaid, 0);
+
+  return {
+    strategy,
+    order: ordered.map(debt => debt.id),
+    months,
+    payoffDate: addMonths(startDate, months),
+    totalInterest: totalInterest / 100,
+    totalPaid: totalPaid / 100,
+    debts: state.map(entry => ({
+      debt: entry.debt.id,
+      name: entry.debt.name,
+      startingBalance: entry.debt.balance,
+      annualRate: entry.debt.annualRate,
+      minimumPayment: entry.debt.minimumPayment,
+      payoffMonth: entry.payoffMonth,
+      payoffDate: entry.payoffMonth !== null ? addMonths(startDate, entry.payoffMonth) : null,
+      interestPaid: entry.interestPaid / 100,
+      totalPaid: entry.totalPaid / 100
+    })),
+    timeline
+  };
+};
+
+/**
+ * Comparer plusieurs stratégies et recommander la moins coûteuse
+ * @returns {Object} - { plans, recommended }
+ */
+const comparePlans = (debts, monthlyAmount, { strategies = CONFIG.STRATEGIES, ...options } = {}) => {
+  const plans = strategies.map(strategy => simulatePayoff(debts, monthlyAmount, strategy, options));
+
+  const best = plans.reduce((current, plan) =>
+    !current ||
+    plan.totalInterest < current.totalInterest ||
+    (plan.totalInterest === current.totalInterest && plan.months < current.months)
+      ? plan
+      : current, null);
+
+  return {
+    plans,
+    recommended: best ? best.strategy : null
+  };
+};
+
+// ===================================================================
+// APPLICATION DU PLAN
+// ===================================================================
+
+/**
+ * Montant prévu par le plan sur une période de budget
+ */
+const getPlannedAmount = (plan, startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  const cents = plan.timeline
+    .filter(month => month.date >= start && month.date <= end)
+    .reduce((sum, month) => sum + toCents(month.totalPaid), 0);
+
+  return cents / 100;
+};
+
+/**
+ * Versements des premiers mois, par dette, pour les rappels
+ * @returns {Map} - debtId → [{ date, amount }]
+ */
+const getUpcomingPayments = (plan, months = CONFIG.REMINDER_MONTHS) => {
+  const upcoming = new Map();
+
+  plan.timeline.slice(0, months).forEach(month => {
+    month.payments
+      .filter(line => line.payment > 0)
+      .forEach(line => {
+        if (!upcoming.has(line.debt)) upcoming.set(line.debt, []);
+        upcoming.get(line.debt).push({ date: month.date, amount: line.payment });
+      });
+  });
+
+  return upcoming;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  CONFIG,
+  preparePlanDebts,
+  orderDebts,
+  simulatePayoff,
+  comparePlans,
+  getPlannedAmount,
+  getUpcomingPayments
+};
@@ -0,0 +1,265 @@
+// src/services/debtScheduleService.js - Échéanciers des dettes et créances FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+const { addDays, addMonths } = require('../utils/dateUtils');
+const { calculateAmortizationSchedule } = require('./calculationService');
+
+/**
+ * Échéancier d'une dette remboursée par versements (paymentTerms.installments) :
+ * - nombre d'échéances fixé (numberOfInstallments), ou déduit du montant
+ *   de l'échéance (installmentAmount)
+ * - avec intérêts (interest.hasInterest, taux ramené à l'année en %),
+ *   échéances constantes amorties sur la fréquence choisie ; sans intérêts,
+ *   capital réparti à parts égales
+ * Les paiements sont rejoués dans l'ordre chronologique sur les échéances :
+ * intérêts d'abord, puis capital, échéance après échéance. L'échéancier peut
+ * donc être regénéré à tout moment (changement de conditions) sans perdre
+ * les paiements déjà enregistrés.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const FREQUENCIES = {
+  daily: { periodsPerYear: 365, addPeriods: (date, n) => addDays(date, n) },
+  weekly: { periodsPerYear: 52, addPeriods: (date, n) => addDays(date, 7 * n) },
+  biweekly: { periodsPerYear: 26, addPeriods: (date, n) => addDays(date, 14 * n) },
+  monthly: { periodsPerYear: 12, addPeriods: (date, n) => addMonths(date, n) }
+};
+
+const MAX_INSTALLMENTS = 600;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur d'échéancier avec code et statut HTTP
+ */
+const createScheduleError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Nombre d'échéances nécessaire pour rembourser un capital avec un
+ * montant d'échéance donné
+ */
+const countInstallments = (principal, installmentAmount, periodRate) => {
+  if (periodRate === 0) return Math.ceil(principal / installmentAmount);
+
+  if (installmentAmount <= principal * periodRate) {
+    throw createScheduleError(
+      'Le montant de l\'échéance ne couvre pas les intérêts de la période',
+      'installment_too_low'
+    );
+  }
+
+  return Math.ceil(-Math.log(1 - (periodRate * principal) / installmentAmount) / Math.log(1 + periodRate));
+};
+
+// ===================================================================
+// GÉNÉRATION
+// ===================================================================
+
+/**
+ * Construire les échéances d'une dette
+ * @param {Object} terms - { principal, annualRate, frequency, numberOfInstallments, installmentAmount, startDate }
+ * @returns {Array} - [{ number, dueDate, amount, principal, interest, principalPaid, interestPaid, status }]
+ */
+const buildInstallmentSchedule = ({
+  principal,
+  annualRate = 0,
+  frequency = 'monthly',
+  numberOfInstallments,
+  installmentAmount,
+  startDate = new Date()
+}) => {
+  const { periodsPerYear, addPeriods } = FREQUENCIES[frequency] || FREQUENCIES.monthly;
+  const rate = annualRate > 0 ? annualRate : 0;
+
+  if (!principal || principal <= 0) return [];
+
+  const count = numberOfInstallments ||
+    (installmentAmount ? countInstallments(principal, installmentAmount, rate / 100 / periodsPerYear) : 0);
+
+  if (!count) return [];
+
+  if (count > MAX_INSTALLMENTS) {
+    throw createScheduleError(
+      `Échéancier trop long (maximum ${MAX_INSTALLMENTS} échéances)`,
+      'too_many_installments'
+    );
+  }
+
+  let rows;
+  if (rate === 0 && installmentAmount && !numberOfInstallments) {
+    // Montant d'échéance imposé : dernière échéance réduite au reliquat
+    rows = Array.from({ length: count }, (_, index) => {
+      const amount = index === count - 1
+        ? roundNumber(principal - installmentAmount * (count - 1), 2)
+        : installmentAmount;
+      return { payment: amount, principal: amount, interest: 0 };
+    });
+  } else {
+    rows = calculateAmortizationSchedule(principal, rate, count, periodsPerYear);
+  }
+
+  return rows.map((row, index) => ({
+    number: index + 1,
+    dueDate: addPeriods(startDate, index + 1),
+    amount: row.payment,
+    principal: row.principal,
+    interest: row.interest,
+    principalPaid: 0,
+    interestPaid: 0,
+    status: 'pending'
+  }));
+};
+
+// ===================================================================
+// PAIEMENTS
+// ===================================================================
+
+/**
+ * Rejouer les paiements sur les échéances (intérêts puis capital)
+ * @param {Array} schedule - Échéances (modifiées)
+ * @param {Array} payments - Paiements de la dette
+ * @returns {Number} - Montant non affecté (paiements au-delà de l'échéancier)
+ */
+const allocatePayments = (schedule, payments) => {
+  schedule.forEach(installment => {
+    installment.principalPaid = 0;
+    installment.interestPaid = 0;
+    installment.status = 'pending';
+    installment.paidAt = undefined;
+  });
+
+  const ordered = [...payments].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let unallocated = 0;
+
+  ordered.forEach(payment => {
+    let left = toCents(payment.amount);
+
+    for (const installment of schedule) {
+      if (left === 0) break;
+      if (installment.status === 'paid') continue;
+
+      const interestDue = toCents(installment.interest) - toCents(installment.interestPaid);
+      const interestPart = Math.min(left, interestDue);
+      left -= interestPart;
+
+      const principalDue = toCents(installment.principal) - toCents(installment.principalPaid);
+      const principalPart = Math.min(left, principalDue);
+      left -= principalPart;
+
+      installment.interestPaid = (toCents(installment.interestPaid) + interestPart) / 100;
+      installment.principalPaid = (toCents(installment.principalPaid) + principalPart) / 100;
+
+      if (interestPart + principalPart === interestDue + principalDue) {
+        installment.status = 'paid';
+        installment.paidAt = payment.date;
+      } else if (installment.interestPaid > 0 || installment.principalPaid > 0) {
+        installment.status = 'partial';
+      }
+    }
+
+    unallocated += left;
+  });
+
+  return unallocated / 100;
+};
+
+/**
+ * Montant restant dû sur l'échéancier (capital et intérêts)
+ */
+const getScheduleRemaining = (schedule) => {
+  const cents = schedule.reduce((sum, installment) =>
+    sum + toCents(installment.principal) + toCents(installment.interest) -
+    toCents(installment.principalPaid) - toCents(installment.interestPaid), 0);
+  return cents / 100;
+};
+
+// ===================================================================
+// LECTURE
+// ===================================================================
+
+/**
+ * Échéancier vu par l'utilisateur : payées, à payer, en retard, à venir
+ * @param {Array} schedule - Échéances de la dette
+ * @param {Date} now - Date de référence
+ * @returns {Object} - { installments, summary }
+ */
+const summarizeSchedule = (schedule, now = new Date()) => {
+  const today = startOfDay(now);
+  let dueAssigned = false;
+
+  const installments = schedule.map(installment => {
+    const entry = installment.toObject ? installment.toObject() : { ...installment };
+    const remaining = (toCents(entry.principal) + toCents(entry.interest) -
+      toCents(entry.principalPaid) - toCents(entry.interestPaid)) / 100;
+
+    let state = 'upcoming';
+    if (entry.status === 'paid') {
+      state = 'paid';
+    } else if (new Date(entry.dueDate) < today) {
+      state = 'late';
+    } else if (!dueAssigned) {
+      state = 'due';
+      dueAssigned = true;
+    }
+
+    return {
+      ...entry,
+      remaining,
+      state,
+      daysLate: state === 'late' ? Math.floor((today - startOfDay(entry.dueDate)) / DAY_MS) : 0
+    };
+  });
+
+  const sum = (items, pick) => roundNumber(items.reduce((total, item) => total + pick(item), 0), 2);
+  const byState = (state) => installments.filter(installment => installment.state === state);
+
+  return {
+    installments,
+    summary: {
+      count: installments.length,
+      paid: byState('paid').length,
+      due: byState('due').length,
+      late: byState('late').length,
+      upcoming: byState('upcoming').length,
+      totalAmount: sum(installments, item => item.amount),
+      totalInterest: sum(installments, item => item.interest),
+      paidAmount: sum(installments, item => item.principalPaid + item.interestPaid),
+      lateAmount: sum(byState('late'), item => item.remaining),
+      remainingPrincipal: sum(installments, item => item.principal - item.principalPaid),
+      remainingInterest: sum(installments, item => item.interest - item.interestPaid),
+      remainingAmount: sum(installments, item => item.remaining),
+      nextInstallment: installments.find(item => item.state === 'late' || item.state === 'due') || null
+    }
+  };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  FREQUENCIES,
+  MAX_INSTALLMENTS,
+  buildInstallmentSchedule,
+  allocatePayments,
+  getScheduleRemaining,
+  summarizeSchedule
+};
@@ -0,0 +1,416 @@
+// src/services/exchangeRateService.js - Résolveur de taux de change USD/HTG
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const ExchangeRate = require('../models/ExchangeRate');
+const { EXCHANGE_RATES } = require('../utils/constants');
+const {
+  roundNumber,
+  normalizeHeader,
+  splitCSVLine,
+  detectDelimiter,
+  findColumn
+} = require('../utils/helpers');
+
+/**
+ * Toutes les conversions USD/HTG passent par ce résolveur
+ * Les taux (quelques centaines par an) sont gardés en mémoire, triés par date,
+ * ce qui permet une résolution synchrone (MLHelpers, calculs) au taux du jour
+ * de la transaction. Sans taux en base, on retombe sur EXCHANGE_RATES.DEFAULT_USD_HTG
+ */
+
+// ===================================================================
+// CACHE MÉMOIRE
+// ===================================================================
+
+const cache = {
+  rates: [], // { time, referenceRate, buyRate, sellRate, source }
+  loadedAt: null,
+  loading: null
+};
+
+/**
+ * Le cache doit-il être rechargé ?
+ * @returns {Boolean}
+ */
+const isCacheStale = () => {
+  return !cache.loadedAt || Date.now() - cache.loadedAt > EXCHANGE_RATES.CACHE_TTL_MS;
+};
+
+/**
+ * Charger tous les taux en mémoire
+ * @param {Object} options - { force }
+ * @returns {Number} - Nombre de taux chargés
+ */
+const loadRates = async ({ force = false } = {}) => {
+  if (!force && !isCacheStale()) return cache.rates.length;
+  if (cache.loading) return cache.loading;
+
+  cache.loading = ExchangeRate.find({})
+    .select('date referenceRate buyRate sellRate source')
+    .sort({ date: 1 })
+    .lean()
+    .then(rates => {
+      cache.rates = rates.map(rate => ({
+        time: new Date(rate.date).getTime(),
+        referenceRate: rate.referenceRate,
+        buyRate: rate.buyRate,
+        sellRate: rate.sellRate,
+        source: rate.source
+      }));
+      cache.loadedAt = Date.now();
+      return cache.rates.length;
+    })
+    .finally(() => {
+      cache.loading = null;
+    });
+
+  return cache.loading;
+};
+
+/**
+ * Recharger en arrière-plan (appelants synchrones) si la base est connectée
+ */
+const refreshInBackground = () => {
+  if (cache.loading || mongoose.connection.readyState !== 1) return;
+
+  loadRates({ force: true }).catch(error => {
+    console.error('❌ Erreur chargement taux de change:', error.message);
+  });
+};
+
+/**
+ * Vider le cache après une écriture
+ */
+const invalidateCache = () => {
+  cache.loadedAt = null;
+};
+
+// ===================================================================
+// RÉSOLUTION
+// ===================================================================
+
+/**
+ * Dernier taux publié à la date donnée ou avant (recherche dichotomique)
+ * @param {Array} rates - Taux triés par date
+ * @param {Number} time - Timestamp de fin de journée recherchée
+ * @returns {Object|null}
+ */
+const findRateAtOrBefore = (rates, time) => {
+  let low = 0;
+  let high = rates.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (rates[mid].time <= time) {
+      found = rates[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Résoudre le taux en vigueur à une date (synchrone, depuis le cache)
+ * @param {Date} date - Date de l'opération (défaut: maintenant)
+ * @param {Object} options - { type: reference|buy|sell, source }
+ * @returns {Object} - { rate, date, source, type, isFallback, isStale }
+ */
+const resolveRateDetails = (date = new Date(), { type = 'reference', source = EXCHANGE_RATES.DEFAULT_SOURCE } = {}) => {
+  if (isCacheStale()) refreshInBackground();
+
+  const day = isNaN(new Date(date)) ? new Date() : new Date(date);
+  day.setHours(23, 59, 59, 999);
+  const time = day.getTime();
+
+  // Source demandée d'abord, puis n'importe quelle source
+  const fromSource = cache.rates.filter(rate => rate.source === source);
+  const candidates = fromSource.length > 0 ? fromSource : cache.rates;
+
+  // Date antérieure au premier taux connu : prendre le plus ancien
+  const entry = findRateAtOrBefore(candidates, time) || candidates[0];
+
+  if (!entry) {
+    return {
+      rate: EXCHANGE_RATES.DEFAULT_USD_HTG,
+      date: null,
+      source: 'default',
+      type,
+      isFallback: true,
+      isStale: true
+    };
+  }
+
+  const rateByType = {
+    buy: entry.buyRate || entry.referenceRate,
+    sell: entry.sellRate || entry.referenceRate,
+    reference: entry.referenceRate
+  };
+
+  return {
+    rate: rateByType[type] || entry.referenceRate,
+    date: new Date(entry.time),
+    source: entry.source,
+    type,
+    isFallback: false,
+    isStale: (time - entry.time) / (24 * 60 * 60 * 1000) > EXCHANGE_RATES.STALE_AFTER_DAYS
+  };
+};
+
+/**
+ * Taux (gourdes pour 1 dollar) en vigueur à une date - synchrone
+ * @param {Date} date - Date de l'opération (défaut: maintenant)
+ * @param {Object} options - { type, source }
+ * @returns {Number}
+ */
+const resolveRate = (date = new Date(), options = {}) => {
+  return resolveRateDetails(date, options).rate;
+};
+
+/**
+ * Taux en vigueur à une date, cache garanti à jour
+ * @param {Date} date - Date de l'opération
+ * @param {Object} options - { type, source }
+ * @returns {Object} - Détails du taux (voir resolveRateDetails)
+ */
+const getRate = async (date = new Date(), options = {}) => {
+  await loadRates();
+  return resolveRateDetails(date, options);
+};
+
+/**
+ * Convertir un montant entre HTG et USD au taux d'une date - synchrone
+ * @param {Number} amount - Montant
+ * @param {String} from - Devise source
+ * @param {String} to - Devise cible
+ * @param {Date} date - Date de l'opération (défaut: maintenant)
+ * @param {Object} options - { type, source }
+ * @returns {Number} - Montant converti (arrondi 2 décimales)
+ */
+const convertAmount = (amount, from, to, date = new Date(), options = {}) => {
+  if (from === to) return amount;
+
+  const rate = resolveRate(date, options);
+
+  if (from === 'USD' && to === 'HTG') return roundNumber(amount * rate, 2);
+  if (from === 'HTG' && to === 'USD') return roundNumber(amount / rate, 2);
+
+  return amount;
+};
+
+/**
+ * Convertir un montant, cache garanti à jour
+ * @returns {Number}
+ */
+const convert = async (amount, from, to, date = new Date(), options = {}) => {
+  await loadRates();
+  return convertAmount(amount, from, to, date, options);
+};
+
+// ===================================================================
+// ENREGISTREMENT DES TAUX
+// ===================================================================
+
+/**
+ * Enregistrer (ou corriger) le taux d'une journée
+ * @param {Object} data - { date, referenceRate, buyRate, sellRate, source, bank, notes }
+ * @param {String} userId - Admin ayant saisi le taux
+ * @returns {Object} - Taux enregistré
+ */
+const recordRate = async (data, userId = null) => {
+  const day = new Date(data.date);
+  day.setHours(0, 0, 0, 0);
+
+  const source = data.source || EXCHANGE_RATES.DEFAULT_SOURCE;
+  const filter = {
+    baseCurrency: 'USD',
+    quoteCurrency: 'HTG',
+    source,
+    bank: data.bank || null,
+    date: day
+  };
+
+  let rate = await ExchangeRate.findOne(filter);
+  if (!rate) rate = new ExchangeRate(filter);
+
+  rate.referenceRate = data.referenceRate;
+  rate.buyRate = data.buyRate;
+  rate.sellRate = data.sellRate;
+  rate.notes = data.notes;
+  rate.recordedBy = userId;
+
+  await rate.save();
+  invalidateCache();
+
+  return rate;
+};
+
+/**
+ * Supprimer un taux
+ * @param {String} rateId - ID du taux
+ * @returns {Object|null} - Taux supprimé
+ */
+const deleteRate = async (rateId) => {
+  const rate = await ExchangeRate.findByIdAndDelete(rateId);
+  if (rate) invalidateCache();
+  return rate;
+};
+
+/**
+ * Convertir un taux texte ("132,4520", "132.45 HTG") en nombre
+ * @param {String} value - Taux brut
+ * @returns {Number|null}
+ */
+const parseRateValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).replace(/[^\d.,]/g, '').replace(',', '.');
+  const rate = parseFloat(text);
+
+  return isNaN(rate) || rate <= 0 ? null : roundNumber(rate, 4);
+};
+
+/**
+ * Parser un CSV de taux publiés par la BRH
+ * @param {String} content - Contenu du fichier
+ * @returns {Object} - { rows: [{ rowNumber, date, referenceRate, buyRate, sellRate }], errors }
+ */
+const parseBrhCsv = (content) => {
+  const { dateFormat, columns: columnNames } = EXCHANGE_RATES.BRH_CSV;
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const rows = [];
+  const errors = [];
+
+  if (lines.length < 2) {
+    return { rows, errors: [{ row: 0, message: 'Fichier vide ou sans lignes de données' }] };
+  }
+
+  const delimiter = detectDelimiter(lines[0], ',');
+  const headers = splitCSVLine(lines[0], delimiter).map(normalizeHeader);
+  const columns = {
+    date: findColumn(headers, columnNames.date),
+    buyRate: findColumn(headers, columnNames.buyRate),
+    sellRate: findColumn(headers, columnNames.sellRate),
+    referenceRate: findColumn(headers, columnNames.referenceRate)
+  };
+
+  if (columns.date === -1 || (columns.referenceRate === -1 && (columns.buyRate === -1 || columns.sellRate === -1))) {
+    return {
+      rows,
+      errors: [{ row: 1, message: 'Colonnes introuvables (date et taux de référence, ou achat et vente, requis)' }]
+    };
+  }
+
+  lines.slice(1, EXCHANGE_RATES.MAX_IMPORT_ROWS + 1).forEach((line, index) => {
+    const rowNumber = index + 2;
+    const cells = splitCSVLine(line, delimiter);
+    const cell = (key) => (columns[key] !== -1 ? cells[columns[key]] : undefined);
+
+    const parsedDate = moment(String(cell('date') || '').trim(), [dateFormat, 'YYYY-MM-DD', 'DD-MM-YYYY'], true);
+    const buyRate = parseRateValue(cell('buyRate'));
+    const sellRate = parseRateValue(cell('sellRate'));
+
+    // Sans taux de référence publié : moyenne achat/vente
+    let referenceRate = parseRateValue(cell('referenceRate'));
+    if (!referenceRate && buyRate && sellRate) {
+      referenceRate = roundNumber((buyRate + sellRate) / 2, 4);
+    }
+
+    if (!parsedDate.isValid()) {
+      errors.push({ row: rowNumber, message: `Date invalide: "${cell('date') || ''}"` });
+      return;
+    }
+
+    if (!referenceRate) {
+      errors.push({ row: rowNumber, message: 'Taux manquant ou invalide' });
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      date: parsedDate.startOf('day').toDate(),
+      referenceRate,
+      buyRate: buyRate || undefined,
+      sellRate: sellRate || undefined
+    });
+  });
+
+  if (lines.length - 1 > EXCHANGE_RATES.MAX_IMPORT_ROWS) {
+    errors.push({
+      row: EXCHANGE_RATES.MAX_IMPORT_ROWS + 2,
+      message: `Import limité à ${EXCHANGE_RATES.MAX_IMPORT_ROWS} lignes`
+    });
+  }
+
+  return { rows, errors };
+};
+
+/**
+ * Importer un CSV BRH (un taux par jour, les jours existants sont mis à jour)
+ * @param {String} content - Contenu du fichier
+ * @param {String} userId - Admin à l'origine de l'import
+ * @returns {Object} - { batchId, inserted, updated, errors }
+ */
+const importBrhCsv = async (content, userId = null) => {
+  const { rows, errors } = parseBrhCsv(content);
+  const batchId = crypto.randomUUID();
+
+  if (rows.length === 0) {
+    return { batchId, inserted: 0, updated: 0, errors };
+  }
+
+  const result = await ExchangeRate.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: {
+        baseCurrency: 'USD',
+        quoteCurrency: 'HTG',
+        source: 'brh',
+        bank: null,
+        date: row.date
+      },
+      update: {
+        $set: {
+          referenceRate: row.referenceRate,
+          buyRate: row.buyRate,
+          sellRate: row.sellRate,
+          recordedBy: userId,
+          importBatchId: batchId
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  invalidateCache();
+
+  return {
+    batchId,
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+    errors
+  };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  // Résolution
+  loadRates,
+  resolveRate,
+  resolveRateDetails,
+  getRate,
+  convertAmount,
+  convert,
+
+  // Enregistrement
+  recordRate,
+  deleteRate,
+  parseBrhCsv,
+  importBrhCsv,
+  invalidateCache
+};
@@ -0,0 +1,481 @@
+// src/services/expenseGroupService.js - Dépenses partagées et remboursements FinApp Haiti
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { roundNumber } = require('../utils/helpers');
+const { buildSettlementPlan } = require('./solSettlementService');
+
+/**
+ * Groupe de dépenses (famille, colocataires) :
+ * - une dépense est payée par un membre et répartie entre plusieurs membres
+ *   à parts égales, par parts (2 parts pour un couple...) ou en montants exacts
+ * - solde d'un membre = ce qu'il a payé − sa part des dépenses
+ *   + remboursements versés − remboursements reçus (positif : on lui doit)
+ * - les soldes sont calculés par devise, HTG et USD ne se compensent pas
+ * - "qui doit à qui" : appariement minimal des débiteurs et créanciers
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const SPLIT_TYPES = ['equal', 'shares', 'exact'];
+const CURRENCIES = ['HTG', 'USD'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de groupe avec code et statut HTTP
+ */
+const createGroupError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Remboursement compté dans les soldes (confirmé par le membre remboursé)
+ */
+const isSettlementConfirmed = (settlement) =>
+  (settlement.confirmation?.status || 'confirmed') === 'confirmed';
+
+/**
+ * Membre actif du groupe, par son _id
+ */
+const getActiveMember = (group, memberId) => {
+  const member = group.members.id(memberId);
+
+  if (!member || !member.isActive) {
+    throw createGroupError('Membre introuvable dans ce groupe', 'member_not_found', 404);
+  }
+
+  return member;
+};
+
+/**
+ * Répartir des centimes au prorata de poids entiers, reliquat aux premiers
+ */
+const distributeCents = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map(weight => Math.floor(totalCents * weight / totalWeight));
+  let remainder = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+  for (let i = 0; remainder > 0; i = (i + 1) % parts.length) {
+    if (weights[i] > 0) {
+      parts[i]++;
+      remainder--;
+    }
+  }
+
+  return parts;
+};
+
+// ===================================================================
+// RÉPARTITION
+// ===================================================================
+
+/**
+ * Calculer les parts d'une dépense
+ * @param {Number} amount - Montant de la dépense
+ * @param {String} splitType - equal | shares | exact
+ * @param {Array} participants - [{ member, shares?, amount? }]
+ * @returns {Array} - [{ member, shares, amount }]
+ */
+const computeSplits = (amount, splitType, participants) => {
+  if (!participants || participants.length === 0) {
+    throw createGroupError('Au moins un membre doit partager la dépense', 'split_empty');
+  }
+
+  const members = participants.map(participant => participant.member.toString());
+  if (new Set(members).size !== members.length) {
+    throw createGroupError('Un membre apparaît plusieurs fois dans la répartition', 'split_duplicate');
+  }
+
+  const totalCents = toCents(amount);
+
+  if (splitType === 'exact') {
+    const cents = participants.map(participant => toCents(participant.amount));
+
+    if (cents.some(value => value < 0)) {
+      throw createGroupError('Montants de répartition invalides', 'split_invalid');
+    }
+
+    const sum = cents.reduce((total, value) => total + value, 0);
+    if (sum !== totalCents) {
+      throw createGroupError(
+        `La somme des parts (${sum / 100}) ne correspond pas au montant (${amount})`,
+        'split_mismatch'
+      );
+    }
+
+    return participants.map((participant, index) => ({
+      member: participant.member,
+      amount: cents[index] / 100
+    }));
+  }
+
+  const weights = splitType === 'shares'
+    ? participants.map(participant => participant.shares)
+    : participants.map(() => 1);
+
+  if (weights.some(weight => !Number.isInteger(weight) || weight < 0) ||
+      weights.every(weight => weight === 0)) {
+    throw createGroupError('Les parts doivent être des entiers positifs', 'split_invalid');
+  }
+
+  const parts = distributeCents(totalCents, weights);
+
+  return participants.map((participant, index) => ({
+    member: participant.member,
+    ...(splitType === 'shares' && { shares: weights[index] }),
+    amount: parts[index] / 100
+  }));
+};
+
+/**
+ * Ajouter une dépense au groupe
+ * @param {Object} group - Groupe (modifié, non sauvegardé)
+ * @param {Object} data - { description, amount, currency, category, paidBy, splitType, splits, date, notes }
+ * @param {String} userId - Auteur
+ * @returns {Object} - Dépense créée
+ */
+const addExpense = (group, data, userId) => {
+  const { splitType = 'equal', currency = group.defaultCurrency } = data;
+
+  getActiveMember(group, data.paidBy);
+
+  // Sans répartition fournie : tous les membres actifs, à parts égales
+  const participants = data.splits && data.splits.length > 0
+    ? data.splits
+    : group.members.filter(member => member.isActive).map(member => ({ member: member._id }));
+
+  participants.forEach(participant => getActiveMember(group, participant.member));
+
+  group.expenses.push({
+    description: data.description,
+    amount: data.amount,
+    currency,
+    category: data.category,
+    paidBy: data.paidBy,
+    splitType,
+    splits: computeSplits(data.amount, splitType, participants),
+    date: data.date,
+    notes: data.notes,
+    createdBy: userId
+  });
+
+  return group.expenses[group.expenses.length - 1];
+};
+
+// ===================================================================
+// SOLDES
+// ===================================================================
+
+/**
+ * Soldes des membres, par devise
+ * @param {Object} group - Groupe
+ * @returns {Object} - { HTG: [{ member, name, paid, owed, settledOut, settledIn, balance }], USD: [...] }
+ */
+const computeBalances = (group) => {
+  const result = {};
+
+  CURRENCIES.forEach(currency => {
+    const entries = new Map(group.members.map(member => [member._id.toString(), {
+      member: member._id,
+      name: member.name,
+      user: member.user || null,
+      paid: 0,
+      owed: 0,
+      settledOut: 0,
+      settledIn: 0
+    }]));
+    const entryOf = (memberId) => entries.get(memberId.toString());
+
+    group.expenses
+      .filter(expense => !expense.isDeleted && expense.currency === currency)
+      .forEach(expense => {
+        entryOf(expense.paidBy).paid += toCents(expense.amount);
+        expense.splits.forEach(split => {
+          entryOf(split.member).owed += toCents(split.amount);
+        });
+      });
+
+    group.settlements
+      .filter(settlement => settlement.currency === currency && isSettlementConfirmed(settlement))
+      .forEach(settlement => {
+        entryOf(settlement.from).settledOut += toCents(settlement.amount);
+        entryOf(settlement.to).settledIn += toCents(settlement.amount);
+      });
+
+    const balances = [...entries.values()]
+      .map(entry => ({
+        ...entry,
+        paid: entry.paid / 100,
+        owed: entry.owed / 100,
+        settledOut: entry.settledOut / 100,
+        settledIn: entry.settledIn / 100,
+        balance: (entry.paid - entry.owed + entry.settledOut - entry.settledIn) / 100
+      }))
+      .filter(entry => entry.paid || entry.owed || entry.settledOut || entry.settledIn);
+
+    if (balances.length > 0) result[currency] = balances;
+  });
+
+  return result;
+};
+
+/**
+ * "Qui doit à qui" : remboursements minimaux par devise
+ * @returns {Object} - { HTG: [{ from, fromName, to, toName, amount }], USD: [...] }
+ */
+const buildSettleUpPlan = (group) => {
+  const balances = computeBalances(group);
+  const plan = {};
+
+  Object.entries(balances).forEach(([currency, entries]) => {
+    const nameOf = (memberId) => entries.find(entry => sameId(entry.member, memberId)).name;
+    // buildSettlementPlan : net positif = doit
+    const { transfers } = buildSettlementPlan(entries.map(entry => ({
+      user: entry.member,
+      net: -entry.balance
+    })));
+
+    if (transfers.length > 0) {
+      plan[currency] = transfers.map(transfer => ({
+        from: transfer.from,
+        fromName: nameOf(transfer.from),
+        to: transfer.to,
+        toName: nameOf(transfer.to),
+        amount: transfer.amount
+      }));
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Solde d'un membre dans toutes les devises (0 partout : il peut quitter le groupe)
+ */
+const getMemberBalances = (group, memberId) => {
+  const balances = computeBalances(group);
+
+  return Object.entries(balances).reduce((result, [currency, entries]) => {
+    const entry = entries.find(item => sameId(item.member, memberId));
+    if (entry && entry.balance !== 0) result[currency] = entry.balance;
+    return result;
+  }, {});
+};
+
+// ===================================================================
+// REMBOURSEMENTS
+// ===================================================================
+
+/**
+ * Enregistrer un remboursement entre deux membres. Il reste en attente
+ * tant que le membre remboursé, s'il est inscrit et n'en est pas l'auteur,
+ * ne l'a pas confirmé.
+ * @param {Object} group - Groupe (modifié, non sauvegardé)
+ * @param {Object} data - { from, to, amount, currency, date, paymentMethod, note }
+ * @param {String} userId - Auteur
+ * @returns {Object} - Remboursement créé
+ */
+const recordSettlement = (group, data, userId) => {
+  const from = getActiveMember(group, data.from);
+  const to = getActiveMember(group, data.to);
+
+  if (sameId(from._id, to._id)) {
+    throw createGroupError('Un membre ne peut pas se rembourser lui-même', 'settlement_same_member');
+  }
+
+  const recorder = group.findMemberByUser(userId);
+  const isParty = sameId(from.user, userId) || sameId(to.user, userId);
+  if (!isParty && !(recorder && recorder.role === 'owner')) {
+    throw createGroupError(
+      'Seuls les membres concernés ou le créateur du groupe peuvent enregistrer ce remboursement',
+      'settlement_forbidden',
+      403
+    );
+  }
+
+  group.settlements.push({
+    from: from._id,
+    to: to._id,
+    amount: roundNumber(data.amount, 2),
+    currency: data.currency || group.defaultCurrency,
+    date: data.date,
+    paymentMethod: data.paymentMethod,
+    note: data.note,
+    recordedBy: userId,
+    confirmation: {
+      status: to.user && !sameId(to.user, userId) ? 'pending' : 'confirmed'
+    }
+  });
+
+  return group.settlements[group.settlements.length - 1];
+};
+
+/**
+ * Confirmer ou contester un remboursement (membre remboursé uniquement)
+ * @param {Object} group - Groupe (modifié, non sauvegardé)
+ * @param {String} settlementId - ID du remboursement
+ * @param {String} status - confirmed | disputed
+ * @param {String} userId - Membre remboursé
+ * @param {String} reason - Motif de contestation
+ * @returns {Object} - Remboursement mis à jour
+ */
+const respondToSettlement = (group, settlementId, status, userId, reason) => {
+  const settlement = group.settlements.id(settlementId);
+
+  if (!settlement) {
+    throw createGroupError('Remboursement introuvable', 'settlement_not_found', 404);
+  }
+
+  const { confirmation } = settlement;
+  if (!['pending', 'disputed'].includes(confirmation.status)) {
+    throw createGroupError('Ce remboursement n\'attend pas de confirmation', 'settlement_not_pending', 409);
+  }
+
+  if (status === 'disputed' && confirmation.status === 'disputed') {
+    throw createGroupError('Ce remboursement est déjà contesté', 'settlement_already_disputed', 409);
+  }
+
+  if (!sameId(group.members.id(settlement.to).user, userId)) {
+    throw createGroupError('La confirmation revient au membre remboursé', 'settlement_not_receiver', 403);
+  }
+
+  confirmation.status = status;
+  confirmation.respondedBy = userId;
+  confirmation.respondedAt = new Date();
+  confirmation.reason = status === 'disputed' ? reason : undefined;
+
+  return settlement;
+};
+
+/**
+ * Membre de l'auteur s'il est partie au remboursement, avec son sens
+ * @returns {Object|null} - { member, direction: out (il rembourse) | in (il est remboursé) }
+ */
+const getRecorderSide = (group, settlement, userId) => {
+  const from = group.members.id(settlement.from);
+  const to = group.members.id(settlement.to);
+
+  if (sameId(from.user, userId)) return { member: from, direction: 'out' };
+  if (sameId(to.user, userId)) return { member: to, direction: 'in' };
+  return null;
+};
+
+/**
+ * Mouvement de l'auteur d'un remboursement : transaction sur son propre
+ * compte dans la devise du remboursement (compte par défaut de préférence).
+ * Le compte de l'autre membre n'est jamais mouvementé à sa place.
+ * @param {String} direction - out (il rembourse) | in (il est remboursé)
+ * @param {Object} options - { accountId: compte choisi, session }
+ * @returns {Promise<Object|null>} - Transaction créée, null sans compte
+ */
+const recordSettlementTransaction = async (group, settlement, member, direction, { accountId = null, session = null } = {}) => {
+  const filter = { user: member.user, currency: settlement.currency, isActive: true };
+  if (accountId) filter._id = accountId;
+
+  const account = await Account.findOne(filter).sort({ isDefault: -1 }).session(session);
+  if (!account) return null;
+
+  const counterparty = group.members.id(direction === 'out' ? settlement.to : settlement.from);
+  const description = direction === 'out'
+    ? `Remboursement à ${counterparty.name} - ${group.name}`
+    : `Remboursement de ${counterparty.name} - ${group.name}`;
+  const amount = direction === 'out' ? -settlement.amount : settlement.amount;
+
+  const [transaction] = await Transaction.create([{
+    user: member.user,
+    account: account._id,
+    type: direction === 'out' ? 'expense' : 'income',
+    amount: settlement.amount,
+    currency: settlement.currency,
+    category: 'other',
+    description,
+    date: settlement.date,
+    paymentMethod: settlement.paymentMethod,
+    isConfirmed: true,
+    expenseGroupReference: { group: group._id, settlement: settlement._id },
+    tags: ['expense_group']
+  }], { session });
+
+  await account.updateBalance(amount, description, {
+    source: 'expense_group',
+    reference: { model: 'ExpenseGroup', id: group._id },
+    date: settlement.date,
+    session
+  });
+
+  return transaction;
+};
+
+/**
+ * Dette soldée documentant un remboursement, chez l'auteur uniquement.
+ * Autre membre inscrit : la dette lui est proposée par une invitation en
+ * attente (dette partagée, voir debtLinkService) ; sa copie n'existe
+ * qu'une fois l'invitation acceptée.
+ * @param {Object} member - Membre de l'auteur (from ou to)
+ * @returns {Object} - Document Debt à créer
+ */
+const buildSettlementDebt = (group, settlement, member) => {
+  const isDebtor = sameId(member._id, settlement.from);
+  const counterparty = group.members.id(isDebtor ? settlement.to : settlement.from);
+
+  return {
+    user: member.user,
+    type: isDebtor ? 'debt' : 'loan',
+    contact: {
+      name: counterparty.name,
+      email: counterparty.email,
+      phone: counterparty.phone
+    },
+    amount: settlement.amount,
+    currency: settlement.currency,
+    amountPaid: settlement.amount,
+    description: `Remboursement groupe "${group.name}"`,
+    borrowedDate: settlement.date,
+    payments: [{
+      amount: settlement.amount,
+      date: settlement.date,
+      paymentMethod: ['cash', 'moncash', 'bank_transfer', 'check'].includes(settlement.paymentMethod)
+        ? settlement.paymentMethod
+        : 'other',
+      note: settlement.note
+    }],
+    lastPaymentDate: settlement.date,
+    expenseGroup: { group: group._id, settlement: settlement._id },
+    tags: ['expense_group'],
+    ...(counterparty.user && {
+      link: {
+        user: counterparty.user,
+        status: 'pending',
+        invitedAt: new Date()
+      }
+    })
+  };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  SPLIT_TYPES,
+  computeSplits,
+  addExpense,
+  computeBalances,
+  buildSettleUpPlan,
+  getMemberBalances,
+  recordSettlement,
+  respondToSettlement,
+  getRecorderSide,
+  recordSettlementTransaction,
+  buildSettlementDebt
+};
@@ -0,0 +1,404 @@
+// src/services/exportService.js - Exports transactions (CSV, XLSX, relevé PDF)
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { TRANSACTION_CATEGORIES, CURRENCIES } = require('../utils/constants');
+const {
+  formatCurrency,
+  formatDate,
+  formatTransactionType,
+  formatCategory
+} = require('../utils/formatters');
+const { getSignedAmount } = require('./transactionService');
+
+/**
+ * Service d'export des transactions
+ * Les exports CSV et XLSX sont streamés directement dans la réponse
+ * pour ne jamais charger tout l'historique en mémoire
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf'
+  }
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'account', header: 'Compte', width: 22 },
+  { key: 'type', header: 'Type', width: 12 },
+  { key: 'category', header: 'Catégorie', width: 18 },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'amount', header: 'Montant', width: 14 },
+  { key: 'currency', header: 'Devise', width: 8 },
+  { key: 'formattedAmount', header: 'Montant formaté', width: 18 },
+  { key: 'reference', header: 'Référence', width: 20 },
+  { key: 'status', header: 'Statut', width: 12 }
+];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Libellé lisible d'une catégorie
+ * @param {String} category - ID catégorie
+ * @returns {String}
+ */
+const getCategoryLabel = (category) => {
+  return TRANSACTION_CATEGORIES[category]?.name || formatCategory(category);
+};
+
+/**
+ * Nom de fichier d'export
+ * @param {String} format - csv, xlsx ou pdf
+ * @param {Object} period - { startDate, endDate }
+ * @returns {String}
+ */
+const buildExportFilename = (format, { startDate, endDate } = {}) => {
+  const toKey = (date) => new Date(date).toISOString().slice(0, 10);
+  const range = startDate || endDate
+    ? `_${startDate ? toKey(startDate) : 'debut'}_${endDate ? toKey(endDate) : 'fin'}`
+    : '';
+
+  return `transactions${range}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Ligne d'export à partir d'une transaction (compte peuplé)
+ * @param {Object} transaction - Transaction avec account peuplé
+ * @returns {Object}
+ */
+const toExportRow = (transaction) => {
+  const currency = transaction.account?.currency || CURRENCIES.HTG.code;
+  const signedAmount = getSignedAmount(transaction.type, transaction.amount);
+
+  return {
+    date: formatDate(transaction.date),
+    account: transaction.account?.name || '',
+    type: formatTransactionType(transaction.type),
+    category: getCategoryLabel(transaction.category),
+    description: transaction.description,
+    amount: signedAmount,
+    currency,
+    formattedAmount: formatCurrency(signedAmount, currency),
+    reference: transaction.reference || '',
+    status: transaction.isConfirmed ? 'Confirmée' : 'En attente'
+  };
+};
+
+/**
+ * Échapper une valeur CSV (séparateurs, guillemets, retours ligne)
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Curseur trié des transactions à exporter
+ * @param {Object} query - Query MongoDB (buildTransactionQuery)
+ */
+const openTransactionCursor = (query) => {
+  return Transaction.find(query)
+    .populate('account', 'name bankName currency')
+    .sort({ date: 1, createdAt: 1 })
+    .lean()
+    .cursor();
+};
+
+// ===================================================================
+// CSV & XLSX
+// ===================================================================
+
+/**
+ * Streamer un export CSV dans un flux d'écriture
+ * @param {Object} query - Query MongoDB
+ * @param {Stream} output - Flux de sortie (res)
+ * @returns {Number} - Nombre de lignes exportées
+ */
+const streamTransactionsCsv = async (query, output) => {
+  let count = 0;
+
+  // BOM pour qu'Excel reconnaisse l'UTF-8 (accents)
+  output.write('\uFEFF');
+  output.write(EXPORT_COLUMNS.map(col => escapeCsvValue(col.header)).join(',') + '\n');
+
+  for await (const transaction of openTransactionCursor(query)) {
+    const row = toExportRow(transaction);
+    output.write(EXPORT_COLUMNS.map(col => escapeCsvValue(row[col.key])).join(',') + '\n');
+    count++;
+  }
+
+  output.end();
+  return count;
+};
+
+/**
+ * Streamer un classeur XLSX dans un flux d'écriture
+ * @param {Object} query - Query MongoDB
+ * @param {Stream} output - Flux de sortie (res)
+ * @returns {Number} - Nombre de lignes exportées
+ */
+const streamTransactionsXlsx = async (query, output) => {
+  let count = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: true
+  });
+  workbook.creator = 'FinApp Haiti';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Transactions');
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const transaction of openTransactionCursor(query)) {
+    sheet.addRow(toExportRow(transaction)).commit();
+    count++;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+// ===================================================================
+// RELEVÉ PDF
+// ===================================================================
+
+/**
+ * Calculer le relevé d'un compte sur une période
+ * Solde d'ouverture reconstitué depuis le solde actuel et les transactions postérieures
+ * @param {Object} account - Compte
+ * @param {Object} query - Query MongoDB (filtres utilisateur)
+ * @param {Object} period - { startDate, endDate }
+ * @returns {Object} - Relevé du compte
+ */
+const buildAccountStatement = async (account, query, { startDate, endDate }) => {
+  // Transactions confirmées depuis le début de la période (tous filtres confondus)
+  const sinceStart = await Transaction.find({
+    account: account._id,
+    isConfirmed: true,
+    date: { $gte: startDate }
+  })
+    .select('type amount date')
+    .lean();
+
+  const netSinceStart = sinceStart.reduce(
+    (sum, t) => sum + getSignedAmount(t.type, t.amount), 0
+  );
+  const netInPeriod = sinceStart
+    .filter(t => t.date <= endDate)
+    .reduce((sum, t) => sum + getSignedAmount(t.type, t.amount), 0);
+
+  const openingBalance = account.currentBalance - netSinceStart;
+  const closingBalance = openingBalance + netInPeriod;
+
+  // Lignes affichées : celles qui respectent les filtres demandés
+  const transactions = await Transaction.find({
+    ...query,
+    account: account._id,
+    date: { $gte: startDate, $lte: endDate }
+  })
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  const totals = { income: 0, expense: 0 };
+  const categories = {};
+
+  transactions.forEach(t => {
+    if (!t.isConfirmed) return;
+    const signed = getSignedAmount(t.type, t.amount);
+
+    if (signed >= 0) totals.income += t.amount;
+    else totals.expense += t.amount;
+
+    categories[t.category] = (categories[t.category] || 0) + signed;
+  });
+
+  return {
+    account,
+    openingBalance,
+    closingBalance,
+    totals,
+    categorySubtotals: Object.entries(categories)
+      .map(([category, total]) => ({ category, label: getCategoryLabel(category), total }))
+      .sort((a, b) => Math.abs(b.total) - Math.abs(a.total)),
+    transactions
+  };
+};
+
+/**
+ * Rendre le relevé mensuel PDF (une page par compte) dans un flux
+ * @param {String} userId - ID utilisateur
+ * @param {Object} query - Query MongoDB (buildTransactionQuery)
+ * @param {Object} period - { startDate, endDate }
+ * @param {Stream} output - Flux de sortie (res)
+ * @returns {Number} - Nombre de comptes inclus
+ */
+const renderStatementPdf = async (userId, query, period, output) => {
+  const accountFilter = { user: userId };
+  if (query.account) accountFilter._id = query.account;
+
+  const accounts = await Account.find(accountFilter).sort({ isDefault: -1, name: 1 });
+  const statements = [];
+  for (const account of accounts) {
+    statements.push(await buildAccountStatement(account, query, period));
+  }
+
+  // Totaux consolidés par devise
+  const currencyTotals = {};
+  statements.forEach(({ account, totals, closingBalance }) => {
+    const entry = currencyTotals[account.currency] ||
+      (currencyTotals[account.currency] = { income: 0, expense: 0, closingBalance: 0 });
+    entry.income += totals.income;
+    entry.expense += totals.expense;
+    entry.closingBalance += closingBalance;
+  });
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+  doc.pipe(output);
+
+  const periodLabel = `${formatDate(period.startDate, 'long')} - ${formatDate(period.endDate, 'long')}`;
+
+  // Page de synthèse
+  doc.fontSize(18).text('Relevé de transactions', { align: 'center' });
+  doc.moveDown(0.3).fontSize(11).fillColor('#555555').text(periodLabel, { align: 'center' });
+  doc.fillColor('#000000').moveDown(1.5);
+
+  doc.fontSize(13).text('Totaux par devise');
+  doc.moveDown(0.5).fontSize(10);
+  Object.entries(currencyTotals).forEach(([currency, entry]) => {
+    doc.text(
+      `${currency} — Entrées: ${formatCurrency(entry.income, currency)}   ` +
+      `Sorties: ${formatCurrency(entry.expense, currency)}   ` +
+      `Solde de clôture: ${formatCurrency(entry.closingBalance, currency)}`
+    );
+  });
+
+  if (statements.length === 0) {
+    doc.moveDown().text('Aucun compte pour ces filtres.');
+  }
+
+  // Une page par compte
+  statements.forEach(statement => renderAccountPage(doc, statement, periodLabel));
+
+  // Pagination
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.fontSize(8).fillColor('#888888').text(
+      `FinApp Haiti — page ${i + 1}/${range.count}`,
+      40,
+      doc.page.height - 30,
+      { align: 'center', lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return statements.length;
+};
+
+/**
+ * Rendre la page d'un compte
+ * @param {PDFDocument} doc
+ * @param {Object} statement - Résultat de buildAccountStatement
+ * @param {String} periodLabel
+ */
+const renderAccountPage = (doc, statement, periodLabel) => {
+  const { account, openingBalance, closingBalance, totals, categorySubtotals, transactions } = statement;
+  const currency = account.currency;
+  const money = (amount) => formatCurrency(amount, currency);
+
+  doc.addPage();
+  doc.fillColor('#000000').fontSize(15).text(`${account.name} (${currency})`);
+  doc.fontSize(9).fillColor('#555555').text(`${account.bankName || ''} — ${periodLabel}`);
+  doc.fillColor('#000000').moveDown();
+
+  doc.fontSize(10);
+  doc.text(`Solde d'ouverture: ${money(openingBalance)}`);
+  doc.text(`Total entrées: ${money(totals.income)}`);
+  doc.text(`Total sorties: ${money(totals.expense)}`);
+  doc.text(`Solde de clôture: ${money(closingBalance)}`);
+  doc.moveDown();
+
+  // Sous-totaux par catégorie
+  if (categorySubtotals.length > 0) {
+    doc.fontSize(12).text('Par catégorie');
+    doc.moveDown(0.3).fontSize(9);
+    categorySubtotals.forEach(({ label, total }) => {
+      doc.text(`${label}: ${money(total)}`);
+    });
+    doc.moveDown();
+  }
+
+  // Détail des transactions
+  doc.fontSize(12).text('Transactions');
+  doc.moveDown(0.3).fontSize(8);
+
+  if (transactions.length === 0) {
+    doc.text('Aucune transaction sur la période.');
+    return;
+  }
+
+  const columns = [
+    { x: 40, width: 60 },
+    { x: 100, width: 250 },
+    { x: 350, width: 100 },
+    { x: 450, width: 100, align: 'right' }
+  ];
+
+  const writeRow = (cells) => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const y = doc.y;
+    cells.forEach((cell, index) => {
+      const { x, width, align = 'left' } = columns[index];
+      doc.text(cell, x, y, { width, align, lineBreak: false, ellipsis: true });
+    });
+    doc.moveDown(0.4);
+  };
+
+  writeRow(['Date', 'Description', 'Catégorie', 'Montant']);
+  transactions.forEach(t => {
+    const pending = t.isConfirmed ? '' : ' (en attente)';
+    writeRow([
+      formatDate(t.date),
+      `${t.description}${pending}`,
+      getCategoryLabel(t.category),
+      money(getSignedAmount(t.type, t.amount))
+    ]);
+  });
+  doc.x = 40;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCsvValue,
+  buildExportFilename,
+  streamTransactionsCsv,
+  streamTransactionsXlsx,
+  buildAccountStatement,
+  renderStatementPdf
+};
@@ -0,0 +1,446 @@
+// src/services/fileStorageService.js - Stockage des reçus et documents FinApp Haiti
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const cloudinary = require('cloudinary').v2;
+const { FILE_STORAGE, LIMITS } = require('../utils/constants');
+
+/**
+ * Service de stockage des fichiers uploadés (reçus, pièces justificatives)
+ * Les fichiers passent par un driver interchangeable :
+ * - local : disque du serveur (défaut, FILE_STORAGE_DRIVER=local)
+ * - cloudinary : CDN Cloudinary (FILE_STORAGE_DRIVER=cloudinary)
+ *
+ * Le driver utilisé est enregistré avec chaque fichier : changer de driver
+ * n'empêche pas de relire ou supprimer les fichiers déjà stockés
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const ALLOWED_MIME_TYPES = [
+  ...LIMITS.UPLOAD.ALLOWED_IMAGE_TYPES,
+  ...LIMITS.UPLOAD.ALLOWED_DOCUMENT_TYPES
+];
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+// Signatures binaires : le type réel ne dépend pas de ce que déclare le client
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+  { mimeType: 'image/png', matches: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { mimeType: 'image/gif', matches: (b) => b.slice(0, 4).toString('ascii') === 'GIF8' },
+  { mimeType: 'image/webp', matches: (b) => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' },
+  { mimeType: 'application/pdf', matches: (b) => b.slice(0, 5).toString('ascii') === '%PDF-' }
+];
+
+/**
+ * Driver configuré pour les nouveaux uploads
+ * @returns {String} - 'local' | 'cloudinary'
+ */
+const getActiveDriverName = () => {
+  const name = (process.env.FILE_STORAGE_DRIVER || FILE_STORAGE.DEFAULT_DRIVER).toLowerCase();
+  return FILE_STORAGE.DRIVERS.includes(name) ? name : FILE_STORAGE.DEFAULT_DRIVER;
+};
+
+/**
+ * Dossier racine du driver local
+ * @returns {String} - Chemin absolu
+ */
+const getLocalRoot = () => path.resolve(process.env.UPLOAD_DIR || FILE_STORAGE.LOCAL_ROOT);
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de stockage avec code et statut HTTP
+ * @param {String} message - Message utilisateur
+ * @param {String} code - Code erreur API
+ * @param {Number} status - Statut HTTP
+ * @returns {Error}
+ */
+const createStorageError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Détecter le type réel d'un fichier depuis ses premiers octets
+ * @param {Buffer} buffer - Contenu du fichier
+ * @returns {String|null} - Type MIME ou null si inconnu
+ */
+const detectMimeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = FILE_SIGNATURES.find(entry => entry.matches(buffer));
+  return signature ? signature.mimeType : null;
+};
+
+const isImage = (mimeType) => LIMITS.UPLOAD.ALLOWED_IMAGE_TYPES.includes(mimeType);
+
+/**
+ * Construire la clé de stockage d'un fichier
+ * Format : dossier/utilisateur/horodatage-aléatoire[-suffixe].ext
+ * @param {String} folder - Sous-dossier (FILE_STORAGE.FOLDERS)
+ * @param {String} userId - Propriétaire
+ * @param {String} extension - Extension avec point
+ * @param {String} suffix - Suffixe optionnel (ex: 'thumb')
+ * @returns {String}
+ */
+const buildStorageKey = (folder, userId, extension, suffix = '') => {
+  const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  return `${folder}/${userId}/${id}${suffix ? `-${suffix}` : ''}${extension}`;
+};
+
+/**
+ * Générer la miniature d'une image (orientation EXIF corrigée)
+ * @param {Buffer} buffer - Image source
+ * @returns {Promise<Buffer>}
+ */
+const generateThumbnail = (buffer) => {
+  const { WIDTH, HEIGHT, FORMAT, QUALITY } = FILE_STORAGE.THUMBNAIL;
+
+  return sharp(buffer)
+    .rotate()
+    .resize(WIDTH, HEIGHT, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(FORMAT, { quality: QUALITY })
+    .toBuffer();
+};
+
+// ===================================================================
+// DRIVERS
+// ===================================================================
+
+/**
+ * Chemin disque d'une clé, sans sortir du dossier racine
+ * @param {String} key - Clé de stockage
+ * @returns {String}
+ */
+const resolveLocalPath = (key) => {
+  const root = getLocalRoot();
+  const fullPath = path.resolve(root, key);
+
+  if (!fullPath.startsWith(root + path.sep)) {
+    throw createStorageError('Clé de fichier invalide', 'invalid_file_key');
+  }
+
+  return fullPath;
+};
+
+const localDriver = {
+  name: 'local',
+
+  async save(buffer, { key }) {
+    const fullPath = resolveLocalPath(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+
+    // Pas d'URL publique : les fichiers sont servis par les routes de téléchargement
+    return { key, url: null, publicId: null };
+  },
+
+  async open({ key }) {
+    const fullPath = resolveLocalPath(key);
+
+    try {
+      await fs.promises.access(fullPath, fs.constants.R_OK);
+    } catch (error) {
+      throw createStorageError('Fichier introuvable', 'file_not_found', 404);
+    }
+
+    return { stream: fs.createReadStream(fullPath) };
+  },
+
+  async remove({ key }) {
+    try {
+      await fs.promises.unlink(resolveLocalPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+let cloudinaryConfigured = false;
+
+/**
+ * Configurer Cloudinary depuis l'environnement (une seule fois)
+ */
+const ensureCloudinaryConfig = () => {
+  if (cloudinaryConfigured) return;
+
+  const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+
+  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+    throw createStorageError('Stockage Cloudinary non configuré', 'storage_not_configured', 500);
+  }
+
+  cloudinary.config({
+    cloud_name: CLOUDINARY_CLOUD_NAME,
+    api_key: CLOUDINARY_API_KEY,
+    api_secret: CLOUDINARY_API_SECRET,
+    secure: true
+  });
+  cloudinaryConfigured = true;
+};
+
+// Images : public_id sans extension ; PDF (raw) : extension conservée
+const getCloudinaryResourceType = (mimeType) => isImage(mimeType) ? 'image' : 'raw';
+
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  save(buffer, { key, mimeType }) {
+    ensureCloudinaryConfig();
+
+    const resourceType = getCloudinaryResourceType(mimeType);
+    const publicId = resourceType === 'image' ? key.replace(/\.[^/.]+$/, '') : key;
+    const prefix = process.env.CLOUDINARY_FOLDER ? `${process.env.CLOUDINARY_FOLDER}/` : '';
+
+    return new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream({
+        public_id: `${prefix}${publicId}`,
+        resource_type: resourceType,
+        overwrite: false
+      }, (error, result) => {
+        if (error) return reject(createStorageError('Échec de l\'envoi vers Cloudinary', 'storage_upload_error', 502));
+        resolve({ key, url: result.secure_url, publicId: result.public_id });
+      });
+
+      upload.end(buffer);
+    });
+  },
+
+  async open({ url }) {
+    return { redirectUrl: url };
+  },
+
+  async remove({ publicId, mimeType }) {
+    if (!publicId) return;
+    ensureCloudinaryConfig();
+
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: getCloudinaryResourceType(mimeType),
+      invalidate: true
+    });
+  }
+};
+
+const DRIVERS = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver
+};
+
+const getDriver = (name = getActiveDriverName()) => DRIVERS[name] || null;
+
+// ===================================================================
+// API DU SERVICE
+// ===================================================================
+
+/**
+ * Valider un fichier uploadé (taille et type réel)
+ * @param {Object} file - Fichier multer (memoryStorage)
+ * @returns {String} - Type MIME détecté
+ */
+const validateUpload = (file) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw createStorageError('Fichier requis (champ "file")', 'missing_file');
+  }
+
+  if (file.buffer.length > LIMITS.UPLOAD.MAX_FILE_SIZE) {
+    throw createStorageError('Fichier trop volumineux (max: 5MB)', 'file_too_large', 413);
+  }
+
+  const mimeType = detectMimeType(file.buffer);
+
+  if (!mimeType || !ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw createStorageError(
+      'Type de fichier non supporté (JPEG, PNG, GIF, WEBP ou PDF)',
+      'invalid_file_type',
+      415
+    );
+  }
+
+  return mimeType;
+};
+
+/**
+ * Stocker un fichier uploadé et sa miniature éventuelle
+ * @param {Object} file - Fichier multer (memoryStorage)
+ * @param {Object} options - { folder, userId, downloadPath }
+ *   downloadPath : route API servant le fichier quand le driver n'a pas d'URL publique
+ * @returns {Promise<Object>} - Métadonnées à enregistrer sur le document
+ */
+const storeFile = async (file, { folder, userId, downloadPath }) => {
+  const mimeType = validateUpload(file);
+  const driver = getDriver();
+  const extension = MIME_EXTENSIONS[mimeType];
+
+  const saved = await driver.save(file.buffer, {
+    key: buildStorageKey(folder, userId, extension),
+    mimeType
+  });
+
+  const stored = {
+    storage: driver.name,
+    key: saved.key,
+    url: saved.url || downloadPath,
+    publicId: saved.publicId,
+    originalName: file.originalname,
+    mimeType,
+    size: file.buffer.length,
+    uploadedAt: new Date()
+  };
+
+  if (isImage(mimeType)) {
+    try {
+      const thumbnailBuffer = await generateThumbnail(file.buffer);
+      const thumbnailMimeType = `image/${FILE_STORAGE.THUMBNAIL.FORMAT}`;
+      const thumbnail = await driver.save(thumbnailBuffer, {
+        key: buildStorageKey(folder, userId, MIME_EXTENSIONS[thumbnailMimeType], 'thumb'),
+        mimeType: thumbnailMimeType
+      });
+
+      stored.thumbnail = {
+        key: thumbnail.key,
+        url: thumbnail.url || (downloadPath && `${downloadPath}?variant=thumbnail`),
+        publicId: thumbnail.publicId
+      };
+    } catch (error) {
+      // Une miniature ratée ne doit pas bloquer l'enregistrement du reçu
+      console.warn('⚠️ Miniature non générée:', error.message);
+    }
+  }
+
+  return stored;
+};
+
+/**
+ * URL de redirection sûre : HTTPS vers un hôte de stockage connu
+ * @param {String} url - URL enregistrée
+ * @returns {Boolean}
+ */
+const isTrustedRedirect = (url) => {
+  const hosts = [
+    ...FILE_STORAGE.REDIRECT_HOSTS,
+    ...(process.env.FILE_STORAGE_REDIRECT_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+  ];
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hosts.includes(hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Ouvrir un fichier stocké en lecture
+ * @param {Object} fileData - Métadonnées enregistrées (storeFile)
+ * @param {Object} options - { variant: 'original' | 'thumbnail' }
+ * @returns {Promise<Object>} - { stream } ou { redirectUrl }, avec mimeType et filename
+ */
+const openStoredFile = async (fileData, { variant = 'original' } = {}) => {
+  if (!fileData || (!fileData.key && !fileData.url)) {
+    throw createStorageError('Fichier introuvable', 'file_not_found', 404);
+  }
+
+  const useThumbnail = variant === 'thumbnail' && fileData.thumbnail && fileData.thumbnail.key;
+  const target = useThumbnail
+    ? { ...fileData.thumbnail, mimeType: `image/${FILE_STORAGE.THUMBNAIL.FORMAT}` }
+    : fileData;
+
+  const filename = useThumbnail
+    ? `miniature-${path.parse(fileData.originalName || 'fichier').name}.${FILE_STORAGE.THUMBNAIL.FORMAT}`
+    : (fileData.originalName || path.basename(fileData.key || 'fichier'));
+
+  // Anciens reçus : simple URL externe sans fichier géré
+  const driver = fileData.key ? getDriver(fileData.storage || FILE_STORAGE.DEFAULT_DRIVER) : null;
+  const opened = driver ? await driver.open(target) : { redirectUrl: fileData.url };
+
+  // Jamais de redirection vers une URL arbitraire enregistrée en base
+  if (opened.redirectUrl && !isTrustedRedirect(opened.redirectUrl)) {
+    throw createStorageError('Fichier introuvable', 'file_not_found', 404);
+  }
+
+  return {
+    ...opened,
+    mimeType: target.mimeType || 'application/octet-stream',
+    filename
+  };
+};
+
+/**
+ * Envoyer un fichier stocké dans une réponse HTTP
+ * @param {Object} res - Réponse Express
+ * @param {Object} fileData - Métadonnées enregistrées
+ * @param {Object} options - { variant, inline }
+ */
+const sendStoredFile = async (res, fileData, { variant, inline = false } = {}) => {
+  const file = await openStoredFile(fileData, { variant });
+
+  if (file.redirectUrl) {
+    return res.redirect(file.redirectUrl);
+  }
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader(
+    'Content-Disposition',
+    `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.filename)}`
+  );
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  file.stream.on('error', (error) => {
+    console.error('❌ Erreur lecture fichier:', error.message);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
+
+/**
+ * Supprimer un fichier stocké et sa miniature
+ * Les erreurs sont journalisées : la suppression en base ne doit pas échouer pour autant
+ * @param {Object} fileData - Métadonnées enregistrées
+ */
+const removeStoredFile = async (fileData) => {
+  if (!fileData || !fileData.key) return;
+
+  const driver = getDriver(fileData.storage || FILE_STORAGE.DEFAULT_DRIVER);
+  if (!driver) return;
+
+  const targets = [fileData];
+  if (fileData.thumbnail && fileData.thumbnail.key) {
+    targets.push({ ...fileData.thumbnail, mimeType: `image/${FILE_STORAGE.THUMBNAIL.FORMAT}` });
+  }
+
+  for (const target of targets) {
+    try {
+      await driver.remove(target);
+    } catch (error) {
+      console.error(`❌ Suppression fichier ${target.key} échouée:`, error.message);
+    }
+  }
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  getActiveDriverName,
+  detectMimeType,
+  validateUpload,
+  storeFile,
+  openStoredFile,
+  sendStoredFile,
+  removeStoredFile
+};
@@ -39,17 +39,19 @@ class HabitAnalysisService {
       const avgMonthly = Math.round(avgDaily * 30);
       const avgPerTransaction = Math.round(totalSpent / transactions.length);
 
-      // Grouper par catégorie
+      // Grouper par catégorie (lignes de ventilation si la transaction est ventilée)
       const categoryMap = {};
       transactions.forEach(tx => {
         if (tx.type === 'expense') {
-          const cat = tx.category || 'autre';
-          if (!categoryMap[cat]) {
-            categoryMap[cat] = { total: 0, count: 0, transactions: [] };
-          }
-          categoryMap[cat].total += Math.abs(tx.amount);
-          categoryMap[cat].count++;
-          categoryMap[cat].transactions.push(tx);
+          Transaction.getCategoryLines(tx).forEach(line => {
+            const cat = line.category || 'autre';
+            if (!categoryMap[cat]) {
+              categoryMap[cat] = { total: 0, count: 0, transactions: [] };
+            }
+            categoryMap[cat].total += Math.abs(line.amount);
+            categoryMap[cat].count++;
+            categoryMap[cat].transactions.push(tx);
+          });
         }
       });
 
@@ -350,17 +352,20 @@ class HabitAnalysisService {
 
       const habits = [];
 
-      // 1. Habitudes de catégories récurrentes
+      // 1. Habitudes de catégories récurrentes (par ligne de ventilation)
       const categoryFrequency = {};
+      const categoryTotals = {};
       transactions.forEach(tx => {
-        const cat = tx.category || 'autre';
-        categoryFrequency[cat] = (categoryFrequency[cat] || 0) + 1;
+        Transaction.getCategoryLines(tx).forEach(line => {
+          const cat = line.category || 'autre';
+          categoryFrequency[cat] = (categoryFrequency[cat] || 0) + 1;
+          categoryTotals[cat] = (categoryTotals[cat] || 0) + Math.abs(line.amount);
+        });
       });
 
       Object.entries(categoryFrequency).forEach(([category, count]) => {
         if (count >= 5) {
-          const categoryTxs = transactions.filter(tx => tx.category === category);
-          const avgAmount = categoryTxs.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / count;
+          const avgAmount = categoryTotals[category] / count;
           
           habits.push({
             type: 'category',
@@ -43,7 +43,7 @@ class MLService {
 
       // Si aucun match par mots-clés, classifier par montant
       if (Object.keys(scores).length === 0) {
-        const normalized = MLHelpers.normalizeAmount(amount, metadata.currency || 'HTG');
+        const normalized = MLHelpers.normalizeAmount(amount, metadata.currency || 'HTG', metadata.date);
         
         if (normalized < 100) {
           return {
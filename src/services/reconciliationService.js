@@ -0,0 +1,341 @@
+// src/services/reconciliationService.js - Rapprochement des comptes avec les relevés
+const Transaction = require('../models/Transaction');
+const Reconciliation = require('../models/Reconciliation');
+const { getSignedAmount } = require('./transactionService');
+const { endOfDay } = require('../utils/dateUtils');
+const { roundNumber } = require('../utils/helpers');
+
+/**
+ * Workflow de rapprochement :
+ * ouverture (date + solde du relevé) → pointage des transactions →
+ * finalisation (verrouillage des transactions pointées)
+ *
+ * Solde pointé = solde d'ouverture + transactions cochées
+ * Écart = solde de clôture du relevé - solde pointé
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const BALANCE_TOLERANCE = 0.01;
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de rapprochement avec code et statut HTTP
+ * @param {String} message - Message utilisateur
+ * @param {String} code - Code erreur API
+ * @param {Number} status - Statut HTTP
+ * @param {Object} details - Détails optionnels
+ * @returns {Error}
+ */
+const createReconciliationError = (message, code, status = 400, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Solde déjà pointé d'un compte sans rapprochement antérieur :
+ * solde courant moins les transactions confirmées non rapprochées
+ * @param {Object} account - Compte
+ * @returns {Promise<Number>}
+ */
+const computeReconciledBalance = async (account) => {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        account: account._id,
+        isConfirmed: true,
+        isReconciled: { $ne: true }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        net: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'income'] }, '$amount', { $multiply: ['$amount', -1] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  return roundNumber(account.currentBalance - (result?.net || 0), 2);
+};
+
+/**
+ * Transactions confirmées non rapprochées jusqu'à la date du relevé
+ * @param {Object} session - Rapprochement
+ * @returns {Promise<Array>}
+ */
+const findCandidateTransactions = (session) => {
+  return Transaction.find({
+    account: session.account,
+    isConfirmed: true,
+    isReconciled: { $ne: true },
+    date: { $lte: endOfDay(session.statementEndDate) }
+  })
+    .sort({ date: 1, _id: 1 })
+    .select('date description type amount category subcategory reference merchant')
+    .lean();
+};
+
+/**
+ * Calculer l'état d'une session à partir des transactions candidates
+ * @param {Object} session - Rapprochement
+ * @param {Array} candidates - Transactions candidates
+ * @returns {Object} - { items, totals }
+ */
+const buildSessionStatus = (session, candidates) => {
+  const cleared = new Set(session.clearedTransactions.map(id => id.toString()));
+  let clearedTotal = 0;
+  let unclearedTotal = 0;
+
+  const items = candidates.map(transaction => {
+    const signedAmount = getSignedAmount(transaction.type, transaction.amount);
+    const isCleared = cleared.has(transaction._id.toString());
+
+    if (isCleared) clearedTotal += signedAmount;
+    else unclearedTotal += signedAmount;
+
+    return { ...transaction, signedAmount, cleared: isCleared };
+  });
+
+  const clearedBalance = roundNumber(session.openingBalance + clearedTotal, 2);
+  const difference = roundNumber(session.statementClosingBalance - clearedBalance, 2);
+
+  return {
+    items,
+    totals: {
+      openingBalance: session.openingBalance,
+      statementClosingBalance: session.statementClosingBalance,
+      clearedCount: items.filter(item => item.cleared).length,
+      clearedTotal: roundNumber(clearedTotal, 2),
+      clearedBalance,
+      unclearedCount: items.filter(item => !item.cleared).length,
+      unclearedTotal: roundNumber(unclearedTotal, 2),
+      difference,
+      isBalanced: Math.abs(difference) < BALANCE_TOLERANCE
+    }
+  };
+};
+
+// ===================================================================
+// WORKFLOW
+// ===================================================================
+
+/**
+ * Ouvrir une session de rapprochement
+ * @param {Object} account - Compte (appartenant à l'utilisateur)
+ * @param {Object} statement - { statementEndDate, statementClosingBalance, notes }
+ * @returns {Promise<Object>} - Session créée
+ */
+const openSession = async (account, { statementEndDate, statementClosingBalance, notes }) => {
+  const existing = await Reconciliation.findOne({ account: account._id, status: 'open' });
+  if (existing) {
+    throw createReconciliationError(
+      'Un rapprochement est déjà en cours pour ce compte',
+      'reconciliation_already_open',
+      409,
+      { reconciliationId: existing._id }
+    );
+  }
+
+  const previous = await Reconciliation.findLastFinalized(account._id);
+  if (previous && statementEndDate <= previous.statementEndDate) {
+    throw createReconciliationError(
+      'La date du relevé doit suivre celle du dernier rapprochement',
+      'statement_date_before_last_reconciliation',
+      400,
+      { lastStatementEndDate: previous.statementEndDate }
+    );
+  }
+
+  // Relevés successifs : le solde d'ouverture est la clôture du relevé précédent
+  const openingBalance = previous
+    ? previous.statementClosingBalance
+    : await computeReconciledBalance(account);
+
+  return Reconciliation.create({
+    user: account.user,
+    account: account._id,
+    currency: account.currency,
+    statementEndDate,
+    statementClosingBalance,
+    openingBalance,
+    previousReconciliation: previous?._id,
+    notes
+  });
+};
+
+/**
+ * Détails d'une session : transactions à pointer et écart en direct
+ * Une session terminée renvoie les transactions qu'elle a verrouillées
+ * @param {Object} session - Rapprochement
+ * @returns {Promise<Object>}
+ */
+const getSessionDetails = async (session) => {
+  if (session.status !== 'open') {
+    const items = await Transaction.find({ reconciliation: session._id })
+      .sort({ date: 1 })
+      .select('date description type amount category subcategory reconciledDate')
+      .lean();
+
+    return { session, items, totals: session.summary };
+  }
+
+  const candidates = await findCandidateTransactions(session);
+  return { session, ...buildSessionStatus(session, candidates) };
+};
+
+/**
+ * Cocher / décocher des transactions
+ * @param {Object} session - Rapprochement ouvert
+ * @param {Array} transactionIds - IDs de transactions
+ * @param {Boolean} cleared - true pour cocher, false pour décocher
+ * @returns {Promise<Object>} - Détails mis à jour
+ */
+const setClearedTransactions = async (session, transactionIds, cleared = true) => {
+  if (session.status !== 'open') {
+    throw createReconciliationError('Ce rapprochement est terminé', 'reconciliation_closed', 409);
+  }
+
+  const candidates = await findCandidateTransactions(session);
+  const candidateIds = new Set(candidates.map(transaction => transaction._id.toString()));
+  const invalidIds = transactionIds.filter(id => !candidateIds.has(id.toString()));
+
+  if (invalidIds.length > 0) {
+    throw createReconciliationError(
+      'Certaines transactions ne font pas partie de ce relevé',
+      'invalid_reconciliation_items',
+      400,
+      { invalidIds }
+    );
+  }
+
+  const current = new Set(session.clearedTransactions.map(id => id.toString()));
+  transactionIds.forEach(id => (cleared ? current.add(id.toString()) : current.delete(id.toString())));
+
+  session.clearedTransactions = [...current];
+  await session.save();
+
+  return { session, ...buildSessionStatus(session, candidates) };
+};
+
+/**
+ * Finaliser : verrouiller les transactions pointées et figer le résumé
+ * @param {Object} session - Rapprochement ouvert
+ * @param {Object} options - { acceptDifference } pour clôturer malgré un écart
+ * @returns {Promise<Object>} - Détails de la session finalisée
+ */
+const finalizeSession = async (session, { acceptDifference = false } = {}) => {
+  if (session.status !== 'open') {
+    throw createReconciliationError('Ce rapprochement est terminé', 'reconciliation_closed', 409);
+  }
+
+  const candidates = await findCandidateTransactions(session);
+  const { items, totals } = buildSessionStatus(session, candidates);
+
+  if (totals.clearedCount === 0) {
+    throw createReconciliationError('Aucune transaction pointée', 'no_cleared_transactions', 400);
+  }
+
+  if (!totals.isBalanced && !acceptDifference) {
+    throw createReconciliationError(
+      `Écart de ${totals.difference} ${session.currency} avec le relevé`,
+      'reconciliation_not_balanced',
+      409,
+      totals
+    );
+  }
+
+  const clearedIds = items.filter(item => item.cleared).map(item => item._id);
+  const reconciledDate = new Date();
+
+  // Transactions pointées entre-temps supprimées ou déplacées : ignorées
+  await Transaction.updateMany(
+    { _id: { $in: clearedIds }, isReconciled: { $ne: true } },
+    { $set: { isReconciled: true, reconciledDate, reconciliation: session._id } }
+  );
+
+  session.clearedTransactions = clearedIds;
+  session.status = 'finalized';
+  session.finalizedAt = reconciledDate;
+  session.summary = {
+    clearedCount: totals.clearedCount,
+    clearedTotal: totals.clearedTotal,
+    clearedBalance: totals.clearedBalance,
+    difference: totals.difference,
+    differenceAccepted: !totals.isBalanced
+  };
+  await session.save();
+
+  return getSessionDetails(session);
+};
+
+/**
+ * Abandonner une session ouverte (aucune transaction verrouillée)
+ * @param {Object} session - Rapprochement ouvert
+ * @returns {Promise<Object>}
+ */
+const cancelSession = async (session) => {
+  if (session.status !== 'open') {
+    throw createReconciliationError('Ce rapprochement est terminé', 'reconciliation_closed', 409);
+  }
+
+  session.status = 'cancelled';
+  session.cancelledAt = new Date();
+  return session.save();
+};
+
+// ===================================================================
+// VERROUILLAGE
+// ===================================================================
+
+/**
+ * Champs verrouillés qu'une mise à jour modifierait sur une transaction rapprochée
+ * @param {Object} transaction - Transaction existante
+ * @param {Object} updateData - Données de mise à jour
+ * @returns {Array<String>} - Champs refusés (vide si la mise à jour est permise)
+ */
+const getLockedFieldChanges = (transaction, updateData) => {
+  if (!transaction.isReconciled) return [];
+
+  return Transaction.RECONCILED_LOCKED_FIELDS.filter(field => {
+    if (updateData[field] === undefined) return false;
+
+    const current = transaction[field];
+    const next = updateData[field];
+
+    if (field === 'date') return new Date(next).getTime() !== new Date(current).getTime();
+    if (typeof current === 'number') return parseFloat(next) !== current;
+    if (field === 'splits') {
+      const normalize = (lines) => JSON.stringify((lines || []).map(line => [parseFloat(line.amount), line.category]));
+      return normalize(next) !== normalize(current);
+    }
+
+    const currentId = current && current._id ? current._id : current;
+    return String(next) !== String(currentId);
+  });
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  computeReconciledBalance,
+  buildSessionStatus,
+  openSession,
+  getSessionDetails,
+  setClearedTransactions,
+  finalizeSession,
+  cancelSession,
+  getLockedFieldChanges
+};
@@ -0,0 +1,380 @@
+// src/services/smsParserService.js - Lecture des SMS MonCash / NatCash
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const { suggestCategory } = require('./statementImportService');
+const { TRANSACTION_TYPES, HAITI_BANKS, LIMITS } = require('../utils/constants');
+const { roundNumber } = require('../utils/helpers');
+
+/**
+ * Transforme les SMS de confirmation mobile money (Digicel MonCash, Natcom NatCash)
+ * en transactions brouillon, puis compare le solde annoncé au solde du compte.
+ *
+ * Chaque opérateur a son parser, enregistré dans SMS_PARSERS. Un parser expose :
+ * - id       : clé HAITI_BANKS du compte correspondant
+ * - detect() : true si le SMS vient de cet opérateur
+ * - parse()  : { type, amount, fee, balance, counterparty, reference, date, description } ou null
+ */
+
+// Montant avec devise avant ou après : "HTG 1,250.00", "1 250,00 HTG", "500 gdes"
+const AMOUNT_PATTERN = '(?:HTG|USD|\\$)?\\s*(\\d[\\d\\s.,]*\\d|\\d)\\s*(?:HTG|USD|gdes|gourdes|goud)?';
+
+// ===================================================================
+// UTILITAIRES DE PARSING
+// ===================================================================
+
+/**
+ * Convertir un montant SMS quel que soit le format ("1,250.00", "1 250,00", "1250")
+ * @param {String} value - Montant brut
+ * @returns {Number|null}
+ */
+const parseSmsAmount = (value) => {
+  if (!value) return null;
+
+  let text = String(value).replace(/\s/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma > lastDot && text.length - lastComma - 1 === 2) {
+    // Virgule décimale : 1.250,00 → 1250.00
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : roundNumber(amount, 2);
+};
+
+/**
+ * Montant qui suit un des mots-clés donnés
+ * @param {String} text - SMS
+ * @param {Array<String>} keywords - Mots-clés (regex)
+ * @returns {Number|null}
+ */
+const findAmountAfter = (text, keywords) => {
+  const regex = new RegExp(`(?:${keywords.join('|')})[^\\d]{0,25}?${AMOUNT_PATTERN}`, 'i');
+  const match = text.match(regex);
+  return match ? parseSmsAmount(match[1]) : null;
+};
+
+/**
+ * Date du SMS si présente (05/03/2026 14:22 ou 2026-03-05 14:22)
+ * @param {String} text - SMS
+ * @returns {Date|null}
+ */
+const findSmsDate = (text) => {
+  let match = text.match(/(\d{2})\/(\d{2})\/(\d{4})(?:\s+(?:a\s+|à\s+)?(\d{1,2})[:h](\d{2}))?/i);
+  if (match) {
+    const [, day, month, year, hours = 0, minutes = 0] = match;
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
+  match = text.match(/(\d{4})-(\d{2})-(\d{2})(?:[\sT]+(\d{1,2}):(\d{2}))?/);
+  if (match) {
+    const [, year, month, day, hours = 0, minutes = 0] = match;
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
+  return null;
+};
+
+/**
+ * Découper un texte collé en messages individuels
+ * Séparateurs : ligne vide ou début d'un nouveau SMS opérateur
+ * @param {String} text - Texte brut
+ * @returns {Array<String>}
+ */
+const splitMessages = (text) => {
+  return String(text || '')
+    .replace(/\r/g, '')
+    .split(/\n\s*\n|\n(?=(?:MonCash|NatCash|Digicel|Natcom)\b)/i)
+    .map(message => message.replace(/\s+/g, ' ').trim())
+    .filter(message => message.length > 10);
+};
+
+// ===================================================================
+// PARSERS PAR OPÉRATEUR
+// ===================================================================
+
+/**
+ * Fabrique de parser mobile money (SMS en créole, français ou anglais)
+ * @param {Object} config - { id, detectPattern, incomeKeywords, expenseKeywords, ... }
+ * @returns {Object} - Parser { id, name, detect, parse }
+ */
+const createMobileMoneyParser = (config) => ({
+  id: config.id,
+  name: HAITI_BANKS[config.id]?.name || config.id,
+
+  detect: (text) => config.detectPattern.test(text),
+
+  parse: (text) => {
+    const isIncome = new RegExp(config.incomeKeywords.join('|'), 'i').test(text);
+    const isExpense = new RegExp(config.expenseKeywords.join('|'), 'i').test(text);
+
+    if (!isIncome && !isExpense) return null;
+
+    const type = isIncome && !isExpense ? TRANSACTION_TYPES.INCOME : TRANSACTION_TYPES.EXPENSE;
+    const amount = findAmountAfter(text, type === TRANSACTION_TYPES.INCOME ? config.incomeKeywords : config.expenseKeywords);
+
+    if (!amount) return null;
+
+    const fee = findAmountAfter(text, config.feeKeywords) || 0;
+    const balance = findAmountAfter(text, config.balanceKeywords);
+
+    const referenceMatch = text.match(config.referencePattern);
+    const phoneMatch = text.match(/(?<!\d)(?:\+?509[\s-]?)?(\d{4}[\s-]?\d{4})(?!\d)/);
+    const nameMatch = text.match(/\(([A-Za-zÀ-ÿ' .-]{2,40})\)/) ||
+      text.match(new RegExp(`(?:${config.counterpartyKeywords.join('|')})\\s+([A-Z][A-Za-zÀ-ÿ'.-]+(?:\\s+[A-Z][A-Za-zÀ-ÿ'.-]+){0,3})`));
+
+    const counterparty = {
+      name: nameMatch ? nameMatch[1].trim() : undefined,
+      phone: phoneMatch ? phoneMatch[1].replace(/[\s-]/g, '') : undefined
+    };
+
+    const who = counterparty.name || counterparty.phone;
+    const label = type === TRANSACTION_TYPES.INCOME ? 'Reçu' : 'Envoyé';
+
+    return {
+      type,
+      amount,
+      fee,
+      balance,
+      counterparty,
+      reference: referenceMatch ? referenceMatch[1] : undefined,
+      date: findSmsDate(text),
+      description: `${config.label} - ${label}${who ? ` ${type === TRANSACTION_TYPES.INCOME ? 'de' : 'à'} ${who}` : ''}`
+    };
+  }
+});
+
+/**
+ * Parsers enregistrés (clé = HAITI_BANKS)
+ */
+const SMS_PARSERS = {
+  moncash: createMobileMoneyParser({
+    id: 'moncash',
+    label: 'MonCash',
+    detectPattern: /moncash|digicel/i,
+    incomeKeywords: ['resevwa', 're[çc]u', 'received', 'depo', 'd[ée]p[ôo]t', 'cr[ée]dit[ée]'],
+    expenseKeywords: ['voye', 'envoy[ée]', 'sent', 'peye', 'pay[ée]', 'paiement', 'payment', 'retire', 'retrait', 'withdraw', 'achte', 'achat'],
+    feeKeywords: ['fr[eè]', 'frais', 'fee'],
+    balanceKeywords: ['balans', 'solde', 'balance'],
+    counterpartyKeywords: ['bay', 'nan men', 'de', 'a', 'à', 'to', 'from'],
+    referencePattern: /(?:ID\s*(?:Tranzaksyon|Transaction)?|Transaction\s*ID|Tranzaksyon|Ref(?:[ée]rence)?)\s*[:#.]?\s*([A-Z0-9-]{5,})/i
+  }),
+
+  natcash: createMobileMoneyParser({
+    id: 'natcash',
+    label: 'NatCash',
+    detectPattern: /natcash|natcom/i,
+    incomeKeywords: ['resevwa', 're[çc]u', 'received', 'depo', 'd[ée]p[ôo]t', 'cr[ée]dit[ée]'],
+    expenseKeywords: ['voye', 'transf[ée]r[ée]', 'envoy[ée]', 'sent', 'peye', 'pay[ée]', 'paiement', 'retire', 'retrait', 'achat'],
+    feeKeywords: ['fr[eè]', 'frais', 'fee', 'komisyon', 'commission'],
+    balanceKeywords: ['balans', 'nouveau solde', 'solde', 'balance'],
+    counterpartyKeywords: ['bay', 'nan men', 'de', 'a', 'à', 'to', 'from'],
+    referencePattern: /(?:TID|Trans(?:action)?\s*ID|ID|Code|Ref(?:[ée]rence)?)\s*[:#.]?\s*([A-Z0-9-]{5,})/i
+  })
+};
+
+/**
+ * Enregistrer un parser supplémentaire (nouvel opérateur ou format)
+ * @param {String} id - Clé HAITI_BANKS
+ * @param {Object} parser - { detect, parse }
+ */
+const registerSmsParser = (id, parser) => {
+  SMS_PARSERS[id] = { id, name: HAITI_BANKS[id]?.name || id, ...parser };
+};
+
+// ===================================================================
+// PARSING DES MESSAGES
+// ===================================================================
+
+/**
+ * Parser un ou plusieurs SMS collés
+ * @param {String} text - Texte brut
+ * @param {String} provider - Opérateur imposé (sinon détection automatique)
+ * @returns {Array} - [{ raw, provider, parsed, error }]
+ */
+const parseSmsMessages = (text, provider = null) => {
+  return splitMessages(text).map(raw => {
+    const parser = provider
+      ? SMS_PARSERS[provider]
+      : Object.values(SMS_PARSERS).find(candidate => candidate.detect(raw));
+
+    if (!parser) {
+      return { raw, provider: null, parsed: null, error: 'Opérateur non reconnu (MonCash ou NatCash)' };
+    }
+
+    const parsed = parser.parse(raw);
+
+    return parsed
+      ? { raw, provider: parser.id, parsed, error: null }
+      : { raw, provider: parser.id, parsed: null, error: 'Montant ou type d\'opération introuvable' };
+  });
+};
+
+// ===================================================================
+// BROUILLONS & RAPPROCHEMENT
+// ===================================================================
+
+/**
+ * Créer les transactions brouillon (isPending) pour les SMS d'un compte
+ * Le solde ne bouge qu'à la confirmation (PUT /:transactionId/confirm)
+ * @param {String} userId - ID utilisateur
+ * @param {Object} account - Compte moncash/natcash
+ * @param {Array} messages - Résultat de parseSmsMessages (même opérateur)
+ * @returns {Object} - { drafts, skipped }
+ */
+const createDraftsFromSms = async (userId, account, messages) => {
+  const batchId = crypto.randomUUID();
+  const drafts = [];
+  const skipped = [];
+
+  for (const message of messages) {
+    const { parsed } = message;
+
+    // SMS déjà collé auparavant
+    if (parsed.reference) {
+      const existing = await Transaction.exists({
+        user: userId,
+        account: account._id,
+        'importReference.externalId': parsed.reference
+      });
+
+      if (existing) {
+        skipped.push({ reference: parsed.reference, reason: 'already_imported' });
+        continue;
+      }
+    }
+
+    if (parsed.amount < LIMITS.TRANSACTION.MIN_AMOUNT) {
+      skipped.push({ reference: parsed.reference, reason: 'invalid_amount' });
+      continue;
+    }
+
+    const suggestion = await suggestCategory(parsed.description, parsed.amount, parsed.type);
+    const importReference = {
+      batchId,
+      source: 'sms',
+      bank: account.bankName,
+      externalId: parsed.reference,
+      quotedBalance: parsed.balance,
+      importedAt: new Date()
+    };
+
+    const draft = await Transaction.create({
+      user: userId,
+      account: account._id,
+      amount: parsed.amount,
+      type: parsed.type,
+      description: parsed.description,
+      category: suggestion.category,
+      date: parsed.date || new Date(),
+      paymentMethod: account.bankName,
+      merchant: parsed.counterparty.name || parsed.counterparty.phone
+        ? { name: parsed.counterparty.name, phone: parsed.counterparty.phone }
+        : undefined,
+      notes: message.raw.slice(0, 500),
+      isConfirmed: false,
+      isPending: true,
+      importReference
+    });
+    drafts.push(draft);
+
+    // Frais opérateur : brouillon séparé pour garder le montant principal exact
+    if (parsed.fee >= LIMITS.TRANSACTION.MIN_AMOUNT) {
+      const feeDraft = await Transaction.create({
+        user: userId,
+        account: account._id,
+        amount: parsed.fee,
+        type: TRANSACTION_TYPES.EXPENSE,
+        description: `Frais ${HAITI_BANKS[account.bankName]?.name || account.bankName}${parsed.reference ? ` (${parsed.reference})` : ''}`,
+        category: 'factures',
+        date: parsed.date || new Date(),
+        paymentMethod: account.bankName,
+        isConfirmed: false,
+        isPending: true,
+        importReference: {
+          ...importReference,
+          externalId: parsed.reference ? `${parsed.reference}-fee` : undefined,
+          quotedBalance: undefined
+        }
+      });
+      drafts.push(feeDraft);
+    }
+  }
+
+  return { drafts, skipped };
+};
+
+/**
+ * Comparer le solde annoncé par le dernier SMS au solde attendu du compte
+ * Attendu = solde actuel + brouillons en attente (non encore confirmés)
+ * @param {Object} account - Compte (document mongoose)
+ * @param {Array} messages - Messages parsés
+ * @param {Object} options - { sync: true pour aligner le solde sur le SMS }
+ * @returns {Object|null} - Rapprochement ou null si aucun SMS ne cite de solde
+ */
+const reconcileWithSmsBalance = async (account, messages, { sync = false } = {}) => {
+  const withBalance = messages
+    .filter(message => message.parsed && message.parsed.balance !== null && message.parsed.balance !== undefined)
+    .sort((a, b) => (a.parsed.date || 0) - (b.parsed.date || 0));
+
+  if (withBalance.length === 0) return null;
+
+  const latest = withBalance[withBalance.length - 1].parsed;
+
+  const pending = await Transaction.find({
+    account: account._id,
+    isConfirmed: false,
+    isPending: true
+  }).select('amount type');
+
+  const pendingTotal = roundNumber(pending.reduce((sum, transaction) => {
+    return sum + (transaction.type === TRANSACTION_TYPES.INCOME ? transaction.amount : -transaction.amount);
+  }, 0), 2);
+
+  const expectedBalance = roundNumber(account.currentBalance + pendingTotal, 2);
+  const difference = roundNumber(latest.balance - expectedBalance, 2);
+
+  const reconciliation = {
+    quotedBalance: latest.balance,
+    quotedReference: latest.reference,
+    currentBalance: account.currentBalance,
+    pendingTotal,
+    expectedBalance,
+    difference,
+    isConsistent: Math.abs(difference) < 0.01,
+    synced: false
+  };
+
+  // Aligner le solde : l'écart vient d'opérations jamais saisies
+  if (sync && !reconciliation.isConsistent) {
+    await account.updateBalance(
+      difference,
+      `Synchronisation solde SMS${latest.reference ? ` (${latest.reference})` : ''}`,
+      { source: 'sync', date: latest.date || new Date() }
+    );
+
+    reconciliation.synced = true;
+    reconciliation.newBalance = account.currentBalance;
+  }
+
+  return reconciliation;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  // Parsers
+  SMS_PARSERS,
+  registerSmsParser,
+  createMobileMoneyParser,
+  parseSmsMessages,
+  parseSmsAmount,
+
+  // Brouillons & rapprochement
+  createDraftsFromSms,
+  reconcileWithSmsBalance
+};
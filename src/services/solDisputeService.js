@@ -0,0 +1,172 @@
+// src/services/solDisputeService.js - Litiges sur les rounds de sol FinApp Haiti
+const SolEvent = require('../models/SolEvent');
+
+/**
+ * Un membre conteste un round (cotisation non reconnue, main incomplète,
+ * vérification refusée à tort...) :
+ * 1. il ouvre un litige sur un round déjà ouvert aux cotisations
+ * 2. membres et organisateur échangent des commentaires
+ * 3. l'organisateur le déclare résolu ou rejeté, avec une note
+ * Un litige ne modifie ni paiements ni mains : la correction éventuelle
+ * passe par les actions habituelles (vérification, pénalités, dissolution).
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const DISPUTE_CATEGORIES = ['missing_payment', 'payout_amount', 'payment_verification', 'recipient', 'other'];
+
+// Rounds déjà ouverts aux cotisations (un seul litige ouvert par membre et par round)
+const DISPUTABLE_ROUND_STATUSES = ['active', 'completed', 'cancelled'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de litige avec code et statut HTTP
+ */
+const createDisputeError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+/**
+ * Trouver un litige, éventuellement encore ouvert
+ */
+const findDispute = (sol, disputeId, { open = false } = {}) => {
+  const dispute = sol.disputes.id(disputeId);
+
+  if (!dispute) {
+    throw createDisputeError('Litige introuvable', 'dispute_not_found', 404);
+  }
+
+  if (open && dispute.status !== 'open') {
+    throw createDisputeError('Ce litige est déjà clos', 'dispute_closed', 409);
+  }
+
+  return dispute;
+};
+
+// ===================================================================
+// LITIGES
+// ===================================================================
+
+/**
+ * Ouvrir un litige sur un round
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {String} userId - Membre
+ * @param {Object} data - { roundNumber, category, title, description }
+ * @returns {Object} - Litige créé
+ */
+const openDispute = (sol, userId, { roundNumber, category = 'other', title, description } = {}) => {
+  const round = sol.rounds.find(r => r.roundNumber === roundNumber);
+
+  if (!round) {
+    throw createDisputeError(`Round ${roundNumber} inexistant`, 'round_not_found', 404);
+  }
+
+  if (!DISPUTABLE_ROUND_STATUSES.includes(round.status)) {
+    throw createDisputeError(
+      `Le round ${roundNumber} n'a pas encore commencé`,
+      'round_not_disputable',
+      409
+    );
+  }
+
+  const hasOpenDispute = sol.disputes.some(dispute =>
+    dispute.roundNumber === roundNumber &&
+    dispute.status === 'open' &&
+    sameId(dispute.openedBy, userId)
+  );
+  if (hasOpenDispute) {
+    throw createDisputeError('Vous avez déjà un litige ouvert sur ce round', 'dispute_exists', 409);
+  }
+
+  sol.disputes.push({ roundNumber, openedBy: userId, category, title, description });
+  return sol.disputes[sol.disputes.length - 1];
+};
+
+/**
+ * Commenter un litige ouvert
+ */
+const addDisputeComment = (sol, disputeId, userId, message) => {
+  const dispute = findDispute(sol, disputeId, { open: true });
+
+  dispute.comments.push({ author: userId, message });
+  return dispute;
+};
+
+/**
+ * Trancher un litige (organisateur)
+ * @param {String} status - resolved | rejected
+ */
+const resolveDispute = (sol, disputeId, actor, { status, note } = {}) => {
+  const dispute = findDispute(sol, disputeId, { open: true });
+
+  dispute.status = status;
+  dispute.resolution = { decidedBy: actor, decidedAt: new Date(), note };
+  return dispute;
+};
+
+/**
+ * Litiges visibles par un membre, les ouverts d'abord
+ */
+const listDisputes = (sol, { status, roundNumber } = {}) => {
+  return sol.disputes
+    .filter(dispute =>
+      (!status || dispute.status === status) &&
+      (!roundNumber || dispute.roundNumber === roundNumber)
+    )
+    .sort((a, b) =>
+      (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1) ||
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+};
+
+// ===================================================================
+// JOURNAL
+// ===================================================================
+
+/**
+ * Journaliser l'ouverture ou la décision d'un litige
+ */
+const recordDisputeEvent = (sol, dispute, { actor, session = null } = {}) => {
+  const opened = dispute.status === 'open';
+
+  return SolEvent.record(sol, opened ? 'dispute_opened' : 'dispute_resolved', {
+    trigger: 'dispute',
+    actor,
+    roundNumber: dispute.roundNumber,
+    details: {
+      disputeId: dispute._id,
+      category: dispute.category,
+      title: dispute.title,
+      openedBy: dispute.openedBy,
+      ...(opened ? {} : { outcome: dispute.status, note: dispute.resolution.note })
+    },
+    session
+  });
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  DISPUTE_CATEGORIES,
+  openDispute,
+  addDisputeComment,
+  resolveDispute,
+  listDisputes,
+  recordDisputeEvent
+};
@@ -0,0 +1,157 @@
+// src/services/solHandService.js - Mains partagées et multiples FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+
+/**
+ * Une main (position) peut être partagée entre plusieurs membres
+ * ("mwatye men", parts en pourcentage totalisant 100) et un membre peut
+ * tenir plusieurs mains (une entrée participants[] par position).
+ * Cotisation et main versée suivent la part de chacun.
+ */
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de répartition avec code et statut HTTP
+ */
+const createHandError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+// ===================================================================
+// ATTRIBUTION DES PARTS
+// ===================================================================
+
+/**
+ * Vérifier qu'une demande de parts peut être servie (sans rien attribuer)
+ * @param {Object} sol - Sol en recrutement
+ * @param {Number} share - Parts demandées
+ */
+const assertShareAvailable = (sol, share) => {
+  if (sol.turnOrder && sol.turnOrder.mode === 'auction' && share !== 100) {
+    throw createHandError(
+      'Les enchères se font sur une main entière par membre',
+      'auction_single_hand'
+    );
+  }
+
+  const free = sol.maxParticipants * 100 - sol.getAllocatedShare();
+  if (share > free) {
+    throw createHandError(
+      `Parts disponibles insuffisantes (${free / 100} main(s) libre(s))`,
+      'share_unavailable',
+      409
+    );
+  }
+};
+
+/**
+ * Attribuer des parts de main à un membre : une demi-main complète d'abord
+ * une main déjà entamée, sinon ouvre la prochaine position libre
+ * @param {Object} sol - Sol en recrutement (modifié, non sauvegardé)
+ * @param {String} userId - Membre
+ * @param {Number} share - Parts demandées (50 = demi-main, 200 = deux mains)
+ * @param {Object} fields - Champs de l'entrée participant (role, joinedAt...)
+ * @returns {Array} - Entrées participants créées
+ */
+const allocateHands = (sol, userId, share, fields = {}) => {
+  assertShareAvailable(sol, share);
+
+  const created = [];
+  let remaining = share;
+
+  while (remaining > 0) {
+    const chunk = Math.min(remaining, 100);
+    const hands = sol.getHands();
+
+    const partialHand = hands.find(hand =>
+      hand.allocated < 100 &&
+      100 - hand.allocated >= chunk &&
+      !hand.holders.some(holder => sameId(holder.user, userId))
+    );
+
+    let position = partialHand ? partialHand.position : null;
+    if (!position) {
+      const used = new Set(hands.map(hand => hand.position));
+      for (let candidate = 1; candidate <= sol.maxParticipants; candidate++) {
+        if (!used.has(candidate)) {
+          position = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!position) {
+      throw createHandError(
+        'Aucune main ne peut accueillir cette part',
+        'share_unavailable',
+        409
+      );
+    }
+
+    sol.participants.push({ ...fields, user: userId, position, share: chunk });
+    created.push(sol.participants[sol.participants.length - 1]);
+    remaining -= chunk;
+  }
+
+  return created;
+};
+
+/**
+ * Retirer toutes les parts d'un membre et renuméroter les positions
+ * restantes sans séparer les mains partagées
+ * @param {Object} sol - Sol en recrutement (modifié, non sauvegardé)
+ * @param {String} userId - Membre qui part
+ */
+const releaseHands = (sol, userId) => {
+  sol.participants = sol.participants.filter(participant => !sameId(participant.user, userId));
+
+  const positions = [...new Set(sol.participants.map(participant => participant.position))].sort((a, b) => a - b);
+  sol.participants.forEach(participant => {
+    participant.position = positions.indexOf(participant.position) + 1;
+  });
+};
+
+// ===================================================================
+// RÉPARTITION DES MONTANTS
+// ===================================================================
+
+/**
+ * Répartir un montant selon les parts (au centime, reliquat au dernier)
+ * @param {Number} amount - Montant à répartir
+ * @param {Array} holders - [{ user, share }]
+ * @returns {Array} - [{ user, share, amount }]
+ */
+const splitByShares = (amount, holders) => {
+  const totalShare = holders.reduce((sum, holder) => sum + holder.share, 0);
+  let distributed = 0;
+
+  return holders.map((holder, index) => {
+    const part = index === holders.length - 1
+      ? roundNumber(amount - distributed, 2)
+      : roundNumber(amount * holder.share / totalShare, 2);
+    distributed += part;
+    return { user: toId(holder.user), share: holder.share, amount: part };
+  });
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  assertShareAvailable,
+  allocateHands,
+  releaseHands,
+  splitByShares
+};
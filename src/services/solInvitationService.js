@@ -0,0 +1,305 @@
+// src/services/solInvitationService.js - Invitations et adhésions aux sols FinApp Haiti
+const QRCode = require('qrcode');
+const { generateSolInvitationToken, verifySolInvitationToken } = require('../config/jwt');
+const { assertShareAvailable } = require('./solHandService');
+
+/**
+ * Deux portes d'entrée dans un sol en recrutement :
+ * - le code d'accès historique (6 caractères)
+ * - une invitation signée, partagée en lien profond ou en QR code. Le token
+ *   JWT ne contient que le sol et l'invitation ; expiration, révocation et
+ *   nombre d'utilisations sont vérifiés sur l'invitation enregistrée
+ * Si sol.requiresApproval, l'adhésion passe par une demande que
+ * l'organisateur accepte ou refuse (file joinRequests).
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  DEFAULT_EXPIRY_HOURS: 72,
+  MAX_EXPIRY_HOURS: 30 * 24,
+  JOIN_BASE_URL: process.env.SOL_INVITATION_BASE_URL ||
+    `${process.env.FRONTEND_URL || 'https://finapp-haiti.com'}/sols/join`,
+  QR_FORMATS: ['png', 'svg'],
+  QR_DEFAULT_SIZE: 320
+};
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur d'adhésion avec code et statut HTTP
+ */
+const createInvitationError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+/**
+ * État courant d'une invitation
+ * @returns {String} - active | revoked | expired | exhausted
+ */
+const getInvitationStatus = (invitation, now = new Date()) => {
+  if (invitation.revokedAt) return 'revoked';
+  if (new Date(invitation.expiresAt) <= now) return 'expired';
+  if (invitation.maxUses && invitation.useCount >= invitation.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// ===================================================================
+// INVITATIONS
+// ===================================================================
+
+/**
+ * Token et lien profond d'une invitation (identiques à chaque appel)
+ * @returns {Object} - { token, link }
+ */
+const buildInvitationLink = (sol, invitation) => {
+  const token = generateSolInvitationToken({
+    solId: sol._id,
+    invitationId: invitation._id,
+    expiresAt: invitation.expiresAt
+  });
+
+  return { token, link: `${CONFIG.JOIN_BASE_URL}?invite=${encodeURIComponent(token)}` };
+};
+
+/**
+ * Créer une invitation (organisateur)
+ * @param {Object} sol - Sol en recrutement (modifié, non sauvegardé)
+ * @param {String} actor - Organisateur
+ * @param {Object} options - { maxUses (null = illimité), expiresInHours, label, now }
+ * @returns {Object} - { invitation, token, link }
+ */
+const createInvitation = (sol, actor, { maxUses = 1, expiresInHours = CONFIG.DEFAULT_EXPIRY_HOURS, label, now = new Date() } = {}) => {
+  if (sol.status !== 'recruiting') {
+    throw createInvitationError('Ce sol n\'accepte plus de nouveaux participants', 'sol_not_recruiting', 409);
+  }
+
+  const hours = Math.min(expiresInHours, CONFIG.MAX_EXPIRY_HOURS);
+
+  sol.invitations.push({
+    createdBy: actor,
+    label,
+    maxUses,
+    expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+  });
+
+  const invitation = sol.invitations[sol.invitations.length - 1];
+  return { invitation, ...buildInvitationLink(sol, invitation) };
+};
+
+/**
+ * Révoquer une invitation : ses liens et QR codes cessent de fonctionner
+ */
+const revokeInvitation = (sol, invitationId, actor) => {
+  const invitation = sol.invitations.id(invitationId);
+
+  if (!invitation) {
+    throw createInvitationError('Invitation introuvable', 'invitation_not_found', 404);
+  }
+
+  if (invitation.revokedAt) {
+    throw createInvitationError('Cette invitation est déjà révoquée', 'invitation_revoked', 409);
+  }
+
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = actor;
+  return invitation;
+};
+
+/**
+ * Lire un token d'invitation (signature et expiration)
+ * @returns {Object} - { solId, invitationId }
+ */
+const decodeInvitationToken = (token) => {
+  const result = verifySolInvitationToken(token);
+
+  if (!result.isValid) {
+    throw result.expired
+      ? createInvitationError('Cette invitation a expiré', 'invitation_expired', 410)
+      : createInvitationError('Lien d\'invitation invalide', 'invalid_invitation');
+  }
+
+  return { solId: result.payload.sol, invitationId: result.payload.inv };
+};
+
+/**
+ * Invitation encore utilisable d'un sol
+ * @returns {Object} - Invitation
+ */
+const findUsableInvitation = (sol, invitationId, now = new Date()) => {
+  const invitation = sol.invitations.id(invitationId);
+
+  if (!invitation) {
+    throw createInvitationError('Lien d\'invitation invalide', 'invalid_invitation', 404);
+  }
+
+  const status = getInvitationStatus(invitation, now);
+  if (status === 'revoked') {
+    throw createInvitationError('Cette invitation a été révoquée', 'invitation_revoked', 410);
+  }
+  if (status === 'expired') {
+    throw createInvitationError('Cette invitation a expiré', 'invitation_expired', 410);
+  }
+  if (status === 'exhausted') {
+    throw createInvitationError('Cette invitation a déjà été utilisée', 'invitation_exhausted', 410);
+  }
+
+  return invitation;
+};
+
+/**
+ * Compter une utilisation (adhésion ou demande d'adhésion)
+ */
+const consumeInvitation = (invitation, userId, now = new Date()) => {
+  invitation.useCount += 1;
+  invitation.uses.push({ user: userId, usedAt: now });
+  return invitation;
+};
+
+/**
+ * Invitation vue par l'organisateur, avec son lien si elle est active
+ */
+const serializeInvitation = (sol, invitation, now = new Date()) => {
+  const status = getInvitationStatus(invitation, now);
+
+  return {
+    _id: invitation._id,
+    label: invitation.label,
+    maxUses: invitation.maxUses,
+    useCount: invitation.useCount,
+    uses: invitation.uses,
+    expiresAt: invitation.expiresAt,
+    revokedAt: invitation.revokedAt,
+    createdAt: invitation.createdAt,
+    status,
+    ...(status === 'active' ? buildInvitationLink(sol, invitation) : {})
+  };
+};
+
+/**
+ * QR code du lien d'invitation, généré localement
+ * @param {String} link - Lien profond
+ * @param {Object} options - { format: 'png'|'svg', size }
+ * @returns {Promise<Object>} - { contentType, body }
+ */
+const renderInvitationQrCode = async (link, { format = 'png', size = CONFIG.QR_DEFAULT_SIZE } = {}) => {
+  const qrOptions = { errorCorrectionLevel: 'M', margin: 2, width: size };
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(link, { ...qrOptions, type: 'svg' });
+    return { contentType: 'image/svg+xml', body: svg };
+  }
+
+  const png = await QRCode.toBuffer(link, { ...qrOptions, type: 'png' });
+  return { contentType: 'image/png', body: png };
+};
+
+// ===================================================================
+// DEMANDES D'ADHÉSION
+// ===================================================================
+
+/**
+ * Mettre une adhésion en attente de l'organisateur
+ * @param {Object} sol - Sol en recrutement (modifié, non sauvegardé)
+ * @param {String} userId - Demandeur
+ * @param {Object} options - { share, invitation, message }
+ * @returns {Object} - Demande créée
+ */
+const createJoinRequest = (sol, userId, { share = 100, invitation = null, message } = {}) => {
+  const hasPendingRequest = sol.joinRequests.some(request =>
+    sameId(request.user, userId) && request.status === 'pending'
+  );
+  if (hasPendingRequest) {
+    throw createInvitationError('Votre demande d\'adhésion est déjà en attente', 'join_request_exists', 409);
+  }
+
+  assertShareAvailable(sol, share);
+
+  sol.joinRequests.push({
+    user: userId,
+    share,
+    via: invitation ? 'invitation' : 'access_code',
+    invitation: invitation ? invitation._id : undefined,
+    message
+  });
+
+  return sol.joinRequests[sol.joinRequests.length - 1];
+};
+
+/**
+ * Trouver une demande d'adhésion encore en attente
+ */
+const findPendingJoinRequest = (sol, requestId) => {
+  const request = sol.joinRequests.id(requestId);
+
+  if (!request) {
+    throw createInvitationError('Demande d\'adhésion introuvable', 'join_request_not_found', 404);
+  }
+
+  if (request.status !== 'pending') {
+    throw createInvitationError('Cette demande a déjà été traitée', 'join_request_not_pending', 409);
+  }
+
+  return request;
+};
+
+/**
+ * Enregistrer la décision de l'organisateur
+ * @param {String} status - approved | rejected
+ */
+const decideJoinRequest = (request, status, actor, reason) => {
+  request.status = status;
+  request.decidedBy = actor;
+  request.decidedAt = new Date();
+  if (reason) request.rejectionReason = reason;
+  return request;
+};
+
+/**
+ * Sol complet : les demandes restantes ne peuvent plus aboutir
+ * @returns {Array} - Demandes annulées
+ */
+const cancelPendingJoinRequests = (sol, now = new Date()) => {
+  const pending = sol.joinRequests.filter(request => request.status === 'pending');
+
+  pending.forEach(request => {
+    request.status = 'cancelled';
+    request.decidedAt = now;
+  });
+
+  return pending;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  CONFIG,
+  getInvitationStatus,
+  buildInvitationLink,
+  createInvitation,
+  revokeInvitation,
+  decodeInvitationToken,
+  findUsableInvitation,
+  consumeInvitation,
+  serializeInvitation,
+  renderInvitationQrCode,
+  createJoinRequest,
+  findPendingJoinRequest,
+  decideJoinRequest,
+  cancelPendingJoinRequests
+};
@@ -0,0 +1,460 @@
+// src/services/solLedgerService.js - Carnet (kanè) des sols FinApp Haiti
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { roundNumber, slugify } = require('../utils/helpers');
+const { formatCurrency, formatDate, formatSolFrequency } = require('../utils/formatters');
+const { escapeCsvValue } = require('./exportService');
+const { getPayoutParts } = require('./solSettlementService');
+
+/**
+ * Carnet d'un sol, sur le modèle du "kanè" papier des organisateurs :
+ * une ligne par membre, une colonne par round (cotisations), puis les
+ * mains versées et une colonne de signatures.
+ * Les cellules viennent des paiements des rounds (rounds[].payments) ;
+ * l'historique du participant (participants[].paymentHistory) complète
+ * les rounds dont le paiement n'a pas été conservé.
+ * Empreinte : SHA-256 du contenu canonique, construit uniquement à partir des
+ * données enregistrées (ni date d'édition, ni statut dépendant du jour), donc
+ * identique tant que le sol ne change pas. Une cotisation absente reste "unpaid"
+ * dans le contenu ; "Manquant" ou à venir est décidé à l'affichage.
+ * Signature : HMAC de l'empreinte par le serveur, avec un secret dédié
+ * (SOL_LEDGER_SECRET), pour qu'un carnet retouché ne puisse pas être re-signé.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  SIGNING_SECRET: process.env.SOL_LEDGER_SECRET || 'finapp_haiti_sol_ledger_dev_secret_change_in_production',
+  FORMATS: ['json', 'csv', 'pdf'],
+  // Rounds par bloc de la grille PDF (A4 paysage)
+  PDF_ROUNDS_PER_BLOCK: 8
+};
+
+const CELL_LABELS = {
+  paid: 'Payé',
+  late: 'Payé en retard',
+  pending: 'Déclaré',
+  refunded: 'Remboursé',
+  missing: 'Manquant',
+  upcoming: ''
+};
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Cellule membre × round
+ * @param {Array} paymentHistory - Historique cumulé des mains du membre
+ * @returns {Object} - { status, amount, date, external }
+ */
+const buildCell = (round, userId, paymentHistory) => {
+  const payments = (round.payments || []).filter(payment => sameId(payment.payer, userId));
+  const verified = payments.filter(payment => payment.status === 'completed');
+
+  if (verified.length > 0) {
+    const last = verified[verified.length - 1];
+    return {
+      status: new Date(last.date) > new Date(round.dueDate) ? 'late' : 'paid',
+      amount: roundNumber(verified.reduce((sum, payment) => sum + payment.amount, 0), 2),
+      date: toIso(last.date),
+      external: verified.some(payment => payment.isExternal)
+    };
+  }
+
+  // Paiement absent du round mais inscrit dans l'historique du membre
+  const history = paymentHistory.filter(entry =>
+    entry.roundNumber === round.roundNumber && entry.status === 'completed'
+  );
+  if (history.length > 0) {
+    const last = history[history.length - 1];
+    return {
+      status: new Date(last.date) > new Date(round.dueDate) ? 'late' : 'paid',
+      amount: roundNumber(history.reduce((sum, entry) => sum + entry.amount, 0), 2),
+      date: toIso(last.date),
+      external: false
+    };
+  }
+
+  const pending = payments.find(payment => payment.status === 'pending');
+  if (pending) {
+    return { status: 'pending', amount: pending.amount, date: toIso(pending.date), external: pending.isExternal };
+  }
+
+  const refunded = payments.filter(payment => payment.status === 'refunded');
+  if (refunded.length > 0) {
+    return {
+      status: 'refunded',
+      amount: roundNumber(refunded.reduce((sum, payment) => sum + payment.amount, 0), 2),
+      date: toIso(refunded[refunded.length - 1].date),
+      external: false
+    };
+  }
+
+  return { status: 'unpaid', amount: 0, date: null, external: false };
+};
+
+/**
+ * Round dont les cotisations sont dues à la date d'édition
+ * @param {Object} round - Round du contenu du carnet
+ */
+const isRoundDue = (round, at) => ['completed', 'cancelled'].includes(round.status) ||
+  (round.status === 'active' && new Date(round.dueDate) < new Date(at));
+
+// ===================================================================
+// CARNET
+// ===================================================================
+
+/**
+ * Construire le carnet d'un sol
+ * @param {Object} sol - Sol
+ * @param {Object} options - { names: Map userId → nom, now }
+ * @returns {Object} - { generatedAt, content, hash, signature }
+ */
+const buildSolLedger = (sol, { names = new Map(), now = new Date() } = {}) => {
+  const nameOf = (userId) => names.get(toId(userId).toString()) || 'Membre du sol';
+
+  // Un membre = une ligne, toutes ses mains (positions et parts) regroupées
+  const rows = new Map();
+  sol.participants.forEach(participant => {
+    const key = toId(participant.user).toString();
+    if (!rows.has(key)) {
+      rows.set(key, { user: key, name: nameOf(participant.user), paymentHistory: [], hands: [] });
+    }
+    const row = rows.get(key);
+    row.hands.push({ position: participant.position, share: participant.share ?? 100 });
+    row.paymentHistory.push(...(participant.paymentHistory || []));
+  });
+
+  const received = new Map();
+  const rounds = (sol.rounds || []).map(round => {
+    if (round.isDistributed) {
+      getPayoutParts(sol, round).forEach(part => {
+        const key = toId(part.user).toString();
+        received.set(key, (received.get(key) || 0) + part.amount);
+      });
+    }
+
+    return {
+      roundNumber: round.roundNumber,
+      dueDate: toIso(round.dueDate),
+      status: round.status,
+      recipients: sol.getRoundRecipients(round).map(recipient => ({
+        user: toId(recipient.user).toString(),
+        name: nameOf(recipient.user),
+        share: recipient.share
+      })),
+      collected: roundNumber(sol.getVerifiedPayments(round).reduce((sum, payment) => sum + payment.amount, 0), 2),
+      payoutAmount: round.isDistributed ? round.payoutAmount : null,
+      distributionDate: round.isDistributed ? toIso(round.distributionDate) : null
+    };
+  });
+
+  const members = [...rows.values()].map(row => {
+    const cells = (sol.rounds || []).map(round => ({
+      roundNumber: round.roundNumber,
+      ...buildCell(round, row.user, row.paymentHistory)
+    }));
+
+    return {
+      user: row.user,
+      name: row.name,
+      hands: row.hands.sort((a, b) => a.position - b.position),
+      expectedContribution: sol.getExpectedContribution(row.user),
+      cells,
+      totalPaid: roundNumber(cells
+        .filter(cell => cell.status === 'paid' || cell.status === 'late')
+        .reduce((sum, cell) => sum + cell.amount, 0), 2),
+      totalReceived: roundNumber(received.get(row.user) || 0, 2)
+    };
+  });
+
+  const content = {
+    sol: {
+      id: sol._id.toString(),
+      name: sol.name,
+      organizer: nameOf(sol.creator),
+      currency: sol.currency,
+      contributionAmount: sol.contributionAmount,
+      frequency: sol.frequency,
+      status: sol.status,
+      startDate: toIso(sol.actualStartDate || sol.startDate)
+    },
+    members,
+    rounds,
+    totals: {
+      collected: roundNumber(rounds.reduce((sum, round) => sum + round.collected, 0), 2),
+      distributed: roundNumber(rounds.reduce((sum, round) => sum + (round.payoutAmount || 0), 0), 2)
+    }
+  };
+
+  return { generatedAt: now.toISOString(), content, ...signLedger(content) };
+};
+
+/**
+ * Empreinte et signature d'un contenu de carnet
+ * @returns {Object} - { hash, signature }
+ */
+const signLedger = (content) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  const signature = crypto.createHmac('sha256', CONFIG.SIGNING_SECRET).update(hash).digest('hex');
+  return { hash, signature };
+};
+
+/**
+ * Vérifier un carnet imprimé ou exporté
+ * @param {Object} ledger - Carnet courant du sol
+ * @param {Object} printed - { hash, signature } relevés sur le document
+ * @returns {Object} - { signatureValid, matchesCurrent }
+ */
+const verifyLedger = (ledger, { hash, signature }) => {
+  const expected = crypto.createHmac('sha256', CONFIG.SIGNING_SECRET).update(hash).digest('hex');
+  const signatureValid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return { signatureValid, matchesCurrent: signatureValid && hash === ledger.hash };
+};
+
+/**
+ * Nom de fichier du carnet
+ */
+const buildLedgerFilename = (ledger, format) => {
+  const day = ledger.generatedAt.slice(0, 10);
+  return `carnet_${slugify(ledger.content.sol.name) || 'sol'}_${day}.${format}`;
+};
+
+const formatHands = (hands) => hands
+  .map(hand => (hand.share < 100 ? `${hand.position} (${hand.share}%)` : `${hand.position}`))
+  .join(' + ');
+
+const formatCell = (cell, round, ledger) => {
+  const { currency } = ledger.content.sol;
+  if (cell.status === 'unpaid') {
+    return isRoundDue(round, ledger.generatedAt) ? CELL_LABELS.missing : CELL_LABELS.upcoming;
+  }
+  const label = cell.status === 'paid' ? '' : ` ${CELL_LABELS[cell.status].toLowerCase()}`;
+  return `${formatCurrency(cell.amount, currency)}${label}`;
+};
+
+// ===================================================================
+// CSV
+// ===================================================================
+
+/**
+ * Écrire le carnet en CSV : en-tête du sol, grille des cotisations,
+ * mains versées, empreinte et signature
+ * @param {Object} ledger - Résultat de buildSolLedger
+ * @param {Stream} output - Flux de sortie (res)
+ */
+const writeLedgerCsv = (ledger, output) => {
+  const { sol, members, rounds, totals } = ledger.content;
+  const line = (cells) => output.write(cells.map(escapeCsvValue).join(',') + '\n');
+
+  // BOM pour qu'Excel reconnaisse l'UTF-8 (accents)
+  output.write('\uFEFF');
+  line(['Carnet du sol', sol.name]);
+  line(['Organisateur', sol.organizer]);
+  line(['Cotisation', formatCurrency(sol.contributionAmount, sol.currency), formatSolFrequency(sol.frequency)]);
+  line(['Édité le', formatDate(ledger.generatedAt, 'long')]);
+  line([]);
+
+  line([
+    'Membre',
+    'Main(s)',
+    ...rounds.map(round => `Round ${round.roundNumber} (${formatDate(round.dueDate)})`),
+    'Total cotisé',
+    'Total reçu',
+    'Signature'
+  ]);
+  members.forEach(member => {
+    line([
+      member.name,
+      formatHands(member.hands),
+      ...member.cells.map((cell, index) => formatCell(cell, rounds[index], ledger)),
+      member.totalPaid,
+      member.totalReceived,
+      ''
+    ]);
+  });
+  line([]);
+
+  line(['Round', 'Échéance', 'Bénéficiaire(s)', 'Collecté', 'Main versée', 'Date de versement', 'Signature bénéficiaire']);
+  rounds.forEach(round => {
+    line([
+      round.roundNumber,
+      formatDate(round.dueDate),
+      round.recipients.map(recipient =>
+        recipient.share < 100 ? `${recipient.name} (${recipient.share}%)` : recipient.name
+      ).join(' / '),
+      round.collected,
+      round.payoutAmount ?? '',
+      round.distributionDate ? formatDate(round.distributionDate) : '',
+      ''
+    ]);
+  });
+  line(['Total', '', '', totals.collected, totals.distributed, '', '']);
+  line([]);
+
+  line(['Empreinte SHA-256', ledger.hash]);
+  line(['Signature FinApp', ledger.signature]);
+  output.end();
+};
+
+// ===================================================================
+// PDF
+// ===================================================================
+
+/**
+ * Rendre le carnet PDF (A4 paysage) dans un flux
+ * @param {Object} ledger - Résultat de buildSolLedger
+ * @param {Stream} output - Flux de sortie (res)
+ */
+const renderLedgerPdf = (ledger, output) => {
+  const { sol, members, rounds, totals } = ledger.content;
+  const money = (amount) => formatCurrency(amount, sol.currency);
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40, bufferPages: true });
+  doc.pipe(output);
+
+  doc.fontSize(18).text(`Kanè — ${sol.name}`, { align: 'center' });
+  doc.moveDown(0.3).fontSize(10).fillColor('#555555').text(
+    `Organisateur : ${sol.organizer}   •   Cotisation : ${money(sol.contributionAmount)} ` +
+    `(${formatSolFrequency(sol.frequency)})   •   Édité le ${formatDate(ledger.generatedAt, 'long')}`,
+    { align: 'center' }
+  );
+  doc.fillColor('#000000').moveDown();
+
+  const writeRow = (columns, cells, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - 70) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    cells.forEach((cell, index) => {
+      const { x, width, align = 'left' } = columns[index];
+      doc.text(String(cell), x, y, { width, align, lineBreak: false, ellipsis: true });
+    });
+    doc.font('Helvetica').moveDown(0.6);
+  };
+
+  // Grille des cotisations, par blocs de rounds
+  for (let start = 0; start < rounds.length || start === 0; start += CONFIG.PDF_ROUNDS_PER_BLOCK) {
+    const block = rounds.slice(start, start + CONFIG.PDF_ROUNDS_PER_BLOCK);
+    const columns = [
+      { x: 40, width: 130 },
+      { x: 170, width: 60 },
+      ...block.map((round, index) => ({ x: 230 + index * 72, width: 70, align: 'right' }))
+    ];
+
+    doc.fontSize(12).text(
+      block.length > 0
+        ? `Cotisations — rounds ${block[0].roundNumber} à ${block[block.length - 1].roundNumber}`
+        : 'Cotisations',
+      40
+    );
+    doc.moveDown(0.3).fontSize(8);
+
+    writeRow(columns, ['Membre', 'Main(s)', ...block.map(round => `R${round.roundNumber} ${formatDate(round.dueDate)}`)], { bold: true });
+    members.forEach(member => {
+      writeRow(columns, [
+        member.name,
+        formatHands(member.hands),
+        ...member.cells.slice(start, start + CONFIG.PDF_ROUNDS_PER_BLOCK).map((cell, index) => formatCell(cell, block[index], ledger))
+      ]);
+    });
+    doc.moveDown();
+
+    if (rounds.length === 0) break;
+  }
+
+  // Récapitulatif et signatures des membres
+  const summaryColumns = [
+    { x: 40, width: 160 },
+    { x: 200, width: 70 },
+    { x: 270, width: 110, align: 'right' },
+    { x: 380, width: 110, align: 'right' },
+    { x: 510, width: 250 }
+  ];
+  doc.fontSize(12).text('Récapitulatif', 40);
+  doc.moveDown(0.3).fontSize(8);
+  writeRow(summaryColumns, ['Membre', 'Main(s)', 'Total cotisé', 'Total reçu', 'Signature'], { bold: true });
+  members.forEach(member => {
+    writeRow(summaryColumns, [
+      member.name,
+      formatHands(member.hands),
+      money(member.totalPaid),
+      money(member.totalReceived),
+      '______________________________'
+    ]);
+  });
+  doc.moveDown();
+
+  // Mains versées
+  const payoutColumns = [
+    { x: 40, width: 40 },
+    { x: 80, width: 70 },
+    { x: 150, width: 180 },
+    { x: 330, width: 90, align: 'right' },
+    { x: 420, width: 90, align: 'right' },
+    { x: 520, width: 70 },
+    { x: 600, width: 160 }
+  ];
+  doc.fontSize(12).text('Mains versées', 40);
+  doc.moveDown(0.3).fontSize(8);
+  writeRow(payoutColumns, ['Round', 'Échéance', 'Bénéficiaire(s)', 'Collecté', 'Main versée', 'Versée le', 'Signature'], { bold: true });
+  rounds.forEach(round => {
+    writeRow(payoutColumns, [
+      round.roundNumber,
+      formatDate(round.dueDate),
+      round.recipients.map(recipient => recipient.name).join(' / '),
+      money(round.collected),
+      round.payoutAmount !== null ? money(round.payoutAmount) : '',
+      round.distributionDate ? formatDate(round.distributionDate) : '',
+      round.payoutAmount !== null ? '____________________' : ''
+    ]);
+  });
+  writeRow(payoutColumns, ['', '', 'Total', money(totals.collected), money(totals.distributed), '', ''], { bold: true });
+  doc.x = 40;
+
+  // Vérification : à comparer avec l'empreinte affichée dans l'app
+  doc.moveDown().fontSize(9).fillColor('#555555');
+  doc.text(`Empreinte SHA-256 : ${ledger.hash}`, 40);
+  doc.text(`Signature FinApp : ${ledger.signature}`, 40);
+  doc.fillColor('#000000');
+
+  // Empreinte sur chaque page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.fontSize(7).fillColor('#888888').text(
+      `FinApp Haiti — SHA-256 ${ledger.hash} — page ${i + 1}/${range.count}`,
+      40,
+      doc.page.height - 30,
+      { align: 'center', lineBreak: false }
+    );
+  }
+
+  doc.end();
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  CONFIG,
+  buildSolLedger,
+  signLedger,
+  verifyLedger,
+  buildLedgerFilename,
+  writeLedgerCsv,
+  renderLedgerPdf
+};
@@ -0,0 +1,363 @@
+// src/services/solLifecycleService.js - Cycle de vie des rounds de sol FinApp Haiti
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const SolEvent = require('../models/SolEvent');
+const solNotifications = require('../integrations/solNotifications');
+const { roundNumber } = require('../utils/helpers');
+const {
+  getPaymentDeadline,
+  applyOverduePenalties,
+  applyPayoutPenalties
+} = require('./solPenaltyService');
+const { computeDiscountShares } = require('./solTurnOrderService');
+const { splitByShares } = require('./solHandService');
+
+/**
+ * Transitions d'un sol, partagées entre les contrôleurs (paiement,
+ * vérification) et le worker planifié :
+ * scheduled/pending → active (à sa startDate)
+ * active → completed (cotisations toutes vérifiées ou échéance + grâce dépassée)
+ * dernier round clos → sol completed
+ * Chaque transition laisse un SolEvent ; la main n'est versée qu'une fois,
+ * diminuée de la remise d'enchère du bénéficiaire partagée entre les autres.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const WAITING_ROUND_STATUSES = ['scheduled', 'pending'];
+
+// ===================================================================
+// VERSEMENT
+// ===================================================================
+
+/**
+ * Créditer un membre sur son compte par défaut
+ * @param {Object} sol - Sol
+ * @param {Object} round - Round concerné
+ * @param {String} userId - Membre crédité
+ * @param {Number} amount - Montant
+ * @param {Object} entry - { subcategory, description, tag }
+ * @param {Object} session - Session MongoDB
+ * @returns {Promise<Object|null>} - Transaction de réception (null sans compte par défaut)
+ */
+const creditMember = async (sol, round, userId, amount, entry, session) => {
+  const account = await Account.findOne({
+    user: userId,
+    isDefault: true,
+    isActive: true
+  }).session(session);
+
+  if (!account) return null;
+
+  await account.updateBalance(amount, entry.description, {
+    source: 'sol_payout',
+    reference: { model: 'Sol', id: sol._id },
+    session
+  });
+
+  const incomeTransaction = new Transaction({
+    user: userId,
+    account: account._id,
+    type: 'income',
+    category: 'sol',
+    subcategory: entry.subcategory,
+    amount: amount,
+    currency: sol.currency,
+    description: entry.description,
+    date: new Date(),
+    isConfirmed: true,
+    metadata: {
+      solId: sol._id,
+      roundIndex: sol.rounds.indexOf(round),
+      roundNumber: round.roundNumber,
+      contributors: sol.getVerifiedPayments(round).length
+    },
+    tags: [
+      entry.tag,
+      `sol_type_${sol.type}`,
+      `round_${round.roundNumber}`
+    ]
+  });
+
+  await incomeTransaction.save({ session });
+  return incomeTransaction;
+};
+
+/**
+ * Créditer la main aux comptes par défaut de ses bénéficiaires, chacun
+ * selon sa part (une seule part pour une main entière)
+ * @param {Object} sol - Sol
+ * @param {Object} round - Round clos
+ * @param {Array} parts - [{ user, share, amount }] ajustés des pénalités et de la remise
+ * @param {Object} session - Session MongoDB
+ * @returns {Promise<Array>} - [{ user, share, amount, transaction }] (transaction null sans compte par défaut)
+ */
+const transferToRecipient = async (sol, round, parts, session) => {
+  const transfers = [];
+
+  for (const part of parts) {
+    if (part.amount <= 0) continue;
+
+    const incomeTransaction = await creditMember(sol, round, part.user, part.amount, {
+      subcategory: 'reception',
+      description: part.share < 100
+        ? `Réception Sol: ${sol.name} - Round ${round.roundNumber} (${part.share}% de la main)`
+        : `Réception Sol: ${sol.name} - Round ${round.roundNumber}`,
+      tag: 'sol_reception'
+    }, session);
+
+    transfers.push({ ...part, transaction: incomeTransaction ? incomeTransaction._id : null });
+  }
+
+  // Transaction du détenteur principal
+  const primary = transfers.find(transfer => transfer.transaction);
+  if (primary) round.transferTransaction = primary.transaction;
+
+  return transfers;
+};
+
+// ===================================================================
+// TRANSITIONS
+// ===================================================================
+
+/**
+ * Ouvrir un round aux cotisations
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {Object} round - Round en attente
+ * @param {Object} context - { trigger, actor, session }
+ * @returns {Promise<Boolean>} - true si le round a été activé
+ */
+const activateRound = async (sol, round, { trigger = 'scheduler', actor, session = null } = {}) => {
+  if (!WAITING_ROUND_STATUSES.includes(round.status)) return false;
+
+  const fromStatus = round.status;
+  round.status = 'active';
+  sol.nextPaymentDate = round.dueDate;
+
+  // Nouveau round : chacun redevient redevable de sa cotisation
+  sol.participants.forEach(participant => {
+    if (participant.paymentStatus !== 'exempt') participant.paymentStatus = 'pending';
+  });
+
+  await SolEvent.record(sol, 'round_activated', {
+    roundNumber: round.roundNumber,
+    fromStatus,
+    toStatus: 'active',
+    trigger,
+    actor,
+    details: { startDate: round.startDate, dueDate: round.dueDate, recipient: round.recipient },
+    session
+  });
+
+  return true;
+};
+
+/**
+ * Terminer le sol après son dernier round
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {Object} context - { trigger, actor, session }
+ * @returns {Promise<Boolean>}
+ */
+const completeSol = async (sol, { trigger = 'scheduler', actor, session = null } = {}) => {
+  if (sol.status === 'completed') return false;
+
+  const fromStatus = sol.status;
+  sol.status = 'completed';
+  sol.completedDate = new Date();
+  sol.nextPaymentDate = undefined;
+  sol.statusHistory.push({
+    status: 'completed',
+    date: sol.completedDate,
+    reason: 'Dernier round clôturé',
+    changedBy: actor
+  });
+
+  await SolEvent.record(sol, 'sol_completed', {
+    fromStatus,
+    toStatus: 'completed',
+    trigger,
+    actor,
+    amount: sol.rounds.reduce((sum, round) => sum + (round.actualAmount || 0), 0),
+    details: { rounds: sol.rounds.length },
+    session
+  });
+
+  // ✨ NOUVEAU : Notifier sol complété
+  await solNotifications.notifySolCompleted(sol);
+  console.log(`✅ Notifications sol complété envoyées`);
+
+  return true;
+};
+
+/**
+ * Clôturer un round : main ajustée des pénalités versée une seule fois,
+ * puis round suivant mis en attente (activé si sa date est atteinte)
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {Object} round - Round actif
+ * @param {Object} context - { reason: 'fully_paid'|'deadline', trigger, actor, session, now }
+ * @returns {Promise<Boolean>} - true si le round vient d'être clôturé
+ */
+const closeRound = async (sol, round, context = {}) => {
+  const { reason = 'fully_paid', trigger = 'scheduler', actor, session = null, now = new Date() } = context;
+
+  if (round.status === 'completed') return false;
+
+  const fromStatus = round.status;
+  const verifiedPayments = sol.getVerifiedPayments(round);
+  const collected = verifiedPayments.reduce((sum, p) => sum + p.amount, 0);
+
+  round.status = 'completed';
+  round.completedDate = now;
+  round.actualAmount = collected;
+
+  const members = sol.getMembers();
+  const missingPayers = members.filter(userId =>
+    !verifiedPayments.some(payment => payment.payer.toString() === userId.toString())
+  );
+
+  await SolEvent.record(sol, reason === 'deadline' ? 'round_closed_at_deadline' : 'round_completed', {
+    roundNumber: round.roundNumber,
+    fromStatus,
+    toStatus: 'completed',
+    trigger,
+    actor,
+    amount: collected,
+    details: {
+      verifiedPayments: verifiedPayments.length,
+      expectedPayments: members.length,
+      missingPayers
+    },
+    session
+  });
+
+  // Versement unique de la main
+  if (!round.isDistributed && round.recipient) {
+    const { deductions, additions, parts } = applyPayoutPenalties(sol, round, collected);
+
+    // Remise d'enchère retenue sur la main puis partagée
+    const { discount, shares } = computeDiscountShares(sol, round, round.payoutAmount);
+    round.turnDiscount = discount;
+    round.payoutAmount = roundNumber(round.payoutAmount - discount, 2);
+    const payoutAmount = round.payoutAmount;
+
+    const discountParts = splitByShares(discount, parts);
+    const payoutParts = parts.map((part, index) => ({
+      ...part,
+      amount: roundNumber(part.amount - discountParts[index].amount, 2)
+    }));
+
+    if (payoutAmount > 0) {
+      const transfers = await transferToRecipient(sol, round, payoutParts, session);
+
+      round.isDistributed = true;
+      round.distributionDate = now;
+
+      for (const share of shares) {
+        await creditMember(sol, round, share.participant, share.amount, {
+          subcategory: 'remise_enchere',
+          description: `Remise enchère Sol: ${sol.name} - Round ${round.roundNumber}`,
+          tag: 'sol_turn_discount'
+        }, session);
+      }
+
+      await SolEvent.record(sol, 'payout_transferred', {
+        roundNumber: round.roundNumber,
+        trigger,
+        actor,
+        amount: payoutAmount,
+        details: {
+          recipient: round.recipient,
+          payouts: transfers,
+          collected,
+          penaltyDeductions: deductions,
+          penaltyAdditions: additions,
+          turnDiscount: discount,
+          discountShares: shares
+        },
+        session
+      });
+
+      // ✨ NOUVEAU : Notifier bénéficiaire(s)
+      for (const transfer of transfers) {
+        await solNotifications.notifyPaymentReceived(transfer.user, {
+          solId: sol._id,
+          solName: sol.name,
+          amount: transfer.amount,
+          payerName: 'Tous les participants',
+          turnNumber: round.roundNumber,
+          totalReceived: collected,
+          totalExpected: round.expectedAmount || collected
+        });
+      }
+    }
+  }
+
+  // Round suivant ou fin du sol
+  const nextRound = sol.rounds[sol.rounds.indexOf(round) + 1];
+  if (nextRound) {
+    if (nextRound.status === 'scheduled') nextRound.status = 'pending';
+    if (new Date(nextRound.startDate) <= now) {
+      await activateRound(sol, nextRound, { trigger, actor, session });
+    }
+  } else {
+    await completeSol(sol, { trigger, actor, session });
+  }
+
+  return true;
+};
+
+// ===================================================================
+// WORKER
+// ===================================================================
+
+/**
+ * Faire avancer un sol actif jusqu'à son état courant
+ * (plusieurs rounds peuvent avancer si le worker a pris du retard)
+ * @param {Object} sol - Sol actif (modifié, non sauvegardé)
+ * @param {Object} options - { now, session }
+ * @returns {Promise<Object>} - { activated, closed, completed, overdue }
+ */
+const advanceSol = async (sol, { now = new Date(), session = null } = {}) => {
+  const summary = { activated: 0, closed: 0, completed: false, overdue: [] };
+  const context = { trigger: 'scheduler', session, now };
+
+  for (const round of sol.rounds) {
+    if (round.status === 'completed' || round.status === 'cancelled') continue;
+
+    if (WAITING_ROUND_STATUSES.includes(round.status)) {
+      if (new Date(round.startDate) > now) break;
+      if (await activateRound(sol, round, context)) summary.activated++;
+    }
+
+    if (round.status !== 'active') break;
+
+    if (sol.isRoundFullyPaid(round)) {
+      await closeRound(sol, round, { ...context, reason: 'fully_paid' });
+    } else if (getPaymentDeadline(sol, round) < now) {
+      // Pénalités inscrites avant la clôture pour ne manquer aucun retard
+      summary.overdue.push(...applyOverduePenalties(sol, now));
+      await closeRound(sol, round, { ...context, reason: 'deadline' });
+    } else {
+      break;
+    }
+
+    summary.closed++;
+  }
+
+  summary.completed = sol.status === 'completed';
+  return summary;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  creditMember,
+  transferToRecipient,
+  activateRound,
+  closeRound,
+  completeSol,
+  advanceSol
+};
@@ -0,0 +1,281 @@
+// src/services/solPenaltyService.js - Moteur de pénalités des sols FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+const { splitByShares } = require('./solHandService');
+
+/**
+ * Application des règles de sol (ruleSchema.isEnforced / penaltyAmount) :
+ * - un participant sans paiement vérifié après échéance + délai de grâce
+ *   passe "overdue" et une pénalité est inscrite à son compte de pénalités
+ * - les pénalités dues par le bénéficiaire sont retenues sur sa main
+ *   (sur sa seule part pour une main partagée)
+ * - les pénalités retenues sont reversées avec la main suivante, selon les parts
+ *   (avec la main même du dernier round, faute de main suivante)
+ * - l'organisateur peut annuler une pénalité encore due
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_ROUND_STATUSES = ['pending', 'active'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de pénalité avec code et statut HTTP
+ */
+const createPenaltyError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  const idA = a._id ? a._id : a;
+  const idB = b._id ? b._id : b;
+  return idA.toString() === idB.toString();
+};
+
+/**
+ * Règles appliquées et montant de pénalité par round manqué
+ * @param {Object} sol - Sol
+ * @returns {Object} - { amount, rules }
+ */
+const getEnforcedPenalty = (sol) => {
+  const rules = (sol.rules || []).filter(rule => rule.isEnforced && rule.penaltyAmount > 0);
+
+  return {
+    amount: roundNumber(rules.reduce((sum, rule) => sum + rule.penaltyAmount, 0), 2),
+    rules
+  };
+};
+
+/**
+ * Date limite de paiement d'un round (échéance + délai de grâce)
+ */
+const getPaymentDeadline = (sol, round) => {
+  const graceDays = sol.gracePeriodDays ?? 0;
+  return new Date(new Date(round.dueDate).getTime() + graceDays * DAY_MS);
+};
+
+/**
+ * Participants en retard sur un round : aucun paiement vérifié et aucune
+ * déclaration en attente datée avant la date limite
+ * @param {Object} sol - Sol
+ * @param {Object} round - Round
+ * @returns {Array} - Participants en retard (première position de chaque membre)
+ */
+const findOverdueParticipants = (sol, round) => {
+  const deadline = getPaymentDeadline(sol, round);
+  const seen = new Set();
+
+  return sol.participants.filter(participant => {
+    if (!participant.user || participant.paymentStatus === 'exempt') return false;
+
+    // Un membre à plusieurs mains ne compte qu'une fois
+    const key = (participant.user._id || participant.user).toString();
+    if (seen.has(key)) return false;
+    seen.add(key);
+
+    return !round.payments.some(payment =>
+      sameId(payment.payer, participant.user) && (
+        payment.status === 'completed' ||
+        (payment.status === 'pending' && new Date(payment.date) <= deadline)
+      )
+    );
+  });
+};
+
+// ===================================================================
+// RETARDS ET PÉNALITÉS
+// ===================================================================
+
+/**
+ * Marquer les retards et inscrire les pénalités d'un sol
+ * Idempotent : une seule pénalité par participant et par round
+ * @param {Object} sol - Sol actif (modifié, non sauvegardé)
+ * @param {Date} now - Date de référence
+ * @returns {Array} - [{ participant, round, daysLate, newlyOverdue, penalty }]
+ */
+const applyOverduePenalties = (sol, now = new Date()) => {
+  const { amount, rules } = getEnforcedPenalty(sol);
+  const results = [];
+
+  (sol.rounds || [])
+    .filter(round => OPEN_ROUND_STATUSES.includes(round.status) && getPaymentDeadline(sol, round) < now)
+    .forEach(round => {
+      const daysLate = Math.floor((now - new Date(round.dueDate)) / DAY_MS);
+
+      findOverdueParticipants(sol, round).forEach(participant => {
+        const newlyOverdue = participant.paymentStatus !== 'overdue';
+        sol.participants
+          .filter(entry => sameId(entry.user, participant.user))
+          .forEach(entry => { entry.paymentStatus = 'overdue'; });
+
+        const alreadyPenalized = sol.penalties.some(penalty =>
+          sameId(penalty.participant, participant.user) && penalty.roundNumber === round.roundNumber
+        );
+
+        let penalty = null;
+        if (amount > 0 && !alreadyPenalized) {
+          sol.penalties.push({
+            participant: participant.user._id || participant.user,
+            roundNumber: round.roundNumber,
+            amount,
+            daysLate,
+            reason: rules.map(rule => rule.penaltyDescription || rule.title).join(' ; ').slice(0, 300),
+            accruedAt: now
+          });
+          penalty = sol.penalties[sol.penalties.length - 1];
+        }
+
+        if (newlyOverdue || penalty) {
+          results.push({ participant, round, daysLate, newlyOverdue, penalty });
+        }
+      });
+    });
+
+  return results;
+};
+
+/**
+ * Ajuster la main d'un round : retenir les pénalités dues par chaque
+ * bénéficiaire sur sa part, puis reverser les pénalités déjà retenues
+ * (y compris celles de ce round s'il est le dernier)
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {Object} round - Round en cours de versement
+ * @param {Number} collectedAmount - Cotisations vérifiées du round
+ * @returns {Object} - { payoutAmount, deductions, additions, parts: [{ user, share, amount }] }
+ */
+const applyPayoutPenalties = (sol, round, collectedAmount) => {
+  const now = new Date();
+  const recipients = sol.getRoundRecipients(round);
+  const grossParts = splitByShares(collectedAmount, recipients);
+  let deductions = 0;
+  let additions = 0;
+
+  // Retenues : jamais au-delà de la part du bénéficiaire
+  const netParts = grossParts.map(part => {
+    let partDeductions = 0;
+
+    sol.penalties
+      .filter(penalty => penalty.status === 'accrued' && sameId(penalty.participant, part.user))
+      .sort((a, b) => a.roundNumber - b.roundNumber)
+      .forEach(penalty => {
+        if (partDeductions + penalty.amount > part.amount) return;
+
+        penalty.status = 'collected';
+        penalty.collectedInRound = round.roundNumber;
+        penalty.collectedAt = now;
+        partDeductions += penalty.amount;
+      });
+
+    deductions += partDeductions;
+    return { ...part, amount: roundNumber(part.amount - partDeductions, 2) };
+  });
+
+  // Reversements : pénalités retenues lors des mains précédentes,
+  // et de cette main si aucun round ne suit
+  const isLastRound = sol.rounds.indexOf(round) === sol.rounds.length - 1;
+  sol.penalties
+    .filter(penalty =>
+      penalty.status === 'collected' &&
+      !penalty.distributedInRound &&
+      (isLastRound || penalty.collectedInRound !== round.roundNumber)
+    )
+    .forEach(penalty => {
+      penalty.distributedInRound = round.roundNumber;
+      additions += penalty.amount;
+    });
+
+  const additionParts = splitByShares(additions, recipients);
+  const parts = netParts.map((part, index) => ({
+    ...part,
+    amount: roundNumber(part.amount + additionParts[index].amount, 2)
+  }));
+
+  round.penaltyDeductions = roundNumber(deductions, 2);
+  round.penaltyAdditions = roundNumber(additions, 2);
+  round.payoutAmount = roundNumber(collectedAmount - deductions + additions, 2);
+
+  return {
+    payoutAmount: round.payoutAmount,
+    deductions: round.penaltyDeductions,
+    additions: round.penaltyAdditions,
+    parts
+  };
+};
+
+/**
+ * Annuler une pénalité encore due (organisateur)
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {String} penaltyId - ID de la pénalité
+ * @param {String} userId - Organisateur
+ * @param {String} reason - Motif
+ * @returns {Object} - Pénalité annulée
+ */
+const waivePenalty = (sol, penaltyId, userId, reason) => {
+  const penalty = sol.penalties.id(penaltyId);
+
+  if (!penalty) {
+    throw createPenaltyError('Pénalité introuvable', 'penalty_not_found', 404);
+  }
+
+  if (penalty.status !== 'accrued') {
+    throw createPenaltyError(
+      penalty.status === 'waived' ? 'Pénalité déjà annulée' : 'Pénalité déjà retenue sur une main',
+      'penalty_not_waivable',
+      409
+    );
+  }
+
+  penalty.status = 'waived';
+  penalty.waivedBy = userId;
+  penalty.waivedAt = new Date();
+  penalty.waiverReason = reason;
+
+  return penalty;
+};
+
+/**
+ * Totaux de pénalités par participant
+ * @param {Object} sol - Sol
+ * @param {String} userId - Limiter à un participant (optionnel)
+ * @returns {Array} - [{ participant, accrued, collected, waived, count }]
+ */
+const getPenaltySummary = (sol, userId = null) => {
+  const byParticipant = new Map();
+
+  sol.penalties
+    .filter(penalty => penalty.participant && (!userId || sameId(penalty.participant, userId)))
+    .forEach(penalty => {
+      const key = (penalty.participant._id || penalty.participant).toString();
+      if (!byParticipant.has(key)) {
+        byParticipant.set(key, { participant: key, accrued: 0, collected: 0, waived: 0, count: 0 });
+      }
+
+      const totals = byParticipant.get(key);
+      totals[penalty.status] = roundNumber(totals[penalty.status] + penalty.amount, 2);
+      totals.count += 1;
+    });
+
+  return [...byParticipant.values()];
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  getEnforcedPenalty,
+  getPaymentDeadline,
+  findOverdueParticipants,
+  applyOverduePenalties,
+  applyPayoutPenalties,
+  waivePenalty,
+  getPenaltySummary
+};
@@ -0,0 +1,232 @@
+// src/services/solReliabilityService.js - Score de fiabilité des membres de sols FinApp Haiti
+const { roundNumber } = require('../utils/helpers');
+const { getPaymentDeadline } = require('./solPenaltyService');
+
+/**
+ * Score de fiabilité (0-100) d'un membre, calculé sur tout son historique de sols :
+ * - ponctualité : cotisations vérifiées avant échéance + délai de grâce
+ * - retard moyen (jours après la date limite) des cotisations payées en retard
+ * - pénalités non annulées
+ * - sols menés à terme vs sols abandonnés après avoir reçu sa main
+ * Peu d'historique : le score tend vers une valeur neutre (PRIOR_SCORE).
+ * Chaque abandon après versement coûte en plus ABANDON_PENALTY points.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const CONFIG = {
+  PRIOR_SCORE: 60,
+  // Nombre de cotisations "virtuelles" au score neutre
+  PRIOR_WEIGHT: 4,
+  WEIGHTS: {
+    onTime: 0.5,
+    delay: 0.2,
+    penalties: 0.15,
+    completion: 0.15
+  },
+  // Retard moyen au-delà duquel le critère de retard vaut 0
+  MAX_DELAY_DAYS: 30,
+  ABANDON_PENALTY: 20,
+  // Moyenne d'un sol publiée à partir de ce nombre de membres notés et consentants
+  MIN_SHARED_MEMBERS: 3,
+  // Durée de validité du résumé de fiabilité d'un sol (découverte)
+  SUMMARY_TTL_MS: 6 * 60 * 60 * 1000,
+  LEVELS: [
+    { min: 85, level: 'excellent' },
+    { min: 70, level: 'bon' },
+    { min: 50, level: 'moyen' },
+    { min: 0, level: 'faible' }
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+const getLevel = (score) => CONFIG.LEVELS.find(entry => score >= entry.min).level;
+
+/**
+ * Round dont les cotisations sont réputées dues : clôturé, ou actif
+ * avec une date limite dépassée
+ */
+const isRoundDue = (sol, round, now) =>
+  round.status === 'completed' ||
+  (round.status === 'active' && getPaymentDeadline(sol, round) < now);
+
+/**
+ * Le membre a-t-il touché (tout ou partie de) la main de ce round ?
+ */
+const isRoundRecipient = (round, userId) => {
+  if (round.recipientShares && round.recipientShares.length > 0) {
+    return round.recipientShares.some(entry => sameId(entry.user, userId));
+  }
+  return sameId(round.recipient, userId);
+};
+
+// ===================================================================
+// CALCUL
+// ===================================================================
+
+/**
+ * Score de fiabilité d'un membre à partir de ses sols
+ * @param {String} userId - Membre
+ * @param {Array} sols - Sols du membre (participants, rounds, penalties)
+ * @param {Date} now - Date de référence
+ * @returns {Object} - { score, level, isNew, stats, computedAt }
+ */
+const computeReliability = (userId, sols, now = new Date()) => {
+  const stats = {
+    expectedPayments: 0,
+    onTimePayments: 0,
+    latePayments: 0,
+    missedPayments: 0,
+    onTimeRatio: null,
+    averageDelayDays: 0,
+    penalties: 0,
+    penaltyAmount: 0,
+    completedSols: 0,
+    activeSols: 0,
+    abandonedSols: 0
+  };
+  let totalDelayDays = 0;
+
+  sols.forEach(sol => {
+    if (!sol.participants.some(participant => sameId(participant.user, userId))) return;
+
+    if (sol.status === 'completed') stats.completedSols++;
+    if (sol.status === 'active') stats.activeSols++;
+
+    let receivedPayout = false;
+    let missedAfterPayout = false;
+
+    (sol.rounds || []).forEach(round => {
+      if (isRoundDue(sol, round, now)) {
+        const deadline = getPaymentDeadline(sol, round);
+        const payment = (round.payments || []).find(p =>
+          sameId(p.payer, userId) && p.status === 'completed'
+        );
+
+        stats.expectedPayments++;
+
+        if (!payment) {
+          stats.missedPayments++;
+          if (receivedPayout) missedAfterPayout = true;
+        } else if (new Date(payment.date) <= deadline) {
+          stats.onTimePayments++;
+        } else {
+          stats.latePayments++;
+          totalDelayDays += (new Date(payment.date) - deadline) / DAY_MS;
+        }
+      }
+
+      if (round.isDistributed && isRoundRecipient(round, userId)) receivedPayout = true;
+    });
+
+    if (missedAfterPayout) stats.abandonedSols++;
+
+    (sol.penalties || [])
+      .filter(penalty => sameId(penalty.participant, userId) && penalty.status !== 'waived')
+      .forEach(penalty => {
+        stats.penalties++;
+        stats.penaltyAmount += penalty.amount;
+      });
+  });
+
+  const isNew = stats.expectedPayments === 0;
+
+  if (!isNew) {
+    stats.onTimeRatio = roundNumber(stats.onTimePayments / stats.expectedPayments, 2);
+  }
+  if (stats.latePayments > 0) {
+    stats.averageDelayDays = roundNumber(totalDelayDays / stats.latePayments, 1);
+  }
+  stats.penaltyAmount = roundNumber(stats.penaltyAmount, 2);
+
+  // Critères ramenés entre 0 et 1
+  const onTime = isNew ? 0 : stats.onTimePayments / stats.expectedPayments;
+  const delay = 1 - Math.min(stats.averageDelayDays / CONFIG.MAX_DELAY_DAYS, 1);
+  const penalties = isNew ? 1 : 1 - Math.min(stats.penalties / stats.expectedPayments, 1);
+  const finishedSols = stats.completedSols + stats.abandonedSols;
+  const completion = finishedSols > 0 ? stats.completedSols / finishedSols : 1;
+
+  const { WEIGHTS } = CONFIG;
+  const rawScore = 100 * (
+    WEIGHTS.onTime * onTime +
+    WEIGHTS.delay * delay +
+    WEIGHTS.penalties * penalties +
+    WEIGHTS.completion * completion
+  );
+
+  const blended = (rawScore * stats.expectedPayments + CONFIG.PRIOR_SCORE * CONFIG.PRIOR_WEIGHT) /
+    (stats.expectedPayments + CONFIG.PRIOR_WEIGHT);
+
+  const score = Math.round(Math.max(0, Math.min(100,
+    blended - stats.abandonedSols * CONFIG.ABANDON_PENALTY
+  )));
+
+  return {
+    score,
+    level: isNew ? 'nouveau' : getLevel(score),
+    isNew,
+    stats,
+    computedAt: now
+  };
+};
+
+/**
+ * Score d'un membre tel que présenté aux autres membres
+ * (rien sans son consentement)
+ * @param {Object} reliability - Résultat de computeReliability
+ * @param {Boolean} shared - Consentement du membre
+ */
+const presentReliability = (reliability, shared) => {
+  if (!shared || !reliability) return null;
+
+  const { score, level, isNew, stats } = reliability;
+  return {
+    score,
+    level,
+    isNew,
+    onTimeRatio: stats.onTimeRatio,
+    averageDelayDays: stats.averageDelayDays,
+    penalties: stats.penalties,
+    completedSols: stats.completedSols,
+    abandonedSols: stats.abandonedSols
+  };
+};
+
+/**
+ * Fiabilité agrégée d'un groupe de membres consentants : la moyenne n'est
+ * publiée qu'au-delà de MIN_SHARED_MEMBERS, pour ne pas révéler un score individuel
+ * @param {Array} reliabilities - Scores des membres ayant accepté le partage
+ * @returns {Object} - { averageScore, ratedMembers }
+ */
+const summarizeReliability = (reliabilities) => {
+  const rated = reliabilities.filter(reliability => reliability && !reliability.isNew);
+  const averageScore = rated.length >= CONFIG.MIN_SHARED_MEMBERS
+    ? Math.round(rated.reduce((sum, reliability) => sum + reliability.score, 0) / rated.length)
+    : null;
+
+  return { averageScore, ratedMembers: rated.length };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  CONFIG,
+  computeReliability,
+  presentReliability,
+  summarizeReliability
+};
@@ -0,0 +1,400 @@
+// src/services/solSettlementService.js - Dissolution et règlement des sols FinApp Haiti
+const SolEvent = require('../models/SolEvent');
+const { roundNumber } = require('../utils/helpers');
+const { computeDiscountShares } = require('./solTurnOrderService');
+const { splitByShares } = require('./solHandService');
+const { creditMember } = require('./solLifecycleService');
+
+/**
+ * Un sol qui s'effondre en cours de cycle laisse des membres qui ont
+ * cotisé sans toucher leur main, et d'autres qui ont touché la leur.
+ * Position nette d'un membre = reçu + remboursé - cotisé :
+ * - cotisé : cotisations vérifiées de tous les rounds
+ * - reçu : sa part des mains versées (pénalités et remises d'enchère
+ *   comprises), plus les cotisations hors app encore détenues par
+ *   l'organisateur pour les rounds non versés
+ * - remboursé : cotisations in-app des rounds non versés et pénalités
+ *   retenues jamais redistribuées, rendues par l'app à la dissolution
+ * Positif : le membre doit de l'argent ; négatif : on lui en doit. Le plan
+ * de règlement apparie débiteurs et créanciers (plus grosses positions
+ * d'abord) et peut être converti en dettes/créances (modèle Debt).
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const DISSOLVABLE_STATUSES = ['active', 'paused'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur de règlement avec code et statut HTTP
+ */
+const createSettlementError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// ===================================================================
+// POSITIONS NETTES
+// ===================================================================
+
+/**
+ * Part de chaque bénéficiaire d'une main versée, telle que créditée
+ * à la clôture du round (voir solLifecycleService.closeRound)
+ * @returns {Array} - [{ user, amount }]
+ */
+const getPayoutParts = (sol, round) => {
+  const recipients = sol.getRoundRecipients(round);
+  if (recipients.length === 0) return [];
+
+  const grossParts = splitByShares(round.actualAmount || 0, recipients);
+  const additionParts = splitByShares(round.penaltyAdditions || 0, recipients);
+  const discountParts = splitByShares(round.turnDiscount || 0, recipients);
+
+  const parts = grossParts.map((part, index) => {
+    const deducted = (sol.penalties || [])
+      .filter(penalty =>
+        penalty.status === 'collected' &&
+        penalty.collectedInRound === round.roundNumber &&
+        sameId(penalty.participant, part.user)
+      )
+      .reduce((sum, penalty) => sum + penalty.amount, 0);
+
+    return {
+      user: part.user,
+      amount: part.amount - deducted + additionParts[index].amount - discountParts[index].amount
+    };
+  });
+
+  // Remise d'enchère partagée entre les autres membres
+  const { shares } = computeDiscountShares(sol, round, (round.payoutAmount || 0) + (round.turnDiscount || 0));
+  shares.forEach(share => parts.push({ user: share.participant, amount: share.amount }));
+
+  return parts;
+};
+
+/**
+ * Flux de chaque membre depuis le démarrage du sol
+ * @param {Object} sol - Sol
+ * @returns {Object} - { positions: [{ user, paid, received, refunded, net }], refunds }
+ */
+const computeNetPositions = (sol) => {
+  const flows = new Map();
+  const refunds = [];
+
+  const flowOf = (userId) => {
+    const key = toId(userId).toString();
+    if (!flows.has(key)) {
+      flows.set(key, { user: toId(userId), paid: 0, received: 0, refunded: 0 });
+    }
+    return flows.get(key);
+  };
+
+  sol.getMembers().forEach(flowOf);
+
+  (sol.rounds || []).forEach(round => {
+    const verifiedPayments = sol.getVerifiedPayments(round);
+
+    verifiedPayments.forEach(payment => {
+      flowOf(payment.payer).paid += payment.amount;
+    });
+
+    if (round.isDistributed) {
+      getPayoutParts(sol, round).forEach(part => {
+        flowOf(part.user).received += part.amount;
+      });
+      return;
+    }
+
+    // Round jamais versé : l'app rend les cotisations in-app, l'organisateur
+    // reste redevable de celles qu'il a encaissées hors app
+    verifiedPayments.forEach(payment => {
+      if (payment.isExternal) {
+        flowOf(sol.creator).received += payment.amount;
+        return;
+      }
+
+      flowOf(payment.payer).refunded += payment.amount;
+      refunds.push({
+        user: toId(payment.payer),
+        roundNumber: round.roundNumber,
+        source: 'contribution',
+        amount: payment.amount
+      });
+    });
+  });
+
+  // Pénalités retenues sur une main mais jamais redistribuées
+  (sol.penalties || [])
+    .filter(penalty => penalty.status === 'collected' && !penalty.distributedInRound)
+    .forEach(penalty => {
+      flowOf(penalty.participant).refunded += penalty.amount;
+      refunds.push({
+        user: toId(penalty.participant),
+        roundNumber: penalty.collectedInRound,
+        source: 'penalty',
+        amount: penalty.amount
+      });
+    });
+
+  const positions = [...flows.values()].map(flow => ({
+    user: flow.user,
+    paid: roundNumber(flow.paid, 2),
+    received: roundNumber(flow.received, 2),
+    refunded: roundNumber(flow.refunded, 2),
+    net: roundNumber(flow.received + flow.refunded - flow.paid, 2)
+  }));
+
+  return { positions, refunds };
+};
+
+// ===================================================================
+// PLAN DE RÈGLEMENT
+// ===================================================================
+
+/**
+ * Apparier débiteurs (net > 0) et créanciers (net < 0), au centime
+ * @param {Array} positions - Résultat de computeNetPositions
+ * @returns {Object} - { transfers: [{ from, to, amount }], unallocated }
+ */
+const buildSettlementPlan = (positions) => {
+  const byAmount = (a, b) => b.cents - a.cents;
+  const debtors = positions
+    .filter(position => position.net > 0)
+    .map(position => ({ user: position.user, cents: toCents(position.net) }))
+    .sort(byAmount);
+  const creditors = positions
+    .filter(position => position.net < 0)
+    .map(position => ({ user: position.user, cents: toCents(-position.net) }))
+    .sort(byAmount);
+
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+
+  while (d < debtors.length && c < creditors.length) {
+    const cents = Math.min(debtors[d].cents, creditors[c].cents);
+
+    if (cents > 0) {
+      transfers.push({ from: debtors[d].user, to: creditors[c].user, amount: cents / 100 });
+    }
+
+    debtors[d].cents -= cents;
+    creditors[c].cents -= cents;
+    if (debtors[d].cents === 0) d++;
+    if (creditors[c].cents === 0) c++;
+  }
+
+  // Écart d'arrondi ou données incohérentes : rien à apparier
+  const leftover = [...debtors, ...creditors].reduce((sum, entry) => sum + entry.cents, 0);
+
+  return { transfers, unallocated: leftover / 100 };
+};
+
+/**
+ * Règlement complet d'un sol (aperçu ou dissolution)
+ * @param {Object} sol - Sol
+ * @returns {Object} - { currency, positions, refunds, transfers, unallocated, totals }
+ */
+const computeSettlement = (sol) => {
+  const { positions, refunds } = computeNetPositions(sol);
+  const { transfers, unallocated } = buildSettlementPlan(positions);
+
+  const sum = (items, key) => roundNumber(items.reduce((total, item) => total + item[key], 0), 2);
+
+  return {
+    currency: sol.currency,
+    positions,
+    refunds,
+    transfers,
+    unallocated,
+    totals: {
+      paid: sum(positions, 'paid'),
+      received: sum(positions, 'received'),
+      refunded: sum(refunds, 'amount'),
+      transferred: sum(transfers, 'amount')
+    }
+  };
+};
+
+// ===================================================================
+// DISSOLUTION
+// ===================================================================
+
+/**
+ * Dissoudre un sol démarré : rounds ouverts annulés, pénalités dues
+ * annulées, cotisations in-app des rounds non versés marquées remboursées
+ * @param {Object} sol - Sol actif ou en pause (modifié, non sauvegardé)
+ * @param {Object} options - { actor, reason, now }
+ * @returns {Object} - Règlement (computeSettlement)
+ */
+const dissolveSol = (sol, { actor, reason, now = new Date() } = {}) => {
+  if (!DISSOLVABLE_STATUSES.includes(sol.status)) {
+    throw createSettlementError(
+      'Seul un sol démarré (actif ou en pause) peut être dissous',
+      'sol_not_dissolvable',
+      409
+    );
+  }
+
+  const settlement = computeSettlement(sol);
+
+  sol.rounds.forEach(round => {
+    if (round.status === 'completed' || round.isDistributed) return;
+
+    round.status = 'cancelled';
+    sol.getVerifiedPayments(round)
+      .filter(payment => !payment.isExternal)
+      .forEach(payment => { payment.status = 'refunded'; });
+  });
+
+  sol.penalties
+    .filter(penalty => penalty.status === 'accrued')
+    .forEach(penalty => {
+      penalty.status = 'waived';
+      penalty.waivedBy = actor;
+      penalty.waivedAt = now;
+      penalty.waiverReason = 'Dissolution du sol';
+    });
+
+  const fromStatus = sol.status;
+  sol.status = 'cancelled';
+  sol.cancelledDate = now;
+  sol.cancellationReason = reason;
+  sol.nextPaymentDate = undefined;
+  sol.statusHistory.push({
+    status: 'cancelled',
+    date: now,
+    reason: `Dissolution : ${reason}`,
+    changedBy: actor
+  });
+
+  sol.dissolution = {
+    dissolvedAt: now,
+    dissolvedBy: actor,
+    reason,
+    positions: settlement.positions,
+    refunds: settlement.refunds,
+    transfers: settlement.transfers,
+    unallocated: settlement.unallocated
+  };
+
+  return { ...settlement, fromStatus };
+};
+
+/**
+ * Rendre aux membres les fonds encore détenus par l'app
+ * @param {Object} sol - Sol dissous
+ * @param {Array} refunds - settlement.refunds
+ * @param {Object} session - Session MongoDB
+ * @returns {Promise<Array>} - [{ user, amount, transaction }] (transaction null sans compte par défaut)
+ */
+const executeRefunds = async (sol, refunds, session) => {
+  const results = [];
+
+  for (const refund of refunds) {
+    const round = sol.rounds.find(r => r.roundNumber === refund.roundNumber) || {};
+    const transaction = await creditMember(sol, round, refund.user, refund.amount, {
+      subcategory: 'remboursement',
+      description: refund.source === 'penalty'
+        ? `Remboursement pénalité Sol dissous: ${sol.name}`
+        : `Remboursement cotisation Sol dissous: ${sol.name} - Round ${refund.roundNumber}`,
+      tag: 'sol_refund'
+    }, session);
+
+    results.push({ user: refund.user, amount: refund.amount, transaction: transaction ? transaction._id : null });
+  }
+
+  return results;
+};
+
+/**
+ * Dette (débiteur) et créance (créancier) pour chaque virement du plan
+ * @param {Object} sol - Sol dissous
+ * @param {Array} transfers - settlement.transfers
+ * @param {Map} names - userId → nom affiché
+ * @param {Object} options - { dueDate }
+ * @returns {Array} - Documents Debt à insérer
+ */
+const buildSettlementDebts = (sol, transfers, names, { dueDate } = {}) => {
+  const nameOf = (userId) => names.get(toId(userId).toString()) || 'Membre du sol';
+  const description = `Règlement du sol dissous "${sol.name}"`;
+  const common = {
+    currency: sol.currency,
+    description,
+    reason: 'other',
+    borrowedDate: sol.dissolution ? sol.dissolution.dissolvedAt : new Date(),
+    dueDate,
+    tags: ['sol_settlement', `sol_${sol._id}`]
+  };
+
+  return transfers.flatMap(transfer => [
+    {
+      ...common,
+      user: transfer.from,
+      type: 'debt',
+      amount: transfer.amount,
+      contact: { name: nameOf(transfer.to), relation: 'other' },
+      solSettlement: { sol: sol._id, counterparty: transfer.to }
+    },
+    {
+      ...common,
+      user: transfer.to,
+      type: 'loan',
+      amount: transfer.amount,
+      contact: { name: nameOf(transfer.from), relation: 'other' },
+      solSettlement: { sol: sol._id, counterparty: transfer.from }
+    }
+  ]);
+};
+
+/**
+ * Journaliser la dissolution dans l'historique du sol
+ */
+const recordDissolutionEvent = (sol, settlement, { actor, session = null } = {}) => {
+  return SolEvent.record(sol, 'sol_dissolved', {
+    trigger: 'dissolution',
+    actor,
+    fromStatus: settlement.fromStatus,
+    toStatus: 'cancelled',
+    amount: settlement.totals.paid,
+    details: {
+      reason: sol.dissolution.reason,
+      refunds: settlement.refunds,
+      transfers: settlement.transfers,
+      unallocated: settlement.unallocated,
+      debtsCreated: sol.dissolution.debtsCreated
+    },
+    session
+  });
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  DISSOLVABLE_STATUSES,
+  getPayoutParts,
+  computeNetPositions,
+  buildSettlementPlan,
+  computeSettlement,
+  dissolveSol,
+  executeRefunds,
+  buildSettlementDebts,
+  recordDissolutionEvent
+};
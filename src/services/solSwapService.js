@@ -0,0 +1,340 @@
+// src/services/solSwapService.js - Échanges de mains entre membres FinApp Haiti
+const SolEvent = require('../models/SolEvent');
+
+/**
+ * Marché d'échange de positions d'un sol actif :
+ * 1. un membre propose d'échanger sa main avec un membre précis ou l'offre à tous
+ * 2. la contrepartie accepte (ou refuse si elle était ciblée)
+ * 3. l'organisateur approuve si sol.requiresSwapApproval (sauf s'il est partie)
+ * 4. positions, bénéficiaires et remises d'enchère sont échangés en une sauvegarde
+ * Seuls les rounds encore planifiés ("scheduled") et les mains entières
+ * (non partagées) peuvent changer de détenteur.
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const OPEN_SWAP_STATUSES = ['pending', 'awaiting_approval'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur d'échange avec code et statut HTTP
+ */
+const createSwapError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+/**
+ * Main d'un membre : celle du round indiqué, sinon sa première main
+ * entière encore planifiée (un membre peut tenir plusieurs mains)
+ */
+const findParticipant = (sol, userId, position = null) => {
+  const entries = sol.participants.filter(p => sameId(p.user, userId));
+  if (position) return entries.find(p => p.position === position);
+
+  return entries.find(p =>
+    (p.share ?? 100) === 100 &&
+    sol.rounds[p.position - 1] &&
+    sol.rounds[p.position - 1].status === 'scheduled'
+  ) || entries[0];
+};
+
+/**
+ * Vérifier qu'un membre tient toujours la main attendue et qu'elle est échangeable
+ * @param {Object} sol - Sol
+ * @param {Object} participant - Participant
+ * @param {Number} expectedPosition - Position enregistrée dans la demande (optionnelle)
+ */
+const assertSwappablePosition = (sol, participant, expectedPosition = null) => {
+  if (expectedPosition && participant.position !== expectedPosition) {
+    throw createSwapError('Les positions ont changé depuis la demande', 'swap_outdated', 409);
+  }
+
+  const round = sol.rounds[participant.position - 1];
+  if (!round || round.status !== 'scheduled') {
+    throw createSwapError(
+      `Seuls les rounds planifiés peuvent être échangés (round ${participant.position})`,
+      'round_not_swappable',
+      409
+    );
+  }
+
+  const holders = sol.participants.filter(p => p.position === participant.position);
+  if (holders.length > 1 || (participant.share ?? 100) < 100) {
+    throw createSwapError(
+      `La main du round ${participant.position} est partagée et ne peut pas être échangée`,
+      'shared_hand_not_swappable',
+      409
+    );
+  }
+};
+
+const assertActiveSol = (sol) => {
+  if (sol.status !== 'active') {
+    throw createSwapError('Les échanges de mains ne concernent que les sols actifs', 'sol_not_active', 409);
+  }
+};
+
+/**
+ * Trouver une demande d'échange dans un statut donné
+ */
+const findSwap = (sol, swapId, statuses) => {
+  const swap = sol.swapRequests.id(swapId);
+
+  if (!swap) {
+    throw createSwapError('Demande d\'échange introuvable', 'swap_not_found', 404);
+  }
+
+  if (!statuses.includes(swap.status)) {
+    throw createSwapError('Cette demande d\'échange a déjà été traitée', 'swap_not_open', 409);
+  }
+
+  return swap;
+};
+
+// ===================================================================
+// DEMANDES
+// ===================================================================
+
+/**
+ * Proposer un échange de main
+ * @param {Object} sol - Sol actif (modifié, non sauvegardé)
+ * @param {String} userId - Demandeur
+ * @param {Object} options - { targetUserId, roundNumber, message } (sans cible : offre ouverte)
+ * @returns {Object} - Demande créée
+ */
+const createSwapRequest = (sol, userId, { targetUserId = null, roundNumber = null, message } = {}) => {
+  assertActiveSol(sol);
+
+  const requester = findParticipant(sol, userId, roundNumber);
+  if (!requester) {
+    throw createSwapError('Vous ne participez pas à ce sol', 'not_participant', 403);
+  }
+  assertSwappablePosition(sol, requester);
+
+  if (targetUserId) {
+    const target = findParticipant(sol, targetUserId);
+    if (!target || sameId(targetUserId, userId)) {
+      throw createSwapError('Le membre ciblé ne participe pas à ce sol', 'invalid_swap_target');
+    }
+    assertSwappablePosition(sol, target);
+  }
+
+  const hasOpenRequest = sol.swapRequests.some(swap =>
+    sameId(swap.requester, userId) && OPEN_SWAP_STATUSES.includes(swap.status)
+  );
+  if (hasOpenRequest) {
+    throw createSwapError('Vous avez déjà une demande d\'échange en cours', 'swap_request_exists', 409);
+  }
+
+  sol.swapRequests.push({
+    requester: toId(requester.user),
+    requesterRound: requester.position,
+    target: targetUserId || undefined,
+    message
+  });
+
+  return sol.swapRequests[sol.swapRequests.length - 1];
+};
+
+/**
+ * Échanger positions, bénéficiaires et remises des deux membres
+ * La remise d'enchère suit le membre qui l'a consentie
+ * @param {Object} sol - Sol (modifié, non sauvegardé)
+ * @param {Object} swap - Demande acceptée
+ * @param {String} actor - Utilisateur qui finalise l'échange
+ * @returns {Object} - Demande complétée
+ */
+const applySwap = (sol, swap, actor) => {
+  assertActiveSol(sol);
+
+  const requester = findParticipant(sol, swap.requester, swap.requesterRound);
+  const counterparty = findParticipant(sol, swap.counterparty, swap.counterpartyRound);
+
+  if (!requester || !counterparty) {
+    throw createSwapError('Un des membres a quitté le sol', 'swap_outdated', 409);
+  }
+
+  assertSwappablePosition(sol, requester, swap.requesterRound);
+  assertSwappablePosition(sol, counterparty, swap.counterpartyRound);
+
+  requester.position = swap.counterpartyRound;
+  counterparty.position = swap.requesterRound;
+
+  [requester, counterparty].forEach(participant => {
+    const round = sol.rounds[participant.position - 1];
+    round.recipient = toId(participant.user);
+    round.recipientShares = [{ user: toId(participant.user), share: 100 }];
+    round.turnDiscount = participant.turnDiscount || 0;
+  });
+
+  const now = new Date();
+  swap.status = 'completed';
+  swap.completedAt = now;
+  if (!sameId(actor, swap.counterparty)) {
+    swap.decidedBy = actor;
+    swap.decidedAt = now;
+  }
+
+  // Les autres demandes sur ces deux mains ne sont plus valables
+  sol.swapRequests
+    .filter(other =>
+      other !== swap &&
+      OPEN_SWAP_STATUSES.includes(other.status) &&
+      [other.requester, other.target, other.counterparty].some(user =>
+        sameId(user, swap.requester) || sameId(user, swap.counterparty)
+      )
+    )
+    .forEach(other => {
+      other.status = 'cancelled';
+      other.decidedAt = now;
+    });
+
+  return swap;
+};
+
+/**
+ * Accepter une demande (membre ciblé, ou tout membre pour une offre ouverte)
+ * @param {Number} roundNumber - Main cédée en échange (optionnelle si une seule)
+ * @returns {Object} - { swap, executed } (executed : false si approbation requise)
+ */
+const acceptSwap = (sol, swapId, userId, roundNumber = null) => {
+  assertActiveSol(sol);
+  const swap = findSwap(sol, swapId, ['pending']);
+
+  if (swap.target ? !sameId(swap.target, userId) : sameId(swap.requester, userId)) {
+    throw createSwapError('Cette demande ne vous est pas adressée', 'not_swap_target', 403);
+  }
+
+  const counterparty = findParticipant(sol, userId, roundNumber);
+  if (!counterparty) {
+    throw createSwapError('Vous ne détenez pas cette main', 'not_participant', 403);
+  }
+
+  const requester = findParticipant(sol, swap.requester, swap.requesterRound);
+  if (!requester) {
+    throw createSwapError('Les positions ont changé depuis la demande', 'swap_outdated', 409);
+  }
+
+  assertSwappablePosition(sol, counterparty);
+  assertSwappablePosition(sol, requester, swap.requesterRound);
+
+  swap.counterparty = toId(counterparty.user);
+  swap.counterpartyRound = counterparty.position;
+  swap.acceptedAt = new Date();
+
+  // L'organisateur partie à l'échange n'a pas à s'approuver lui-même
+  const needsApproval = sol.requiresSwapApproval &&
+    !sameId(sol.creator, swap.requester) &&
+    !sameId(sol.creator, userId);
+
+  if (needsApproval) {
+    swap.status = 'awaiting_approval';
+    return { swap, executed: false };
+  }
+
+  return { swap: applySwap(sol, swap, userId), executed: true };
+};
+
+/**
+ * Refuser une demande ciblée
+ */
+const declineSwap = (sol, swapId, userId) => {
+  const swap = findSwap(sol, swapId, ['pending']);
+
+  if (!swap.target || !sameId(swap.target, userId)) {
+    throw createSwapError('Cette demande ne vous est pas adressée', 'not_swap_target', 403);
+  }
+
+  swap.status = 'declined';
+  swap.decidedAt = new Date();
+  return swap;
+};
+
+/**
+ * Approuver un échange accepté (organisateur)
+ */
+const approveSwap = (sol, swapId, actor) => {
+  const swap = findSwap(sol, swapId, ['awaiting_approval']);
+  return applySwap(sol, swap, actor);
+};
+
+/**
+ * Refuser un échange accepté (organisateur)
+ */
+const rejectSwap = (sol, swapId, actor, reason) => {
+  const swap = findSwap(sol, swapId, ['awaiting_approval']);
+
+  swap.status = 'rejected';
+  swap.decidedBy = actor;
+  swap.decidedAt = new Date();
+  swap.rejectionReason = reason;
+  return swap;
+};
+
+/**
+ * Retirer sa demande tant qu'elle n'est pas exécutée
+ */
+const cancelSwap = (sol, swapId, userId) => {
+  const swap = findSwap(sol, swapId, OPEN_SWAP_STATUSES);
+
+  if (!sameId(swap.requester, userId)) {
+    throw createSwapError('Seul l\'auteur peut retirer sa demande', 'not_swap_requester', 403);
+  }
+
+  swap.status = 'cancelled';
+  swap.decidedAt = new Date();
+  return swap;
+};
+
+// ===================================================================
+// JOURNAL
+// ===================================================================
+
+/**
+ * Journaliser un échange exécuté dans l'historique du sol
+ */
+const recordSwapEvent = (sol, swap, { actor, session = null } = {}) => {
+  return SolEvent.record(sol, 'positions_swapped', {
+    trigger: 'swap',
+    actor,
+    details: {
+      swapId: swap._id,
+      requester: swap.requester,
+      counterparty: swap.counterparty,
+      requesterNewRound: swap.counterpartyRound,
+      counterpartyNewRound: swap.requesterRound,
+      approvedBy: swap.decidedBy
+    },
+    session
+  });
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  OPEN_SWAP_STATUSES,
+  createSwapRequest,
+  acceptSwap,
+  declineSwap,
+  approveSwap,
+  rejectSwap,
+  cancelSwap,
+  applySwap,
+  recordSwapEvent
+};
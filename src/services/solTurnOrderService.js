@@ -0,0 +1,298 @@
+// src/services/solTurnOrderService.js - Attribution de l'ordre des mains FinApp Haiti
+const crypto = require('crypto');
+const { roundNumber } = require('../utils/helpers');
+
+/**
+ * Modes d'attribution des tours (sol.turnOrder.mode) :
+ * - fixed : ordre d'arrivée des membres
+ * - random : tirage au sort vérifiable. Le SHA-256 d'une graine secrète est
+ *   publié à la création du sol, la graine est révélée au tirage. Pour refaire
+ *   le tirage, partir des mains dans l'ordre d'arrivée (inputOrder) puis,
+ *   pour i de n-1 à 1 : j = int(hex(sha256(graine + ':' + i))[0..12]) % (i + 1),
+ *   échanger les éléments i et j
+ * - auction : chaque membre qui a besoin de sa main tôt propose une remise
+ *   pour les rounds visés ; round par round, la plus forte remise l'emporte
+ *   (la plus ancienne en cas d'égalité). La remise est retenue sur sa main et
+ *   partagée entre les autres membres au versement
+ */
+
+// ===================================================================
+// CONFIGURATION
+// ===================================================================
+
+const TURN_ORDER_MODES = ['fixed', 'random', 'auction'];
+
+// ===================================================================
+// UTILITAIRES
+// ===================================================================
+
+/**
+ * Créer une erreur d'ordre des mains avec code et statut HTTP
+ */
+const createTurnOrderError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => {
+  if (!a || !b) return false;
+  return toId(a).toString() === toId(b).toString();
+};
+
+/**
+ * Membres dans l'ordre d'arrivée (positions provisoires avant attribution)
+ */
+const getJoinOrder = (sol) => [...sol.participants].sort((a, b) => a.position - b.position);
+
+/**
+ * Remise maximale : la main ne peut pas céder plus que les cotisations des autres
+ */
+const getMaxDiscount = (sol) => sol.contributionAmount * (sol.maxParticipants - 1);
+
+// ===================================================================
+// TIRAGE AU SORT
+// ===================================================================
+
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+/**
+ * Graine secrète et engagement public d'un tirage
+ * @returns {Object} - { seed, seedHash }
+ */
+const createSeedCommitment = () => {
+  const seed = crypto.randomBytes(32).toString('hex');
+  return { seed, seedHash: hashSeed(seed) };
+};
+
+/**
+ * Mélange de Fisher-Yates déterministe pour une graine donnée
+ * @param {Array} items - Éléments dans l'ordre d'entrée
+ * @param {String} seed - Graine révélée
+ * @returns {Array} - Nouvelle liste mélangée
+ */
+const shuffleWithSeed = (items, seed) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const digest = hashSeed(`${seed}:${i}`);
+    const j = parseInt(digest.slice(0, 12), 16) % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+// ===================================================================
+// ENCHÈRES
+// ===================================================================
+
+/**
+ * Remplacer les offres d'un membre (enchère ouverte jusqu'à l'attribution)
+ * @param {Object} sol - Sol en recrutement (modifié, non sauvegardé)
+ * @param {String} userId - Membre
+ * @param {Array} bids - [{ roundNumber, discount }]
+ * @returns {Array} - Offres enregistrées du membre
+ */
+const placeBids = (sol, userId, bids) => {
+  if (sol.turnOrder.mode !== 'auction') {
+    throw createTurnOrderError('Ce sol n\'attribue pas les mains aux enchères', 'turn_order_not_auction', 409);
+  }
+
+  if (sol.status !== 'recruiting' || sol.turnOrder.assignedAt) {
+    throw createTurnOrderError('Les enchères sont clôturées', 'auction_closed', 409);
+  }
+
+  const maxDiscount = getMaxDiscount(sol);
+  const seenRounds = new Set();
+
+  bids.forEach(bid => {
+    if (bid.roundNumber > sol.maxParticipants) {
+      throw createTurnOrderError(`Round ${bid.roundNumber} inexistant`, 'invalid_bid_round');
+    }
+    if (seenRounds.has(bid.roundNumber)) {
+      throw createTurnOrderError(`Plusieurs offres pour le round ${bid.roundNumber}`, 'duplicate_bid_round');
+    }
+    if (bid.discount > maxDiscount) {
+      throw createTurnOrderError(`Remise maximale : ${maxDiscount} ${sol.currency}`, 'bid_discount_too_high');
+    }
+    seenRounds.add(bid.roundNumber);
+  });
+
+  const now = new Date();
+  sol.turnOrder.bids = sol.turnOrder.bids
+    .filter(bid => !sameId(bid.participant, userId))
+    .concat(bids.map(bid => ({
+      participant: userId,
+      roundNumber: bid.roundNumber,
+      discount: roundNumber(bid.discount, 2),
+      placedAt: now
+    })));
+
+  return sol.turnOrder.bids.filter(bid => sameId(bid.participant, userId));
+};
+
+/**
+ * Retirer les offres d'un membre qui quitte le sol
+ */
+const removeBids = (sol, userId) => {
+  sol.turnOrder.bids = sol.turnOrder.bids.filter(bid => !sameId(bid.participant, userId));
+};
+
+/**
+ * Dépouiller l'enchère : rounds attribués dans l'ordre aux meilleures offres,
+ * rounds sans offre complétés par ordre d'arrivée
+ * @param {Object} sol - Sol complet
+ * @returns {Array} - [{ user, discount }] par round
+ */
+const resolveAuction = (sol) => {
+  const members = getJoinOrder(sol).map(p => toId(p.user));
+  const assigned = new Set();
+  const slots = [];
+
+  for (let roundNum = 1; roundNum <= members.length; roundNum++) {
+    const winner = sol.turnOrder.bids
+      .filter(bid =>
+        bid.roundNumber === roundNum &&
+        !assigned.has(toId(bid.participant).toString()) &&
+        members.some(member => sameId(member, bid.participant))
+      )
+      .sort((a, b) => b.discount - a.discount || new Date(a.placedAt) - new Date(b.placedAt))[0];
+
+    if (winner) {
+      assigned.add(toId(winner.participant).toString());
+      slots.push({ user: toId(winner.participant), discount: winner.discount });
+    } else {
+      slots.push(null);
+    }
+  }
+
+  const remaining = members.filter(member => !assigned.has(member.toString()));
+  return slots.map(slot => slot || { user: remaining.shift(), discount: 0 });
+};
+
+// ===================================================================
+// ATTRIBUTION
+// ===================================================================
+
+/**
+ * Attribuer définitivement les mains d'un sol complet : positions et
+ * remises des participants, entrée d'historique avec graine ou offres
+ * @param {Object} sol - Sol complet, graine chargée en mode random (modifié, non sauvegardé)
+ * @param {Object} options - { actor, now }
+ * @returns {Object} - Entrée d'historique ajoutée
+ */
+const assignTurnOrder = (sol, { actor, now = new Date() } = {}) => {
+  const { mode } = sol.turnOrder;
+
+  if (sol.turnOrder.assignedAt) {
+    throw createTurnOrderError('Les mains ont déjà été attribuées', 'turn_order_already_assigned', 409);
+  }
+
+  if (!sol.isFull) {
+    throw createTurnOrderError('Le sol doit être complet pour attribuer les mains', 'sol_not_full', 409);
+  }
+
+  // Une main partagée se déplace avec tous ses détenteurs ;
+  // inputOrder liste les mains par leur détenteur principal
+  const hands = sol.getHands();
+  const inputOrder = hands.map(hand => toId(hand.holders[0].user));
+  let sequence;
+  const entry = { mode, performedAt: now, performedBy: actor, inputOrder };
+
+  if (mode === 'random') {
+    if (!sol.turnOrder.seed) {
+      throw createTurnOrderError('Graine du tirage introuvable', 'turn_seed_missing', 500);
+    }
+    sequence = shuffleWithSeed(hands, sol.turnOrder.seed).map(hand => ({ hand, discount: 0 }));
+    entry.seed = sol.turnOrder.seed;
+    entry.seedHash = sol.turnOrder.seedHash;
+  } else if (mode === 'auction') {
+    // Enchères : une main entière par membre
+    sequence = resolveAuction(sol).map(slot => ({
+      hand: hands.find(hand => sameId(hand.holders[0].user, slot.user)),
+      discount: slot.discount
+    }));
+    entry.bids = sol.turnOrder.bids.map(bid => bid.toObject ? bid.toObject() : bid);
+  } else {
+    sequence = hands.map(hand => ({ hand, discount: 0 }));
+  }
+
+  entry.order = [];
+  sequence.forEach(({ hand, discount }, index) => {
+    hand.holders.forEach(holder => {
+      holder.position = index + 1;
+      holder.turnDiscount = discount;
+      entry.order.push({ position: index + 1, user: toId(holder.user), discount });
+    });
+  });
+
+  sol.turnOrder.assignedAt = now;
+  sol.turnOrder.assignedBy = actor;
+  sol.turnOrder.history.push(entry);
+
+  return sol.turnOrder.history[sol.turnOrder.history.length - 1];
+};
+
+/**
+ * Séquence des bénéficiaires pour la génération des rounds
+ * (vide tant qu'un tirage ou une enchère n'a pas eu lieu)
+ * @param {Object} sol - Sol
+ * @returns {Array} - [{ recipient, recipientShares, discount }] par round
+ */
+const getTurnSequence = (sol) => {
+  if (sol.turnOrder.mode !== 'fixed' && !sol.turnOrder.assignedAt) return [];
+
+  return sol.getHands().map(hand => ({
+    recipient: toId(hand.holders[0].user),
+    recipientShares: hand.holders.map(holder => ({ user: toId(holder.user), share: holder.share ?? 100 })),
+    discount: hand.holders.reduce((sum, holder) => sum + (holder.turnDiscount || 0), 0)
+  }));
+};
+
+/**
+ * Répartir la remise d'enchère d'un round entre les autres membres
+ * @param {Object} sol - Sol
+ * @param {Object} round - Round versé
+ * @param {Number} payoutAmount - Main avant remise
+ * @returns {Object} - { discount, shares: [{ participant, amount }] }
+ */
+const computeDiscountShares = (sol, round, payoutAmount) => {
+  const others = sol.participants.filter(p => p.user && !sameId(p.user, round.recipient));
+  const discount = roundNumber(Math.min(round.turnDiscount || 0, Math.max(payoutAmount, 0)), 2);
+
+  if (discount <= 0 || others.length === 0) return { discount: 0, shares: [] };
+
+  // Partage au centime, le reliquat va aux premiers membres
+  const cents = Math.round(discount * 100);
+  const base = Math.floor(cents / others.length);
+  let remainder = cents - base * others.length;
+
+  const shares = others.map(p => {
+    const extra = remainder > 0 ? 1 : 0;
+    remainder -= extra;
+    return { participant: toId(p.user), amount: (base + extra) / 100 };
+  });
+
+  return { discount, shares };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  TURN_ORDER_MODES,
+  getMaxDiscount,
+  hashSeed,
+  createSeedCommitment,
+  shuffleWithSeed,
+  placeBids,
+  removeBids,
+  resolveAuction,
+  assignTurnOrder,
+  getTurnSequence,
+  computeDiscountShares
+};
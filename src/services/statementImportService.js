@@ -0,0 +1,492 @@
+// src/services/statementImportService.js - Import relevés bancaires et mobile money
+const crypto = require('crypto');
+const moment = require('moment');
+const Transaction = require('../models/Transaction');
+const MLService = require('./mlService');
+const {
+  updateAccountBalance,
+  updateBudgetTracking
+} = require('./transactionService');
+const {
+  HAITI_BANKS,
+  TRANSACTION_CATEGORIES,
+  TRANSACTION_TYPES,
+  STATEMENT_IMPORT_MAPPINGS,
+  LIMITS
+} = require('../utils/constants');
+const {
+  roundNumber,
+  normalizeHeader,
+  splitCSVLine,
+  detectDelimiter,
+  findColumn
+} = require('../utils/helpers');
+
+/**
+ * Import de relevés CSV (Sogebank, Unibank, MonCash...) et OFX
+ * Deux étapes : aperçu (parsing + catégorisation + doublons) puis validation en lot
+ */
+
+// Catégories du classifieur IA → catégories TRANSACTION_CATEGORIES
+const ML_CATEGORY_MAP = {
+  sols: 'sol',
+  services: 'factures',
+  divertissement: 'loisirs',
+  autre: 'other'
+};
+
+// ===================================================================
+// UTILITAIRES DE PARSING
+// ===================================================================
+
+/**
+ * Convertir un montant texte en nombre ("1 250,50 HTG", "(500.00)", "-75")
+ * @param {String} value - Montant brut
+ * @param {String} decimalSeparator - ',' ou '.'
+ * @returns {Number|null} - Montant signé ou null
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.includes('-');
+  text = text.replace(/[^\d.,]/g, '');
+
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+
+  return negative ? -amount : amount;
+};
+
+/**
+ * Convertir une date selon le format de la banque
+ * @param {String} value - Date brute
+ * @param {String} format - Format moment (ex: DD/MM/YYYY)
+ * @returns {Date|null}
+ */
+const parseDate = (value, format) => {
+  if (!value) return null;
+
+  const parsed = moment(String(value).trim(), [
+    format,
+    `${format} HH:mm`,
+    `${format} HH:mm:ss`,
+    moment.ISO_8601
+  ], true);
+
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+// ===================================================================
+// PARSERS CSV / OFX
+// ===================================================================
+
+/**
+ * Parser un relevé CSV avec le mapping de la banque
+ * @param {String} content - Contenu du fichier
+ * @param {Object} mapping - Entrée de STATEMENT_IMPORT_MAPPINGS
+ * @returns {Object} - { rows, errors }
+ */
+const parseCSV = (content, mapping) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const rows = [];
+  const errors = [];
+
+  if (lines.length < 2) {
+    return { rows, errors: [{ row: 0, message: 'Fichier vide ou sans lignes de données' }] };
+  }
+
+  const delimiter = detectDelimiter(lines[0], mapping.delimiter);
+  const headers = splitCSVLine(lines[0], delimiter).map(normalizeHeader);
+
+  const columns = {
+    date: findColumn(headers, mapping.columns.date),
+    description: findColumn(headers, mapping.columns.description),
+    amount: findColumn(headers, mapping.columns.amount),
+    debit: findColumn(headers, mapping.columns.debit),
+    credit: findColumn(headers, mapping.columns.credit),
+    reference: findColumn(headers, mapping.columns.reference)
+  };
+
+  const hasAmount = columns.amount !== -1 || (columns.debit !== -1 || columns.credit !== -1);
+
+  if (columns.date === -1 || columns.description === -1 || !hasAmount) {
+    return {
+      rows,
+      errors: [{
+        row: 1,
+        message: 'Colonnes introuvables (date, description et montant requis). Vérifiez la banque sélectionnée.'
+      }]
+    };
+  }
+
+  lines.slice(1).forEach((line, index) => {
+    const rowNumber = index + 2;
+    const cells = splitCSVLine(line, delimiter);
+    const cell = (key) => (columns[key] !== -1 ? cells[columns[key]] : undefined);
+
+    const date = parseDate(cell('date'), mapping.dateFormat);
+
+    let signedAmount = null;
+    if (columns.amount !== -1 && cell('amount')) {
+      signedAmount = parseAmount(cell('amount'), mapping.decimalSeparator);
+    } else {
+      const debit = parseAmount(cell('debit'), mapping.decimalSeparator);
+      const credit = parseAmount(cell('credit'), mapping.decimalSeparator);
+      if (debit) signedAmount = -Math.abs(debit);
+      else if (credit) signedAmount = Math.abs(credit);
+    }
+
+    if (!date) {
+      errors.push({ row: rowNumber, message: `Date invalide: "${cell('date') || ''}"` });
+      return;
+    }
+
+    if (!signedAmount) {
+      errors.push({ row: rowNumber, message: 'Montant manquant ou invalide' });
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      date,
+      description: (cell('description') || '').slice(0, LIMITS.TRANSACTION.MAX_DESCRIPTION_LENGTH),
+      amount: roundNumber(Math.abs(signedAmount), 2),
+      type: signedAmount < 0 ? TRANSACTION_TYPES.EXPENSE : TRANSACTION_TYPES.INCOME,
+      reference: cell('reference') || undefined
+    });
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Lire la valeur d'une balise OFX (SGML 1.x ou XML 2.x)
+ * @param {String} block - Bloc OFX
+ * @param {String} tag - Nom de la balise
+ * @returns {String|undefined}
+ */
+const readOFXTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Parser un relevé OFX/QFX
+ * @param {String} content - Contenu du fichier
+ * @returns {Object} - { rows, errors, currency }
+ */
+const parseOFX = (content) => {
+  const rows = [];
+  const errors = [];
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  if (blocks.length === 0) {
+    return { rows, errors: [{ row: 0, message: 'Aucune transaction OFX trouvée' }] };
+  }
+
+  blocks.forEach((block, index) => {
+    const rowNumber = index + 1;
+    const rawDate = readOFXTag(block, 'DTPOSTED');
+    const date = rawDate ? moment(rawDate.slice(0, 8), 'YYYYMMDD', true) : null;
+    const signedAmount = parseAmount(readOFXTag(block, 'TRNAMT'), '.');
+
+    if (!date || !date.isValid()) {
+      errors.push({ row: rowNumber, message: `Date invalide: "${rawDate || ''}"` });
+      return;
+    }
+
+    if (!signedAmount) {
+      errors.push({ row: rowNumber, message: 'Montant manquant ou invalide' });
+      return;
+    }
+
+    const name = readOFXTag(block, 'NAME');
+    const memo = readOFXTag(block, 'MEMO');
+
+    rows.push({
+      rowNumber,
+      date: date.toDate(),
+      description: [name, memo].filter(Boolean).join(' - ')
+        .slice(0, LIMITS.TRANSACTION.MAX_DESCRIPTION_LENGTH) || 'Transaction importée',
+      amount: roundNumber(Math.abs(signedAmount), 2),
+      type: signedAmount < 0 ? TRANSACTION_TYPES.EXPENSE : TRANSACTION_TYPES.INCOME,
+      reference: readOFXTag(block, 'FITID')
+    });
+  });
+
+  return { rows, errors, currency: readOFXTag(content, 'CURDEF') };
+};
+
+/**
+ * Parser un fichier de relevé selon son format
+ * @param {Buffer} buffer - Contenu du fichier uploadé
+ * @param {Object} options - { format: 'csv'|'ofx', bank }
+ * @returns {Object} - { rows, errors, currency, format, bank }
+ */
+const parseStatement = (buffer, { format, bank }) => {
+  const content = buffer.toString('utf8');
+  const bankKey = STATEMENT_IMPORT_MAPPINGS[bank] ? bank : 'other';
+
+  const result = format === 'ofx'
+    ? parseOFX(content)
+    : parseCSV(content, STATEMENT_IMPORT_MAPPINGS[bankKey]);
+
+  if (result.rows.length > LIMITS.IMPORT.MAX_ROWS) {
+    result.errors.push({
+      row: 0,
+      message: `Relevé limité à ${LIMITS.IMPORT.MAX_ROWS} lignes, lignes suivantes ignorées`
+    });
+    result.rows = result.rows.slice(0, LIMITS.IMPORT.MAX_ROWS);
+  }
+
+  return { ...result, format, bank: bankKey };
+};
+
+/**
+ * Déduire le format depuis le nom du fichier
+ * @param {String} filename - Nom original
+ * @returns {String} - 'csv' ou 'ofx'
+ */
+const detectFormat = (filename = '') => {
+  return /\.(ofx|qfx)$/i.test(filename) ? 'ofx' : 'csv';
+};
+
+// ===================================================================
+// APERÇU : CATÉGORISATION + DOUBLONS
+// ===================================================================
+
+/**
+ * Ramener une catégorie du classifieur sur TRANSACTION_CATEGORIES
+ * @param {String} category - Catégorie proposée
+ * @param {String} type - income|expense
+ * @returns {String}
+ */
+const toTransactionCategory = (category, type) => {
+  const mapped = ML_CATEGORY_MAP[category] || category;
+  if (TRANSACTION_CATEGORIES[mapped]) return mapped;
+  return type === TRANSACTION_TYPES.INCOME ? 'salaire' : 'other';
+};
+
+/**
+ * Suggérer une catégorie via le classifieur IA
+ * @param {String} description - Libellé
+ * @param {Number} amount - Montant
+ * @param {String} type - income|expense
+ * @returns {Object} - { category, confidence }
+ */
+const suggestCategory = async (description, amount, type) => {
+  const classification = await MLService.classifyTransaction(description, amount);
+
+  return {
+    category: toTransactionCategory(classification.category, type),
+    confidence: classification.confidence
+  };
+};
+
+/**
+ * Construire l'aperçu : catégorie suggérée et doublons probables par ligne
+ * @param {String} userId - ID utilisateur
+ * @param {Object} account - Compte cible
+ * @param {Array} rows - Lignes parsées
+ * @returns {Array} - Lignes enrichies
+ */
+const buildImportPreview = async (userId, account, rows) => {
+  const preview = [];
+  const seenInFile = new Set();
+
+  for (const row of rows) {
+    // 1. Catégorisation automatique
+    const suggestion = await suggestCategory(row.description, row.amount, row.type);
+
+    // 2. Doublons en base (±1h même compte/montant/type) ou même référence banque
+    const duplicates = await Transaction.findPotentialDuplicates(userId, {
+      account: account._id,
+      amount: row.amount,
+      type: row.type,
+      date: row.date
+    });
+
+    let duplicateReason = duplicates.length > 0 ? 'existing_transaction' : null;
+
+    if (!duplicateReason && row.reference) {
+      const sameReference = await Transaction.exists({
+        user: userId,
+        account: account._id,
+        'importReference.externalId': row.reference
+      });
+      if (sameReference) duplicateReason = 'already_imported';
+    }
+
+    // 3. Doublons à l'intérieur du fichier
+    const fileKey = `${row.date.toISOString()}|${row.amount}|${row.type}|${row.description}`;
+    if (!duplicateReason && seenInFile.has(fileKey)) {
+      duplicateReason = 'duplicate_in_file';
+    }
+    seenInFile.add(fileKey);
+
+    preview.push({
+      ...row,
+      category: suggestion.category,
+      categoryConfidence: suggestion.confidence,
+      isDuplicate: !!duplicateReason,
+      duplicateReason,
+      duplicateOf: duplicates.map(d => d._id),
+      include: !duplicateReason
+    });
+  }
+
+  return preview;
+};
+
+// ===================================================================
+// VALIDATION EN LOT
+// ===================================================================
+
+/**
+ * Créer les transactions retenues en un seul lot et mettre à jour le solde
+ * @param {String} userId - ID utilisateur
+ * @param {Object} account - Compte cible (document mongoose)
+ * @param {Array} rows - Lignes d'aperçu (éventuellement corrigées par l'utilisateur)
+ * @param {Object} source - { format, bank }
+ * @returns {Object} - { batchId, imported, skipped, netChange }
+ */
+const commitImport = async (userId, account, rows, { format, bank }) => {
+  const batchId = crypto.randomUUID();
+  const importedAt = new Date();
+  const skipped = [];
+  const documents = [];
+  const documentRows = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = row.rowNumber || index + 1;
+
+    if (row.include === false) {
+      skipped.push({ row: rowNumber, reason: row.duplicateReason || 'excluded' });
+      return;
+    }
+
+    const amount = roundNumber(Math.abs(parseFloat(row.amount)), 2);
+    const date = new Date(row.date);
+    const type = row.type === TRANSACTION_TYPES.INCOME ? TRANSACTION_TYPES.INCOME : TRANSACTION_TYPES.EXPENSE;
+
+    if (!amount || amount < LIMITS.TRANSACTION.MIN_AMOUNT || isNaN(date.getTime())) {
+      skipped.push({ row: rowNumber, reason: 'invalid_row' });
+      return;
+    }
+
+    const description = String(row.description || '').trim();
+
+    documentRows.push(rowNumber);
+    documents.push({
+      user: userId,
+      account: account._id,
+      amount,
+      type,
+      description: description.length >= 2
+        ? description.slice(0, LIMITS.TRANSACTION.MAX_DESCRIPTION_LENGTH)
+        : 'Transaction importée',
+      category: TRANSACTION_CATEGORIES[row.category] ? row.category : 'other',
+      date,
+      paymentMethod: ['moncash', 'natcash'].includes(bank) ? bank : 'bank_transfer',
+      isConfirmed: true,
+      importReference: {
+        batchId,
+        source: format,
+        bank,
+        externalId: row.reference ? String(row.reference) : undefined,
+        importedAt
+      }
+    });
+  });
+
+  // Référence banque déjà importée sur ce compte (ou répétée dans le lot) : jamais réimportée
+  const references = documents.map(document => document.importReference.externalId).filter(Boolean);
+  const knownReferences = new Set(references.length > 0
+    ? await Transaction.distinct('importReference.externalId', {
+      user: userId,
+      account: account._id,
+      'importReference.externalId': { $in: references }
+    })
+    : []);
+
+  const uniqueDocuments = documents.filter((document, index) => {
+    const { externalId } = document.importReference;
+    if (!externalId) return true;
+
+    if (knownReferences.has(externalId)) {
+      skipped.push({ row: documentRows[index], reason: 'already_imported' });
+      return false;
+    }
+    knownReferences.add(externalId);
+    return true;
+  });
+
+  if (uniqueDocuments.length === 0) {
+    return { batchId, imported: [], skipped, netChange: 0 };
+  }
+
+  // 1. Insertion en un seul lot (validation mongoose incluse)
+  const imported = await Transaction.insertMany(uniqueDocuments, { ordered: true });
+
+  // 2. Un seul mouvement de solde pour tout le relevé
+  const netChange = roundNumber(imported.reduce((sum, transaction) => {
+    return sum + (transaction.type === TRANSACTION_TYPES.INCOME ? transaction.amount : -transaction.amount);
+  }, 0), 2);
+
+  // Grand livre : une écriture par transaction, à sa date de valeur
+  await updateAccountBalance(
+    account,
+    netChange,
+    `Import relevé ${HAITI_BANKS[bank]?.name || bank}: ${imported.length} transactions`,
+    {
+      source: 'import',
+      lines: imported.map(transaction => ({
+        amount: transaction.type === TRANSACTION_TYPES.INCOME ? transaction.amount : -transaction.amount,
+        date: transaction.date,
+        reference: { model: 'Transaction', id: transaction._id },
+        description: transaction.description
+      }))
+    }
+  );
+
+  // 3. Suivi budget groupé par catégorie
+  const expensesByCategory = {};
+  imported
+    .filter(transaction => transaction.type === TRANSACTION_TYPES.EXPENSE)
+    .forEach(transaction => {
+      expensesByCategory[transaction.category] = (expensesByCategory[transaction.category] || 0) + transaction.amount;
+    });
+
+  for (const [category, total] of Object.entries(expensesByCategory)) {
+    await updateBudgetTracking(userId, category, roundNumber(total, 2));
+  }
+
+  return { batchId, imported, skipped, netChange };
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  // Parsing
+  parseStatement,
+  parseCSV,
+  parseOFX,
+  parseAmount,
+  parseDate,
+  detectFormat,
+
+  // Import
+  suggestCategory,
+  buildImportPreview,
+  commitImport
+};
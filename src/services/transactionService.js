@@ -0,0 +1,472 @@
+// src/services/transactionService.js - Effets des transactions sur comptes et budgets
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const Budget = require('../models/Budget');
+const NotificationService = require('./notificationService');
+const { TRANSACTION_TYPES } = require('../utils/constants');
+const { startOfDay, endOfDay } = require('../utils/dateUtils');
+const { roundNumber } = require('../utils/helpers');
+const { getRate } = require('./exchangeRateService');
+
+/**
+ * Service partagé entre le controller transactions et les tâches automatiques
+ * Centralise la mise à jour des soldes et du suivi budget pour qu'une
+ * transaction produise toujours les mêmes effets, quelle que soit sa source
+ */
+
+// ===================================================================
+// SOLDES & BUDGETS
+// ===================================================================
+
+/**
+ * Mettre à jour solde compte après transaction
+ * @param {Object} account - Compte à mettre à jour
+ * @param {Number} amount - Montant (positif pour crédit, négatif pour débit)
+ * @param {String} description - Description pour historique
+ * @param {Object} ledger - Écriture grand livre { source, reference, date, lines }
+ */
+const updateAccountBalance = async (account, amount, description, ledger = {}) => {
+  try {
+    await account.updateBalance(amount, description, ledger);
+  } catch (error) {
+    console.error('❌ Erreur mise à jour solde:', error.message);
+    throw new Error('Erreur lors de la mise à jour du solde du compte');
+  }
+};
+
+/**
+ * Mettre à jour budget après transaction
+ * @param {String} userId - ID utilisateur
+ * @param {String} category - Catégorie transaction
+ * @param {Number} amount - Montant dépense
+ */
+const updateBudgetTracking = async (userId, category, amount) => {
+  try {
+    // Trouver budget actif pour cette catégorie
+    const activeBudget = await Budget.findOne({
+      user: userId,
+      isActive: true,
+      'categories.category': category
+    });
+
+    if (activeBudget) {
+      const alertResult = await activeBudget.addExpense(category, amount);
+      return alertResult;
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ Erreur mise à jour budget:', error.message);
+    // Ne pas faire échouer la transaction si le budget fail
+    return null;
+  }
+};
+
+/**
+ * Montant signé d'une transaction pour le compte source
+ * @param {String} type - Type de transaction
+ * @param {Number} amount - Montant (toujours positif)
+ * @returns {Number} - Négatif pour dépenses et transferts sortants
+ */
+const getSignedAmount = (type, amount) => {
+  return type === TRANSACTION_TYPES.INCOME ? amount : -amount;
+};
+
+/**
+ * Écriture grand livre rattachée à une transaction (date de valeur = date transaction)
+ * @param {Object} transaction - Transaction sauvegardée
+ * @returns {Object} - Options ledger pour updateAccountBalance
+ */
+const buildTransactionLedger = (transaction) => ({
+  source: 'transaction',
+  reference: { model: 'Transaction', id: transaction._id },
+  date: transaction.date
+});
+
+/**
+ * Appliquer les effets d'une transaction déjà sauvegardée
+ * Solde compte source, contrepartie transfert et suivi budget
+ * @param {Object} transaction - Transaction sauvegardée
+ * @param {Object} accounts - { account, toAccount }
+ * @returns {Object} - { budgetAlert }
+ */
+const applyTransactionEffects = async (transaction, { account, toAccount = null }) => {
+  const { type, amount, description, user } = transaction;
+
+  // 1. Solde du compte source
+  await updateAccountBalance(
+    account,
+    getSignedAmount(type, amount),
+    `Transaction: ${description}`,
+    buildTransactionLedger(transaction)
+  );
+
+  // 2. Transferts : transaction inverse et compte destinataire (dans sa devise)
+  if (type === TRANSACTION_TYPES.TRANSFER && toAccount) {
+    const counterpart = await transaction.createTransferCounterpart({ name: account.name });
+    await updateAccountBalance(
+      toAccount,
+      transaction.destinationAmount || amount,
+      `Transfert depuis ${account.name}`,
+      buildTransactionLedger(counterpart || transaction)
+    );
+
+    // Frais de transfert / change : dépense séparée sur le compte source
+    if (transaction.transferFee > 0) {
+      await recordTransferFee(transaction, account);
+    }
+  }
+
+  // 3. Suivi budget (dépenses seulement), ligne par ligne si ventilée
+  let budgetAlert = null;
+  if (type === TRANSACTION_TYPES.EXPENSE) {
+    budgetAlert = await trackExpenseLines(user, Transaction.getCategoryLines(transaction));
+  }
+
+  return { budgetAlert };
+};
+
+/**
+ * Jambes liées d'un transfert : contrepartie sur le compte destinataire et frais
+ * @param {Object} transaction - Transfert (type transfer)
+ * @returns {Promise<Array>} - Transactions liées, compte peuplé
+ */
+const findTransferLegs = async (transaction) => {
+  if (transaction.type !== TRANSACTION_TYPES.TRANSFER || !transaction.transferId) return [];
+
+  return Transaction.find({
+    user: transaction.user,
+    transferId: transaction.transferId,
+    _id: { $ne: transaction._id }
+  }).populate('account');
+};
+
+/**
+ * Annuler les effets d'une transaction (suppression, correction du montant)
+ * Inverse exacte de applyTransactionEffects : compte source, jambes liées
+ * du transfert (destinataire et frais) et suivi budget
+ * @param {Object} transaction - Transaction telle qu'appliquée
+ * @param {Array} legs - Jambes liées (findTransferLegs), à supprimer par l'appelant
+ * @param {String} description - Libellé des écritures d'annulation
+ */
+const reverseTransactionEffects = async (transaction, legs, description) => {
+  const account = transaction.account && transaction.account.updateBalance
+    ? transaction.account
+    : await Account.findById(transaction.account);
+
+  if (account) {
+    await updateAccountBalance(
+      account,
+      -getSignedAmount(transaction.type, transaction.amount),
+      description,
+      buildTransactionLedger(transaction)
+    );
+  }
+
+  for (const leg of legs) {
+    if (!leg.account) continue;
+    await updateAccountBalance(
+      leg.account,
+      -getSignedAmount(leg.type, leg.amount),
+      description,
+      buildTransactionLedger(leg)
+    );
+  }
+
+  if (transaction.type === TRANSACTION_TYPES.EXPENSE) {
+    await untrackExpenseLines(transaction.user, Transaction.getCategoryLines(transaction));
+  }
+};
+
+/**
+ * Enregistrer les frais d'un transfert comme dépense liée (même transferId)
+ * @param {Object} transaction - Transfert sauvegardé
+ * @param {Object} account - Compte source
+ * @returns {Object} - Transaction de frais
+ */
+const recordTransferFee = async (transaction, account) => {
+  const fee = new Transaction({
+    user: transaction.user,
+    account: account._id,
+    amount: transaction.transferFee,
+    type: TRANSACTION_TYPES.EXPENSE,
+    description: transaction.fx?.provider
+      ? `Frais de change - ${transaction.fx.provider}`
+      : `Frais de transfert - ${transaction.description}`,
+    category: 'transfert',
+    subcategory: 'frais',
+    date: transaction.date,
+    transferId: transaction.transferId,
+    isConfirmed: transaction.isConfirmed
+  });
+  await fee.save();
+
+  await updateAccountBalance(account, -transaction.transferFee, fee.description, buildTransactionLedger(fee));
+
+  return fee;
+};
+
+// ===================================================================
+// TRANSFERTS MULTI-DEVISES
+// ===================================================================
+
+/**
+ * Calculer les deux jambes d'un transfert et l'écart de change
+ * Le taux est toujours exprimé en gourdes pour 1 dollar
+ * @param {Object} account - Compte source
+ * @param {Object} toAccount - Compte destinataire
+ * @param {Object} data - { amount, exchangeRate, destinationAmount, transferFee, provider, date, fallbackToReference }
+ * @returns {Object} - Champs à enregistrer sur la transaction
+ * @throws {Error} - code 'missing_exchange_rate' si aucun taux ne peut être déterminé
+ */
+const buildTransferDetails = async (account, toAccount, data) => {
+  const amount = parseFloat(data.amount);
+  const transferFee = data.transferFee ? roundNumber(parseFloat(data.transferFee), 2) : 0;
+  const sourceCurrency = account.currency;
+  const destinationCurrency = toAccount.currency;
+
+  // Même devise : montant identique des deux côtés
+  if (sourceCurrency === destinationCurrency) {
+    return { destinationAmount: amount, transferFee };
+  }
+
+  const date = data.date ? new Date(data.date) : new Date();
+  const reference = await getRate(date);
+  const fromUSD = sourceCurrency === 'USD';
+
+  // Taux appliqué : fourni, ou déduit des deux montants
+  let exchangeRate = data.exchangeRate ? parseFloat(data.exchangeRate) : null;
+  let destinationAmount = data.destinationAmount ? parseFloat(data.destinationAmount) : null;
+
+  if (!exchangeRate && destinationAmount) {
+    exchangeRate = fromUSD ? destinationAmount / amount : amount / destinationAmount;
+  }
+
+  // Occurrences automatiques (récurrence) : taux de référence du jour
+  if (!exchangeRate && data.fallbackToReference) {
+    exchangeRate = reference.rate;
+  }
+
+  if (!exchangeRate) {
+    const error = new Error('Taux appliqué ou montant reçu requis pour un transfert entre devises');
+    error.code = 'missing_exchange_rate';
+    throw error;
+  }
+
+  exchangeRate = roundNumber(exchangeRate, 4);
+  if (!destinationAmount) {
+    destinationAmount = fromUSD ? amount * exchangeRate : amount / exchangeRate;
+  }
+  destinationAmount = roundNumber(destinationAmount, 2);
+
+  // Comparaison au taux de référence
+  const referenceAmount = roundNumber(
+    fromUSD ? amount * reference.rate : amount / reference.rate,
+    2
+  );
+  const difference = destinationAmount - referenceAmount;
+  const gainLoss = destinationCurrency === 'HTG' ? difference : difference * reference.rate;
+
+  return {
+    destinationAmount,
+    exchangeRate,
+    transferFee,
+    fx: {
+      sourceCurrency,
+      destinationCurrency,
+      referenceRate: reference.rate,
+      referenceAmount,
+      gainLoss: roundNumber(gainLoss, 2),
+      spreadPercentage: referenceAmount > 0 ? roundNumber((-difference / referenceAmount) * 100, 2) : 0,
+      provider: data.provider || account.bankName
+    }
+  };
+};
+
+/**
+ * Imputer les lignes d'une dépense sur les budgets
+ * Les lignes d'une même catégorie budget sont cumulées avant imputation
+ * @param {String} userId - ID utilisateur
+ * @param {Array} lines - Lignes { budgetCategory, amount }
+ * @returns {Object|null} - Alerte la plus grave
+ */
+const trackExpenseLines = async (userId, lines) => {
+  const byBudgetCategory = {};
+  lines.forEach(line => {
+    byBudgetCategory[line.budgetCategory] = (byBudgetCategory[line.budgetCategory] || 0) + line.amount;
+  });
+
+  let budgetAlert = null;
+  for (const [budgetCategory, total] of Object.entries(byBudgetCategory)) {
+    const result = await updateBudgetTracking(userId, budgetCategory, total);
+
+    // Garder l'alerte critique en priorité
+    if (result?.alert && (!budgetAlert || result.alert === 'critical')) {
+      budgetAlert = { ...result, category: budgetCategory };
+    }
+  }
+
+  return budgetAlert;
+};
+
+/**
+ * Retirer des budgets les lignes d'une dépense annulée ou corrigée
+ * $inc direct : addExpense ne sauvegarde pas quand un seuil d'alerte est atteint
+ * @param {String} userId - ID utilisateur
+ * @param {Array} lines - Lignes { budgetCategory, amount }
+ */
+const untrackExpenseLines = async (userId, lines) => {
+  const byBudgetCategory = {};
+  lines.forEach(line => {
+    byBudgetCategory[line.budgetCategory] = (byBudgetCategory[line.budgetCategory] || 0) + line.amount;
+  });
+
+  for (const [budgetCategory, total] of Object.entries(byBudgetCategory)) {
+    try {
+      await Budget.updateOne(
+        { user: userId, isActive: true, 'categories.category': budgetCategory },
+        { $inc: { 'categories.$.spentAmount': -total } }
+      );
+    } catch (error) {
+      console.error('❌ Erreur annulation budget:', error.message);
+    }
+  }
+};
+
+// ===================================================================
+// TRANSACTIONS RÉCURRENTES
+// ===================================================================
+
+/**
+ * Créer l'occurrence d'une série récurrente pour une date donnée
+ * Ne fait rien si l'occurrence existe déjà (idempotent par jour)
+ * @param {Object} template - Transaction modèle de la série
+ * @param {Date} occurrenceDate - Date de l'occurrence
+ * @returns {Object} - { created, reason, transaction }
+ */
+const materializeRecurringOccurrence = async (template, occurrenceDate) => {
+  const templateId = template._id;
+  const userId = template.user._id || template.user;
+  const data = template.getOccurrenceData();
+  const accountId = data.account._id || data.account;
+
+  // 1. Occurrence déjà créée ce jour-là ?
+  const existing = await Transaction.exists({
+    parentRecurring: templateId,
+    date: { $gte: startOfDay(occurrenceDate), $lte: endOfDay(occurrenceDate) }
+  });
+
+  if (existing) {
+    return { created: false, reason: 'already_exists' };
+  }
+
+  // 2. Comptes actifs
+  const account = await Account.findOne({ _id: accountId, user: userId, isActive: true });
+  if (!account) {
+    return { created: false, reason: 'account_not_found' };
+  }
+
+  let toAccount = null;
+  if (template.type === TRANSACTION_TYPES.TRANSFER) {
+    toAccount = await Account.findOne({ _id: template.toAccount, user: userId, isActive: true });
+    if (!toAccount) {
+      return { created: false, reason: 'destination_account_not_found' };
+    }
+  }
+
+  // 3. Mêmes limites que la création manuelle
+  const signedAmount = getSignedAmount(template.type, data.amount);
+  if (template.type === TRANSACTION_TYPES.EXPENSE && !account.canProcessTransaction(signedAmount)) {
+    await notifyRecurringFailure(userId, template, occurrenceDate);
+    return { created: false, reason: 'insufficient_funds' };
+  }
+
+  // 4. Créer l'occurrence (transfert entre devises : taux de référence du jour)
+  const transferDetails = toAccount
+    ? await buildTransferDetails(account, toAccount, {
+      amount: data.amount,
+      transferFee: template.transferFee,
+      provider: template.fx?.provider,
+      date: occurrenceDate,
+      fallbackToReference: true
+    })
+    : {};
+
+  const transaction = new Transaction({
+    ...transferDetails,
+    user: userId,
+    account: accountId,
+    toAccount: toAccount ? toAccount._id : undefined,
+    amount: data.amount,
+    type: template.type,
+    description: data.description,
+    category: data.category,
+    subcategory: data.subcategory,
+    splits: data.splits,
+    date: occurrenceDate,
+    tags: data.tags,
+    notes: data.notes,
+    paymentMethod: template.paymentMethod,
+    merchant: template.merchant,
+    parentRecurring: templateId,
+    isConfirmed: true
+  });
+  await transaction.save();
+
+  // 5. Effets sur soldes et budgets
+  await applyTransactionEffects(transaction, { account, toAccount });
+
+  return { created: true, transaction };
+};
+
+/**
+ * Prévenir l'utilisateur qu'une occurrence n'a pas pu être créée
+ * @param {String} userId - ID utilisateur
+ * @param {Object} template - Transaction modèle
+ * @param {Date} occurrenceDate - Date de l'occurrence manquée
+ */
+const notifyRecurringFailure = async (userId, template, occurrenceDate) => {
+  try {
+    await NotificationService.create({
+      user: userId,
+      source: 'transaction',
+      type: 'warning',
+      priority: 'high',
+      title: 'Transaction récurrente non créée',
+      message: `"${template.description}" du ${occurrenceDate.toLocaleDateString('fr-HT')} n'a pas été enregistrée : solde insuffisant`,
+      actionable: true,
+      actionUrl: `/transactions/recurring/${template._id}`,
+      actionLabel: 'Voir la série',
+      metadata: {
+        amount: template.amount,
+        entityId: template._id,
+        entityType: 'transaction',
+        relatedData: { occurrenceDate }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erreur notification récurrence:', error.message);
+  }
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+module.exports = {
+  // Soldes & budgets
+  updateAccountBalance,
+  buildTransactionLedger,
+  updateBudgetTracking,
+  getSignedAmount,
+  applyTransactionEffects,
+  findTransferLegs,
+  reverseTransactionEffects,
+  trackExpenseLines,
+  untrackExpenseLines,
+
+  // Transferts multi-devises
+  buildTransferDetails,
+
+  // Récurrence
+  materializeRecurringOccurrence
+};
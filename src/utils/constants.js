@@ -21,6 +21,38 @@ const CURRENCIES = {
   }
 };
 
+// ===================================================================
+// TAUX DE CHANGE USD/HTG
+// ===================================================================
+const EXCHANGE_RATES = {
+  // Taux de secours tant qu'aucun taux n'est enregistré en base
+  DEFAULT_USD_HTG: 130,
+
+  // Sources possibles d'un taux (BRH = taux de référence officiel)
+  SOURCES: ['brh', 'bank', 'manual'],
+  DEFAULT_SOURCE: 'brh',
+
+  // Durée de vie du cache mémoire du résolveur
+  CACHE_TTL_MS: 60 * 60 * 1000, // 1 heure
+
+  // Au-delà, le taux utilisé est signalé comme ancien
+  STALE_AFTER_DAYS: 7,
+
+  // Colonnes reconnues dans les CSV de la BRH (en-têtes normalisés)
+  BRH_CSV: {
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+    columns: {
+      date: ['date', 'jour'],
+      buyRate: ['achat', 'acheteur', 'buy', 'taux achat'],
+      sellRate: ['vente', 'vendeur', 'sell', 'taux vente'],
+      referenceRate: ['taux de reference', 'reference', 'taux reference', 'moyenne', 'taux']
+    }
+  },
+
+  MAX_IMPORT_ROWS: 5000
+};
+
 // ===================================================================
 // BANQUES HAÏTIENNES
 // ===================================================================
@@ -278,7 +310,17 @@ const TRANSACTION_CATEGORIES = {
     haitiExample: 'Telefòn, entènèt, abònman',
     popular: true
   },
-  
+  dettes: {
+    id: 'dettes',
+    name: 'Remboursement dettes',
+    type: 'expense',
+    icon: 'money_off',
+    color: '#dc2626',
+    description: 'Remboursement de prêts et de dettes',
+    haitiExample: 'Peye dèt, ranbouse prè',
+    popular: false
+  },
+
   // Revenus
   salaire: {
     id: 'salaire',
@@ -711,9 +753,151 @@ const LIMITS = {
   },
   UPLOAD: {
     MAX_FILE_SIZE: 5242880, // 5MB
-    ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif'],
+    ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     ALLOWED_DOCUMENT_TYPES: ['application/pdf'],
     MAX_FILES_PER_REQUEST: 5
+  },
+  IMPORT: {
+    MAX_FILE_SIZE: 2097152, // 2MB
+    MAX_ROWS: 1000,
+    ALLOWED_EXTENSIONS: ['.csv', '.ofx', '.qfx', '.txt']
+  }
+};
+
+// ===================================================================
+// STOCKAGE FICHIERS (REÇUS / DOCUMENTS)
+// ===================================================================
+const FILE_STORAGE = {
+  // Driver choisi via FILE_STORAGE_DRIVER (local par défaut)
+  DRIVERS: ['local', 'cloudinary'],
+  DEFAULT_DRIVER: 'local',
+
+  // Dossier racine du driver local (relatif au répertoire de lancement)
+  LOCAL_ROOT: 'uploads',
+
+  // Hôtes vers lesquels un fichier peut rediriger (Cloudinary, anciens reçus)
+  // Compléter via FILE_STORAGE_REDIRECT_HOSTS (liste séparée par des virgules)
+  REDIRECT_HOSTS: ['res.cloudinary.com'],
+
+  // Sous-dossiers par type de pièce jointe
+  FOLDERS: {
+    TRANSACTION_RECEIPTS: 'receipts',
+    DEBT_RECEIPTS: 'debt-receipts',
+    INVESTMENT_DOCUMENTS: 'investment-documents',
+    SOL_PAYMENT_PROOFS: 'sol-payment-proofs'
+  },
+
+  // Miniature générée pour les images uniquement
+  THUMBNAIL: {
+    WIDTH: 320,
+    HEIGHT: 320,
+    FORMAT: 'webp',
+    QUALITY: 75
+  }
+};
+
+// ===================================================================
+// IMPORT RELEVÉS BANCAIRES (CSV / OFX)
+// ===================================================================
+// Colonnes candidates par banque (clés = HAITI_BANKS), comparées sans
+// tenir compte de la casse ni des accents. Un relevé a soit une colonne
+// "amount" signée, soit deux colonnes "debit"/"credit".
+const STATEMENT_IMPORT_MAPPINGS = {
+  sogebank: {
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    columns: {
+      date: ['Date', 'Date opération', 'Date operation'],
+      description: ['Libellé', 'Libelle', 'Description'],
+      debit: ['Débit', 'Debit'],
+      credit: ['Crédit', 'Credit'],
+      reference: ['Référence', 'Reference']
+    }
+  },
+  unibank: {
+    delimiter: ',',
+    dateFormat: 'MM/DD/YYYY',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Transaction Date', 'Date'],
+      description: ['Description', 'Details'],
+      debit: ['Withdrawal', 'Debit'],
+      credit: ['Deposit', 'Credit'],
+      reference: ['Reference', 'Ref']
+    }
+  },
+  bnc: {
+    delimiter: ';',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    columns: {
+      date: ['Date'],
+      description: ['Libellé', 'Libelle', 'Description'],
+      debit: ['Débit', 'Debit'],
+      credit: ['Crédit', 'Credit'],
+      reference: ['N° Pièce', 'Reference']
+    }
+  },
+  buh: {
+    delimiter: ',',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Date'],
+      description: ['Description', 'Libellé'],
+      debit: ['Débit', 'Debit'],
+      credit: ['Crédit', 'Credit'],
+      reference: ['Référence', 'Reference']
+    }
+  },
+  capital_bank: {
+    delimiter: ',',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Date'],
+      description: ['Description', 'Libellé'],
+      debit: ['Débit', 'Debit'],
+      credit: ['Crédit', 'Credit'],
+      reference: ['Référence', 'Reference']
+    }
+  },
+  moncash: {
+    delimiter: ',',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Date', 'Transaction Date'],
+      description: ['Description', 'Transaction Type', 'Type'],
+      amount: ['Amount', 'Montant'],
+      reference: ['Transaction ID', 'ID Transaction', 'Reference']
+    }
+  },
+  natcash: {
+    delimiter: ',',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Date'],
+      description: ['Description', 'Type'],
+      amount: ['Montant', 'Amount'],
+      reference: ['ID', 'Reference']
+    }
+  },
+  // Format générique (autres banques, export tableur manuel)
+  other: {
+    delimiter: ',',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+    columns: {
+      date: ['Date'],
+      description: ['Description', 'Libellé', 'Libelle'],
+      amount: ['Amount', 'Montant'],
+      debit: ['Débit', 'Debit'],
+      credit: ['Crédit', 'Credit'],
+      reference: ['Référence', 'Reference', 'ID']
+    }
   }
 };
 
@@ -734,6 +918,7 @@ const NOTIFICATION_TYPES = {
 // ===================================================================
 module.exports = {
   CURRENCIES,
+  EXCHANGE_RATES,
   HAITI_BANKS,
   HAITI_REGIONS,
   TRANSACTION_CATEGORIES,
@@ -755,5 +940,7 @@ module.exports = {
   QUICK_TRANSACTION_TEMPLATES,
   VALIDATION_PATTERNS,
   LIMITS,
-  NOTIFICATION_TYPES
+  FILE_STORAGE,
+  NOTIFICATION_TYPES,
+  STATEMENT_IMPORT_MAPPINGS
 };
\ No newline at end of file
@@ -331,7 +331,8 @@ const formatStatus = (status) => {
 const formatTransactionType = (type) => {
   const typeMap = {
     income: 'Revenu',
-    expense: 'Dépense'
+    expense: 'Dépense',
+    transfer: 'Transfert'
   };
   
   return typeMap[type] || type;
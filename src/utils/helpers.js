@@ -406,6 +406,89 @@ const titleCase = (text) => {
   return text.split(' ').map(word => capitalize(word)).join(' ');
 };
 
+/**
+ * Normaliser un en-tête de colonne (casse, accents, espaces)
+ * @param {string} value - En-tête brut
+ * @returns {string} - En-tête normalisé
+ */
+const normalizeHeader = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * Découper une ligne CSV en respectant les guillemets
+ * @param {string} line - Ligne CSV
+ * @param {string} delimiter - Séparateur
+ * @returns {Array<string>} - Cellules
+ */
+const splitCSVLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Détecter le séparateur réel d'un CSV (le fichier peut différer de l'attendu)
+ * @param {string} headerLine - Ligne d'en-tête
+ * @param {string} preferred - Séparateur attendu
+ * @returns {string} - Séparateur retenu
+ */
+const detectDelimiter = (headerLine, preferred) => {
+  const candidates = [preferred, ';', ',', '\t'];
+  let best = preferred;
+  let bestCount = 0;
+
+  candidates.forEach(delimiter => {
+    const count = splitCSVLine(headerLine, delimiter).length;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Trouver l'index d'une colonne parmi ses noms candidats
+ * @param {Array<string>} headers - En-têtes normalisés
+ * @param {Array<string>} candidates - Noms possibles
+ * @returns {number} - Index ou -1
+ */
+const findColumn = (headers, candidates = []) => {
+  for (const candidate of candidates) {
+    const index = headers.indexOf(normalizeHeader(candidate));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
 module.exports = {
   // ID & Codes
   generateUniqueId,
@@ -449,5 +532,11 @@ module.exports = {
   // Strings
   truncate,
   capitalize,
-  titleCase
+  titleCase,
+  
+  // CSV
+  normalizeHeader,
+  splitCSVLine,
+  detectDelimiter,
+  findColumn
 };
\ No newline at end of file
@@ -3,6 +3,7 @@
 // Phase 7 IA Foundation
 
 const { CURRENCIES } = require('./constants');
+const { resolveRate } = require('../services/exchangeRateService');
 
 /**
  * Utilitaires Machine Learning pour analyses financières
@@ -17,12 +18,12 @@ class MLHelpers {
    * Normaliser montant dans devise commune (HTG)
    * @param {Number} amount - Montant
    * @param {String} currency - Devise (HTG/USD)
-   * @param {Number} exchangeRate - Taux de change (défaut 130)
+   * @param {Date} date - Date de l'opération (taux en vigueur ce jour-là)
    * @returns {Number} - Montant normalisé en HTG
    */
-  static normalizeAmount(amount, currency = 'HTG', exchangeRate = 130) {
+  static normalizeAmount(amount, currency = 'HTG', date = new Date()) {
     if (currency === 'USD') {
-      return amount * exchangeRate;
+      return amount * resolveRate(date);
     }
     return amount;
   }
@@ -32,18 +33,18 @@ class MLHelpers {
    * @param {Number} amount - Montant
    * @param {String} fromCurrency - Devise source
    * @param {String} toCurrency - Devise cible
-   * @param {Number} exchangeRate - Taux de change
+   * @param {Date} date - Date de l'opération (taux en vigueur ce jour-là)
    * @returns {Number} - Montant converti
    */
-  static convertCurrency(amount, fromCurrency, toCurrency, exchangeRate = 130) {
+  static convertCurrency(amount, fromCurrency, toCurrency, date = new Date()) {
     if (fromCurrency === toCurrency) return amount;
 
     if (fromCurrency === 'USD' && toCurrency === 'HTG') {
-      return amount * exchangeRate;
+      return amount * resolveRate(date);
     }
 
     if (fromCurrency === 'HTG' && toCurrency === 'USD') {
-      return amount / exchangeRate;
+      return amount / resolveRate(date);
     }
 
     return amount;